@@ -0,0 +1,56 @@
+/*
+ * Service worker
+ *
+ * Keeps the app shell available offline so the installed app opens without
+ * a connection.  Navigations go to the network first and fall back to the
+ * cached index.html; scripts, styles and icons (ours and the Tailwind CDN)
+ * are served from the cache and refreshed in the background.  Supabase
+ * requests are never cached here: the data layer in src/app.jsx keeps its
+ * own IndexedDB cache.
+ */
+const CACHE = "controle-diario-v1";
+const SHELL = ["/", "/manifest.webmanifest", "/icon.svg"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key)))).then(() => self.clients.claim())
+  );
+});
+
+function isStatic(url) {
+  return url.origin === self.location.origin || url.hostname === "cdn.jsdelivr.net";
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          caches.open(CACHE).then((cache) => cache.put("/", response.clone()));
+          return response;
+        })
+        .catch(() => caches.match("/"))
+    );
+    return;
+  }
+  if (!isStatic(url)) return;
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      const network = fetch(request)
+        .then((response) => {
+          if (response.ok) caches.open(CACHE).then((cache) => cache.put(request, response.clone()));
+          return response;
+        })
+        .catch(() => cached);
+      return cached || network;
+    })
+  );
+});
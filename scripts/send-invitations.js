@@ -0,0 +1,81 @@
+/*
+ * Workspace invitation e-mails
+ *
+ * Sends every invitation created in "Usuários e acessos" that has not been
+ * mailed yet, is still open and has not expired.  The e-mail carries the
+ * accept link (/convite/<token>); the invited person signs in with the same
+ * address and joins the workspace with the role chosen by the admin.
+ *
+ * Run it every few minutes, e.g. from cron:
+ *
+ *   0-59/5 * * * * cd /srv/controle-diario && npm run invitations
+ *
+ * Configuration is the same as scripts/send-report-digests.js:
+ *   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY   database access
+ *   SMTP_HOST (localhost), SMTP_PORT (1025), SMTP_SECURE (false),
+ *   SMTP_USER, SMTP_PASS, SMTP_FROM           outgoing mail
+ *   APP_URL                                   base of the accept link
+ */
+import { createClient } from "@supabase/supabase-js";
+import nodemailer from "nodemailer";
+
+const env = process.env;
+
+const supabase = createClient(env.SUPABASE_URL || env.VITE_SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY);
+
+const transport = nodemailer.createTransport({
+  host: env.SMTP_HOST || "localhost",
+  port: Number(env.SMTP_PORT || 1025),
+  secure: env.SMTP_SECURE === "true",
+  auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+});
+
+const ROLE_LABELS = { admin: "Administrador", manager: "Gerente", member: "Membro", client_viewer: "Cliente" };
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function renderInvitation(invitation) {
+  const workspace = invitation.workspaces?.name || "Controle Diário";
+  const inviter = invitation.inviter?.name;
+  const link = `${env.APP_URL || "http://localhost:5173"}/convite/${invitation.token}`;
+  const intro = `${inviter ? `${inviter} convidou você` : "Você foi convidado"} para o workspace "${workspace}" como ${ROLE_LABELS[invitation.role] || invitation.role}.`;
+  const expires = `O convite vale até ${new Date(invitation.expires_at).toLocaleDateString("pt-BR")}.`;
+  return {
+    subject: `Convite para ${workspace}`,
+    text: `${intro}\n\nAceite em: ${link}\n\n${expires}`,
+    html: `<p>${escapeHtml(intro)}</p><p><a href="${escapeHtml(link)}">Aceitar convite</a></p><p>${escapeHtml(expires)}</p>`,
+  };
+}
+
+async function main() {
+  const now = new Date().toISOString();
+  const { data: invitations, error } = await supabase
+    .from("workspace_invitations")
+    .select("*, workspaces(name), inviter:profiles!invited_by(name)")
+    .is("sent_at", null)
+    .is("accepted_at", null)
+    .gt("expires_at", now);
+  if (error) throw error;
+  if (invitations.length === 0) {
+    console.log("Nenhum convite a enviar.");
+    return;
+  }
+  for (const invitation of invitations) {
+    const { subject, text, html } = renderInvitation(invitation);
+    try {
+      await transport.sendMail({ from: env.SMTP_FROM || "Controle Diário <convites@localhost>", to: invitation.email, subject, text, html });
+      await supabase.from("workspace_invitations").update({ sent_at: now }).eq("id", invitation.id);
+      console.log(`Enviado: ${invitation.email} -> ${invitation.workspaces?.name}`);
+    } catch (err) {
+      console.error(`Falha ao enviar convite para ${invitation.email}: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+/*
+ * Weekly report digests
+ *
+ * Sends every saved report definition (`report_definitions`) that has a
+ * schedule and is due: it is the configured weekday, the configured hour
+ * has passed and nothing was sent in the last 23 hours.  The numbers come
+ * from src/reports.js, the same code that draws the Relatórios page, and
+ * each dataset is attached as CSV.  A definition only sees the data of its
+ * own workspace.
+ *
+ * Run it once an hour, e.g. from cron:
+ *
+ *   0 * * * * cd /srv/controle-diario && npm run digests
+ *
+ * Configuration (environment variables):
+ *   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY   database access (the service
+ *                                             key is needed to read every row)
+ *   SMTP_HOST (localhost), SMTP_PORT (1025), SMTP_SECURE (false),
+ *   SMTP_USER, SMTP_PASS, SMTP_FROM           outgoing mail
+ *   APP_URL                                   link back to the app in the e-mail
+ *
+ * The defaults point at a local mail catcher such as Mailpit or MailHog
+ * (SMTP on port 1025, web UI on http://localhost:8025).  Pass --now to send
+ * every scheduled digest immediately, ignoring the weekday and hour.
+ */
+import { createClient } from "@supabase/supabase-js";
+import nodemailer from "nodemailer";
+import { computeReportData, reportDatasets, toCSV } from "../src/reports.js";
+
+const env = process.env;
+const force = process.argv.includes("--now");
+
+const supabase = createClient(env.SUPABASE_URL || env.VITE_SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY);
+
+const transport = nodemailer.createTransport({
+  host: env.SMTP_HOST || "localhost",
+  port: Number(env.SMTP_PORT || 1025),
+  secure: env.SMTP_SECURE === "true",
+  auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+});
+
+function isDue(definition, now) {
+  if (force) return true;
+  if (now.getDay() !== definition.schedule_weekday || now.getHours() < definition.schedule_hour) return false;
+  return !definition.last_sent_at || now - new Date(definition.last_sent_at) > 23 * 3600 * 1000;
+}
+
+/* Saved filters without a period cover the last seven days. */
+function digestFilters(filters, now) {
+  if (filters.dateFrom || filters.dateTo) return filters;
+  const from = new Date(now);
+  from.setDate(from.getDate() - 7);
+  return { ...filters, dateFrom: from.toISOString().slice(0, 10), dateTo: now.toISOString().slice(0, 10) };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function renderTable(dataset) {
+  const head = dataset.columns.map((c) => `<th style="text-align:left;border:1px solid #ddd;padding:4px">${escapeHtml(c.label)}</th>`).join("");
+  const body = dataset.rows
+    .map((row) => `<tr>${dataset.columns.map((c) => `<td style="border:1px solid #ddd;padding:4px">${escapeHtml(row[c.key])}</td>`).join("")}</tr>`)
+    .join("");
+  return `<h3>${escapeHtml(dataset.title)}</h3><table style="border-collapse:collapse">${head ? `<tr>${head}</tr>` : ""}${body || `<tr><td>Sem dados</td></tr>`}</table>`;
+}
+
+function renderDigest(definition, filters, report, datasets) {
+  const done = report.filtered.filter((t) => t.status === "concluido").length;
+  const revenue = report.clientMetrics.reduce((sum, c) => sum + c.receita, 0);
+  const money = (value) => value.toLocaleString("pt-BR", { style: "currency", currency: "BRL" });
+  const summary = [
+    `Período: ${filters.dateFrom || "início"} a ${filters.dateTo || "hoje"}`,
+    `Tarefas: ${report.filtered.length} (${done} concluídas)`,
+    `Receita: ${money(revenue)}`,
+    `Faturado: ${money(report.invoiceTotals.faturado)} (recebido ${money(report.invoiceTotals.recebido)}, vencido ${money(report.invoiceTotals.vencido)})`,
+  ];
+  // The full task list goes only as an attachment; it is too long for the body.
+  const tables = datasets.filter((d) => d.key !== "tarefas").map(renderTable).join("");
+  const link = env.APP_URL ? `<p><a href="${escapeHtml(env.APP_URL)}/relatorios">Abrir no Controle Diário</a></p>` : "";
+  return {
+    text: `${definition.name}\n\n${summary.join("\n")}\n\nDetalhes nos anexos CSV.`,
+    html: `<h2>${escapeHtml(definition.name)}</h2><p>${summary.map(escapeHtml).join("<br>")}</p>${tables}${link}`,
+  };
+}
+
+/* The service key bypasses RLS, so the workspace filter has to be explicit. */
+async function fetchReportInputs(workspaceId) {
+  const [tasks, entries, team, clients, invoices] = await Promise.all([
+    supabase.from("tasks").select("*").eq("workspace_id", workspaceId),
+    supabase.from("time_entries").select("user_id, task_id, started_at, ended_at").eq("workspace_id", workspaceId),
+    supabase.from("team").select("id, name, profile_id, archived_at, deleted_at").eq("workspace_id", workspaceId),
+    supabase.from("clients").select("id, name, archived_at, deleted_at").eq("workspace_id", workspaceId),
+    supabase.from("invoices").select("id, number, client_id, status, issued_at, due_date, total").eq("workspace_id", workspaceId),
+  ]);
+  const failed = [tasks, entries, team, clients, invoices].find((r) => r.error);
+  if (failed) throw failed.error;
+  return { tasks: tasks.data, entries: entries.data, team: team.data, clients: clients.data, invoices: invoices.data };
+}
+
+async function main() {
+  const now = new Date();
+  const { data: definitions, error } = await supabase.from("report_definitions").select("*").eq("schedule_enabled", true);
+  if (error) throw error;
+  const due = definitions.filter((d) => d.recipients?.length && isDue(d, now));
+  if (due.length === 0) {
+    console.log("Nenhum resumo a enviar.");
+    return;
+  }
+  const inputsByWorkspace = new Map();
+  for (const definition of due) {
+    if (!inputsByWorkspace.has(definition.workspace_id)) inputsByWorkspace.set(definition.workspace_id, await fetchReportInputs(definition.workspace_id));
+    const inputs = inputsByWorkspace.get(definition.workspace_id);
+    const filters = digestFilters(definition.filters || {}, now);
+    const report = computeReportData(inputs, filters, now);
+    const datasets = reportDatasets(report, inputs);
+    const { text, html } = renderDigest(definition, filters, report, datasets);
+    try {
+      await transport.sendMail({
+        from: env.SMTP_FROM || "Controle Diário <relatorios@localhost>",
+        to: definition.recipients.join(", "),
+        subject: `Resumo semanal: ${definition.name}`,
+        text,
+        html,
+        attachments: datasets.map((d) => ({ filename: `${d.key}.csv`, content: `\uFEFF${toCSV(d)}`, contentType: "text/csv; charset=utf-8" })),
+      });
+      await supabase.from("report_definitions").update({ last_sent_at: now.toISOString() }).eq("id", definition.id);
+      console.log(`Enviado: ${definition.name} -> ${definition.recipients.join(", ")}`);
+    } catch (err) {
+      console.error(`Falha ao enviar "${definition.name}": ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,10 +1,13 @@
-import React, { useState, useEffect, useMemo, useCallback } from "react";
+import React, { useState, useEffect, useMemo, useCallback, useRef } from "react";
 import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
 import { createClient } from "@supabase/supabase-js";
 import { useSpeechRecognition, useSpeechSynthesis } from "react-speech-kit";
-import { DndContext, closestCenter, PointerSensor, useSensor, useSensors } from "@dnd-kit/core";
-import { arrayMove } from "@dnd-kit/sortable";
-import { BarChart, Bar, LineChart, Line, PieChart, Pie, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { DndContext, closestCenter, pointerWithin, PointerSensor, useSensor, useSensors, useDraggable, useDroppable } from "@dnd-kit/core";
+import { arrayMove, SortableContext, rectSortingStrategy, useSortable, verticalListSortingStrategy } from "@dnd-kit/sortable";
+import { BarChart, Bar, LineChart, Line, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import * as XLSX from "xlsx";
+import { INVOICE_STATUS_LABELS, REPORT_STATUS_LABELS, computeReportData, datasetRows, entryHours, invoiceStatus, isArchived, isOverdue, reportDatasets, taskRevenue, toCSV } from "./reports.js";
+import { ASSISTANT_QUESTIONS, answerAssistantQuestion, buildAssistantRecord, describeAssistantCommand, normalizeText, parseAssistantCommand } from "./assistant.js";
 //
 // This file demonstrates a skeleton of a full‑stack planning tool inspired by
 // the Lovable "Controle Diário" app.  It connects to Supabase for auth and
@@ -16,22 +19,25 @@ import { BarChart, Bar, LineChart, Line, PieChart, Pie, XAxis, YAxis, CartesianG
 // Before running this application:
 //  1) Create a new React project (e.g. with Vite) and install these
 //     dependencies: react, react‑router‑dom, @supabase/supabase-js,
-//     @dnd-kit/core, @dnd-kit/sortable, recharts, react‑speech‑kit.
+//     @dnd-kit/core, @dnd-kit/sortable, recharts, react‑speech‑kit, xlsx.
 //  2) Configure Supabase with email/password authentication and create the
 //     tables referenced in this code (see the SQL migration at the bottom of
 //     this file).  Copy your Supabase URL and anonymous key into
 //     VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY variables in your .env.
 //  3) Optionally obtain a HuggingFace API key and expose it as VITE_HF_TOKEN
-//     if you want to integrate a remote LLM/voice service.
+//     if you want to integrate a remote LLM/voice service, or point
+//     VITE_LLM_PROVIDER at a local OpenAI-compatible server (see the LLM
+//     providers section below).
 //
 
 /* --------------------------------------------------------------------
  * Supabase client and authentication context
  *
  * We create a single Supabase client for the entire app.  The AuthContext
- * exposes the current user and provides login/logout helpers.  When
- * authenticated, Supabase returns a session; when not, we redirect to
- * the login page.
+ * exposes the current user and provides login/logout helpers.  The stored
+ * session is restored with getSession() on boot; until it answers the
+ * session is undefined and protected routes show a loading state instead
+ * of bouncing to the login page.
  */
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
@@ -41,37 +47,828 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey);
 const AuthContext = React.createContext(null);
 
 function AuthProvider({ children }) {
-  const [session, setSession] = useState(null);
+  // undefined until getSession() answers, null when signed out
+  const [session, setSession] = useState(undefined);
+  // undefined while the profile is loading, null when there is none
+  const [profileRow, setProfileRow] = useState(undefined);
+  const [memberships, setMemberships] = useState([]);
   useEffect(() => {
-    const currentSession = supabase.auth.session?.();
-    setSession(currentSession);
-    const { data: authListener } = supabase.auth.onAuthStateChange((_event, session) => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((_event, session) => {
       setSession(session);
     });
-    return () => authListener?.unsubscribe();
+    return () => subscription.unsubscribe();
   }, []);
-  const value = useMemo(() => ({ session }), [session]);
+  // Rows such as tasks and comments reference profiles, not auth users, so
+  // the logged-in user's profile is loaded alongside the session, together
+  // with the workspaces they belong to.
+  const loadProfile = useCallback(async (user) => {
+    let { data } = await supabase.from("profiles").select("*").eq("user_id", user.id).maybeSingle();
+    // The handle_new_user trigger creates profiles on sign-up; accounts made
+    // before it existed get theirs on first login.
+    if (!data) ({ data } = await supabase.from("profiles").insert([{ user_id: user.id, name: userDisplayName(user) }]).select().single());
+    const { data: rows } = data ? await supabase.from("workspace_members").select("workspace_id, role, workspaces(id, name)").eq("profile_id", data.id) : { data: [] };
+    // A profile that never switched, or whose workspace is gone, falls back to its first one.
+    if (data && rows?.length && !rows.some((m) => m.workspace_id === data.current_workspace_id)) {
+      data.current_workspace_id = rows[0].workspace_id;
+      await supabase.from("profiles").update({ current_workspace_id: data.current_workspace_id }).eq("id", data.id);
+    }
+    setMemberships(rows || []);
+    setProfileRow(data);
+  }, []);
+  useEffect(() => {
+    if (session === undefined) return;
+    if (!session?.user) {
+      setProfileRow(null);
+      setMemberships([]);
+      return;
+    }
+    setProfileRow(undefined);
+    loadProfile(session.user);
+  }, [session?.user?.id]);
+  const reloadProfile = useCallback(() => session?.user && loadProfile(session.user), [session?.user?.id]);
+  // RLS follows the workspace stored in the profile, so a switch made in
+  // another tab or device re-scopes this session as well; reloading the
+  // profile moves the pages over to that workspace too.
+  const workspaceRef = useRef(null);
+  workspaceRef.current = profileRow?.current_workspace_id;
+  useEffect(() => {
+    if (!profileRow?.id) return;
+    let joined = false;
+    const channel = supabase
+      .channel(`profile-${profileRow.id}`)
+      .on("postgres_changes", { event: "UPDATE", schema: "public", table: "profiles", filter: `id=eq.${profileRow.id}` }, ({ new: row }) => {
+        if (row.current_workspace_id !== workspaceRef.current) reloadProfile();
+      })
+      .subscribe((status) => {
+        // A switch may have happened while the connection was down.
+        if (status === "SUBSCRIBED" && joined) reloadProfile();
+        if (status === "SUBSCRIBED") joined = true;
+      });
+    return () => supabase.removeChannel(channel);
+  }, [profileRow?.id, reloadProfile]);
+  const switchWorkspace = useCallback(
+    async (workspaceId) => {
+      const { error } = await supabase.from("profiles").update({ current_workspace_id: workspaceId }).eq("id", profileRow.id);
+      if (!error) setProfileRow((p) => ({ ...p, current_workspace_id: workspaceId }));
+    },
+    [profileRow?.id]
+  );
+  const value = useMemo(() => {
+    const membership = memberships.find((m) => m.workspace_id === profileRow?.current_workspace_id);
+    // profile.role is the role in the current workspace, which is what can() checks.
+    const profile = profileRow && { ...profileRow, role: membership?.role || null };
+    const workspaces = memberships.map((m) => ({ ...m.workspaces, role: m.role }));
+    return { session, profile, workspace: membership?.workspaces || null, workspaces, switchWorkspace, reloadProfile };
+  }, [session, profileRow, memberships, switchWorkspace, reloadProfile]);
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 }
 
 /*
- * Login page component.  It provides a simple form for email/password
- * authentication.  On success, Supabase will set the session and the
- * AuthProvider will redirect the user.
+ * Roles and permissions
+ *
+ * The role in the current workspace (workspace_members.role, exposed as
+ * profile.role) decides what a user may see and do.  The PERMISSIONS map
+ * only hides navigation and actions in the UI; the row-level security
+ * policies at the end of the SQL migration enforce the same rules in the
+ * database, so keep both in step when changing either.  Members see the
+ * tasks assigned to them and the clients they work on, client viewers only
+ * read what belongs to the clients linked to them in client_viewers.
+ */
+const ROLES = { admin: "Administrador", manager: "Gerente", member: "Membro", client_viewer: "Cliente (somente leitura)" };
+const ALL_ROLES = Object.keys(ROLES);
+const STAFF = ["admin", "manager", "member"];
+const MANAGERS = ["admin", "manager"];
+
+const PERMISSIONS = {
+  "dashboard.view": ALL_ROLES,
+  "kanban.view": ALL_ROLES,
+  "agenda.view": ALL_ROLES,
+  "clients.view": ALL_ROLES,
+  "tasks.edit": STAFF,
+  "events.edit": STAFF,
+  "clients.notes": STAFF,
+  "services.view": STAFF,
+  "team.view": STAFF,
+  "funnels.manage": STAFF,
+  "tools.use": STAFF,
+  "timesheet.view": STAFF,
+  "tasks.assign": MANAGERS,
+  "timesheet.manage": MANAGERS,
+  "kanban.configure": MANAGERS,
+  "clients.manage": MANAGERS,
+  "pipeline.view": MANAGERS,
+  "services.manage": MANAGERS,
+  "billing.manage": MANAGERS,
+  "reports.view": MANAGERS,
+  "calendar.share": MANAGERS,
+  "team.manage": ["admin"],
+  "automations.manage": ["admin"],
+};
+
+/* Without a membership in the current workspace there is no role and nothing is allowed. */
+function roleOf(profile) {
+  return ROLES[profile?.role] ? profile.role : null;
+}
+
+function can(profile, permission) {
+  return (PERMISSIONS[permission] || []).includes(roleOf(profile));
+}
+
+function usePermission(permission) {
+  const { profile } = React.useContext(AuthContext);
+  return can(profile, permission);
+}
+
+/* Route guard: pages the role may not open send the user back to the Dashboard. */
+function RequirePermission({ permission, children }) {
+  const { profile } = React.useContext(AuthContext);
+  if (profile === undefined) return <div className="p-6 text-gray-500">Carregando...</div>;
+  if (!can(profile, permission)) return <Navigate to="/" replace />;
+  return children;
+}
+
+/*
+ * Workspaces
+ *
+ * Each agency works in its own workspace; every row belongs to one and a
+ * user can be a member of several.  The workspace picked in the sidebar is
+ * stored in profiles.current_workspace_id: the database creates new rows in
+ * it and RLS only returns its rows, so pages query exactly as before.  On a
+ * switch the pages remount and fetch again, in every open session of the
+ * user: AuthProvider follows the profile over realtime.  Admins invite
+ * people by e-mail from Equipe; the link in the e-mail opens
+ * AcceptInvitationPage.
+ */
+const INVITATION_ERRORS = {
+  P0002: "Convite não encontrado, expirado ou já utilizado.",
+  42501: "Este convite foi enviado para outro e-mail. Entre com a conta convidada.",
+};
+
+function invitationUrl(token) {
+  return `${window.location.origin}/convite/${token}`;
+}
+
+async function createWorkspace(name) {
+  const { data, error } = await supabase.rpc("create_workspace", { workspace_name: name });
+  return { id: data, error };
+}
+
+/* Renders the pages only once a workspace is chosen, remounting them (and the offline cache) when it changes. */
+function RequireWorkspace({ children }) {
+  const { profile, workspace } = React.useContext(AuthContext);
+  if (profile === undefined) return <div className="p-6 text-gray-500">Carregando...</div>;
+  if (!workspace) return <WorkspaceOnboarding />;
+  return (
+    <SyncProvider key={workspace.id} workspaceId={workspace.id}>
+      {children}
+    </SyncProvider>
+  );
+}
+
+function WorkspaceOnboarding() {
+  const { reloadProfile } = React.useContext(AuthContext);
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  const create = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const { error: rpcError } = await createWorkspace(name.trim());
+    if (rpcError) setError(`Erro ao criar workspace: ${rpcError.message}`);
+    else reloadProfile();
+  };
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gray-50">
+      <form onSubmit={create} className="w-full max-w-sm p-6 bg-white rounded shadow">
+        <h1 className="mb-2 text-2xl font-bold">Criar workspace</h1>
+        <p className="mb-4 text-sm text-gray-600">Você ainda não participa de nenhum workspace. Crie o da sua agência ou abra o link do convite que recebeu por e-mail.</p>
+        {error && <div className="mb-2 text-sm text-red-600">{error}</div>}
+        <input className="w-full p-2 mb-4 border rounded" placeholder="Nome da agência" value={name} onChange={(e) => setName(e.target.value)} required />
+        <button type="submit" className="w-full py-2 font-semibold text-white bg-blue-600 rounded">Criar</button>
+        <button type="button" onClick={() => supabase.auth.signOut()} className="w-full mt-2 text-sm text-gray-600">Sair</button>
+      </form>
+    </div>
+  );
+}
+
+function AcceptInvitationPage() {
+  const { token } = useParams();
+  const { reloadProfile } = React.useContext(AuthContext);
+  const timer = React.useContext(TimerContext);
+  const navigate = useNavigate();
+  const [error, setError] = useState("");
+  const [accepting, setAccepting] = useState(false);
+  const accept = async () => {
+    // Accepting switches to the new workspace, where the running timer could no longer be stopped.
+    const failure = await timer.stop();
+    if (failure) {
+      setError(`Pare o timer antes de aceitar o convite: ${failure.message}`);
+      return;
+    }
+    setAccepting(true);
+    const { error: rpcError } = await supabase.rpc("accept_invitation", { invite_token: token });
+    if (rpcError) {
+      setAccepting(false);
+      setError(INVITATION_ERRORS[rpcError.code] || rpcError.message);
+      return;
+    }
+    await reloadProfile();
+    navigate("/", { replace: true });
+  };
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gray-50">
+      <div className="w-full max-w-sm p-6 bg-white rounded shadow">
+        <h1 className="mb-2 text-2xl font-bold">Convite</h1>
+        <p className="mb-4 text-sm text-gray-600">Você foi convidado para um workspace do Controle Diário.</p>
+        {error && <div className="mb-2 text-sm text-red-600">{error}</div>}
+        <button onClick={accept} disabled={accepting} className="w-full py-2 font-semibold text-white bg-blue-600 rounded">{accepting ? "Entrando..." : "Aceitar convite"}</button>
+        <RRNavLink to="/" className="block mt-2 text-sm text-center text-gray-600">Agora não</RRNavLink>
+      </div>
+    </div>
+  );
+}
+
+function WorkspaceSwitcher() {
+  const { workspace, workspaces, switchWorkspace, reloadProfile } = React.useContext(AuthContext);
+  const timer = React.useContext(TimerContext);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  if (!workspace) return null;
+  // The running timer can only be stopped from its own workspace.
+  const stopTimer = async () => {
+    const failure = await timer.stop();
+    if (failure) setError(`Pare o timer antes de trocar de workspace: ${failure.message}`);
+    return !failure;
+  };
+  const choose = async (workspaceId) => {
+    if (!(await stopTimer())) return;
+    setError("");
+    switchWorkspace(workspaceId);
+  };
+  const create = async () => {
+    if (!name.trim() || !(await stopTimer())) return;
+    const { error: rpcError } = await createWorkspace(name.trim());
+    if (rpcError) {
+      setError(rpcError.message);
+      return;
+    }
+    setCreating(false);
+    setName("");
+    setError("");
+    reloadProfile();
+  };
+  return (
+    <div className="mb-4">
+      <div className="flex space-x-1">
+        <select value={workspace.id} onChange={(e) => choose(e.target.value)} className="flex-1 w-full p-1 border rounded">
+          {workspaces.map((w) => (
+            <option key={w.id} value={w.id}>{w.name}</option>
+          ))}
+        </select>
+        <button onClick={() => setCreating((c) => !c)} title="Novo workspace" className="px-2 bg-gray-200 rounded">+</button>
+      </div>
+      {creating && (
+        <div className="mt-1 space-y-1">
+          <input autoFocus className="w-full p-1 border rounded" placeholder="Nome do workspace" value={name} onChange={(e) => setName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && create()} />
+          <button onClick={create} className="w-full py-1 text-white bg-green-600 rounded">Criar workspace</button>
+        </div>
+      )}
+      {error && <div className="mt-1 text-xs text-red-600">{error}</div>}
+    </div>
+  );
+}
+
+/*
+ * Offline data layer
+ *
+ * Field staff lose the connection often, so the main pages read through
+ * cachedQuery() (mostly via useTable below) and write through
+ * offlineInsert/offlineUpdate/offlineDelete.
+ * Every successful read is kept in IndexedDB per workspace and served back
+ * when the network is down.  Writes that cannot reach the server are queued
+ * (with the values the user started from) and applied to the cached lists,
+ * so the pages keep showing them.  SyncProvider replays the queue when the
+ * browser comes back online.
+ *
+ * A queued update or delete is applied as is when the row's updated_at is
+ * not newer than the one the user saw, or when whoever changed it since did
+ * not touch the same fields.  Anything else becomes a conflict the user
+ * settles in SyncConflictDialog: keep their version or the server's.
+ */
+const OFFLINE_DB_NAME = "controle-diario";
+
+// Module state: the workspace the cache and queue belong to (set by
+// SyncProvider) and the listeners told about queue changes.
+const offlineState = { scope: null, listeners: new Set(), syncing: null };
+
+let offlineDb = null;
+
+function openOfflineDb() {
+  if (!offlineDb) {
+    offlineDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("cache");
+        request.result.createObjectStore("queue", { keyPath: "seq", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return offlineDb;
+}
+
+// Runs one request against a store and resolves with its result.
+async function idbRun(storeName, mode, operation) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function isNetworkError(error) {
+  return !navigator.onLine || /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || "");
+}
+
+function notifyQueueChange() {
+  offlineState.listeners.forEach((listener) => listener());
+}
+
+const cacheKeyOf = (key) => `${offlineState.scope}:${key}`;
+
+/*
+ * Runs a list query, caching its rows under `key` ("<table>" or
+ * "<table>:<variant>").  Without a network it answers from the cache with
+ * `offline: true`; other errors are returned unchanged.
+ */
+async function cachedQuery(key, query) {
+  const result = navigator.onLine ? await query : { data: null, error: { message: "offline" } };
+  if (!result.error) {
+    idbRun("cache", "readwrite", (store) => store.put(result.data, cacheKeyOf(key))).catch(() => {});
+    return result;
+  }
+  if (!isNetworkError(result.error)) return result;
+  const cached = await idbRun("cache", "readonly", (store) => store.get(cacheKeyOf(key))).catch(() => undefined);
+  return cached ? { data: cached, error: null, offline: true } : result;
+}
+
+// Applies a queued write to every cached list of its table.
+async function patchCachedLists(table, patch) {
+  const prefix = `${offlineState.scope}:${table}`;
+  const keys = await idbRun("cache", "readonly", (store) => store.getAllKeys());
+  for (const key of keys.filter((k) => k === prefix || k.startsWith(`${prefix}:`))) {
+    const rows = await idbRun("cache", "readonly", (store) => store.get(key));
+    if (Array.isArray(rows)) await idbRun("cache", "readwrite", (store) => store.put(patch(rows), key));
+  }
+}
+
+async function enqueueWrite(entry) {
+  await idbRun("queue", "readwrite", (store) => store.add({ ...entry, scope: offlineState.scope, queued_at: new Date().toISOString() }));
+  notifyQueueChange();
+}
+
+async function queuedWrites() {
+  const entries = await idbRun("queue", "readonly", (store) => store.getAll()).catch(() => []);
+  return entries.filter((entry) => entry.scope === offlineState.scope);
+}
+
+/* Inserts rows, queueing them when offline.  Ids are made here so queued rows can be referenced right away. */
+async function offlineInsert(table, rows) {
+  const withIds = rows.map((row) => ({ ...row, id: row.id || crypto.randomUUID() }));
+  const result = await supabase.from(table).insert(withIds).select();
+  if (!result.error || !isNetworkError(result.error)) return result;
+  const now = new Date().toISOString();
+  // Explicit workspace: the replay may happen after the user switched workspaces.
+  const queued = withIds.map((row) => ({ workspace_id: offlineState.scope, created_at: now, updated_at: now, ...row }));
+  await enqueueWrite({ op: "insert", table, rows: queued });
+  await patchCachedLists(table, (cached) => [...cached.filter((r) => !queued.some((q) => q.id === r.id)), ...queued]);
+  return { data: queued, error: null, queued: true };
+}
+
+/*
+ * Updates one row or several rows with the same values.  `rows` are the
+ * records as the user last saw them; when offline their values for the
+ * changed fields and their updated_at are queued for conflict detection.
+ */
+async function offlineUpdate(table, rows, values) {
+  const list = [].concat(rows);
+  const ids = list.map((r) => r.id);
+  const query = supabase.from(table).update(values);
+  const result = await (ids.length === 1 ? query.eq("id", ids[0]) : query.in("id", ids));
+  if (!result.error || !isNetworkError(result.error)) return result;
+  for (const row of list) {
+    const base = Object.fromEntries(Object.keys(values).map((key) => [key, row[key] ?? null]));
+    await enqueueWrite({ op: "update", table, id: row.id, values, base, base_updated_at: row.updated_at || null });
+  }
+  await patchCachedLists(table, (cached) => cached.map((r) => (ids.includes(r.id) ? { ...r, ...values } : r)));
+  return { data: null, error: null, queued: true };
+}
+
+async function offlineDelete(table, rows) {
+  const list = [].concat(rows);
+  const ids = list.map((r) => r.id);
+  const result = await supabase.from(table).delete().in("id", ids);
+  if (!result.error || !isNetworkError(result.error)) return result;
+  for (const row of list) await enqueueWrite({ op: "delete", table, id: row.id, base_updated_at: row.updated_at || null });
+  await patchCachedLists(table, (cached) => cached.filter((r) => !ids.includes(r.id)));
+  return { data: null, error: null, queued: true };
+}
+
+// Timestamps come back from Postgres as "+00:00" and from the client as "Z".
+function sameValue(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof a === "string" && typeof b === "string" && /^\d{4}-\d{2}-\d{2}T/.test(a) && /^\d{4}-\d{2}-\d{2}T/.test(b)) return new Date(a).getTime() === new Date(b).getTime();
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Resolves with "done", "offline" or a conflict description.
+async function replayWrite(entry) {
+  if (entry.op === "insert") {
+    const { error } = await supabase.from(entry.table).insert(entry.rows);
+    if (!error || error.code === "23505") return "done";
+    return isNetworkError(error) ? "offline" : { reason: "rejected", message: error.message };
+  }
+  const { data: server, error } = await supabase.from(entry.table).select("*").eq("id", entry.id).maybeSingle();
+  if (error) return isNetworkError(error) ? "offline" : { reason: "rejected", message: error.message };
+  if (!server) return entry.op === "delete" ? "done" : { reason: "deleted" };
+  const untouched = !entry.base_updated_at || !server.updated_at || new Date(server.updated_at) <= new Date(entry.base_updated_at);
+  if (entry.op === "delete") {
+    if (!untouched) return { reason: "changed", server };
+  } else if (!untouched) {
+    // Someone saved the row meanwhile; only fields they changed to something else clash.
+    const clashing = Object.keys(entry.values).filter((key) => !sameValue(server[key], entry.base[key]) && !sameValue(server[key], entry.values[key]));
+    if (clashing.length) return { reason: "changed", server, fields: clashing };
+  }
+  return applyWrite(entry);
+}
+
+async function applyWrite(entry) {
+  const query = supabase.from(entry.table);
+  const { error } =
+    entry.op === "insert"
+      ? await query.upsert(entry.rows)
+      : entry.op === "delete"
+      ? await query.delete().eq("id", entry.id)
+      : await query.update(entry.values).eq("id", entry.id);
+  if (!error) return "done";
+  return isNetworkError(error) ? "offline" : { reason: "rejected", message: error.message };
+}
+
+/* Replays the queue of the current workspace in order; conflicts stay queued for the user. */
+function syncQueue() {
+  if (offlineState.syncing) return offlineState.syncing;
+  offlineState.syncing = (async () => {
+    try {
+      for (const entry of await queuedWrites()) {
+        if (entry.conflict) continue;
+        const outcome = await replayWrite(entry);
+        if (outcome === "offline") break;
+        if (outcome === "done") await idbRun("queue", "readwrite", (store) => store.delete(entry.seq));
+        else await idbRun("queue", "readwrite", (store) => store.put({ ...entry, conflict: outcome }));
+      }
+    } finally {
+      offlineState.syncing = null;
+      notifyQueueChange();
+    }
+  })();
+  return offlineState.syncing;
+}
+
+/* Settles a conflict: `keepMine` writes the queued change over the server row, otherwise it is dropped. */
+async function resolveConflict(entry, keepMine) {
+  if (keepMine) {
+    const outcome = await applyWrite(entry);
+    if (outcome !== "done") return outcome === "offline" ? "Sem conexão. Tente novamente." : outcome.message;
+  }
+  await idbRun("queue", "readwrite", (store) => store.delete(entry.seq));
+  notifyQueueChange();
+  return null;
+}
+
+const SyncContext = React.createContext({ online: true, pending: 0, conflicts: [] });
+
+function SyncProvider({ workspaceId, children }) {
+  // Set during render so the pages' first fetches already use this workspace's cache.
+  offlineState.scope = workspaceId;
+  const [online, setOnline] = useState(navigator.onLine);
+  const [entries, setEntries] = useState([]);
+  const [conflictsOpen, setConflictsOpen] = useState(false);
+  useEffect(() => {
+    const refresh = () => queuedWrites().then(setEntries);
+    const goOnline = () => {
+      setOnline(true);
+      syncQueue();
+    };
+    const goOffline = () => setOnline(false);
+    offlineState.listeners.add(refresh);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    refresh();
+    if (navigator.onLine) syncQueue();
+    return () => {
+      offlineState.listeners.delete(refresh);
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [workspaceId]);
+  const value = useMemo(
+    () => ({
+      online,
+      pending: entries.filter((e) => !e.conflict).length,
+      conflicts: entries.filter((e) => e.conflict),
+      sync: syncQueue,
+      openConflicts: () => setConflictsOpen(true),
+    }),
+    [online, entries]
+  );
+  return (
+    <SyncContext.Provider value={value}>
+      {children}
+      {conflictsOpen && <SyncConflictDialog conflicts={value.conflicts} onClose={() => setConflictsOpen(false)} />}
+    </SyncContext.Provider>
+  );
+}
+
+/* Connection and queue state for the sidebar. */
+function SyncStatus() {
+  const { online, pending, conflicts, sync, openConflicts } = React.useContext(SyncContext);
+  if (online && !pending && !conflicts.length) return null;
+  return (
+    <div className="p-2 mb-4 text-xs bg-yellow-50 rounded">
+      <div className="font-semibold text-yellow-800">{online ? "Online" : "Sem conexão"}</div>
+      {pending > 0 && <div>{countLabel(pending, ["alteração pendente", "alterações pendentes"])}</div>}
+      {online && pending > 0 && <button onClick={() => sync()} className="text-blue-600">Sincronizar agora</button>}
+      {conflicts.length > 0 && (
+        <button onClick={openConflicts} className="block font-semibold text-red-600">{countLabel(conflicts.length, ["conflito", "conflitos"])}</button>
+      )}
+    </div>
+  );
+}
+
+const SYNC_OPERATIONS = { insert: "Criação", update: "Alteração", delete: "Exclusão" };
+
+function SyncConflictDialog({ conflicts, onClose }) {
+  const [error, setError] = useState("");
+  const resolve = async (entry, keepMine) => {
+    const message = await resolveConflict(entry, keepMine);
+    setError(message || "");
+  };
+  const label = (entry) => {
+    const row = entry.conflict.server || entry.rows?.[0] || {};
+    return row.title || row.name || entry.id;
+  };
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-2xl p-6 space-y-4 overflow-y-auto bg-white rounded shadow-lg" style={{ maxHeight: "90vh" }}>
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Conflitos de sincronização</h2>
+          <button onClick={onClose} className="px-2 text-gray-500">✕</button>
+        </div>
+        <p className="text-xs text-gray-500">Estas alterações foram feitas sem conexão, mas outra pessoa mudou os mesmos registros enquanto isso.</p>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        {conflicts.length === 0 && <div className="text-sm text-gray-500">Nenhum conflito pendente.</div>}
+        {conflicts.map((entry) => (
+          <div key={entry.seq} className="p-3 space-y-2 text-sm border rounded">
+            <div className="font-semibold">
+              {SYNC_OPERATIONS[entry.op]} em {entry.table}: {label(entry)}
+            </div>
+            {entry.conflict.reason === "deleted" && <div className="text-gray-600">O registro foi excluído por outra pessoa.</div>}
+            {entry.conflict.reason === "rejected" && <div className="text-gray-600">O servidor recusou a alteração: {entry.conflict.message}</div>}
+            {entry.conflict.reason === "changed" && entry.op === "delete" && <div className="text-gray-600">O registro foi alterado depois que você o excluiu.</div>}
+            {entry.conflict.fields && (
+              <table className="w-full text-sm border">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="px-2 py-1 border">Campo</th>
+                    <th className="px-2 py-1 border">Sua versão</th>
+                    <th className="px-2 py-1 border">No servidor</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entry.conflict.fields.map((field) => (
+                    <tr key={field}>
+                      <td className="px-2 py-1 border">{field}</td>
+                      <td className="px-2 py-1 border">{String(entry.values[field] ?? "")}</td>
+                      <td className="px-2 py-1 border">{String(entry.conflict.server[field] ?? "")}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div className="flex space-x-2">
+              {entry.conflict.reason !== "deleted" && (
+                <button onClick={() => resolve(entry, true)} className="px-3 py-1 text-white bg-blue-600 rounded">
+                  {entry.conflict.reason === "rejected" ? "Tentar de novo" : "Manter a minha"}
+                </button>
+              )}
+              <button onClick={() => resolve(entry, false)} className="px-3 py-1 bg-gray-200 rounded">
+                {entry.conflict.reason === "rejected" || entry.conflict.reason === "deleted" ? "Descartar" : "Manter a do servidor"}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/*
+ * Table store
+ *
+ * useTable(table, filter) gives a page the rows of a table and keeps them
+ * live.  Every component reading the same table shares one store per
+ * workspace: a single fetch through cachedQuery() (so it also works
+ * offline) and a single realtime channel on the postgres_changes API,
+ * closed when the last reader unmounts and reopened, with a fresh fetch,
+ * by the next one.  RLS decides which rows arrive, in the fetch and in the
+ * realtime events alike.
+ *
+ * setRows changes the shared rows, so an optimistic edit made in one page
+ * shows in every other.  insert, update and remove apply the change at once
+ * and roll it back when the database refuses it.  Only tables with an `id`
+ * primary key can be read this way.
+ */
+const tableStores = new Map();
+
+function applyRealtimeChange(rows, payload) {
+  if (payload.eventType === "DELETE") return rows.filter((r) => r.id !== payload.old.id);
+  const row = payload.new;
+  return rows.some((r) => r.id === row.id) ? rows.map((r) => (r.id === row.id ? row : r)) : [...rows, row];
+}
+
+/* Adds rows written outside the store, replacing any the realtime channel delivered first. */
+function mergeRows(rows, incoming) {
+  const ids = new Set(incoming.map((r) => r.id));
+  return [...rows.filter((r) => !ids.has(r.id)), ...incoming];
+}
+
+function createTableStore(table, key) {
+  const store = { table, key, rows: [], loading: true, offline: false, error: null, readers: 0, channel: null, listeners: new Set() };
+  const emit = () => store.listeners.forEach((listener) => listener());
+  store.setRows = (updater) => {
+    store.rows = typeof updater === "function" ? updater(store.rows) : updater;
+    emit();
+  };
+  store.reload = async () => {
+    const { data, error, offline } = await cachedQuery(table, supabase.from(table).select("*"));
+    store.loading = false;
+    store.offline = !!offline;
+    store.error = error?.message || null;
+    if (data) store.rows = data;
+    emit();
+  };
+  store.insert = async (rows) => {
+    const now = new Date().toISOString();
+    const pending = rows.map((row) => ({ created_at: now, ...row, id: row.id || crypto.randomUUID() }));
+    const ids = pending.map((r) => r.id);
+    store.setRows((prev) => [...prev, ...pending]);
+    const { data, error } = await offlineInsert(table, pending);
+    store.setRows((prev) => [...prev.filter((r) => !ids.includes(r.id)), ...(error ? [] : data)]);
+    return { data, error };
+  };
+  store.update = async (rows, values) => {
+    const list = [].concat(rows);
+    const previous = new Map(list.map((r) => [r.id, Object.fromEntries(Object.keys(values).map((k) => [k, r[k] ?? null]))]));
+    store.setRows((prev) => prev.map((r) => (previous.has(r.id) ? { ...r, ...values } : r)));
+    const { error } = await offlineUpdate(table, list, values);
+    if (error) store.setRows((prev) => prev.map((r) => (previous.has(r.id) ? { ...r, ...previous.get(r.id) } : r)));
+    return error || null;
+  };
+  store.remove = async (rows) => {
+    const list = [].concat(rows);
+    const ids = list.map((r) => r.id);
+    store.setRows((prev) => prev.filter((r) => !ids.includes(r.id)));
+    const { error } = await offlineDelete(table, list);
+    if (error) store.setRows((prev) => [...prev.filter((r) => !ids.includes(r.id)), ...list]);
+    return error || null;
+  };
+  return store;
+}
+
+function tableStore(table) {
+  const key = `${offlineState.scope}:${table}`;
+  if (!tableStores.has(key)) tableStores.set(key, createTableStore(table, key));
+  return tableStores.get(key);
+}
+
+function retainTable(store) {
+  store.readers += 1;
+  if (store.readers > 1) return;
+  store.reload();
+  let joined = false;
+  store.channel = supabase
+    .channel(`table-${store.key}`)
+    .on("postgres_changes", { event: "*", schema: "public", table: store.table }, (payload) => store.setRows((rows) => applyRealtimeChange(rows, payload)))
+    .subscribe((status) => {
+      // A rejoin after a dropped connection may have missed changes.
+      if (status === "SUBSCRIBED" && joined) store.reload();
+      if (status === "SUBSCRIBED") joined = true;
+    });
+}
+
+function releaseTable(store) {
+  store.readers -= 1;
+  if (store.readers > 0) return;
+  supabase.removeChannel(store.channel);
+  store.channel = null;
+}
+
+/*
+ * Rows of `table`, optionally narrowed by `filter`, an object of field
+ * values the rows must match (e.g. { parent_id: taskId }).
+ */
+function useTable(table, filter) {
+  const store = tableStore(table);
+  const [, setVersion] = useState(0);
+  useEffect(() => {
+    const listener = () => setVersion((v) => v + 1);
+    store.listeners.add(listener);
+    retainTable(store);
+    return () => {
+      store.listeners.delete(listener);
+      releaseTable(store);
+    };
+  }, [store]);
+  const filterKey = filter ? JSON.stringify(filter) : "";
+  const rows = useMemo(
+    () => (filter ? store.rows.filter((row) => Object.entries(filter).every(([field, value]) => (row[field] ?? null) === value)) : store.rows),
+    [store.rows, filterKey]
+  );
+  return { rows, loading: store.loading, offline: store.offline, error: store.error, setRows: store.setRows, insert: store.insert, update: store.update, remove: store.remove, reload: store.reload };
+}
+
+/*
+ * Authentication pages
+ *
+ * Login with password or a magic link, sign-up, and the two halves of a
+ * password reset: asking for the e-mail and choosing the new password once
+ * the link in it has signed the user in.  RequireAuth passes the route the
+ * user tried to open as location.state.from; the pages send the user back
+ * there after login, and e-mailed links point at it too (the URLs must be
+ * in the Supabase "Redirect URLs" list).
  */
+function userDisplayName(user) {
+  return user.user_metadata?.name || user.email?.split("@")[0] || null;
+}
+
+function redirectTarget(location) {
+  const from = location.state?.from;
+  return from ? `${from.pathname}${from.search || ""}${from.hash || ""}` : "/";
+}
+
+function AuthCard({ title, children }) {
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gray-50">
+      <div className="w-full max-w-sm p-6 bg-white rounded shadow">
+        <h1 className="mb-4 text-2xl font-bold">{title}</h1>
+        {children}
+      </div>
+    </div>
+  );
+}
+
 function LoginPage() {
+  const { session } = React.useContext(AuthContext);
+  const location = useLocation();
+  const [mode, setMode] = useState("password");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState(null);
+  const [sent, setSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const target = redirectTarget(location);
+  if (session) return <Navigate to={target} replace />;
   const onSubmit = async (e) => {
     e.preventDefault();
-    const { error } = await supabase.auth.signIn({ email, password });
+    setBusy(true);
+    const { error } =
+      mode === "password"
+        ? await supabase.auth.signInWithPassword({ email, password })
+        : await supabase.auth.signInWithOtp({ email, options: { shouldCreateUser: false, emailRedirectTo: `${window.location.origin}${target}` } });
+    setBusy(false);
     setError(error?.message);
+    if (!error && mode === "magic") setSent(true);
   };
+  if (sent) {
+    return (
+      <AuthCard title="Verifique seu e-mail">
+        <p className="mb-4 text-sm text-gray-600">Enviamos um link de acesso para {email}. Abra-o neste navegador para entrar.</p>
+        <button onClick={() => setSent(false)} className="w-full py-2 text-sm text-gray-600">Voltar</button>
+      </AuthCard>
+    );
+  }
   return (
-    <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gray-50">
-      <form onSubmit={onSubmit} className="w-full max-w-sm p-6 bg-white rounded shadow">
-        <h1 className="mb-4 text-2xl font-bold">Entrar</h1>
+    <AuthCard title="Entrar">
+      <form onSubmit={onSubmit}>
+        <div className="flex mb-4 text-sm border-b">
+          <button type="button" onClick={() => setMode("password")} className={`px-3 py-1 ${mode === "password" ? "border-b-2 border-blue-600 font-semibold" : "text-gray-600"}`}>Senha</button>
+          <button type="button" onClick={() => setMode("magic")} className={`px-3 py-1 ${mode === "magic" ? "border-b-2 border-blue-600 font-semibold" : "text-gray-600"}`}>Link por e-mail</button>
+        </div>
         {error && <div className="mb-2 text-red-500">{error}</div>}
         <input
           type="email"
@@ -81,17 +878,140 @@ function LoginPage() {
           className="w-full p-2 mb-2 border rounded"
           required
         />
-        <input
-          type="password"
-          placeholder="Senha"
-          value={password}
-          onChange={(e) => setPassword(e.target.value)}
-          className="w-full p-2 mb-4 border rounded"
-          required
-        />
-        <button type="submit" className="w-full py-2 font-semibold text-white bg-blue-600 rounded">Entrar</button>
+        {mode === "password" && (
+          <input
+            type="password"
+            placeholder="Senha"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full p-2 mb-4 border rounded"
+            required
+          />
+        )}
+        <button type="submit" disabled={busy} className="w-full py-2 font-semibold text-white bg-blue-600 rounded">
+          {mode === "password" ? "Entrar" : "Enviar link de acesso"}
+        </button>
       </form>
-    </div>
+      <div className="flex justify-between mt-4 text-sm">
+        <RRNavLink to="/cadastro" state={location.state} className="text-blue-600">Criar conta</RRNavLink>
+        <RRNavLink to="/recuperar-senha" className="text-gray-600">Esqueci a senha</RRNavLink>
+      </div>
+    </AuthCard>
+  );
+}
+
+function SignUpPage() {
+  const { session } = React.useContext(AuthContext);
+  const location = useLocation();
+  const [form, setForm] = useState({ name: "", email: "", password: "", confirm: "" });
+  const [error, setError] = useState(null);
+  const [sent, setSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const target = redirectTarget(location);
+  if (session) return <Navigate to={target} replace />;
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (form.password !== form.confirm) {
+      setError("As senhas não conferem.");
+      return;
+    }
+    setBusy(true);
+    // The name travels in the user metadata; handle_new_user copies it into profiles.
+    const { data, error } = await supabase.auth.signUp({
+      email: form.email,
+      password: form.password,
+      options: { data: { name: form.name.trim() }, emailRedirectTo: `${window.location.origin}${target}` },
+    });
+    setBusy(false);
+    setError(error?.message);
+    // Without e-mail confirmation signUp already returns a session and the redirect above takes over.
+    if (!error && !data.session) setSent(true);
+  };
+  const field = (key) => ({ value: form[key], onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value })) });
+  if (sent) {
+    return (
+      <AuthCard title="Confirme seu e-mail">
+        <p className="mb-4 text-sm text-gray-600">Enviamos um link de confirmação para {form.email}. Depois de confirmar você entra automaticamente.</p>
+        <RRNavLink to="/login" state={location.state} className="block text-sm text-center text-blue-600">Voltar para o login</RRNavLink>
+      </AuthCard>
+    );
+  }
+  return (
+    <AuthCard title="Criar conta">
+      <form onSubmit={onSubmit}>
+        {error && <div className="mb-2 text-red-500">{error}</div>}
+        <input placeholder="Nome" className="w-full p-2 mb-2 border rounded" required {...field("name")} />
+        <input type="email" placeholder="Email" className="w-full p-2 mb-2 border rounded" required {...field("email")} />
+        <input type="password" placeholder="Senha" minLength={6} className="w-full p-2 mb-2 border rounded" required {...field("password")} />
+        <input type="password" placeholder="Confirmar senha" className="w-full p-2 mb-4 border rounded" required {...field("confirm")} />
+        <button type="submit" disabled={busy} className="w-full py-2 font-semibold text-white bg-blue-600 rounded">Criar conta</button>
+      </form>
+      <RRNavLink to="/login" state={location.state} className="block mt-4 text-sm text-center text-gray-600">Já tenho conta</RRNavLink>
+    </AuthCard>
+  );
+}
+
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState(null);
+  const [sent, setSent] = useState(false);
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const { error } = await supabase.auth.resetPasswordForEmail(email, { redirectTo: `${window.location.origin}/redefinir-senha` });
+    setError(error?.message);
+    if (!error) setSent(true);
+  };
+  return (
+    <AuthCard title="Recuperar senha">
+      {sent ? (
+        <p className="mb-4 text-sm text-gray-600">Se houver uma conta para {email}, ela receberá um link para criar uma nova senha.</p>
+      ) : (
+        <form onSubmit={onSubmit}>
+          {error && <div className="mb-2 text-red-500">{error}</div>}
+          <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full p-2 mb-4 border rounded" required />
+          <button type="submit" className="w-full py-2 font-semibold text-white bg-blue-600 rounded">Enviar link</button>
+        </form>
+      )}
+      <RRNavLink to="/login" className="block mt-4 text-sm text-center text-gray-600">Voltar para o login</RRNavLink>
+    </AuthCard>
+  );
+}
+
+/* The reset link signs the user in (a PASSWORD_RECOVERY session); all that is left is choosing the new password. */
+function ResetPasswordPage() {
+  const { session } = React.useContext(AuthContext);
+  const navigate = useNavigate();
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState(null);
+  if (session === undefined) return <div className="p-6 text-gray-500">Carregando...</div>;
+  if (!session) {
+    return (
+      <AuthCard title="Link inválido">
+        <p className="mb-4 text-sm text-gray-600">O link de recuperação expirou ou já foi usado. Peça um novo.</p>
+        <RRNavLink to="/recuperar-senha" className="block text-sm text-center text-blue-600">Recuperar senha</RRNavLink>
+      </AuthCard>
+    );
+  }
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setError("As senhas não conferem.");
+      return;
+    }
+    const { error } = await supabase.auth.updateUser({ password });
+    if (error) setError(error.message);
+    else navigate("/", { replace: true });
+  };
+  return (
+    <AuthCard title="Nova senha">
+      <form onSubmit={onSubmit}>
+        {error && <div className="mb-2 text-red-500">{error}</div>}
+        <input type="password" placeholder="Nova senha" minLength={6} value={password} onChange={(e) => setPassword(e.target.value)} className="w-full p-2 mb-2 border rounded" required />
+        <input type="password" placeholder="Confirmar senha" value={confirm} onChange={(e) => setConfirm(e.target.value)} className="w-full p-2 mb-4 border rounded" required />
+        <button type="submit" className="w-full py-2 font-semibold text-white bg-blue-600 rounded">Salvar senha</button>
+      </form>
+    </AuthCard>
   );
 }
 
@@ -100,26 +1020,49 @@ function LoginPage() {
  * similar to the Lovable app.  When the user is not logged in the
  * navigation is hidden.
  */
+const NAV_ITEMS = [
+  { to: "/", label: "Dashboard", permission: "dashboard.view" },
+  { to: "/kanban", label: "Kanban", permission: "kanban.view" },
+  { to: "/agenda", label: "Agenda", permission: "agenda.view" },
+  { to: "/clientes", label: "Clientes", permission: "clients.view" },
+  { to: "/pipeline", label: "Pipeline", permission: "pipeline.view" },
+  { to: "/equipe", label: "Equipe", permission: "team.view" },
+  { to: "/servicos", label: "Serviços", permission: "services.view" },
+  { to: "/orcamentos", label: "Orçamentos", permission: "billing.manage" },
+  { to: "/faturas", label: "Faturas", permission: "billing.manage" },
+  { to: "/relatorios", label: "Relatórios", permission: "reports.view" },
+  { to: "/funil", label: "Funil IA", permission: "funnels.manage" },
+  { to: "/ferramentas", label: "Ferramentas", permission: "tools.use" },
+  { to: "/horas", label: "Horas", permission: "timesheet.view" },
+  { to: "/automacoes", label: "Automações", permission: "automations.manage" },
+];
+
 function Layout({ children }) {
-  const { session } = React.useContext(AuthContext);
+  const { session, profile } = React.useContext(AuthContext);
+  const { openPalette } = React.useContext(CommandPaletteContext);
   const onLogout = async () => {
     await supabase.auth.signOut();
   };
   return (
     <div className="flex h-screen overflow-hidden">
       {session && (
-        <aside className="w-60 p-4 text-sm bg-gray-100">
-          <div className="mb-8 text-xl font-bold">Controle Diário</div>
+        <aside className="w-60 p-4 text-sm bg-gray-100 no-print">
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-xl font-bold">Controle Diário</span>
+            <NotificationBell />
+          </div>
+          <div className="mb-4 text-xs text-gray-500">{profile?.name ? `${profile.name} · ` : ""}{ROLES[roleOf(profile)]}</div>
+          <WorkspaceSwitcher />
+          <button onClick={openPalette} className="flex justify-between w-full px-2 py-1 mb-4 text-left text-gray-500 bg-white border rounded">
+            <span>Buscar...</span>
+            <span className="text-xs">Ctrl+K</span>
+          </button>
+          <ActiveTimer />
+          <SyncStatus />
           <nav className="space-y-2">
-            <NavLink to="/" label="Dashboard" />
-            <NavLink to="/kanban" label="Kanban" />
-            <NavLink to="/agenda" label="Agenda" />
-            <NavLink to="/clientes" label="Clientes" />
-            <NavLink to="/equipe" label="Equipe" />
-            <NavLink to="/servicos" label="Serviços" />
-            <NavLink to="/relatorios" label="Relatórios" />
-            <NavLink to="/funil" label="Funil IA" />
-            <NavLink to="/ferramentas" label="Ferramentas" />
+            {NAV_ITEMS.filter((item) => can(profile, item.permission)).map((item) => (
+              <NavLink key={item.to} to={item.to} label={item.label} />
+            ))}
             <button onClick={onLogout} className="w-full px-2 py-1 mt-4 text-left text-red-600 hover:bg-red-50 rounded">Sair</button>
           </nav>
         </aside>
@@ -130,7 +1073,7 @@ function Layout({ children }) {
 }
 
 /* Simple NavLink component; highlight active route */
-import { NavLink as RRNavLink, useLocation } from "react-router-dom";
+import { NavLink as RRNavLink, useLocation, useNavigate, useParams, useSearchParams } from "react-router-dom";
 function NavLink({ to, label }) {
   const location = useLocation();
   const active = location.pathname === to;
@@ -145,58 +1088,698 @@ function NavLink({ to, label }) {
 }
 
 /*
- * Dashboard page
+ * Notifications
+ *
+ * Rows of the `notifications` table are created by the database: triggers
+ * on tasks and task_comments notify assignments, status changes and
+ * @mentions, and create_due_reminders() adds the deadline reminders (run by
+ * pg_cron, and by NotificationCenter for the logged-in user every few
+ * minutes).  Each user only receives their own rows, through the shared
+ * notifications store, so the bell and the page update live.
  *
- * Displays summary metrics and quick links.  You can expand this to query
- * Supabase for counts (tasks total, pending, completed etc.).  For now,
- * we compute metrics from the tasks loaded in state.
+ * Preferences live in profiles.notification_preferences: the kinds the user
+ * wants (all by default), the reminder offsets in minutes before the
+ * deadline, and whether new notifications also pop up through the browser
+ * Notification API.
  */
-function DashboardPage() {
-  const [tasks, setTasks] = useState([]);
-  useEffect(() => {
-    const fetchTasks = async () => {
-      const { data, error } = await supabase.from("tasks").select("*");
-      if (data) setTasks(data);
-    };
-    fetchTasks();
-  }, []);
-  const total = tasks.length;
-  const completed = tasks.filter((t) => t.status === "concluido").length;
-  const pending = tasks.filter((t) => t.status === "pendente").length;
-  const overdue = tasks.filter((t) => new Date(t.end_at) < new Date() && t.status !== "concluido").length;
-  const activeClients = new Set(tasks.map((t) => t.client_id)).size;
-  return (
+const NOTIFICATION_KINDS = {
+  assigned: "Tarefa atribuída a mim",
+  mentioned: "Menções em comentários",
+  status_changed: "Mudança de status das minhas tarefas",
+  due_soon: "Prazo próximo",
+  overdue: "Tarefa atrasada",
+};
+
+const REMINDER_OFFSETS = [
+  { minutes: 15, label: "15 minutos antes" },
+  { minutes: 60, label: "1 hora antes" },
+  { minutes: 240, label: "4 horas antes" },
+  { minutes: 1440, label: "1 dia antes" },
+  { minutes: 2880, label: "2 dias antes" },
+];
+
+const REMINDER_INTERVAL_MS = 5 * 60 * 1000;
+
+function notificationPreferences(profile) {
+  const stored = profile?.notification_preferences || {};
+  return { browser: false, reminder_offsets: [1440], ...stored, kinds: { ...stored.kinds } };
+}
+
+function notificationLink(notification) {
+  return notification.task_id ? `/kanban?task=${notification.task_id}` : "/notificacoes";
+}
+
+function sortNotifications(rows) {
+  return [...rows].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+function browserNotificationsAllowed() {
+  return "Notification" in window && Notification.permission === "granted";
+}
+
+/*
+ * Mounted once next to the pages: asks the database for due reminders and
+ * shows a browser notification for every notification that arrives while
+ * the app is open.
+ */
+function NotificationCenter() {
+  const { profile } = React.useContext(AuthContext);
+  const { rows, loading } = useTable("notifications");
+  const navigate = useNavigate();
+  const seen = useRef(null);
+  const browser = notificationPreferences(profile).browser;
+  useEffect(() => {
+    const remind = () => supabase.rpc("create_due_reminders");
+    remind();
+    const interval = setInterval(remind, REMINDER_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+  useEffect(() => {
+    if (loading) return;
+    // What was there on load is not new; only later arrivals pop up.
+    if (!seen.current) {
+      seen.current = new Set(rows.map((n) => n.id));
+      return;
+    }
+    const fresh = rows.filter((n) => !n.read_at && !seen.current.has(n.id));
+    fresh.forEach((n) => seen.current.add(n.id));
+    if (!browser || !browserNotificationsAllowed()) return;
+    fresh.forEach((n) => {
+      const popup = new Notification(n.title, { body: n.body || "", tag: n.id, icon: "/icon.svg" });
+      popup.onclick = () => {
+        window.focus();
+        navigate(notificationLink(n));
+      };
+    });
+  }, [rows, loading]);
+  return null;
+}
+
+function NotificationList({ notifications, onOpen, onMarkRead }) {
+  if (notifications.length === 0) return <div className="p-2 text-sm text-gray-500">Nenhuma notificação.</div>;
+  return (
+    <ul className="divide-y divide-gray-200">
+      {notifications.map((n) => (
+        <li key={n.id} className={`flex items-start justify-between p-2 text-sm ${n.read_at ? "text-gray-500" : "bg-blue-50"}`}>
+          <button onClick={() => onOpen(n)} className="flex-1 text-left">
+            <div className={n.read_at ? "" : "font-semibold"}>{n.title}</div>
+            {n.body && <div className="text-xs text-gray-600">{n.body}</div>}
+            <div className="text-xs text-gray-400">
+              {NOTIFICATION_KINDS[n.kind]} · {new Date(n.created_at).toLocaleString("pt-BR")}
+            </div>
+          </button>
+          {!n.read_at && (
+            <button onClick={() => onMarkRead([n])} title="Marcar como lida" className="ml-2 text-xs text-blue-600">✓</button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function useNotifications() {
+  const { rows, update } = useTable("notifications");
+  const navigate = useNavigate();
+  const notifications = useMemo(() => sortNotifications(rows), [rows]);
+  const unread = notifications.filter((n) => !n.read_at);
+  const markRead = (list) => list.length && update(list, { read_at: new Date().toISOString() });
+  const open = (notification) => {
+    if (!notification.read_at) markRead([notification]);
+    navigate(notificationLink(notification));
+  };
+  return { notifications, unread, markRead, open };
+}
+
+function NotificationBell() {
+  const { notifications, unread, markRead, open } = useNotifications();
+  const [expanded, setExpanded] = useState(false);
+  return (
+    <div className="relative">
+      <button onClick={() => setExpanded((e) => !e)} title="Notificações" className="relative px-2 py-1 rounded hover:bg-gray-200">
+        🔔
+        {unread.length > 0 && (
+          <span className="absolute top-0 right-0 px-1 text-xs text-white bg-red-600 rounded-full">{unread.length > 99 ? "99+" : unread.length}</span>
+        )}
+      </button>
+      {expanded && (
+        <div className="absolute z-20 overflow-y-auto bg-white border rounded shadow-lg w-80" style={{ left: "100%", top: 0, maxHeight: "24rem" }}>
+          <div className="flex items-center justify-between p-2 border-b">
+            <span className="font-semibold">Notificações</span>
+            {unread.length > 0 && <button onClick={() => markRead(unread)} className="text-xs text-blue-600">Marcar todas como lidas</button>}
+          </div>
+          <NotificationList
+            notifications={notifications.slice(0, 10)}
+            onOpen={(n) => {
+              setExpanded(false);
+              open(n);
+            }}
+            onMarkRead={markRead}
+          />
+          <RRNavLink to="/notificacoes" onClick={() => setExpanded(false)} className="block p-2 text-xs text-center text-blue-600 border-t">
+            Ver todas e preferências
+          </RRNavLink>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function NotificationsPage() {
+  const { profile, reloadProfile } = React.useContext(AuthContext);
+  const { notifications, unread, markRead, open } = useNotifications();
+  const [prefs, setPrefs] = useState(() => notificationPreferences(profile));
+  const [message, setMessage] = useState("");
+  const toggleKind = (kind) => setPrefs((p) => ({ ...p, kinds: { ...p.kinds, [kind]: p.kinds[kind] === false } }));
+  const toggleOffset = (minutes) =>
+    setPrefs((p) => ({
+      ...p,
+      reminder_offsets: p.reminder_offsets.includes(minutes) ? p.reminder_offsets.filter((m) => m !== minutes) : [...p.reminder_offsets, minutes].sort((a, b) => a - b),
+    }));
+  const toggleBrowser = async () => {
+    if (prefs.browser) {
+      setPrefs((p) => ({ ...p, browser: false }));
+      return;
+    }
+    if (!("Notification" in window)) {
+      setMessage("Este navegador não suporta notificações.");
+      return;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") {
+      setMessage("O navegador bloqueou as notificações. Libere-as nas configurações do site.");
+      return;
+    }
+    setMessage("");
+    setPrefs((p) => ({ ...p, browser: true }));
+  };
+  const save = async () => {
+    const { error } = await supabase.from("profiles").update({ notification_preferences: prefs }).eq("id", profile.id);
+    if (error) {
+      setMessage(`Erro ao salvar: ${error.message}`);
+      return;
+    }
+    setMessage("Preferências salvas.");
+    reloadProfile();
+  };
+  return (
     <Layout>
       <div className="p-6 space-y-6">
-        <h1 className="text-2xl font-bold">Dashboard</h1>
-        <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
-          <MetricCard title="Total de Tarefas" value={total} />
-          <MetricCard title="Concluídas" value={completed} />
-          <MetricCard title="Pendentes" value={pending} />
-          <MetricCard title="Atrasadas" value={overdue} />
-          <MetricCard title="Clientes Ativos" value={activeClients} />
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Notificações</h1>
+          {unread.length > 0 && <button onClick={() => markRead(unread)} className="px-3 py-2 bg-gray-200 rounded">Marcar todas como lidas</button>}
         </div>
-        <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
-          {/* Quick links to sections */}
+        <div className="border rounded">
+          <NotificationList notifications={notifications} onOpen={open} onMarkRead={markRead} />
+        </div>
+        <div className="max-w-lg space-y-4">
+          <h2 className="text-xl font-semibold">Preferências</h2>
+          <div className="space-y-1 text-sm">
+            <div className="font-medium">Quero ser avisado sobre</div>
+            {Object.entries(NOTIFICATION_KINDS).map(([kind, label]) => (
+              <label key={kind} className="flex items-center space-x-2">
+                <input type="checkbox" checked={prefs.kinds[kind] !== false} onChange={() => toggleKind(kind)} />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+          <div className="space-y-1 text-sm">
+            <div className="font-medium">Lembrar do prazo</div>
+            {REMINDER_OFFSETS.map(({ minutes, label }) => (
+              <label key={minutes} className="flex items-center space-x-2">
+                <input type="checkbox" checked={prefs.reminder_offsets.includes(minutes)} onChange={() => toggleOffset(minutes)} />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={prefs.browser} onChange={toggleBrowser} />
+            <span>Mostrar também como notificação do navegador</span>
+          </label>
+          {message && <div className="text-sm text-gray-700">{message}</div>}
+          <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Command palette
+ *
+ * Ctrl+K (⌘K on a Mac), or the search button in the sidebar, opens a
+ * palette from any page.  It searches tasks (title, description, tags),
+ * clients (name, company, e-mail), events, team members and services, and
+ * lists quick actions such as creating a task, going to a page or starting
+ * a Pomodoro.  Matching ignores accents and case; every word typed has to
+ * appear somewhere, and matches at the start of a word or in the main field
+ * rank higher.  The arrow keys move through the results, Enter opens one
+ * and Esc closes the palette.
+ */
+const CommandPaletteContext = React.createContext({ openPalette: () => {} });
+
+const PALETTE_TYPES = { action: "Ação", task: "Tarefa", client: "Cliente", event: "Evento", member: "Equipe", service: "Serviço" };
+const PALETTE_LIMIT = 30;
+
+function paletteWords(query) {
+  return normalizeText(query).split(/\s+/).filter(Boolean);
+}
+
+// fields: [text, weight] pairs, main field first.
+function paletteEntry(type, id, label, detail, fields, run) {
+  return { key: `${type}:${id}`, type, label, detail, fields: fields.map(([text, weight]) => [normalizeText(text), weight]), run };
+}
+
+function paletteScore(words, fields) {
+  let score = 0;
+  for (const word of words) {
+    let best = 0;
+    for (const [text, weight] of fields) {
+      const index = text.indexOf(word);
+      if (index < 0) continue;
+      const wordStart = index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+      best = Math.max(best, weight * (index === 0 ? 3 : wordStart ? 2 : 1));
+    }
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+}
+
+function CommandPaletteProvider({ children }) {
+  const [open, setOpen] = useState(false);
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setOpen((o) => !o);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+  const value = useMemo(() => ({ openPalette: () => setOpen(true) }), []);
+  return (
+    <CommandPaletteContext.Provider value={value}>
+      {children}
+      {open && <CommandPalette onClose={() => setOpen(false)} />}
+    </CommandPaletteContext.Provider>
+  );
+}
+
+function CommandPalette({ onClose }) {
+  const { profile } = React.useContext(AuthContext);
+  const navigate = useNavigate();
+  const { rows: tasks } = useTable("tasks");
+  const { rows: clients } = useTable("clients");
+  const { rows: events } = useTable("events");
+  const { rows: team } = useTable("team");
+  const { rows: services } = useTable("services");
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const [newTaskOpen, setNewTaskOpen] = useState(false);
+  const listRef = useRef(null);
+  const go = (path) => () => {
+    onClose();
+    navigate(path);
+  };
+  const actions = useMemo(() => {
+    const list = [];
+    if (can(profile, "tasks.edit")) list.push(paletteEntry("action", "new-task", "Nova tarefa", "", [["nova tarefa criar", 3]], () => setNewTaskOpen(true)));
+    if (can(profile, "tools.use")) list.push(paletteEntry("action", "pomodoro", "Iniciar pomodoro", "Ferramentas", [["iniciar pomodoro timer foco", 3]], go("/ferramentas?start=1")));
+    NAV_ITEMS.filter((item) => can(profile, item.permission)).forEach((item) =>
+      list.push(paletteEntry("action", item.to, `Ir para ${item.label}`, "", [[`ir para ${item.label}`, 3]], go(item.to)))
+    );
+    list.push(paletteEntry("action", "notifications", "Ir para Notificações", "", [["ir para notificacoes preferencias", 3]], go("/notificacoes")));
+    return list;
+  }, [profile]);
+  const records = useMemo(() => {
+    const clientName = (id) => clients.find((c) => c.id === id)?.name || "";
+    const list = [];
+    tasks.forEach((t) =>
+      list.push(
+        paletteEntry("task", t.id, t.title, [clientName(t.client_id), t.status, t.end_at && new Date(t.end_at).toLocaleDateString("pt-BR")].filter(Boolean).join(" · "), [[t.title, 3], [t.tags, 2], [t.description, 1]], go(`/kanban?task=${t.id}`))
+      )
+    );
+    clients.filter(isActiveRecord).forEach((c) =>
+      list.push(paletteEntry("client", c.id, c.name, [c.company, c.email].filter(Boolean).join(" · "), [[c.name, 3], [c.company, 2], [c.email, 2]], go(`/clientes/${c.id}`)))
+    );
+    events.filter((ev) => !ev.deleted_at && ev.start_at).forEach((ev) =>
+      list.push(paletteEntry("event", ev.id, ev.title, new Date(ev.start_at).toLocaleString("pt-BR"), [[ev.title, 3], [clientName(ev.client_id), 1]], go(`/agenda?date=${dateKey(new Date(ev.start_at))}`)))
+    );
+    if (can(profile, "team.view")) {
+      team.filter(isActiveRecord).forEach((m) => list.push(paletteEntry("member", m.id, m.name, [m.role, m.email].filter(Boolean).join(" · "), [[m.name, 3], [m.email, 2], [m.role, 1]], go("/equipe"))));
+    }
+    if (can(profile, "services.view")) {
+      services.filter(isActiveRecord).forEach((sv) => list.push(paletteEntry("service", sv.id, sv.name, sv.description || "", [[sv.name, 3], [sv.description, 1]], go("/servicos"))));
+    }
+    return list;
+  }, [tasks, clients, events, team, services, profile]);
+  const results = useMemo(() => {
+    const words = paletteWords(query);
+    if (!words.length) return actions;
+    return [...actions, ...records]
+      .map((entry) => ({ entry, score: paletteScore(words, entry.fields) }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label))
+      .slice(0, PALETTE_LIMIT)
+      .map((r) => r.entry);
+  }, [query, actions, records]);
+  useEffect(() => setActive(0), [query]);
+  useEffect(() => {
+    listRef.current?.children[active]?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((i) => (results.length ? (i + step + results.length) % results.length : 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      results[active]?.run();
+    } else if (e.key === "Escape") {
+      onClose();
+    }
+  };
+  if (newTaskOpen) {
+    return (
+      <NewTaskDialog
+        onCreated={(task) => {
+          onClose();
+          navigate(`/kanban?task=${task.id}`);
+        }}
+        onClose={onClose}
+      />
+    );
+  }
+  return (
+    <div className="fixed inset-0 z-30 flex items-start justify-center pt-24 bg-black bg-opacity-50" onMouseDown={onClose}>
+      <div className="w-full max-w-xl bg-white rounded shadow-lg" onMouseDown={(e) => e.stopPropagation()}>
+        <input
+          autoFocus
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+          placeholder="Buscar tarefas, clientes, eventos... ou digite um comando"
+          className="w-full p-3 text-lg border-b rounded-t outline-none"
+        />
+        <ul ref={listRef} className="overflow-y-auto" style={{ maxHeight: "24rem" }}>
+          {results.map((entry, i) => (
+            <li
+              key={entry.key}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => entry.run()}
+              className={`flex items-center px-3 py-2 text-sm cursor-pointer ${i === active ? "bg-blue-100" : ""}`}
+            >
+              <span className="w-16 mr-2 text-xs text-gray-500">{PALETTE_TYPES[entry.type]}</span>
+              <span className="flex-1 truncate">{entry.label}</span>
+              {entry.detail && <span className="ml-2 text-xs text-gray-500 truncate">{entry.detail}</span>}
+            </li>
+          ))}
+          {results.length === 0 && <li className="px-3 py-2 text-sm text-gray-500">Nada encontrado.</li>}
+        </ul>
+        <div className="px-3 py-1 text-xs text-gray-400 border-t">↑↓ navegar · Enter abrir · Esc fechar</div>
+      </div>
+    </div>
+  );
+}
+
+/*
+ * Dashboard page
+ *
+ * A grid of widgets that each user arranges for themselves.  "Personalizar"
+ * lets them add and remove widgets, make them one to three columns wide and
+ * drag them into a new order with @dnd-kit.  The layout is saved in
+ * profiles.dashboard_layout as a list of { widget, size }; users without
+ * one see DEFAULT_DASHBOARD_LAYOUT.  Widgets read the shared table stores,
+ * so they follow changes made by the rest of the team.
+ */
+const DASHBOARD_WIDGETS = {
+  metrics: { title: "Indicadores", size: 3 },
+  my_today: { title: "Minhas tarefas de hoje", size: 1 },
+  overdue: { title: "Tarefas atrasadas", size: 1 },
+  upcoming_events: { title: "Próximos eventos", size: 1 },
+  status_chart: { title: "Status das tarefas", size: 1 },
+  workload_chart: { title: "Tarefas abertas por responsável", size: 2 },
+  pipeline: { title: "Pipeline de clientes", size: 2, permission: "pipeline.view" },
+  recent_tasks: { title: "Tarefas recentes", size: 1 },
+  quick_links: { title: "Atalhos", size: 3 },
+};
+
+const DEFAULT_DASHBOARD_LAYOUT = ["metrics", "my_today", "overdue", "upcoming_events", "status_chart", "workload_chart", "pipeline", "quick_links"].map((widget) => ({
+  widget,
+  size: DASHBOARD_WIDGETS[widget].size,
+}));
+
+const WIDGET_SPANS = { 1: "md:col-span-1", 2: "md:col-span-2", 3: "md:col-span-3" };
+const UPCOMING_EVENT_DAYS = 7;
+
+// The saved layout without widgets that no longer exist or the user may not see.
+function dashboardLayout(profile) {
+  const saved = Array.isArray(profile?.dashboard_layout) ? profile.dashboard_layout : DEFAULT_DASHBOARD_LAYOUT;
+  return saved.filter((item) => DASHBOARD_WIDGETS[item.widget] && (!DASHBOARD_WIDGETS[item.widget].permission || can(profile, DASHBOARD_WIDGETS[item.widget].permission)));
+}
+
+function TaskListWidget({ tasks, empty, onOpen, detail }) {
+  if (tasks.length === 0) return <div className="text-sm text-gray-500">{empty}</div>;
+  return (
+    <ul className="text-sm divide-y divide-gray-200">
+      {tasks.map((task) => (
+        <li key={task.id}>
+          <button onClick={() => onOpen(task.id)} className="flex justify-between w-full py-2 text-left">
+            <span>{task.title}</span>
+            <span className="ml-2 text-xs text-gray-500 whitespace-nowrap">{detail(task)}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function DashboardWidgetBody({ widget, data, onOpenTask }) {
+  const { tasks, events, clients, team, stages, profile, now } = data;
+  const open = tasks.filter((t) => t.status !== "concluido");
+  const dueDate = (t) => (t.end_at ? new Date(t.end_at).toLocaleDateString("pt-BR") : "");
+  switch (widget) {
+    case "metrics":
+      return (
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-5">
+          <MetricCard title="Total de Tarefas" value={tasks.length} />
+          <MetricCard title="Concluídas" value={tasks.filter((t) => t.status === "concluido").length} />
+          <MetricCard title="Pendentes" value={tasks.filter((t) => t.status === "pendente").length} />
+          <MetricCard title="Atrasadas" value={tasks.filter((t) => isOverdue(t, now)).length} />
+          <MetricCard title="Clientes Ativos" value={new Set(tasks.map((t) => t.client_id).filter(Boolean)).size} />
+        </div>
+      );
+    case "my_today": {
+      const mine = open.filter((t) => t.user_id === profile?.id && coversDay(t, now)).sort((a, b) => itemRange(a).end - itemRange(b).end);
+      return <TaskListWidget tasks={mine} empty="Nada para hoje." onOpen={onOpenTask} detail={(t) => formatTime(t.end_at || t.start_at)} />;
+    }
+    case "overdue": {
+      const late = tasks.filter((t) => isOverdue(t, now)).sort((a, b) => new Date(a.end_at) - new Date(b.end_at));
+      return <TaskListWidget tasks={late.slice(0, 10)} empty="Nenhuma tarefa atrasada." onOpen={onOpenTask} detail={dueDate} />;
+    }
+    case "upcoming_events": {
+      const until = addDays(now, UPCOMING_EVENT_DAYS);
+      const upcoming = expandRecurringEvents(events, now, until)
+        .filter((ev) => ev.start_at && !ev.deleted_at && new Date(ev.end_at || ev.start_at) >= now && new Date(ev.start_at) < until)
+        .sort((a, b) => new Date(a.start_at) - new Date(b.start_at))
+        .slice(0, 8);
+      if (upcoming.length === 0) return <div className="text-sm text-gray-500">Nenhum evento nos próximos {UPCOMING_EVENT_DAYS} dias.</div>;
+      return (
+        <ul className="text-sm divide-y divide-gray-200">
+          {upcoming.map((ev) => (
+            <li key={`${ev.id}-${ev.start_at}`} className="flex justify-between py-2">
+              <span>{ev.title}</span>
+              <span className="ml-2 text-xs text-gray-500 whitespace-nowrap">
+                {new Date(ev.start_at).toLocaleDateString("pt-BR", { weekday: "short", day: "2-digit" })} {formatTime(ev.start_at)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      );
+    }
+    case "status_chart": {
+      const counts = {};
+      tasks.forEach((t) => {
+        const key = isOverdue(t, now) ? "atrasado" : t.status;
+        counts[key] = (counts[key] || 0) + 1;
+      });
+      const slices = Object.entries(counts).map(([key, value]) => ({ name: REPORT_STATUS_LABELS[key] || key, value }));
+      return (
+        <ResponsiveContainer width="100%" height={220}>
+          <PieChart>
+            <Pie data={slices} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={70} label>
+              {slices.map((entry, i) => (
+                <Cell key={entry.name} fill={entry.name === REPORT_STATUS_LABELS.atrasado ? "#ef4444" : REPORT_COLORS[i % REPORT_COLORS.length]} />
+              ))}
+            </Pie>
+            <Tooltip />
+          </PieChart>
+        </ResponsiveContainer>
+      );
+    }
+    case "workload_chart": {
+      const bars = team
+        .filter((m) => m.profile_id && isActiveRecord(m))
+        .map((m) => ({
+          name: m.name,
+          abertas: open.filter((t) => t.user_id === m.profile_id).length,
+          atrasadas: open.filter((t) => t.user_id === m.profile_id && isOverdue(t, now)).length,
+        }))
+        .filter((m) => m.abertas > 0);
+      if (bars.length === 0) return <div className="text-sm text-gray-500">Nenhuma tarefa aberta atribuída.</div>;
+      return (
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={bars}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Bar dataKey="abertas" name="Abertas" fill="#8884d8" />
+            <Bar dataKey="atrasadas" name="Atrasadas" fill="#ef4444" />
+          </BarChart>
+        </ResponsiveContainer>
+      );
+    }
+    case "pipeline": {
+      const active = clients.filter(isActiveRecord);
+      return (
+        <div className="grid grid-cols-3 gap-2 md:grid-cols-6">
+          {stages.map((stage) => (
+            <RRNavLink key={stage.key} to="/pipeline" className="p-2 text-center bg-gray-50 rounded hover:bg-gray-100">
+              <div className="text-xs text-gray-500">{stage.label}</div>
+              <div className="text-xl font-bold">{active.filter((c) => c.stage === stage.key).length}</div>
+            </RRNavLink>
+          ))}
+        </div>
+      );
+    }
+    case "recent_tasks": {
+      const recent = [...tasks].sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0)).slice(0, 5);
+      return <TaskListWidget tasks={recent} empty="Nenhuma tarefa." onOpen={onOpenTask} detail={(t) => t.status} />;
+    }
+    case "quick_links":
+      return (
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
           <QuickLink to="/kanban" label="Kanban" />
           <QuickLink to="/agenda" label="Agenda" />
           <QuickLink to="/clientes" label="Clientes" />
-          <QuickLink to="/equipe" label="Equipe" />
+          {can(profile, "team.view") && <QuickLink to="/equipe" label="Equipe" />}
         </div>
-        {/* Recent tasks list */}
-        <div>
-          <h2 className="mb-2 text-xl font-semibold">Tarefas Recentes</h2>
-          <ul className="divide-y divide-gray-200">
-            {tasks.slice(0, 5).map((task) => (
-              <li key={task.id} className="py-2">
-                <div className="flex justify-between">
-                  <span>{task.title}</span>
-                  <span className="text-sm text-gray-500">{task.status}</span>
-                </div>
-              </li>
-            ))}
-          </ul>
+      );
+    default:
+      return null;
+  }
+}
+
+function DashboardWidget({ item, editing, onResize, onRemove, children }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: item.widget, disabled: !editing });
+  const style = {
+    transform: transform ? `translate3d(${transform.x}px, ${transform.y}px, 0)` : undefined,
+    transition,
+    opacity: isDragging ? 0.5 : 1,
+  };
+  return (
+    <div ref={setNodeRef} style={style} className={`p-4 bg-white border rounded shadow-sm ${WIDGET_SPANS[item.size] || WIDGET_SPANS[1]}`}>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-semibold">{DASHBOARD_WIDGETS[item.widget].title}</h2>
+        {editing && (
+          <div className="flex items-center space-x-1 text-xs">
+            <button onClick={() => onResize(-1)} disabled={item.size <= 1} title="Diminuir" className="px-2 bg-gray-200 rounded">−</button>
+            <button onClick={() => onResize(1)} disabled={item.size >= 3} title="Aumentar" className="px-2 bg-gray-200 rounded">+</button>
+            <span {...attributes} {...listeners} title="Arrastar" className="px-2 bg-gray-200 rounded cursor-move">⠿</span>
+            <button onClick={onRemove} title="Remover" className="px-2 text-red-600">✕</button>
+          </div>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function DashboardPage() {
+  const { profile, reloadProfile } = React.useContext(AuthContext);
+  const { rows: tasks } = useTable("tasks");
+  const { rows: events } = useTable("events");
+  const { rows: clients } = useTable("clients");
+  const { rows: team } = useTable("team");
+  const [stages] = usePipelineStages();
+  const [editing, setEditing] = useState(false);
+  const [layout, setLayout] = useState(() => dashboardLayout(profile));
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [error, setError] = useState("");
+  const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 5 } }));
+  const data = { tasks, events, clients, team, stages, profile, now: new Date() };
+  const available = Object.keys(DASHBOARD_WIDGETS).filter(
+    (key) => !layout.some((item) => item.widget === key) && (!DASHBOARD_WIDGETS[key].permission || can(profile, DASHBOARD_WIDGETS[key].permission))
+  );
+  const handleDragEnd = ({ active, over }) => {
+    if (!over || active.id === over.id) return;
+    setLayout((items) => arrayMove(items, items.findIndex((i) => i.widget === active.id), items.findIndex((i) => i.widget === over.id)));
+  };
+  const resize = (widget, step) => setLayout((items) => items.map((i) => (i.widget === widget ? { ...i, size: Math.min(3, Math.max(1, i.size + step)) } : i)));
+  const save = async () => {
+    const { error: updateError } = await supabase.from("profiles").update({ dashboard_layout: layout }).eq("id", profile.id);
+    if (updateError) {
+      setError(`Erro ao salvar o layout: ${updateError.message}`);
+      return;
+    }
+    setError("");
+    setEditing(false);
+    reloadProfile();
+  };
+  const cancel = () => {
+    setLayout(dashboardLayout(profile));
+    setError("");
+    setEditing(false);
+  };
+  return (
+    <Layout>
+      <div className="p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Dashboard</h1>
+          {editing ? (
+            <div className="flex items-center space-x-2">
+              {available.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && setLayout((items) => [...items, { widget: e.target.value, size: DASHBOARD_WIDGETS[e.target.value].size }])}
+                  className="p-2 border rounded"
+                >
+                  <option value="">Adicionar widget...</option>
+                  {available.map((key) => (
+                    <option key={key} value={key}>{DASHBOARD_WIDGETS[key].title}</option>
+                  ))}
+                </select>
+              )}
+              <button onClick={() => setLayout(dashboardLayout({ ...profile, dashboard_layout: null }))} className="px-3 py-2 bg-gray-200 rounded">Restaurar padrão</button>
+              <button onClick={cancel} className="px-3 py-2 bg-gray-200 rounded">Cancelar</button>
+              <button onClick={save} className="px-3 py-2 text-white bg-blue-600 rounded">Salvar</button>
+            </div>
+          ) : (
+            <button onClick={() => setEditing(true)} className="px-3 py-2 bg-gray-200 rounded">Personalizar</button>
+          )}
         </div>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        {layout.length === 0 && <div className="text-gray-500">Nenhum widget. Use "Personalizar" para adicionar.</div>}
+        <DndContext sensors={editing ? sensors : []} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+          <SortableContext items={layout.map((item) => item.widget)} strategy={rectSortingStrategy}>
+            <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+              {layout.map((item) => (
+                <DashboardWidget
+                  key={item.widget}
+                  item={item}
+                  editing={editing}
+                  onResize={(step) => resize(item.widget, step)}
+                  onRemove={() => setLayout((items) => items.filter((i) => i.widget !== item.widget))}
+                >
+                  <DashboardWidgetBody widget={item.widget} data={data} onOpenTask={setOpenTaskId} />
+                </DashboardWidget>
+              ))}
+            </div>
+          </SortableContext>
+        </DndContext>
+        {openTaskId && <TaskDrawer key={openTaskId} taskId={openTaskId} onClose={() => setOpenTaskId(null)} onOpenTask={setOpenTaskId} />}
       </div>
     </Layout>
   );
@@ -222,36 +1805,105 @@ function QuickLink({ to, label }) {
 /*
  * Kanban page
  *
- * A drag‑and‑drop board for tasks.  Tasks are grouped by status.  This
- * component implements advanced filters (search, client, user, priority,
- * tags, date range) and supports reordering via @dnd‑kit.  When a task
- * is dropped into a new column, we update its status in Supabase.
+ * A drag‑and‑drop board for tasks.  Columns come from the `kanban_columns`
+ * table (each maps to a task status and may carry a WIP limit) and can be
+ * managed from the "Colunas" dialog.  This component implements advanced
+ * filters (search, client, user, priority, tags, date range) and supports
+ * reordering via @dnd‑kit.  Card order is persisted in `tasks.position`;
+ * dropping a card into another column updates its status.  Clicking a card
+ * opens the task detail drawer.
+ *
+ * The board can optionally be split into swimlanes by client, assignee or
+ * priority.  Dropping a card into another lane updates the matching field.
  */
-function KanbanPage() {
-  const [tasks, setTasks] = useState([]);
-  const [filters, setFilters] = useState({ search: "", client: "", user: "", priority: "", tag: "", dateFrom: "", dateTo: "" });
+const DEFAULT_KANBAN_COLUMNS = [
+  { id: "pendente", status: "pendente", title: "Pendente", position: 1, wip_limit: null },
+  { id: "em_andamento", status: "em_andamento", title: "Em andamento", position: 2, wip_limit: null },
+  { id: "concluido", status: "concluido", title: "Concluído", position: 3, wip_limit: null },
+];
+
+const KANBAN_LANES = {
+  client: { label: "Cliente", field: "client_id" },
+  user: { label: "Responsável", field: "user_id" },
+  priority: { label: "Prioridade", field: "priority" },
+};
+
+const POSITION_STEP = 1000;
+
+function compareTaskPosition(a, b) {
+  const pa = a.position ?? Number.POSITIVE_INFINITY;
+  const pb = b.position ?? Number.POSITIVE_INFINITY;
+  if (pa !== pb) return pa - pb;
+  return new Date(a.created_at || 0) - new Date(b.created_at || 0);
+}
+
+/* Droppable ids encode the lane and the column: "<lane>::<status>". */
+const cellId = (lane, status) => `${lane ?? ""}::${status}`;
+
+function parseCellId(id) {
+  const [lane, status] = String(id).split("::");
+  return { lane: lane || null, status };
+}
+
+function KanbanCard({ task, cell, onOpen }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: task.id, data: { cell } });
+  const style = {
+    transform: transform ? `translate3d(${transform.x}px, ${transform.y}px, 0)` : undefined,
+    transition,
+    opacity: isDragging ? 0.5 : 1,
+  };
+  return (
+    <div ref={setNodeRef} style={style} {...attributes} {...listeners} onClick={() => onOpen(task.id)} className="p-3 text-sm bg-white border rounded shadow-sm cursor-move">
+      <div className="font-medium">{task.title}</div>
+      <div className="flex justify-between mt-1 text-xs text-gray-500">
+        <span>{task.priority}</span>
+        {task.progress != null && <span>{task.progress}%</span>}
+        <span>{task.end_at ? new Date(task.end_at).toLocaleDateString() : ""}</span>
+      </div>
+    </div>
+  );
+}
+
+function KanbanCell({ id, tasks, onOpen }) {
+  const { setNodeRef, isOver } = useDroppable({ id });
+  return (
+    <SortableContext id={id} items={tasks.map((t) => t.id)} strategy={verticalListSortingStrategy}>
+      <div ref={setNodeRef} className={`space-y-2 rounded ${isOver ? "bg-blue-50" : ""}`} style={{ minHeight: "3rem" }}>
+        {tasks.map((task) => (
+          <KanbanCard key={task.id} task={task} cell={id} onOpen={onOpen} />
+        ))}
+      </div>
+    </SortableContext>
+  );
+}
 
+function KanbanPage() {
+  const canEdit = usePermission("tasks.edit");
+  const canAssign = usePermission("tasks.assign");
+  const canConfigure = usePermission("kanban.configure");
+  const { rows: tasks, setRows: setTasks, update: updateTasks } = useTable("tasks");
+  const { rows: columnList, setRows: setColumnRows } = useTable("kanban_columns");
+  const { rows: clients } = useTable("clients");
+  const { rows: profiles } = useTable("profiles");
+  const { rows: team } = useTable("team");
+  const lookups = useMemo(() => ({ clients, profiles, team }), [clients, profiles, team]);
+  const columnRows = useMemo(() => [...columnList].sort((a, b) => a.position - b.position), [columnList]);
+  const [laneBy, setLaneBy] = useState("");
+  const [columnsOpen, setColumnsOpen] = useState(false);
+  const [newTaskOpen, setNewTaskOpen] = useState(false);
+  // ?task=<id> (e.g. from a notification) opens that task's drawer.
+  const [searchParams] = useSearchParams();
+  const [openTaskId, setOpenTaskId] = useState(() => searchParams.get("task"));
   useEffect(() => {
-    const fetchTasks = async () => {
-      const { data } = await supabase.from("tasks").select("*");
-      setTasks(data || []);
-    };
-    fetchTasks();
-    // Subscribe to realtime updates
-    const subscription = supabase
-      .from("tasks")
-      .on("INSERT", (payload) => setTasks((prev) => [...prev, payload.new]))
-      .on("UPDATE", (payload) => setTasks((prev) => prev.map((t) => (t.id === payload.new.id ? payload.new : t))))
-      .on("DELETE", (payload) => setTasks((prev) => prev.filter((t) => t.id !== payload.old.id)))
-      .subscribe();
-    return () => {
-      supabase.removeSubscription(subscription);
-    };
-  }, []);
+    if (searchParams.get("task")) setOpenTaskId(searchParams.get("task"));
+  }, [searchParams]);
+  const [notice, setNotice] = useState("");
+  const [filters, setFilters] = useState({ search: "", client: "", user: "", priority: "", tag: "", dateFrom: "", dateTo: "" });
 
-  // Filtering logic
+  // Filtering logic; subtasks are shown inside their parent's drawer, not on the board
   const filteredTasks = useMemo(() => {
     return tasks.filter((task) => {
+      if (task.parent_id) return false;
       const matchesSearch = filters.search ? task.title.toLowerCase().includes(filters.search.toLowerCase()) : true;
       const matchesClient = filters.client ? task.client_id === filters.client : true;
       const matchesUser = filters.user ? task.user_id === filters.user : true;
@@ -264,33 +1916,124 @@ function KanbanPage() {
     });
   }, [tasks, filters]);
 
-  // Group tasks by status for columns
-  const columns = useMemo(() => {
-    const statuses = ["pendente", "em_andamento", "concluido"];
-    return statuses.map((status) => ({
-      id: status,
-      title: status.replace(/_/g, " ").replace(/^./, (s) => s.toUpperCase()),
-      tasks: filteredTasks.filter((task) => task.status === status),
-    }));
-  }, [filteredTasks]);
+  const boardColumns = columnRows.length > 0 ? columnRows : DEFAULT_KANBAN_COLUMNS;
+
+  // Filter and lane options leave out archived clients and the profiles of
+  // archived team members; their tasks still show on the board.
+  const options = useMemo(() => {
+    const retired = new Set(lookups.team.filter((m) => m.profile_id && !isActiveRecord(m)).map((m) => m.profile_id));
+    return {
+      clients: lookups.clients.filter(isActiveRecord).sort((a, b) => a.name.localeCompare(b.name)),
+      profiles: lookups.profiles.filter((p) => !retired.has(p.id)).sort((a, b) => String(a.name).localeCompare(String(b.name))),
+    };
+  }, [lookups]);
+
+  // One lane per distinct value of the grouping field, plus "none" for empty ones.
+  const lanes = useMemo(() => {
+    if (!laneBy) return [{ key: null, title: null }];
+    const field = KANBAN_LANES[laneBy].field;
+    const nameOf = (value) => {
+      if (laneBy === "client") return lookups.clients.find((c) => c.id === value)?.name || value;
+      if (laneBy === "user") return lookups.profiles.find((p) => p.id === value)?.name || value;
+      return value;
+    };
+    const values = Array.from(new Set(filteredTasks.map((t) => t[field]).filter(Boolean)));
+    const empty = laneBy === "client" ? options.clients.map((c) => c.id) : laneBy === "user" ? options.profiles.map((p) => p.id) : [];
+    const keys = Array.from(new Set([...values, ...empty]));
+    return [
+      ...keys.map((key) => ({ key, title: nameOf(key) })).sort((a, b) => String(a.title).localeCompare(String(b.title))),
+      { key: null, title: `Sem ${KANBAN_LANES[laneBy].label.toLowerCase()}` },
+    ];
+  }, [laneBy, filteredTasks, lookups, options]);
+
+  // New tasks go to the bottom of their column.
+  const newTaskPosition = (status) => tasks.filter((t) => t.status === status && t.position != null).reduce((max, t) => Math.max(max, t.position), 0) + POSITION_STEP;
+
+  const laneValue = (task) => (laneBy ? task[KANBAN_LANES[laneBy].field] || null : null);
+
+  // Group tasks by lane and status for cells, ordered by position
+  const cells = useMemo(() => {
+    const map = {};
+    filteredTasks.forEach((task) => {
+      const id = cellId(laneValue(task), task.status);
+      (map[id] = map[id] || []).push(task);
+    });
+    Object.values(map).forEach((list) => list.sort(compareTaskPosition));
+    return map;
+  }, [filteredTasks, laneBy]);
 
   // dnd-kit sensors
-  const sensors = useSensors(useSensor(PointerSensor));
+  const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 5 } }));
   const handleDragEnd = async (event) => {
     const { active, over } = event;
-    if (!over || active.data.current?.status === over.id) return;
+    if (!over || active.id === over.id) return;
     const taskId = active.id;
-    const newStatus = over.id;
-    // update local state
-    setTasks((tasks) => tasks.map((t) => (t.id === taskId ? { ...t, status: newStatus } : t)));
-    // update DB
-    await supabase.from("tasks").update({ status: newStatus }).eq("id", taskId);
+    const previous = tasks.find((t) => t.id === taskId);
+    if (!previous) return;
+    // Dropped on a card: take that card's cell; dropped on an empty area: the cell itself.
+    const target = parseCellId(over.data.current?.cell || over.id);
+    const column = boardColumns.find((c) => c.status === target.status);
+    if (!column) return;
+    if (laneBy === "user" && target.lane !== laneValue(previous) && !canAssign) {
+      setNotice("Somente gerentes podem trocar o responsável de uma tarefa.");
+      return;
+    }
+    if (target.status !== previous.status && column.wip_limit) {
+      const count = tasks.filter((t) => !t.parent_id && t.status === target.status).length;
+      if (count >= column.wip_limit) {
+        setNotice(`A coluna "${column.title}" atingiu o limite de ${column.wip_limit} tarefas.`);
+        return;
+      }
+    }
+    setNotice("");
+    const targetCell = cellId(target.lane, target.status);
+    const siblings = (cells[targetCell] || []).filter((t) => t.id !== taskId);
+    const overIndex = siblings.findIndex((t) => t.id === over.id);
+    const index = overIndex >= 0 ? overIndex : siblings.length;
+    const ordered = [...siblings.slice(0, index), previous, ...siblings.slice(index)];
+    // Midpoint between neighbours; renumber the cell when a neighbour has no position yet.
+    const before = ordered[index - 1]?.position;
+    const after = ordered[index + 1]?.position;
+    const changes = {};
+    if ((index > 0 && before == null) || (index < ordered.length - 1 && after == null)) {
+      ordered.forEach((t, i) => {
+        changes[t.id] = { position: (i + 1) * POSITION_STEP };
+      });
+    } else {
+      const position = before == null && after == null ? POSITION_STEP : before == null ? after - POSITION_STEP : after == null ? before + POSITION_STEP : (before + after) / 2;
+      changes[taskId] = { position };
+    }
+    changes[taskId] = { ...changes[taskId], status: target.status };
+    if (laneBy && target.lane !== laneValue(previous)) changes[taskId][KANBAN_LANES[laneBy].field] = target.lane;
+    // Optimistic per card; each one rolls back on its own if the database refuses it.
+    const errors = await Promise.all(Object.entries(changes).map(([id, values]) => updateTasks(tasks.find((t) => t.id === id), values)));
+    const error = errors.find(Boolean);
+    if (error) {
+      setNotice(`Erro ao mover tarefa: ${error.message}`);
+      return;
+    }
+    if (previous.status !== target.status) {
+      const record = { ...previous, ...changes[taskId] };
+      spawnNextTaskOccurrence(record).then((next) => {
+        if (next) setTasks((tasks) => [...tasks.filter((t) => t.id !== next.id).map((t) => (t.id === taskId ? { ...t, rrule: null } : t)), next]);
+      });
+    }
   };
 
   return (
     <Layout>
       <div className="p-6 space-y-4">
-        <h1 className="text-2xl font-bold">Kanban</h1>
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Kanban</h1>
+          <div className="flex items-center space-x-2">
+            <select value={laneBy} onChange={(e) => setLaneBy(e.target.value)} className="p-2 border rounded">
+              <option value="">Sem raias</option>
+              {Object.entries(KANBAN_LANES).map(([key, lane]) => <option key={key} value={key}>Raias por {lane.label.toLowerCase()}</option>)}
+            </select>
+            {canConfigure && <button onClick={() => setColumnsOpen(true)} className="px-3 py-2 text-gray-700 bg-gray-200 rounded">Colunas</button>}
+            {canEdit && <button onClick={() => setNewTaskOpen(true)} className="px-3 py-2 text-white bg-green-600 rounded">Nova Tarefa</button>}
+          </div>
+        </div>
         {/* Filters */}
         <div className="grid grid-cols-1 gap-4 md:grid-cols-6">
           <input
@@ -300,20 +2043,14 @@ function KanbanPage() {
             onChange={(e) => setFilters((f) => ({ ...f, search: e.target.value }))}
             className="p-2 border rounded"
           />
-          <input
-            type="text"
-            placeholder="Cliente"
-            value={filters.client}
-            onChange={(e) => setFilters((f) => ({ ...f, client: e.target.value }))}
-            className="p-2 border rounded"
-          />
-          <input
-            type="text"
-            placeholder="Usuário"
-            value={filters.user}
-            onChange={(e) => setFilters((f) => ({ ...f, user: e.target.value }))}
-            className="p-2 border rounded"
-          />
+          <select value={filters.client} onChange={(e) => setFilters((f) => ({ ...f, client: e.target.value }))} className="p-2 border rounded">
+            <option value="">Todos os clientes</option>
+            {options.clients.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+          <select value={filters.user} onChange={(e) => setFilters((f) => ({ ...f, user: e.target.value }))} className="p-2 border rounded">
+            <option value="">Todos os usuários</option>
+            {options.profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
           <input
             type="text"
             placeholder="Prioridade"
@@ -341,491 +2078,5901 @@ function KanbanPage() {
             className="p-2 border rounded"
           />
         </div>
+        {notice && <div className="p-2 text-sm text-yellow-800 bg-yellow-50 rounded">{notice}</div>}
         {/* Kanban board */}
-        <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
-          <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
-            {columns.map((column) => (
-              <div key={column.id} id={column.id} className="p-3 bg-gray-50 rounded">
-                <div className="mb-2 text-lg font-semibold">{column.title}</div>
-                <div className="space-y-2">
-                  {column.tasks.map((task) => (
-                    <div
-                      key={task.id}
-                      id={task.id}
-                      data-status={column.id}
-                      className="p-3 text-sm bg-white border rounded shadow-sm cursor-move"
-                    >
-                      <div className="font-medium">{task.title}</div>
-                      <div className="flex justify-between mt-1 text-xs text-gray-500">
-                        <span>{task.priority}</span>
-                        <span>{new Date(task.end_at).toLocaleDateString()}</span>
+        <DndContext sensors={canEdit ? sensors : []} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+          <div className="space-y-6">
+            {lanes.map((lane) => (
+              <div key={lane.key ?? "none"}>
+                {laneBy && <div className="mb-2 font-semibold text-gray-700">{lane.title}</div>}
+                <div className="grid grid-cols-1 gap-4" style={{ gridTemplateColumns: `repeat(${boardColumns.length}, minmax(0, 1fr))` }}>
+                  {boardColumns.map((column) => {
+                    const id = cellId(lane.key, column.status);
+                    const total = tasks.filter((t) => !t.parent_id && t.status === column.status).length;
+                    const overLimit = column.wip_limit && total > column.wip_limit;
+                    return (
+                      <div key={column.id} className="p-3 bg-gray-50 rounded">
+                        <div className="flex items-center justify-between mb-2">
+                          <span className="text-lg font-semibold">{column.title}</span>
+                          <span className={`text-xs ${overLimit ? "text-red-600 font-semibold" : "text-gray-500"}`}>
+                            {column.wip_limit ? `${total}/${column.wip_limit}` : total}
+                          </span>
+                        </div>
+                        <KanbanCell id={id} tasks={cells[id] || []} onOpen={setOpenTaskId} />
                       </div>
-                    </div>
-                  ))}
+                    );
+                  })}
                 </div>
               </div>
             ))}
           </div>
         </DndContext>
+        {columnsOpen && (
+          <KanbanColumnsDialog
+            columns={columnRows}
+            tasks={tasks}
+            onChange={setColumnRows}
+            onClose={() => setColumnsOpen(false)}
+          />
+        )}
+        {newTaskOpen && (
+          <NewTaskDialog
+            initial={{ status: boardColumns[0].status, position: newTaskPosition(boardColumns[0].status) }}
+            onCreated={(task) => {
+              setTasks((prev) => [...prev.filter((t) => t.id !== task.id), task]);
+              setNewTaskOpen(false);
+              setOpenTaskId(task.id);
+            }}
+            onClose={() => setNewTaskOpen(false)}
+          />
+        )}
+        {openTaskId && <TaskDrawer key={openTaskId} taskId={openTaskId} onClose={() => setOpenTaskId(null)} onOpenTask={setOpenTaskId} />}
       </div>
     </Layout>
   );
 }
 
 /*
- * Agenda page
- *
- * Displays a simple calendar using HTML inputs for selecting dates and times.
- * You can integrate a calendar component like react-big-calendar for a more
- * feature‑rich experience.  Here we list events per date and allow
- * creation of new events.
+ * Dialog for managing the board columns.  Every change is written to
+ * `kanban_columns` immediately.  A column can only be removed when no task
+ * uses its status.
  */
-function AgendaPage() {
-  const [events, setEvents] = useState([]);
-  const [selectedDate, setSelectedDate] = useState(() => new Date().toISOString().split("T")[0]);
-  const [modalOpen, setModalOpen] = useState(false);
-  const [form, setForm] = useState({ title: "", start: "", end: "", client_id: "", user_id: "" });
-  useEffect(() => {
-    const fetchEvents = async () => {
-      const { data } = await supabase.from("events").select("*");
-      setEvents(data || []);
-    };
-    fetchEvents();
-  }, []);
-  const dailyEvents = events.filter((ev) => ev.start_at?.split("T")[0] === selectedDate);
-  const openModal = () => {
-    setForm({ title: "", start: `${selectedDate}T09:00`, end: `${selectedDate}T10:00`, client_id: "", user_id: "" });
-    setModalOpen(true);
+function KanbanColumnsDialog({ columns, tasks, onChange, onClose }) {
+  const [form, setForm] = useState({ title: "", status: "", wip_limit: "" });
+  const [error, setError] = useState("");
+  const update = async (column, values) => {
+    const { error } = await supabase.from("kanban_columns").update(values).eq("id", column.id);
+    if (error) return setError(error.message);
+    onChange(columns.map((c) => (c.id === column.id ? { ...c, ...values } : c)));
   };
-  const saveEvent = async () => {
-    const { title, start, end, client_id, user_id } = form;
-    const { data, error } = await supabase.from("events").insert([{ title, start_at: start, end_at: end, client_id, user_id }]);
-    if (!error) setEvents((prev) => [...prev, ...data]);
-    setModalOpen(false);
+  const move = async (index, delta) => {
+    const other = columns[index + delta];
+    if (!other) return;
+    const column = columns[index];
+    const reordered = arrayMove(columns, index, index + delta).map((c, i) => ({ ...c, position: i + 1 }));
+    const results = await Promise.all([
+      supabase.from("kanban_columns").update({ position: index + delta + 1 }).eq("id", column.id),
+      supabase.from("kanban_columns").update({ position: index + 1 }).eq("id", other.id),
+    ]);
+    const failed = results.find((r) => r.error);
+    if (failed) {
+      // Undo the half that went through, so the database keeps the order shown.
+      await Promise.all([
+        supabase.from("kanban_columns").update({ position: column.position }).eq("id", column.id),
+        supabase.from("kanban_columns").update({ position: other.position }).eq("id", other.id),
+      ]);
+      return setError(failed.error.message);
+    }
+    onChange(reordered);
+  };
+  const add = async () => {
+    const status = (form.status || normalizeText(form.title)).trim().replace(/\s+/g, "_");
+    if (!form.title || !status) return;
+    const { data, error } = await supabase
+      .from("kanban_columns")
+      .insert([{ title: form.title, status, wip_limit: form.wip_limit ? Number(form.wip_limit) : null, position: columns.length + 1 }])
+      .select();
+    if (error) return setError(error.message);
+    onChange([...columns, ...data]);
+    setForm({ title: "", status: "", wip_limit: "" });
+  };
+  const remove = async (column) => {
+    if (tasks.some((t) => t.status === column.status)) {
+      setError(`Mova as tarefas de "${column.title}" antes de remover a coluna.`);
+      return;
+    }
+    const { error } = await supabase.from("kanban_columns").delete().eq("id", column.id);
+    if (error) return setError(error.message);
+    onChange(columns.filter((c) => c.id !== column.id));
   };
   return (
-    <Layout>
-      <div className="p-6 space-y-4">
-          <h1 className="text-2xl font-bold">Agenda</h1>
-          <div className="flex items-center space-x-2">
-            <input type="date" value={selectedDate} onChange={(e) => setSelectedDate(e.target.value)} className="p-2 border rounded" />
-            <button onClick={openModal} className="px-3 py-2 text-white bg-green-600 rounded">Novo Evento</button>
-          </div>
-          <ul className="mt-4 space-y-2">
-            {dailyEvents.map((ev) => (
-              <li key={ev.id} className="p-2 border rounded">
-                <div className="font-semibold">{ev.title}</div>
-                <div className="text-sm text-gray-500">{new Date(ev.start_at).toLocaleTimeString()} - {new Date(ev.end_at).toLocaleTimeString()}</div>
-              </li>
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-xl p-6 bg-white rounded shadow-lg">
+        <h2 className="mb-4 text-lg font-semibold">Colunas do Kanban</h2>
+        {error && <div className="mb-2 text-sm text-red-500">{error}</div>}
+        <table className="w-full mb-4 text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-2 py-1 border">Título</th>
+              <th className="px-2 py-1 border">Status</th>
+              <th className="px-2 py-1 border">Limite WIP</th>
+              <th className="px-2 py-1 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((column, i) => (
+              <tr key={column.id} className="border-t">
+                <td className="px-2 py-1 border">
+                  <input className="w-full p-1 border rounded" defaultValue={column.title} onBlur={(e) => e.target.value !== column.title && update(column, { title: e.target.value })} />
+                </td>
+                <td className="px-2 py-1 text-gray-500 border">{column.status}</td>
+                <td className="px-2 py-1 border">
+                  <input type="number" min="0" className="w-20 p-1 border rounded" defaultValue={column.wip_limit ?? ""} onBlur={(e) => update(column, { wip_limit: e.target.value ? Number(e.target.value) : null })} />
+                </td>
+                <td className="px-2 py-1 space-x-2 whitespace-nowrap border">
+                  <button onClick={() => move(i, -1)} disabled={i === 0} className="disabled:opacity-30">↑</button>
+                  <button onClick={() => move(i, 1)} disabled={i === columns.length - 1} className="disabled:opacity-30">↓</button>
+                  <button onClick={() => remove(column)} className="text-red-600">Remover</button>
+                </td>
+              </tr>
             ))}
-            {dailyEvents.length === 0 && <li className="text-gray-500">Nenhum evento</li>}
-          </ul>
-          {modalOpen && (
-            <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
-              <div className="p-6 bg-white rounded shadow-lg w-96">
-                <h2 className="mb-4 text-lg font-semibold">Novo Evento</h2>
-                <input
-                  type="text"
-                  placeholder="Título"
-                  value={form.title}
-                  onChange={(e) => setForm((f) => ({ ...f, title: e.target.value }))}
-                  className="w-full p-2 mb-2 border rounded"
-                />
-                <label className="block mb-1 text-sm">Início</label>
-                <input
-                  type="datetime-local"
-                  value={form.start}
-                  onChange={(e) => setForm((f) => ({ ...f, start: e.target.value }))}
-                  className="w-full p-2 mb-2 border rounded"
-                />
-                <label className="block mb-1 text-sm">Fim</label>
-                <input
-                  type="datetime-local"
-                  value={form.end}
-                  onChange={(e) => setForm((f) => ({ ...f, end: e.target.value }))}
-                  className="w-full p-2 mb-4 border rounded"
-                />
-                {/* Additional fields: client, user, etc. */}
-                <div className="flex justify-end space-x-2">
-                  <button onClick={() => setModalOpen(false)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
-                  <button onClick={saveEvent} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
-                </div>
-              </div>
-            </div>
-          )}
+          </tbody>
+        </table>
+        <div className="grid grid-cols-4 gap-2 mb-4">
+          <input className="p-2 border rounded" placeholder="Título" value={form.title} onChange={(e) => setForm((f) => ({ ...f, title: e.target.value }))} />
+          <input className="p-2 border rounded" placeholder="Status (opcional)" value={form.status} onChange={(e) => setForm((f) => ({ ...f, status: e.target.value }))} />
+          <input type="number" min="0" className="p-2 border rounded" placeholder="Limite WIP" value={form.wip_limit} onChange={(e) => setForm((f) => ({ ...f, wip_limit: e.target.value }))} />
+          <button onClick={add} className="px-3 py-2 text-white bg-green-600 rounded">Adicionar</button>
+        </div>
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Fechar</button>
+        </div>
       </div>
-    </Layout>
+    </div>
   );
 }
 
 /*
- * Clientes page
+ * Task detail drawer
  *
- * Displays a table of clients and allows adding new ones.  The form
- * corresponds to the Lovable modal: name, email, phone, company, status,
- * stage, tags and notes.
+ * Side panel opened from a Kanban card.  It edits every column of the task,
+ * lists its subtasks (tasks whose parent_id points to it, which can nest
+ * further), keeps a checklist whose completion drives `progress`, and shows
+ * a threaded comment stream where team members can be @mentioned.
+ *
+ * Checklist items and comments live in `task_checklist_items` and
+ * `task_comments`; the drawer subscribes to both (and to the subtasks) so
+ * edits made by teammates appear while it is open.
  */
-function ClientesPage() {
-  const [clients, setClients] = useState([]);
-  const [modalOpen, setModalOpen] = useState(false);
-  const [form, setForm] = useState({ name: "", email: "", phone: "", company: "", status: "", stage: "", tags: "", notes: "" });
-  useEffect(() => {
-    const fetchClients = async () => {
-      const { data } = await supabase.from("clients").select("*");
-      setClients(data || []);
+// actual_hours is not edited here: it is rolled up from time_entries.
+const TASK_NUMBER_FIELDS = ["estimated_hours", "rate", "budget", "progress"];
+
+function toDateTimeInput(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function checklistProgress(items) {
+  if (items.length === 0) return null;
+  return Math.round((items.filter((i) => i.done).length / items.length) * 100);
+}
+
+/* Returns the profile ids of the team members @mentioned in a comment. */
+function extractMentions(body, team) {
+  const norm = normalizeText(body);
+  return team
+    .filter((m) => m.profile_id && norm.includes(`@${normalizeText(m.name)}`))
+    .map((m) => m.profile_id);
+}
+
+/* Renders comment text with @mentions highlighted. */
+function CommentBody({ body, team }) {
+  const names = team.map((m) => m.name).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (names.length === 0) return <span>{body}</span>;
+  const escaped = names.map((n) => n.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const parts = body.split(new RegExp(`(@(?:${escaped.join("|")}))`, "gi"));
+  return (
+    <span>
+      {parts.map((part, i) => (part.startsWith("@") && i % 2 === 1 ? <span key={i} className="font-medium text-blue-600">{part}</span> : part))}
+    </span>
+  );
+}
+
+/*
+ * Comment input with @mention suggestions: typing "@" followed by letters
+ * lists matching team members; picking one completes the name.
+ */
+function CommentInput({ team, placeholder, onSubmit, autoFocus }) {
+  const [body, setBody] = useState("");
+  const match = body.match(/@([^\s@]*)$/);
+  const suggestions = match
+    ? team.filter((m) => normalizeText(m.name).startsWith(normalizeText(match[1]))).slice(0, 5)
+    : [];
+  const pick = (member) => setBody((b) => b.replace(/@([^\s@]*)$/, `@${member.name} `));
+  const submit = async () => {
+    if (!body.trim()) return;
+    await onSubmit(body.trim());
+    setBody("");
+  };
+  return (
+    <div className="relative">
+      <textarea className="w-full p-2 border rounded" rows={2} placeholder={placeholder} value={body} autoFocus={autoFocus} onChange={(e) => setBody(e.target.value)} />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-20 w-48 bg-white border rounded shadow">
+          {suggestions.map((m) => (
+            <li key={m.id}>
+              <button onClick={() => pick(m)} className="w-full px-2 py-1 text-left hover:bg-gray-100">{m.name}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex justify-end mt-1">
+        <button onClick={submit} className="px-3 py-1 text-sm text-white bg-blue-600 rounded">Comentar</button>
+      </div>
+    </div>
+  );
+}
+
+function TaskDrawer({ taskId, onClose, onOpenTask }) {
+  const { profile } = React.useContext(AuthContext);
+  // Client viewers get a read-only drawer but may still comment.
+  const canEdit = can(profile, "tasks.edit");
+  const canAssign = can(profile, "tasks.assign");
+  const timer = React.useContext(TimerContext);
+  const navigate = useNavigate();
+  const { rows: tasks, setRows: setTasks, insert: insertTasks, update: updateTasks } = useTable("tasks");
+  const task = tasks.find((t) => t.id === taskId) || null;
+  const { rows: children } = useTable("tasks", { parent_id: taskId });
+  const subtasks = useMemo(() => [...children].sort((a, b) => new Date(a.created_at) - new Date(b.created_at)), [children]);
+  const { rows: services } = useTable("services");
+  const { rows: team } = useTable("team");
+  const { rows: clients } = useTable("clients");
+  const lookups = { services, team, clients };
+  const [form, setForm] = useState(null);
+  const [checklist, setChecklist] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [newSubtask, setNewSubtask] = useState("");
+  const [newItem, setNewItem] = useState("");
+  const [replyTo, setReplyTo] = useState(null);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const fetchAll = async () => {
+      const [{ data: items }, { data: notes }] = await Promise.all([
+        supabase.from("task_checklist_items").select("*").eq("task_id", taskId).order("position"),
+        supabase.from("task_comments").select("*").eq("task_id", taskId).order("created_at"),
+      ]);
+      setChecklist(items || []);
+      setComments(notes || []);
     };
-    fetchClients();
+    fetchAll();
+    // Keep the lists in sync with changes made by other users; the task and
+    // its subtasks come live from the tasks store.
+    const upsert = (setter) => (payload) => {
+      if (payload.eventType === "DELETE") setter((prev) => prev.filter((r) => r.id !== payload.old.id));
+      else setter((prev) => (prev.some((r) => r.id === payload.new.id) ? prev.map((r) => (r.id === payload.new.id ? payload.new : r)) : [...prev, payload.new]));
+    };
+    const channel = supabase
+      .channel(`task-${taskId}`)
+      .on("postgres_changes", { event: "*", schema: "public", table: "task_checklist_items", filter: `task_id=eq.${taskId}` }, upsert(setChecklist))
+      .on("postgres_changes", { event: "*", schema: "public", table: "task_comments", filter: `task_id=eq.${taskId}` }, upsert(setComments))
+      .subscribe();
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [taskId]);
+
+  // The form starts from the task once the store has it; later changes by
+  // others update `task` but leave what the user is typing alone.
+  useEffect(() => {
+    if (task && !form) setForm(task);
+  }, [task]);
+
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  // Choosing a service fills rate, budget and estimate only where they are still empty.
+  const chooseService = (e) => {
+    const defaults = serviceTaskValues(lookups.services.find((s) => s.id === e.target.value));
+    setForm((f) => {
+      const next = { ...f, service_id: e.target.value };
+      ["rate", "budget", "estimated_hours"].forEach((field) => {
+        if ((f[field] == null || f[field] === "") && defaults[field] != null) next[field] = defaults[field];
+      });
+      return next;
+    });
+  };
+  const service = lookups.services.find((s) => s.id === form?.service_id);
+
+  const save = async () => {
+    const values = {};
+    ["title", "description", "client_id", "user_id", "service_id", "status", "priority", "tags", "rrule", ...TASK_NUMBER_FIELDS].forEach((field) => {
+      let value = form[field];
+      if (TASK_NUMBER_FIELDS.includes(field)) value = value === "" || value == null ? null : Number(value);
+      else if (value === "") value = null;
+      values[field] = value;
+    });
+    values.start_at = form.start_at ? new Date(form.start_at).toISOString() : null;
+    values.end_at = form.end_at ? new Date(form.end_at).toISOString() : null;
+    const { error, queued } = await offlineUpdate("tasks", task, values);
+    if (error) {
+      setMessage(`Erro ao salvar: ${error.message}`);
+      return;
+    }
+    setMessage(queued ? "Sem conexão: a alteração será enviada quando a conexão voltar." : "Tarefa salva.");
+    if (task.status !== values.status) {
+      const next = await spawnNextTaskOccurrence({ ...task, ...values });
+      if (next) {
+        values.rrule = null;
+        setForm((f) => ({ ...f, rrule: null }));
+        setMessage("Tarefa salva. Próxima ocorrência criada.");
+      }
+    }
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? { ...t, ...values } : t)));
+  };
+
+  // Checklist: every change recomputes the task progress.
+  const syncProgress = async (items) => {
+    const progress = checklistProgress(items);
+    if (progress == null) return;
+    setForm((f) => ({ ...f, progress }));
+    await supabase.from("tasks").update({ progress }).eq("id", taskId);
+  };
+  const addItem = async () => {
+    if (!newItem.trim()) return;
+    const position = checklist.length ? Math.max(...checklist.map((i) => i.position || 0)) + 1 : 1;
+    const { data, error } = await supabase.from("task_checklist_items").insert([{ task_id: taskId, label: newItem.trim(), position }]).select();
+    if (error) return;
+    const items = [...checklist.filter((i) => i.id !== data[0].id), ...data];
+    setChecklist(items);
+    setNewItem("");
+    syncProgress(items);
+  };
+  const toggleItem = async (item) => {
+    const items = checklist.map((i) => (i.id === item.id ? { ...i, done: !i.done } : i));
+    setChecklist(items);
+    await supabase.from("task_checklist_items").update({ done: !item.done }).eq("id", item.id);
+    syncProgress(items);
+  };
+  const removeItem = async (item) => {
+    const items = checklist.filter((i) => i.id !== item.id);
+    setChecklist(items);
+    await supabase.from("task_checklist_items").delete().eq("id", item.id);
+    syncProgress(items);
+  };
+
+  const addSubtask = async () => {
+    if (!newSubtask.trim()) return;
+    const { error } = await insertTasks([{ title: newSubtask.trim(), parent_id: taskId, client_id: task.client_id, user_id: task.user_id, status: "pendente" }]);
+    if (error) return;
+    setNewSubtask("");
+  };
+  const applyTemplate = async () => {
+    const created = await addTemplateSubtasks(task, service, subtasks);
+    setTasks((prev) => [...prev.filter((t) => !created.some((c) => c.id === t.id)), ...created]);
+    setMessage(created.length ? `${countLabel(created.length, ["subtarefa criada", "subtarefas criadas"])} a partir do serviço.` : "As subtarefas do serviço já existem.");
+  };
+  const toggleSubtask = async (subtask) => {
+    const status = subtask.status === "concluido" ? "pendente" : "concluido";
+    if (await updateTasks(subtask, { status })) return;
+    const next = await spawnNextTaskOccurrence({ ...subtask, status });
+    if (next) setTasks((prev) => [...prev.filter((t) => t.id !== next.id).map((t) => (t.id === subtask.id ? { ...t, rrule: null } : t)), next]);
+  };
+
+  const addComment = async (body, parentId = null) => {
+    const { data, error } = await supabase
+      .from("task_comments")
+      .insert([{ task_id: taskId, parent_id: parentId, author_id: profile?.id || null, body, mentions: extractMentions(body, lookups.team) }])
+      .select();
+    if (error) {
+      setMessage(`Erro ao comentar: ${error.message}`);
+      return;
+    }
+    setComments((prev) => [...prev.filter((c) => c.id !== data[0].id), ...data]);
+    setReplyTo(null);
+  };
+  const authorName = (authorId) => lookups.team.find((m) => m.profile_id === authorId)?.name || "Usuário";
+  const renderThread = (parentId, depth) =>
+    comments
+      .filter((c) => (c.parent_id || null) === parentId)
+      .map((c) => (
+        <div key={c.id} className={depth > 0 ? "pl-4 ml-2 border-l" : ""}>
+          <div className="py-2 text-sm">
+            <div className="text-xs text-gray-500">
+              {authorName(c.author_id)} · {new Date(c.created_at).toLocaleString()}
+            </div>
+            <CommentBody body={c.body} team={lookups.team} />
+            <div>
+              <button onClick={() => setReplyTo(replyTo === c.id ? null : c.id)} className="text-xs text-blue-600">Responder</button>
+            </div>
+            {replyTo === c.id && <CommentInput team={lookups.team} placeholder="Responder..." autoFocus onSubmit={(body) => addComment(body, c.id)} />}
+          </div>
+          {renderThread(c.id, depth + 1)}
+        </div>
+      ));
+
+  const progress = checklistProgress(checklist);
+  return (
+    <div className="fixed inset-0 z-20 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <div className="w-full h-full max-w-xl p-6 overflow-y-auto bg-white shadow-lg" onClick={(e) => e.stopPropagation()}>
+        {!form ? (
+          <div className="text-gray-500">Carregando...</div>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-start justify-between">
+              <input className="flex-1 p-2 mr-2 text-xl font-bold border rounded" value={form.title || ""} readOnly={!canEdit} onChange={setField("title")} />
+              <button onClick={onClose} className="px-2 text-gray-500">✕</button>
+            </div>
+            {task.parent_id && (
+              <button onClick={() => onOpenTask(task.parent_id)} className="text-sm text-blue-600">← Tarefa principal</button>
+            )}
+            {message && <div className="text-sm text-gray-700">{message}</div>}
+            <div className="flex items-center space-x-2 text-sm">
+              {canEdit &&
+                (timer.active?.task_id === taskId ? (
+                  <button onClick={timer.stop} className="px-3 py-1 text-white bg-red-600 rounded">Parar timer</button>
+                ) : (
+                  <button onClick={() => timer.start(task)} className="px-3 py-1 text-white bg-green-600 rounded">Iniciar timer</button>
+                ))}
+              {canEdit && <button onClick={() => navigate(`/ferramentas?task=${taskId}`)} className="px-3 py-1 text-white bg-red-500 rounded">Pomodoro</button>}
+              <span className="text-gray-500">{Number(task.actual_hours || 0).toFixed(2)}h registradas</span>
+            </div>
+            <fieldset disabled={!canEdit} className="grid grid-cols-2 gap-2 text-sm">
+              <textarea className="col-span-2 p-2 border rounded" rows={3} placeholder="Descrição" value={form.description || ""} onChange={setField("description")} />
+              <label className="col-span-2 -mb-1 text-xs text-gray-500">Cliente e responsável</label>
+              <select className="p-2 border rounded" value={form.client_id || ""} onChange={setField("client_id")}>
+                <option value="">Sem cliente</option>
+                {selectableRecords(lookups.clients, form.client_id).map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+              <select className="p-2 border rounded" value={form.user_id || ""} disabled={!canAssign} onChange={setField("user_id")}>
+                <option value="">Sem responsável</option>
+                {selectableRecords(lookups.team.filter((m) => m.profile_id), form.user_id, "profile_id").map((m) => <option key={m.id} value={m.profile_id}>{m.name}</option>)}
+              </select>
+              <select className="p-2 border rounded" value={form.service_id || ""} onChange={chooseService}>
+                <option value="">Sem serviço</option>
+                {selectableRecords(lookups.services, form.service_id).map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+              <input className="p-2 border rounded" placeholder="Prioridade" value={form.priority || ""} onChange={setField("priority")} />
+              <input className="p-2 border rounded" placeholder="Status" value={form.status || ""} onChange={setField("status")} />
+              <input className="p-2 border rounded" placeholder="Tags" value={form.tags || ""} onChange={setField("tags")} />
+              <label className="-mb-1 text-xs text-gray-500">Início</label>
+              <label className="-mb-1 text-xs text-gray-500">Prazo</label>
+              <input type="datetime-local" className="p-2 border rounded" value={toDateTimeInput(form.start_at)} onChange={setField("start_at")} />
+              <input type="datetime-local" className="p-2 border rounded" value={toDateTimeInput(form.end_at)} onChange={setField("end_at")} />
+              <label className="col-span-2 -mb-1 text-xs text-gray-500">Repetição</label>
+              <div className="col-span-2">
+                <RecurrenceEditor value={form.rrule} start={form.start_at || form.end_at} onChange={(rrule) => setForm((f) => ({ ...f, rrule }))} />
+                {form.rrule && !form.start_at && !form.end_at && <div className="text-xs text-red-600">Defina início ou prazo para a tarefa se repetir.</div>}
+              </div>
+              <label className="-mb-1 text-xs text-gray-500">Horas estimadas</label>
+              <label className="-mb-1 text-xs text-gray-500">Horas realizadas</label>
+              <input type="number" step="0.25" className="p-2 border rounded" value={form.estimated_hours ?? ""} onChange={setField("estimated_hours")} />
+              <input type="number" step="0.25" className="p-2 border rounded disabled:bg-gray-100" disabled title="Calculado a partir dos registros de horas" value={task.actual_hours ?? ""} readOnly />
+              <label className="-mb-1 text-xs text-gray-500">Valor/hora</label>
+              <label className="-mb-1 text-xs text-gray-500">Orçamento</label>
+              <input type="number" step="0.01" className="p-2 border rounded" value={form.rate ?? ""} onChange={setField("rate")} />
+              <input type="number" step="0.01" className="p-2 border rounded" value={form.budget ?? ""} onChange={setField("budget")} />
+              <label className="col-span-2 -mb-1 text-xs text-gray-500">Progresso (%){progress != null && " — calculado pelo checklist"}</label>
+              <input type="number" min="0" max="100" className="col-span-2 p-2 border rounded disabled:bg-gray-100" disabled={progress != null} value={form.progress ?? ""} onChange={setField("progress")} />
+            </fieldset>
+            {canEdit && (
+              <div className="flex justify-end">
+                <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+              </div>
+            )}
+
+            <div>
+              <h3 className="mb-2 font-semibold">Checklist {progress != null && <span className="text-sm text-gray-500">({progress}%)</span>}</h3>
+              {progress != null && (
+                <div className="h-2 mb-2 bg-gray-200 rounded">
+                  <div className="h-2 bg-green-500 rounded" style={{ width: `${progress}%` }} />
+                </div>
+              )}
+              <ul className="space-y-1 text-sm">
+                {checklist.map((item) => (
+                  <li key={item.id} className="flex items-center justify-between">
+                    <label className="flex items-center space-x-2">
+                      <input type="checkbox" checked={!!item.done} disabled={!canEdit} onChange={() => toggleItem(item)} />
+                      <span className={item.done ? "line-through text-gray-400" : ""}>{item.label}</span>
+                    </label>
+                    {canEdit && <button onClick={() => removeItem(item)} className="text-xs text-red-600">Remover</button>}
+                  </li>
+                ))}
+              </ul>
+              {canEdit && (
+                <div className="flex mt-2 space-x-2">
+                  <input className="flex-1 p-2 text-sm border rounded" placeholder="Novo item" value={newItem} onChange={(e) => setNewItem(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addItem()} />
+                  <button onClick={addItem} className="px-3 text-sm text-white bg-green-600 rounded">Adicionar</button>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold">Subtarefas</h3>
+                {canEdit && service?.task_template?.length > 0 && (
+                  <button onClick={applyTemplate} className="text-xs text-blue-600">Adicionar subtarefas de "{service.name}"</button>
+                )}
+              </div>
+              <ul className="space-y-1 text-sm">
+                {subtasks.map((sub) => (
+                  <li key={sub.id} className="flex items-center justify-between">
+                    <label className="flex items-center space-x-2">
+                      <input type="checkbox" checked={sub.status === "concluido"} disabled={!canEdit} onChange={() => toggleSubtask(sub)} />
+                      <span className={sub.status === "concluido" ? "line-through text-gray-400" : ""}>{sub.title}</span>
+                    </label>
+                    <button onClick={() => onOpenTask(sub.id)} className="text-xs text-blue-600">Abrir</button>
+                  </li>
+                ))}
+              </ul>
+              {canEdit && (
+                <div className="flex mt-2 space-x-2">
+                  <input className="flex-1 p-2 text-sm border rounded" placeholder="Nova subtarefa" value={newSubtask} onChange={(e) => setNewSubtask(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addSubtask()} />
+                  <button onClick={addSubtask} className="px-3 text-sm text-white bg-green-600 rounded">Adicionar</button>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <h3 className="mb-2 font-semibold">Comentários</h3>
+              <div className="divide-y">{renderThread(null, 0)}</div>
+              {comments.length === 0 && <div className="mb-2 text-sm text-gray-500">Nenhum comentário</div>}
+              <CommentInput team={lookups.team} placeholder="Escreva um comentário... use @ para mencionar" onSubmit={(body) => addComment(body)} />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/*
+ * Recurrence
+ *
+ * Events and tasks can carry an iCalendar RRULE (FREQ=DAILY|WEEKLY|MONTHLY
+ * with INTERVAL, BYDAY, BYMONTHDAY, BYSETPOS, UNTIL and COUNT).  A
+ * recurring event is stored once and expanded into occurrences when the
+ * Agenda renders; an edited occurrence is saved as its own row pointing
+ * back at the series through `recurrence_id`/`recurrence_date`, which hides
+ * the generated occurrence it replaces.  Recurring tasks are not expanded:
+ * the next instance is created when the current one is completed.
+ */
+const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const RRULE_WEEKDAY_LABELS = { MO: "Seg", TU: "Ter", WE: "Qua", TH: "Qui", FR: "Sex", SA: "Sáb", SU: "Dom" };
+const RRULE_WEEKDAY_NAMES = { MO: "segunda", TU: "terça", WE: "quarta", TH: "quinta", FR: "sexta", SA: "sábado", SU: "domingo" };
+const RRULE_FREQUENCIES = { DAILY: "Diária", WEEKLY: "Semanal", MONTHLY: "Mensal" };
+const RRULE_POSITIONS = { 1: "primeira", 2: "segunda", 3: "terceira", 4: "quarta", "-1": "última" };
+const MAX_OCCURRENCES = 1000;
+
+// Parses DATE or DATE-TIME values ("20240131", "20240131T090000Z").
+function parseICalDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || "").trim());
+  if (!m) return null;
+  const [year, month, day, hour, minute, second] = m.slice(1, 7).map((part) => Number(part || 0));
+  return m[7] ? new Date(Date.UTC(year, month - 1, day, hour, minute, second)) : new Date(year, month - 1, day, hour, minute, second);
+}
+
+function formatICalDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function parseRRule(value) {
+  if (!value) return null;
+  const rule = { freq: null, interval: 1, byday: [], bymonthday: [], until: null, count: null };
+  let setpos = null;
+  value
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .forEach((part) => {
+      const [key, raw = ""] = part.split("=");
+      switch (key.trim().toUpperCase()) {
+        case "FREQ":
+          rule.freq = raw.toUpperCase();
+          break;
+        case "INTERVAL":
+          rule.interval = Math.max(1, Number(raw) || 1);
+          break;
+        case "BYDAY":
+          rule.byday = raw.toUpperCase().split(",").filter(Boolean);
+          break;
+        case "BYMONTHDAY":
+          rule.bymonthday = raw.split(",").map(Number).filter(Boolean);
+          break;
+        case "BYSETPOS":
+          setpos = Number(raw) || null;
+          break;
+        case "UNTIL": {
+          rule.until = parseICalDate(raw);
+          // A bare date includes the whole day.
+          if (rule.until && !raw.includes("T")) rule.until.setHours(23, 59, 59);
+          break;
+        }
+        case "COUNT":
+          rule.count = Number(raw) || null;
+          break;
+        default:
+          break;
+      }
+    });
+  if (setpos && rule.byday.length === 1 && /^[A-Z]{2}$/.test(rule.byday[0])) rule.byday = [`${setpos}${rule.byday[0]}`];
+  return RRULE_FREQUENCIES[rule.freq] ? rule : null;
+}
+
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byday?.length) parts.push(`BYDAY=${rule.byday.join(",")}`);
+  if (rule.bymonthday?.length) parts.push(`BYMONTHDAY=${rule.bymonthday.join(",")}`);
+  if (rule.until) parts.push(`UNTIL=${formatICalDate(rule.until)}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(";");
+}
+
+function monthlyDays(rule, dtstart, year, month) {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const days = [];
+  if (rule.byday.length) {
+    rule.byday.forEach((code) => {
+      const m = /^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/.exec(code);
+      if (!m) return;
+      const weekday = RRULE_WEEKDAYS.indexOf(m[2]);
+      const matches = [];
+      for (let day = 1; day <= daysInMonth; day += 1) {
+        if (new Date(year, month, day).getDay() === weekday) matches.push(day);
+      }
+      const position = Number(m[1] || 0);
+      if (!position) {
+        days.push(...matches);
+      } else {
+        const day = matches[position > 0 ? position - 1 : matches.length + position];
+        if (day) days.push(day);
+      }
+    });
+  } else {
+    (rule.bymonthday.length ? rule.bymonthday : [dtstart.getDate()]).forEach((day) => {
+      const resolved = day < 0 ? daysInMonth + day + 1 : day;
+      if (resolved >= 1 && resolved <= daysInMonth) days.push(resolved);
+    });
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Number of whole periods (days, weeks or months, a multiple of the rule's
+// interval) that end before `from`, so a walk can skip them.  A rule with
+// COUNT is always walked from the start, since earlier occurrences count.
+function periodsBefore(rule, start, from) {
+  if (!from || rule.count || from <= start) return 0;
+  let periods;
+  if (rule.freq === "DAILY") periods = Math.floor((from - start) / 86400000) - 1;
+  else if (rule.freq === "WEEKLY") periods = Math.floor((from - startOfWeek(start)) / (7 * 86400000)) - 1;
+  else periods = (from.getFullYear() - start.getFullYear()) * 12 + from.getMonth() - start.getMonth() - 1;
+  return Math.max(0, Math.floor(periods / rule.interval) * rule.interval);
+}
+
+// Calls visit(date) for every occurrence in order, starting at dtstart (or
+// shortly before `from`, when given), until the rule ends or visit returns
+// false.  At most MAX_OCCURRENCES from `from` on are visited, so distant
+// windows of a long series still get theirs.
+function walkRRule(rule, dtstart, visit, from = null) {
+  const start = new Date(dtstart);
+  const at = (year, month, day) => new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds());
+  const first = periodsBefore(rule, start, from);
+  let emitted = 0;
+  let visited = 0;
+  for (let period = first; period < first + (MAX_OCCURRENCES + (rule.count || 0)) * rule.interval; period += rule.interval) {
+    let candidates;
+    if (rule.freq === "DAILY") {
+      candidates = [at(start.getFullYear(), start.getMonth(), start.getDate() + period)];
+    } else if (rule.freq === "WEEKLY") {
+      const week = startOfWeek(start);
+      const codes = rule.byday.length ? rule.byday : [RRULE_WEEKDAYS[start.getDay()]];
+      candidates = codes
+        .map((code) => (RRULE_WEEKDAYS.indexOf(code.slice(-2)) + 6) % 7)
+        .sort((a, b) => a - b)
+        .map((offset) => at(week.getFullYear(), week.getMonth(), week.getDate() + period * 7 + offset));
+    } else {
+      const month = new Date(start.getFullYear(), start.getMonth() + period, 1);
+      candidates = monthlyDays(rule, start, month.getFullYear(), month.getMonth()).map((day) => at(month.getFullYear(), month.getMonth(), day));
+    }
+    for (const date of candidates) {
+      if (date < start) continue;
+      if (rule.until && date > rule.until) return;
+      if (rule.count && emitted >= rule.count) return;
+      emitted += 1;
+      if (!from || date >= from) visited += 1;
+      if (visit(date) === false || visited >= MAX_OCCURRENCES) return;
+    }
+  }
+}
+
+function occurrencesBetween(rule, dtstart, from, to) {
+  const dates = [];
+  walkRRule(rule, dtstart, (date) => {
+    if (date >= to) return false;
+    if (date >= from) dates.push(date);
+    return true;
+  }, from);
+  return dates;
+}
+
+function nextOccurrence(rule, dtstart, after) {
+  let next = null;
+  walkRRule(rule, dtstart, (date) => {
+    if (date <= after) return true;
+    next = date;
+    return false;
+  }, after);
+  return next;
+}
+
+function describeRRule(value) {
+  const rule = parseRRule(value);
+  if (!rule) return "";
+  const every = { DAILY: ["Diariamente", "dias"], WEEKLY: ["Semanalmente", "semanas"], MONTHLY: ["Mensalmente", "meses"] }[rule.freq];
+  let text = rule.interval > 1 ? `A cada ${rule.interval} ${every[1]}` : every[0];
+  if (rule.freq === "WEEKLY" && rule.byday.length) {
+    text += ` (${rule.byday.map((code) => RRULE_WEEKDAY_LABELS[code.slice(-2)]).join(", ")})`;
+  }
+  if (rule.freq === "MONTHLY") {
+    const m = /^([+-]?\d)(MO|TU|WE|TH|FR|SA|SU)$/.exec(rule.byday[0] || "");
+    if (m) text += `, na ${RRULE_POSITIONS[Number(m[1])] || `${m[1]}ª`} ${RRULE_WEEKDAY_NAMES[m[2]]}`;
+    else if (rule.bymonthday.length) text += `, no dia ${rule.bymonthday.join(", ")}`;
+  }
+  if (rule.until) text += `, até ${rule.until.toLocaleDateString("pt-BR")}`;
+  else if (rule.count) text += `, ${rule.count} vezes`;
+  return text;
+}
+
+// Turns recurring events into their occurrences within [from, to).
+// Occurrences get a synthetic id plus `series_id` and `occurrence_date`;
+// occurrences replaced by an edited row are skipped.
+function expandRecurringEvents(events, from, to) {
+  const replaced = new Set(events.filter((ev) => ev.recurrence_id && ev.recurrence_date).map((ev) => `${ev.recurrence_id}|${new Date(ev.recurrence_date).getTime()}`));
+  return events.flatMap((ev) => {
+    const rule = parseRRule(ev.rrule);
+    if (!rule || !ev.start_at) return [ev];
+    const start = new Date(ev.start_at);
+    const duration = ev.end_at ? new Date(ev.end_at) - start : 0;
+    return occurrencesBetween(rule, start, new Date(from.getTime() - duration), to)
+      .filter((date) => !replaced.has(`${ev.id}|${date.getTime()}`))
+      .map((date) => ({
+        ...ev,
+        id: `${ev.id}_${date.getTime()}`,
+        series_id: ev.id,
+        occurrence_date: date.toISOString(),
+        start_at: date.toISOString(),
+        end_at: ev.end_at ? new Date(date.getTime() + duration).toISOString() : null,
+      }));
+  });
+}
+
+// Creates the next instance of a recurring task that was just completed.
+// The series moves to the new row: the completed task drops its rule and
+// a COUNT limit is decremented, so completing it again spawns nothing.
+async function spawnNextTaskOccurrence(task) {
+  const rule = parseRRule(task.rrule);
+  const anchor = task.start_at || task.end_at;
+  if (task.status !== "concluido" || !rule || !anchor) return null;
+  if (rule.count === 1) {
+    await supabase.from("tasks").update({ rrule: null }).eq("id", task.id);
+    return null;
+  }
+  const next = nextOccurrence(rule, new Date(anchor), new Date(anchor));
+  if (!next) {
+    await supabase.from("tasks").update({ rrule: null }).eq("id", task.id);
+    return null;
+  }
+  const shift = (value) => (value ? new Date(new Date(value).getTime() + (next - new Date(anchor))).toISOString() : null);
+  const { data, error } = await supabase
+    .from("tasks")
+    .insert([
+      {
+        title: task.title,
+        description: task.description,
+        client_id: task.client_id,
+        user_id: task.user_id,
+        service_id: task.service_id,
+        priority: task.priority,
+        tags: task.tags,
+        estimated_hours: task.estimated_hours,
+        rate: task.rate,
+        budget: task.budget,
+        parent_id: task.parent_id,
+        status: "pendente",
+        start_at: shift(task.start_at),
+        end_at: shift(task.end_at),
+        rrule: formatRRule({ ...rule, count: rule.count ? rule.count - 1 : null }),
+      },
+    ])
+    .select();
+  if (error) return null;
+  await supabase.from("tasks").update({ rrule: null }).eq("id", task.id);
+  // Carry the checklist over, unticked.
+  const { data: items } = await supabase.from("task_checklist_items").select("label, position").eq("task_id", task.id);
+  if (items?.length) {
+    await supabase.from("task_checklist_items").insert(items.map((item) => ({ ...item, task_id: data[0].id, done: false })));
+  }
+  return data[0];
+}
+
+function RecurrenceEditor({ value, start, onChange }) {
+  const rule = parseRRule(value);
+  const anchor = start ? new Date(start) : new Date();
+  const weekday = RRULE_WEEKDAYS[anchor.getDay()];
+  const lastWeek = anchor.getDate() + 7 > new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0).getDate();
+  const position = lastWeek && anchor.getDate() > 28 ? -1 : Math.ceil(anchor.getDate() / 7);
+  const update = (changes) => onChange(formatRRule({ ...rule, ...changes }));
+  const setFrequency = (freq) => {
+    if (!freq) onChange("");
+    else onChange(formatRRule({ freq, interval: 1, byday: freq === "WEEKLY" ? [weekday] : [], bymonthday: [], until: rule?.until, count: rule?.count }));
+  };
+  const toggleWeekday = (code) => {
+    const byday = rule.byday.includes(code) ? rule.byday.filter((c) => c !== code) : [...rule.byday, code];
+    update({ byday: byday.length ? byday : [weekday] });
+  };
+  const endMode = rule?.until ? "until" : rule?.count ? "count" : "never";
+  const setEndMode = (mode) => {
+    if (mode === "until") update({ until: addDays(anchor, 30), count: null });
+    else if (mode === "count") update({ until: null, count: 10 });
+    else update({ until: null, count: null });
+  };
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center space-x-2">
+        <select value={rule?.freq || ""} onChange={(e) => setFrequency(e.target.value)} className="p-2 border rounded">
+          <option value="">Não se repete</option>
+          {Object.entries(RRULE_FREQUENCIES).map(([freq, label]) => (
+            <option key={freq} value={freq}>{label}</option>
+          ))}
+        </select>
+        {rule && (
+          <>
+            <span>a cada</span>
+            <input type="number" min="1" value={rule.interval} onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })} className="w-16 p-2 border rounded" />
+          </>
+        )}
+      </div>
+      {rule?.freq === "WEEKLY" && (
+        <div className="flex flex-wrap gap-1">
+          {["MO", "TU", "WE", "TH", "FR", "SA", "SU"].map((code) => (
+            <button
+              key={code}
+              type="button"
+              onClick={() => toggleWeekday(code)}
+              className={`px-2 py-1 rounded border ${rule.byday.includes(code) ? "bg-blue-600 text-white" : "bg-white"}`}
+            >
+              {RRULE_WEEKDAY_LABELS[code]}
+            </button>
+          ))}
+        </div>
+      )}
+      {rule?.freq === "MONTHLY" && (
+        <select
+          value={rule.byday.length ? "position" : "day"}
+          onChange={(e) => update(e.target.value === "position" ? { byday: [`${position}${weekday}`], bymonthday: [] } : { byday: [], bymonthday: [] })}
+          className="w-full p-2 border rounded"
+        >
+          <option value="day">No dia {anchor.getDate()}</option>
+          <option value="position">Na {RRULE_POSITIONS[position]} {RRULE_WEEKDAY_NAMES[weekday]}</option>
+        </select>
+      )}
+      {rule && (
+        <div className="flex items-center space-x-2">
+          <select value={endMode} onChange={(e) => setEndMode(e.target.value)} className="p-2 border rounded">
+            <option value="never">Sem fim</option>
+            <option value="until">Até</option>
+            <option value="count">Após</option>
+          </select>
+          {endMode === "until" && (
+            <input
+              type="date"
+              value={dateKey(rule.until)}
+              onChange={(e) => e.target.value && update({ until: new Date(`${e.target.value}T23:59:59`), count: null })}
+              className="p-2 border rounded"
+            />
+          )}
+          {endMode === "count" && (
+            <>
+              <input type="number" min="1" value={rule.count} onChange={(e) => update({ count: Math.max(1, Number(e.target.value) || 1), until: null })} className="w-16 p-2 border rounded" />
+              <span>ocorrências</span>
+            </>
+          )}
+        </div>
+      )}
+      {rule && <div className="text-xs text-gray-500">{describeRRule(value)}</div>}
+    </div>
+  );
+}
+
+/*
+ * iCalendar
+ *
+ * Export of events and dated tasks as .ics (for the whole team, one member
+ * or one client), import of .ics files into `events` and subscribable feeds.
+ * Events keep the UID they were imported with; events created here get
+ * `<id>@controle-diario`, so re-importing our own export is detected as a
+ * duplicate too.  Feeds are served by the `ics_feed` SQL function shipped
+ * with the migration and addressed by the random token of a
+ * `calendar_feeds` row; deleting the row revokes the link.
+ */
+const ICS_UID_DOMAIN = "controle-diario";
+const ICS_SCOPES = { team: "Equipe inteira", user: "Membro", client: "Cliente" };
+
+function eventUid(event) {
+  return event.uid || `${event.id}@${ICS_UID_DOMAIN}`;
+}
+
+function icsEscape(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+}
+
+function icsUnescape(text) {
+  return String(text || "").replace(/\\([nN\\,;])/g, (_, ch) => (ch.toLowerCase() === "n" ? "\n" : ch));
+}
+
+// Lines longer than 75 characters continue on the next line after a space.
+function icsFold(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) parts.push((i ? " " : "") + line.slice(i, i + 74));
+  return parts.join("\r\n");
+}
+
+function buildICS({ name, events = [], tasks = [] }) {
+  const seriesUid = Object.fromEntries(events.map((ev) => [ev.id, eventUid(ev)]));
+  const trashed = new Set(events.filter((ev) => ev.deleted_at).map((ev) => ev.id));
+  // Trashed overrides are occurrences deleted from their series.
+  const exdates = {};
+  events.forEach((ev) => {
+    if (ev.deleted_at && ev.recurrence_id && ev.recurrence_date) (exdates[ev.recurrence_id] = exdates[ev.recurrence_id] || []).push(formatICalDate(ev.recurrence_date));
+  });
+  const stamp = formatICalDate(new Date());
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:-//${ICS_UID_DOMAIN}//Agenda//PT-BR`, "CALSCALE:GREGORIAN", `X-WR-CALNAME:${icsEscape(name)}`];
+  events.forEach((ev) => {
+    if (!ev.start_at || ev.deleted_at || trashed.has(ev.recurrence_id)) return;
+    lines.push("BEGIN:VEVENT", `UID:${ev.recurrence_id ? seriesUid[ev.recurrence_id] || `${ev.recurrence_id}@${ICS_UID_DOMAIN}` : eventUid(ev)}`, `DTSTAMP:${stamp}`);
+    lines.push(`DTSTART:${formatICalDate(ev.start_at)}`, `DTEND:${formatICalDate(ev.end_at || ev.start_at)}`, `SUMMARY:${icsEscape(ev.title)}`);
+    if (ev.rrule) lines.push(`RRULE:${ev.rrule}`);
+    if (ev.rrule && exdates[ev.id]) lines.push(`EXDATE:${exdates[ev.id].join(",")}`);
+    if (ev.recurrence_id && ev.recurrence_date) lines.push(`RECURRENCE-ID:${formatICalDate(ev.recurrence_date)}`);
+    lines.push("END:VEVENT");
+  });
+  tasks.forEach((task) => {
+    const start = task.start_at || task.end_at;
+    if (!start) return;
+    lines.push("BEGIN:VEVENT", `UID:task-${task.id}@${ICS_UID_DOMAIN}`, `DTSTAMP:${stamp}`);
+    lines.push(`DTSTART:${formatICalDate(start)}`, `DTEND:${formatICalDate(task.end_at || start)}`, `SUMMARY:${icsEscape(`Tarefa: ${task.title}`)}`);
+    if (task.description) lines.push(`DESCRIPTION:${icsEscape(task.description)}`);
+    if (task.rrule) lines.push(`RRULE:${task.rrule}`);
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return `${lines.map(icsFold).join("\r\n")}\r\n`;
+}
+
+// "PT1H30M", "P1D", "P1W" -> milliseconds.
+function parseICalDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || "");
+  if (!m) return null;
+  const [weeks, days, hours, minutes, seconds] = m.slice(2).map((part) => Number(part || 0));
+  const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return m[1] === "-" ? -ms : ms;
+}
+
+// Parses the VEVENTs of a calendar file.  Times with a TZID are read as
+// local time; all-day events span whole days.
+function parseICS(text) {
+  const lines = String(text || "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  const events = [];
+  let current = null;
+  lines.forEach((line) => {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      return;
+    }
+    if (line === "END:VEVENT") {
+      if (current) events.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+    const [name, ...params] = line.slice(0, separator).split(";");
+    current[name.toUpperCase()] = { value: line.slice(separator + 1), params: params.join(";").toUpperCase() };
+  });
+  return events
+    .map((raw) => {
+      const start = parseICalDate(raw.DTSTART?.value);
+      if (!start) return null;
+      let end = parseICalDate(raw.DTEND?.value);
+      const duration = parseICalDuration(raw.DURATION?.value);
+      if (!end && duration != null) end = new Date(start.getTime() + duration);
+      if (!end) end = raw.DTSTART.params.includes("VALUE=DATE") ? addDays(start, 1) : start;
+      const recurrence = parseICalDate(raw["RECURRENCE-ID"]?.value);
+      return {
+        uid: raw.UID?.value || null,
+        title: icsUnescape(raw.SUMMARY?.value) || "(sem título)",
+        start_at: start.toISOString(),
+        end_at: end.toISOString(),
+        rrule: raw.RRULE?.value && parseRRule(raw.RRULE.value) ? raw.RRULE.value : null,
+        recurrence_date: recurrence ? recurrence.toISOString() : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+function icsFeedUrl(token) {
+  return `${supabaseUrl}/rest/v1/rpc/ics_feed?token=${token}&apikey=${supabaseAnonKey}`;
+}
+
+function IcsDialog({ clients, members, onImported, onClose }) {
+  const { profile } = React.useContext(AuthContext);
+  const canImport = can(profile, "events.edit");
+  const [scope, setScope] = useState("team");
+  const [target, setTarget] = useState("");
+  // A feed serves every row of its scope without RLS, so members may only
+  // publish their own agenda.
+  const canPublish = can(profile, "calendar.share") || (canImport && scope === "user" && !!target && target === profile?.id);
+  const [includeTasks, setIncludeTasks] = useState(true);
+  const [feeds, setFeeds] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [message, setMessage] = useState("");
+  useEffect(() => {
+    supabase
+      .from("calendar_feeds")
+      .select("*")
+      .order("created_at")
+      .then(({ data }) => setFeeds(data || []));
   }, []);
-  const saveClient = async () => {
-    const { data, error } = await supabase.from("clients").insert([{
-      name: form.name,
-      email: form.email,
-      phone: form.phone,
-      company: form.company,
-      status: form.status,
-      stage: form.stage,
-      tags: form.tags,
-      notes: form.notes,
-    }]);
-    if (!error) setClients((prev) => [...prev, ...data]);
-    setModalOpen(false);
+  const scopeField = scope === "user" ? "user_id" : scope === "client" ? "client_id" : null;
+  const scopeLabel = (feed) => {
+    if (feed.scope === "user") return members.find((m) => m.profile_id === feed.user_id)?.name || "Membro";
+    if (feed.scope === "client") return clients.find((c) => c.id === feed.client_id)?.name || "Cliente";
+    return ICS_SCOPES.team;
+  };
+  const exportCalendar = async () => {
+    if (scopeField && !target) return;
+    let eventsQuery = supabase.from("events").select("*");
+    let tasksQuery = supabase.from("tasks").select("id, title, description, start_at, end_at, rrule");
+    if (scopeField) {
+      eventsQuery = eventsQuery.eq(scopeField, target);
+      tasksQuery = tasksQuery.eq(scopeField, target);
+    }
+    const [{ data: events }, { data: tasks }] = await Promise.all([eventsQuery, includeTasks ? tasksQuery : Promise.resolve({ data: [] })]);
+    const name = scopeField ? scopeLabel({ scope, user_id: target, client_id: target }) : ICS_SCOPES.team;
+    downloadFile(buildICS({ name: `Agenda - ${name}`, events: events || [], tasks: tasks || [] }), exportFilename("agenda", "ics"), "text/calendar;charset=utf-8");
+  };
+  const readFile = async (file) => {
+    if (!file) return;
+    const parsed = parseICS(await file.text());
+    const { data: existing } = await supabase.from("events").select("id, uid, recurrence_id, recurrence_date");
+    const uidById = Object.fromEntries((existing || []).map((ev) => [ev.id, eventUid(ev)]));
+    // Series are keyed by UID, modified occurrences by UID plus RECURRENCE-ID.
+    const known = new Set(
+      (existing || []).map((ev) => (ev.recurrence_id ? `${uidById[ev.recurrence_id]}|${new Date(ev.recurrence_date).getTime()}` : `${eventUid(ev)}|`))
+    );
+    setPreview(
+      parsed.map((ev) => {
+        const key = `${ev.uid}|${ev.recurrence_date ? new Date(ev.recurrence_date).getTime() : ""}`;
+        const duplicate = !!ev.uid && known.has(key);
+        known.add(key);
+        return { ...ev, duplicate };
+      })
+    );
+    setMessage("");
+  };
+  const importEvents = async () => {
+    const series = preview.filter((ev) => !ev.duplicate && !ev.recurrence_date);
+    const owner = scope === "user" ? target || null : null;
+    const client = scope === "client" ? target || null : null;
+    const { data, error } = await supabase
+      .from("events")
+      .insert(series.map(({ duplicate, recurrence_date, ...ev }) => ({ ...ev, user_id: owner, client_id: client })))
+      .select();
+    if (error) {
+      setMessage(`Erro ao importar: ${error.message}`);
+      return;
+    }
+    // Modified occurrences are attached to their series by UID.
+    const { data: all } = await supabase.from("events").select("id, uid");
+    const byUid = Object.fromEntries((all || []).map((ev) => [eventUid(ev), ev.id]));
+    const overrides = preview
+      .filter((ev) => ev.recurrence_date && !ev.duplicate && byUid[ev.uid])
+      .map(({ duplicate, uid, rrule, ...ev }) => ({ ...ev, rrule: null, recurrence_id: byUid[uid], user_id: owner, client_id: client }));
+    let imported = data || [];
+    let overridesError = null;
+    if (overrides.length) {
+      const { data: inserted, error: insertError } = await supabase.from("events").insert(overrides).select();
+      overridesError = insertError;
+      imported = [...imported, ...(inserted || [])];
+    }
+    onImported(imported);
+    const summary = `${imported.length} eventos importados, ${preview.filter((ev) => ev.duplicate).length} duplicados ignorados.`;
+    // The series are in already; importing the file again skips them as duplicates and retries the occurrences.
+    setMessage(overridesError ? `${summary} Erro ao importar ${overrides.length} ocorrências alteradas: ${overridesError.message}` : summary);
+    setPreview(null);
+  };
+  const createFeed = async () => {
+    if (scopeField && !target) return;
+    const { data, error } = await supabase
+      .from("calendar_feeds")
+      .insert([{ scope, user_id: scope === "user" ? target : null, client_id: scope === "client" ? target : null, include_tasks: includeTasks, created_by: profile?.id || null }])
+      .select();
+    if (error) setMessage(`Erro ao criar link: ${error.message}`);
+    else setFeeds((prev) => [...prev, ...data]);
+  };
+  const revokeFeed = async (feed) => {
+    const { error } = await supabase.from("calendar_feeds").delete().eq("id", feed.id);
+    if (!error) setFeeds((prev) => prev.filter((f) => f.id !== feed.id));
+  };
+  const copyFeed = (feed) => {
+    navigator.clipboard?.writeText(icsFeedUrl(feed.token));
+    setMessage("Link copiado.");
   };
   return (
-    <Layout>
-      <div className="p-6 space-y-4">
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-2xl p-6 space-y-4 overflow-y-auto bg-white rounded shadow-lg" style={{ maxHeight: "90vh" }}>
         <div className="flex items-center justify-between">
-          <h1 className="text-2xl font-bold">Clientes</h1>
-          <button onClick={() => { setForm({ name: "", email: "", phone: "", company: "", status: "", stage: "", tags: "", notes: "" }); setModalOpen(true); }} className="px-3 py-2 text-white bg-green-600 rounded">Novo Cliente</button>
+          <h2 className="text-lg font-semibold">iCalendar</h2>
+          <button onClick={onClose} className="px-2 text-gray-500">✕</button>
         </div>
-        <table className="w-full text-sm border">
-          <thead>
-            <tr className="bg-gray-100">
-              <th className="px-2 py-1 border">Nome</th>
-              <th className="px-2 py-1 border">Email</th>
-              <th className="px-2 py-1 border">Telefone</th>
-              <th className="px-2 py-1 border">Empresa</th>
-              <th className="px-2 py-1 border">Status</th>
-              <th className="px-2 py-1 border">Etapa</th>
-              <th className="px-2 py-1 border">Tags</th>
-            </tr>
-          </thead>
-          <tbody>
-            {clients.map((c) => (
-              <tr key={c.id} className="border-t">
-                <td className="px-2 py-1 border">{c.name}</td>
-                <td className="px-2 py-1 border">{c.email}</td>
-                <td className="px-2 py-1 border">{c.phone}</td>
-                <td className="px-2 py-1 border">{c.company}</td>
-                <td className="px-2 py-1 border">{c.status}</td>
-                <td className="px-2 py-1 border">{c.stage}</td>
-                <td className="px-2 py-1 border">{c.tags}</td>
-              </tr>
+        {message && <div className="text-sm text-gray-700">{message}</div>}
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select value={scope} onChange={(e) => { setScope(e.target.value); setTarget(""); }} className="p-2 border rounded">
+            {Object.entries(ICS_SCOPES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
             ))}
-            {clients.length === 0 && (
-              <tr>
-                <td colSpan={7} className="p-4 text-center text-gray-500">Nenhum cliente cadastrado</td>
-              </tr>
-            )}
-          </tbody>
-        </table>
-        {modalOpen && (
-          <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50">
-            <div className="p-6 bg-white rounded shadow-lg w-96">
-              <h2 className="mb-4 text-lg font-semibold">Novo Cliente</h2>
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Nome" value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} />
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Email" value={form.email} onChange={(e) => setForm((f) => ({ ...f, email: e.target.value }))} />
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Telefone" value={form.phone} onChange={(e) => setForm((f) => ({ ...f, phone: e.target.value }))} />
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Empresa" value={form.company} onChange={(e) => setForm((f) => ({ ...f, company: e.target.value }))} />
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Status" value={form.status} onChange={(e) => setForm((f) => ({ ...f, status: e.target.value }))} />
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Etapa de Vendas" value={form.stage} onChange={(e) => setForm((f) => ({ ...f, stage: e.target.value }))} />
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Tags" value={form.tags} onChange={(e) => setForm((f) => ({ ...f, tags: e.target.value }))} />
-              <textarea className="w-full p-2 mb-4 border rounded" placeholder="Observações" value={form.notes} onChange={(e) => setForm((f) => ({ ...f, notes: e.target.value }))}></textarea>
-              <div className="flex justify-end space-x-2">
-                <button onClick={() => setModalOpen(false)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
-                <button onClick={saveClient} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+          </select>
+          {scope === "user" && (
+            <select value={target} onChange={(e) => setTarget(e.target.value)} className="p-2 border rounded">
+              <option value="">Selecione o membro</option>
+              {members.map((m) => <option key={m.id} value={m.profile_id}>{m.name}</option>)}
+            </select>
+          )}
+          {scope === "client" && (
+            <select value={target} onChange={(e) => setTarget(e.target.value)} className="p-2 border rounded">
+              <option value="">Selecione o cliente</option>
+              {clients.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          )}
+          <label className="flex items-center space-x-1">
+            <input type="checkbox" checked={includeTasks} onChange={(e) => setIncludeTasks(e.target.checked)} />
+            <span>Incluir tarefas</span>
+          </label>
+        </div>
+        <div>
+          <h3 className="mb-2 font-semibold">Exportar</h3>
+          <button onClick={exportCalendar} className="px-3 py-2 text-white bg-blue-600 rounded">Baixar .ics</button>
+        </div>
+        {canImport && (
+          <div>
+            <h3 className="mb-2 font-semibold">Importar</h3>
+            <p className="mb-2 text-xs text-gray-500">Os eventos importados ficam associados ao membro ou cliente selecionado acima.</p>
+            <input type="file" accept=".ics,text/calendar" onChange={(e) => readFile(e.target.files[0])} className="text-sm" />
+            {preview && (
+              <div className="mt-2 space-y-2">
+                <table className="w-full text-sm border">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="px-2 py-1 border">Título</th>
+                      <th className="px-2 py-1 border">Início</th>
+                      <th className="px-2 py-1 border">Situação</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.map((ev, i) => (
+                      <tr key={i} className={ev.duplicate ? "text-gray-400" : ""}>
+                        <td className="px-2 py-1 border">{ev.rrule && "↻ "}{ev.title}</td>
+                        <td className="px-2 py-1 border">{new Date(ev.start_at).toLocaleString()}</td>
+                        <td className="px-2 py-1 border">{ev.duplicate ? "Duplicado" : ev.recurrence_date ? "Ocorrência alterada" : "Novo"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="flex justify-end space-x-2">
+                  <button onClick={() => setPreview(null)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+                  <button onClick={importEvents} className="px-4 py-2 text-white bg-blue-600 rounded">
+                    Importar {preview.filter((ev) => !ev.duplicate).length} eventos
+                  </button>
+                </div>
               </div>
+            )}
+          </div>
+        )}
+        <div>
+          <h3 className="mb-2 font-semibold">Links de assinatura</h3>
+          <p className="mb-2 text-xs text-gray-500">Somente leitura. Qualquer pessoa com o link vê a agenda; revogue links que não são mais usados.</p>
+          <ul className="space-y-1 text-sm">
+            {feeds.map((feed) => (
+              <li key={feed.id} className="flex items-center justify-between p-2 border rounded">
+                <span>
+                  {scopeLabel(feed)}
+                  {feed.include_tasks && <span className="text-gray-500"> (com tarefas)</span>}
+                </span>
+                <span className="space-x-2">
+                  <button onClick={() => copyFeed(feed)} className="text-blue-600">Copiar link</button>
+                  <button onClick={() => revokeFeed(feed)} className="text-red-600">Revogar</button>
+                </span>
+              </li>
+            ))}
+            {feeds.length === 0 && <li className="text-gray-500">Nenhum link criado</li>}
+          </ul>
+          {canPublish ? (
+            <button onClick={createFeed} className="px-3 py-2 mt-2 text-white bg-green-600 rounded">Criar link para a seleção</button>
+          ) : (
+            <p className="mt-2 text-xs text-gray-500">Você só pode criar links para a sua própria agenda.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/*
+ * Agenda page
+ *
+ * Calendar with month, week and day grids.  Events can be dragged to another
+ * day or time slot and, in the week and day grids, resized from their bottom
+ * edge to change `end_at`.  Tasks with `start_at`/`end_at` can be overlaid on
+ * the calendar, the member filter narrows both events and tasks to one
+ * `user_id`, and overlapping events of the same person are flagged as
+ * conflicts.
+ */
+const AGENDA_VIEWS = { month: "Mês", week: "Semana", day: "Dia" };
+const HOUR_HEIGHT = 48;
+const SNAP_MINUTES = 15;
+const FIRST_VISIBLE_HOUR = 7;
+
+function dateKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function parseDateKey(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function snapMinutes(minutes) {
+  return Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES;
+}
+
+// Start and end of an item in milliseconds, falling back to whichever
+// bound is set so single-dated tasks still land on a day.
+function itemRange(item) {
+  const start = new Date(item.start_at || item.end_at).getTime();
+  const end = new Date(item.end_at || item.start_at).getTime();
+  return { start, end: Math.max(start, end) };
+}
+
+function coversDay(item, day) {
+  const { start, end } = itemRange(item);
+  const dayStart = parseDateKey(dateKey(day)).getTime();
+  const dayEnd = addDays(dayStart, 1).getTime();
+  return start < dayEnd && (end > dayStart || start >= dayStart);
+}
+
+// Ids of events that overlap another event of the same person.
+function findEventConflicts(events) {
+  const conflicts = new Set();
+  const byUser = {};
+  events.forEach((ev) => {
+    if (!ev.user_id || !ev.start_at) return;
+    (byUser[ev.user_id] = byUser[ev.user_id] || []).push(ev);
+  });
+  Object.values(byUser).forEach((list) => {
+    const sorted = [...list].sort((a, b) => itemRange(a).start - itemRange(b).start);
+    let latest = null;
+    sorted.forEach((ev) => {
+      const range = itemRange(ev);
+      if (latest && range.start < latest.end) {
+        conflicts.add(ev.id);
+        conflicts.add(latest.id);
+      }
+      if (!latest || range.end > latest.end) latest = { id: ev.id, end: range.end };
+    });
+  });
+  return conflicts;
+}
+
+// Places the events of one day column side by side: overlapping events
+// share a cluster and each gets its own lane within it.
+function layoutDayEvents(events, day) {
+  const dayStart = parseDateKey(dateKey(day)).getTime();
+  const dayEnd = addDays(dayStart, 1).getTime();
+  const sorted = [...events].sort((a, b) => itemRange(a).start - itemRange(b).start);
+  const placed = [];
+  let cluster = [];
+  let lanes = [];
+  let clusterEnd = 0;
+  const flush = () => {
+    cluster.forEach((p) => {
+      p.lanes = lanes.length;
+    });
+    cluster = [];
+    lanes = [];
+  };
+  sorted.forEach((event) => {
+    const range = itemRange(event);
+    const top = Math.max(range.start, dayStart);
+    const bottom = Math.min(Math.max(range.end, top + SNAP_MINUTES * 60000), dayEnd);
+    if (cluster.length && top >= clusterEnd) flush();
+    let lane = lanes.findIndex((laneEnd) => laneEnd <= top);
+    if (lane === -1) {
+      lane = lanes.length;
+      lanes.push(bottom);
+    } else {
+      lanes[lane] = bottom;
+    }
+    const p = { event, lane, lanes: 1, top: (top - dayStart) / 60000, height: (bottom - top) / 60000 };
+    cluster.push(p);
+    placed.push(p);
+    clusterEnd = Math.max(clusterEnd, bottom);
+  });
+  flush();
+  return placed;
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" });
+}
+
+function AgendaEvent({ event, conflict, style, onOpen, onResizeStart }) {
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({ id: `event:${event.id}`, data: { event } });
+  const dragStyle = {
+    ...style,
+    transform: transform ? `translate3d(${transform.x}px, ${transform.y}px, 0)` : undefined,
+    opacity: isDragging ? 0.6 : 1,
+    zIndex: isDragging ? 20 : undefined,
+  };
+  return (
+    <div
+      ref={setNodeRef}
+      style={dragStyle}
+      {...attributes}
+      {...listeners}
+      onClick={() => onOpen(event)}
+      title={conflict ? "Conflito de horário com outro evento do mesmo membro" : event.title}
+      className={`px-1 text-xs rounded border cursor-pointer overflow-hidden ${conflict ? "bg-red-100 border-red-500 text-red-800" : "bg-blue-100 border-blue-400 text-blue-800"}`}
+    >
+      <div className="font-semibold truncate">{event.series_id && "↻ "}{event.title}</div>
+      <div className="truncate">{formatTime(event.start_at)}{event.end_at ? ` - ${formatTime(event.end_at)}` : ""}</div>
+      {onResizeStart && (
+        <div
+          onPointerDown={(e) => onResizeStart(event, e)}
+          onClick={(e) => e.stopPropagation()}
+          className="absolute bottom-0 left-0 right-0 h-2 cursor-ns-resize"
+        />
+      )}
+    </div>
+  );
+}
+
+function AgendaTaskChip({ task, onOpen }) {
+  return (
+    <button
+      onClick={() => onOpen(task.id)}
+      className="block w-full px-1 text-xs text-left text-yellow-800 truncate bg-yellow-100 border border-yellow-400 rounded"
+      title={task.title}
+    >
+      Tarefa: {task.title}
+    </button>
+  );
+}
+
+function MonthDayCell({ day, inMonth, events, tasks, conflicts, onOpenEvent, onOpenTask, onCreate, onShowDay }) {
+  const key = dateKey(day);
+  const { setNodeRef, isOver } = useDroppable({ id: `month@${key}` });
+  const items = events.length + tasks.length;
+  const isToday = key === dateKey(new Date());
+  return (
+    <div
+      ref={setNodeRef}
+      onDoubleClick={(e) => e.target === e.currentTarget && onCreate(day)}
+      className={`p-1 border space-y-1 ${inMonth ? "bg-white" : "bg-gray-50 text-gray-400"} ${isOver ? "bg-blue-50" : ""}`}
+      style={{ minHeight: "6rem" }}
+    >
+      <button onClick={() => onShowDay(day)} className={`text-xs font-semibold ${isToday ? "text-blue-600" : ""}`}>
+        {day.getDate()}
+      </button>
+      {events.slice(0, 3).map((ev) => (
+        <AgendaEvent key={ev.id} event={ev} conflict={conflicts.has(ev.id)} style={{ position: "relative" }} onOpen={onOpenEvent} />
+      ))}
+      {tasks.slice(0, Math.max(0, 3 - events.length)).map((task) => (
+        <AgendaTaskChip key={task.id} task={task} onOpen={onOpenTask} />
+      ))}
+      {items > 3 && (
+        <button onClick={() => onShowDay(day)} className="text-xs text-gray-500 hover:underline">
+          +{items - 3} mais
+        </button>
+      )}
+    </div>
+  );
+}
+
+function TimeGridColumn({ day, events, conflicts, resizePreview, onOpenEvent, onResizeStart, onCreate }) {
+  const key = dateKey(day);
+  const { setNodeRef, isOver } = useDroppable({ id: `column@${key}` });
+  const placed = layoutDayEvents(events, day);
+  const dayStart = parseDateKey(key).getTime();
+  const handleDoubleClick = (e) => {
+    if (e.target !== e.currentTarget) return;
+    const minutes = snapMinutes((e.nativeEvent.offsetY / HOUR_HEIGHT) * 60);
+    const start = parseDateKey(key);
+    start.setMinutes(minutes);
+    onCreate(start);
+  };
+  return (
+    <div
+      ref={setNodeRef}
+      onDoubleClick={handleDoubleClick}
+      className={`relative flex-1 border-l ${isOver ? "bg-blue-50" : ""}`}
+      style={{ height: HOUR_HEIGHT * 24 }}
+    >
+      {Array.from({ length: 24 }, (_, hour) => (
+        <div key={hour} className="absolute left-0 right-0 border-t border-gray-100 pointer-events-none" style={{ top: hour * HOUR_HEIGHT }} />
+      ))}
+      {placed.map(({ event, lane, lanes, top, height }) => {
+        let visibleHeight = height;
+        if (resizePreview?.id === event.id) {
+          visibleHeight = Math.max(SNAP_MINUTES, Math.min((resizePreview.end - dayStart) / 60000, 24 * 60) - top);
+        }
+        return (
+          <AgendaEvent
+            key={event.id}
+            event={event}
+            conflict={conflicts.has(event.id)}
+            onOpen={onOpenEvent}
+            onResizeStart={onResizeStart}
+            style={{
+              position: "absolute",
+              top: (top / 60) * HOUR_HEIGHT,
+              height: (visibleHeight / 60) * HOUR_HEIGHT,
+              left: `${(lane / lanes) * 100}%`,
+              width: `${100 / lanes}%`,
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+function TimeGrid({ days, events, tasks, conflicts, resizePreview, onOpenEvent, onOpenTask, onResizeStart, onCreate }) {
+  const scrollRef = useRef(null);
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = FIRST_VISIBLE_HOUR * HOUR_HEIGHT;
+  }, [days.length]);
+  const todayKey = dateKey(new Date());
+  return (
+    <div className="border rounded bg-white">
+      <div className="flex border-b">
+        <div className="w-12" />
+        {days.map((day) => (
+          <div key={dateKey(day)} className={`flex-1 p-1 text-xs text-center border-l ${dateKey(day) === todayKey ? "font-bold text-blue-600" : ""}`}>
+            {day.toLocaleDateString("pt-BR", { weekday: "short", day: "2-digit", month: "2-digit" })}
+          </div>
+        ))}
+      </div>
+      {tasks.length > 0 && (
+        <div className="flex border-b">
+          <div className="w-12 p-1 text-xs text-gray-500">Tarefas</div>
+          {days.map((day) => (
+            <div key={dateKey(day)} className="flex-1 p-1 space-y-1 border-l">
+              {tasks.filter((task) => coversDay(task, day)).map((task) => (
+                <AgendaTaskChip key={task.id} task={task} onOpen={onOpenTask} />
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+      <div ref={scrollRef} className="overflow-y-auto" style={{ maxHeight: "65vh" }}>
+        <div className="flex">
+          <div className="w-12">
+            {Array.from({ length: 24 }, (_, hour) => (
+              <div key={hour} className="pr-1 text-xs text-right text-gray-400" style={{ height: HOUR_HEIGHT }}>
+                {String(hour).padStart(2, "0")}:00
+              </div>
+            ))}
+          </div>
+          {days.map((day) => (
+            <TimeGridColumn
+              key={dateKey(day)}
+              day={day}
+              events={events.filter((ev) => coversDay(ev, day))}
+              conflicts={conflicts}
+              resizePreview={resizePreview}
+              onOpenEvent={onOpenEvent}
+              onResizeStart={onResizeStart}
+              onCreate={onCreate}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function emptyEvent(start) {
+  const begin = new Date(start);
+  return { id: null, title: "", start: toDateTimeInput(begin), end: toDateTimeInput(new Date(begin.getTime() + 3600000)), client_id: "", user_id: "", rrule: "", scope: "one", occurrence: null };
+}
+
+// Lists stored events (series and single events, not per-occurrence
+// overrides) with the trash and bulk actions the grids have no room for.
+function EventManagerDialog({ events, actions, onOpen, onClose }) {
+  const [view, setView] = useState("active");
+  const selection = useSelection();
+  const rows = events.filter((ev) => !ev.recurrence_id);
+  const visible = rows.filter((ev) => recordView(ev) === view).sort((a, b) => new Date(b.start_at) - new Date(a.start_at));
+  const selectedRows = visible.filter((ev) => selection.selected.includes(ev.id));
+  return (
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-2xl p-6 space-y-3 bg-white rounded shadow-lg">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Gerenciar eventos</h2>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        <RecordViewTabs
+          rows={rows}
+          view={view}
+          views={{ active: RECORD_VIEWS.active, trash: RECORD_VIEWS.trash }}
+          onChange={(next) => {
+            setView(next);
+            selection.clear();
+          }}
+        />
+        {actions.error && <div className="text-sm text-red-600">{actions.error}</div>}
+        <BulkActionsBar rows={selectedRows} view={view} actions={actions} onClear={selection.clear} />
+        <div className="overflow-y-auto" style={{ maxHeight: "24rem" }}>
+          <table className="w-full text-sm border">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="px-2 py-1 border">
+                  <input type="checkbox" checked={visible.length > 0 && selectedRows.length === visible.length} onChange={() => selection.toggleAll(visible.map((ev) => ev.id))} />
+                </th>
+                <th className="px-2 py-1 border">Título</th>
+                <th className="px-2 py-1 border">Início</th>
+                <th className="px-2 py-1 border"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((ev) => (
+                <tr key={ev.id} className="border-t">
+                  <td className="px-2 py-1 text-center border">
+                    <input type="checkbox" checked={selection.selected.includes(ev.id)} onChange={() => selection.toggle(ev.id)} />
+                  </td>
+                  <td className="px-2 py-1 border">
+                    {view === "active" ? (
+                      <button onClick={() => { onClose(); onOpen(ev); }} className="text-left text-blue-600 hover:underline">{ev.title}</button>
+                    ) : (
+                      ev.title
+                    )}
+                    {ev.rrule && <span className="ml-1 text-gray-500" title={describeRRule(ev.rrule)}>↻</span>}
+                  </td>
+                  <td className="px-2 py-1 border">{ev.start_at ? new Date(ev.start_at).toLocaleString("pt-BR") : "-"}</td>
+                  <td className="px-2 py-1 border">
+                    <RecordActions rows={[ev]} view={view} actions={actions} compact />
+                  </td>
+                </tr>
+              ))}
+              {visible.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="p-4 text-center text-gray-500">{view === "active" ? "Nenhum evento" : "Lixeira vazia"}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function AgendaPage() {
+  const { profile } = React.useContext(AuthContext);
+  const canEdit = can(profile, "events.edit");
+  const canAssign = can(profile, "tasks.assign");
+  const { rows: events, setRows: setEvents, insert: insertEvents } = useTable("events");
+  const { rows: taskRows } = useTable("tasks");
+  const { rows: clients } = useTable("clients");
+  const { rows: team } = useTable("team");
+  const tasks = useMemo(() => taskRows.filter((t) => t.start_at || t.end_at), [taskRows]);
+  // ?date=YYYY-MM-DD (from the command palette) opens that day.
+  const [searchParams] = useSearchParams();
+  const linkedDate = searchParams.get("date");
+  const [view, setView] = useState(linkedDate ? "day" : "week");
+  const [anchor, setAnchor] = useState(() => (linkedDate ? parseDateKey(linkedDate) : new Date()));
+  const [member, setMember] = useState("");
+  useEffect(() => {
+    if (!linkedDate) return;
+    setAnchor(parseDateKey(linkedDate));
+    setView("day");
+  }, [linkedDate]);
+  const [showTasks, setShowTasks] = useState(true);
+  const [resizePreview, setResizePreview] = useState(null);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [icsOpen, setIcsOpen] = useState(false);
+  const [manageOpen, setManageOpen] = useState(false);
+  const [form, setForm] = useState(() => emptyEvent(new Date()));
+  const actions = useRecordActions("events", setEvents, { noun: ["evento", "eventos"], archivable: false });
+  const [error, setError] = useState("");
+  const { pushUndo } = React.useContext(UndoContext);
+  const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 5 } }));
+  const members = team.filter((m) => m.profile_id && isActiveRecord(m));
+  const activeClients = clients.filter(isActiveRecord);
+  const days = useMemo(() => {
+    if (view === "day") return [parseDateKey(dateKey(anchor))];
+    if (view === "week") {
+      const start = startOfWeek(anchor);
+      return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+    }
+    const start = startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+    return Array.from({ length: 42 }, (_, i) => addDays(start, i));
+  }, [view, anchor]);
+  // Trashed overrides stay in the expansion so the occurrence they replace
+  // remains hidden; occurrences of a trashed series carry its deleted_at.
+  const visibleEvents = useMemo(() => {
+    const trashed = new Set(events.filter((ev) => ev.deleted_at).map((ev) => ev.id));
+    return expandRecurringEvents(events, days[0], addDays(days[days.length - 1], 1)).filter(
+      (ev) => ev.start_at && !ev.deleted_at && !trashed.has(ev.recurrence_id) && (!member || ev.user_id === member)
+    );
+  }, [events, days, member]);
+  const visibleTasks = useMemo(() => (showTasks ? tasks.filter((t) => !member || t.user_id === member) : []), [tasks, member, showTasks]);
+  const conflicts = useMemo(() => findEventConflicts(visibleEvents), [visibleEvents]);
+  const title = useMemo(() => {
+    if (view === "month") return anchor.toLocaleDateString("pt-BR", { month: "long", year: "numeric" });
+    if (view === "day") return anchor.toLocaleDateString("pt-BR", { weekday: "long", day: "2-digit", month: "long", year: "numeric" });
+    return `${days[0].toLocaleDateString("pt-BR")} - ${days[6].toLocaleDateString("pt-BR")}`;
+  }, [view, anchor, days]);
+  const shift = (direction) => {
+    setAnchor((current) => {
+      if (view === "month") return new Date(current.getFullYear(), current.getMonth() + direction, 1);
+      return addDays(current, direction * (view === "week" ? 7 : 1));
+    });
+  };
+  const showDay = (day) => {
+    setAnchor(day);
+    setView("day");
+  };
+  // Changing a generated occurrence saves it as a row of its own that
+  // replaces that occurrence in the series.  Returns the saved row, or null
+  // when the change was refused.
+  const updateEvent = async (event, changes) => {
+    if (event.series_id) {
+      const { data, error } = await insertEvents([
+        {
+          title: event.title,
+          start_at: event.start_at,
+          end_at: event.end_at,
+          client_id: event.client_id,
+          user_id: event.user_id,
+          ...changes,
+          rrule: null,
+          recurrence_id: event.series_id,
+          recurrence_date: event.occurrence_date,
+        },
+      ]);
+      if (error) {
+        setError(`Não foi possível salvar a ocorrência: ${error.message}`);
+        return null;
+      }
+      setError("");
+      return data?.[0];
+    }
+    if (await actions.update(event, changes)) return null;
+    setError("");
+    return event;
+  };
+  // "This and following": the series ends before the edited occurrence and
+  // a new series starts from it.  Edited occurrences after the split move
+  // to the new series.  The new series is written first and removed again
+  // if the old one cannot be cut short, so a failure never loses the
+  // occurrences after the split.
+  const updateFollowing = async (occurrence, record) => {
+    const series = events.find((ev) => ev.id === occurrence.series_id);
+    if (!series) return;
+    if (new Date(occurrence.occurrence_date).getTime() === new Date(series.start_at).getTime()) {
+      await updateEvent(series, record);
+      return;
+    }
+    const rule = parseRRule(series.rrule);
+    const splitAt = new Date(occurrence.occurrence_date);
+    const nextRule = parseRRule(record.rrule);
+    if (nextRule && rule.count && record.rrule === series.rrule) {
+      const done = occurrencesBetween(rule, new Date(series.start_at), new Date(series.start_at), splitAt).length;
+      nextRule.count = Math.max(1, rule.count - done);
+    }
+    const { data, error: insertError } = await supabase
+      .from("events")
+      .insert([{ ...record, rrule: nextRule ? formatRRule(nextRule) : null }])
+      .select();
+    if (insertError || !data?.length) {
+      setError(`Não foi possível salvar a série: ${insertError?.message || "nenhum evento criado"}`);
+      return;
+    }
+    const discard = () => supabase.from("events").delete().eq("id", data[0].id);
+    if (!(await updateEvent(series, { rrule: formatRRule({ ...rule, count: null, until: new Date(splitAt.getTime() - 1000) }) }))) {
+      await discard();
+      return;
+    }
+    const { error: moveError } = await supabase.from("events").update({ recurrence_id: data[0].id }).eq("recurrence_id", series.id).gte("recurrence_date", splitAt.toISOString());
+    if (moveError) {
+      await actions.update(series, { rrule: series.rrule });
+      await discard();
+      setError(`Não foi possível mover as ocorrências editadas: ${moveError.message}`);
+      return;
+    }
+    setError("");
+    setEvents((prev) => [
+      ...prev.map((ev) => (ev.recurrence_id === series.id && new Date(ev.recurrence_date) >= splitAt ? { ...ev, recurrence_id: data[0].id } : ev)),
+      ...data,
+    ]);
+  };
+  // Deleting one occurrence stores a trashed override for it; deleting
+  // "this and following" ends the series before the occurrence and trashes
+  // the overrides after it.  Both can be undone from the toast.
+  const deleteEvent = async () => {
+    const { id, scope, occurrence } = form;
+    setModalOpen(false);
+    if (!occurrence) {
+      await actions.remove(events.filter((ev) => ev.id === id));
+      return;
+    }
+    const series = events.find((ev) => ev.id === occurrence.series_id);
+    if (!series) return;
+    const splitAt = new Date(occurrence.occurrence_date);
+    if (scope === "following" && splitAt.getTime() === new Date(series.start_at).getTime()) {
+      await actions.remove([series]);
+      return;
+    }
+    if (scope !== "following") {
+      const tombstone = await updateEvent(occurrence, { deleted_at: new Date().toISOString() });
+      if (!tombstone) return;
+      pushUndo("Ocorrência excluída", async () => {
+        setEvents((prev) => prev.filter((ev) => ev.id !== tombstone.id));
+        await supabase.from("events").delete().eq("id", tombstone.id);
+      });
+      return;
+    }
+    const rule = parseRRule(series.rrule);
+    const later = events.filter((ev) => ev.recurrence_id === series.id && !ev.deleted_at && new Date(ev.recurrence_date) >= splitAt);
+    const now = new Date().toISOString();
+    if (await actions.update(series, { rrule: formatRRule({ ...rule, count: null, until: new Date(splitAt.getTime() - 1000) }) })) return;
+    if (later.length) {
+      setEvents((prev) => prev.map((ev) => (later.some((l) => l.id === ev.id) ? { ...ev, deleted_at: now } : ev)));
+      await supabase.from("events").update({ deleted_at: now }).in("id", later.map((ev) => ev.id));
+    }
+    pushUndo("Ocorrências seguintes excluídas", async () => {
+      setEvents((prev) => prev.map((ev) => (ev.id === series.id ? { ...ev, rrule: series.rrule } : later.some((l) => l.id === ev.id) ? { ...ev, deleted_at: null } : ev)));
+      await supabase.from("events").update({ rrule: series.rrule }).eq("id", series.id);
+      if (later.length) await supabase.from("events").update({ deleted_at: null }).in("id", later.map((ev) => ev.id));
+    });
+  };
+  const handleDragEnd = ({ active, over, delta }) => {
+    const ev = active.data.current?.event;
+    if (!over || !ev) return;
+    const [kind, key] = String(over.id).split("@");
+    const { start, end } = itemRange(ev);
+    const original = new Date(start);
+    const next = parseDateKey(key);
+    if (kind === "month") {
+      next.setHours(original.getHours(), original.getMinutes());
+    } else {
+      const minutes = original.getHours() * 60 + original.getMinutes() + snapMinutes((delta.y / HOUR_HEIGHT) * 60);
+      next.setMinutes(Math.min(Math.max(minutes, 0), 24 * 60 - SNAP_MINUTES));
+    }
+    if (next.getTime() === start) return;
+    updateEvent(ev, {
+      start_at: next.toISOString(),
+      end_at: new Date(next.getTime() + (end - start)).toISOString(),
+    });
+  };
+  // Resizing follows the pointer on window so the drag survives leaving the
+  // event block; the new end is only written once the pointer is released.
+  const startResize = (ev, e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    const originY = e.clientY;
+    const { start, end: originEnd } = itemRange(ev);
+    let end = originEnd;
+    const move = (moveEvent) => {
+      const minutes = snapMinutes(((moveEvent.clientY - originY) / HOUR_HEIGHT) * 60);
+      end = Math.max(originEnd + minutes * 60000, start + SNAP_MINUTES * 60000);
+      setResizePreview({ id: ev.id, end });
+    };
+    const up = () => {
+      window.removeEventListener("pointermove", move);
+      window.removeEventListener("pointerup", up);
+      setResizePreview(null);
+      if (end !== originEnd) updateEvent(ev, { end_at: new Date(end).toISOString() });
+    };
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+  };
+  const openCreate = (start) => {
+    if (!canEdit) return;
+    const begin = new Date(start);
+    if (view === "month") begin.setHours(9, 0, 0, 0);
+    setForm({ ...emptyEvent(begin), user_id: canAssign ? member : profile?.id || "" });
+    setModalOpen(true);
+  };
+  const openEdit = (ev) => {
+    setForm({
+      id: ev.id,
+      title: ev.title || "",
+      start: toDateTimeInput(ev.start_at),
+      end: toDateTimeInput(ev.end_at),
+      client_id: ev.client_id || "",
+      user_id: ev.user_id || "",
+      rrule: ev.rrule || "",
+      scope: "one",
+      occurrence: ev.series_id ? ev : null,
+    });
+    setModalOpen(true);
+  };
+  const saveEvent = async () => {
+    const { id, title: eventTitle, start, end, client_id, user_id, rrule, scope, occurrence } = form;
+    if (!eventTitle.trim() || !start) return;
+    const startAt = new Date(start);
+    const record = {
+      title: eventTitle.trim(),
+      start_at: startAt.toISOString(),
+      end_at: end ? new Date(end).toISOString() : new Date(startAt.getTime() + 3600000).toISOString(),
+      client_id: client_id || null,
+      user_id: user_id || null,
+    };
+    if (occurrence && scope === "following") {
+      await updateFollowing(occurrence, { ...record, rrule: rrule || null });
+    } else if (occurrence) {
+      await updateEvent(occurrence, record);
+    } else if (id) {
+      await updateEvent(events.find((ev) => ev.id === id), { ...record, rrule: rrule || null });
+    } else {
+      await insertEvents([{ ...record, rrule: rrule || null }]);
+    }
+    setModalOpen(false);
+  };
+  const editedOccurrence = form.id && events.find((ev) => ev.id === form.id)?.recurrence_id;
+  const monthEvents = (day) => visibleEvents.filter((ev) => coversDay(ev, day)).sort((a, b) => itemRange(a).start - itemRange(b).start);
+  return (
+    <Layout>
+      <div className="p-6 space-y-4">
+          <h1 className="text-2xl font-bold">Agenda</h1>
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={() => shift(-1)} className="px-3 py-2 bg-gray-200 rounded">‹</button>
+            <button onClick={() => setAnchor(new Date())} className="px-3 py-2 bg-gray-200 rounded">Hoje</button>
+            <button onClick={() => shift(1)} className="px-3 py-2 bg-gray-200 rounded">›</button>
+            <span className="font-semibold capitalize">{title}</span>
+            <div className="flex ml-auto overflow-hidden border rounded">
+              {Object.entries(AGENDA_VIEWS).map(([key, label]) => (
+                <button key={key} onClick={() => setView(key)} className={`px-3 py-2 ${view === key ? "bg-blue-600 text-white" : "bg-white"}`}>
+                  {label}
+                </button>
+              ))}
+            </div>
+            <select value={member} onChange={(e) => setMember(e.target.value)} className="p-2 border rounded">
+              <option value="">Todos os membros</option>
+              {members.map((m) => (
+                <option key={m.id} value={m.profile_id}>{m.name}</option>
+              ))}
+            </select>
+            <label className="flex items-center space-x-1 text-sm">
+              <input type="checkbox" checked={showTasks} onChange={(e) => setShowTasks(e.target.checked)} />
+              <span>Mostrar tarefas</span>
+            </label>
+            {canEdit && <button onClick={() => setManageOpen(true)} className="px-3 py-2 bg-gray-200 rounded">Gerenciar</button>}
+            <button onClick={() => setIcsOpen(true)} className="px-3 py-2 bg-gray-200 rounded">iCalendar</button>
+            {canEdit && <button onClick={() => openCreate(view === "month" ? anchor : new Date())} className="px-3 py-2 text-white bg-green-600 rounded">Novo Evento</button>}
+          </div>
+          {(error || actions.error) && <div className="text-sm text-red-600">{error || actions.error}</div>}
+          {conflicts.size > 0 && (
+            <div className="p-2 text-sm text-red-800 bg-red-100 border border-red-300 rounded">
+              {conflicts.size} eventos com conflito de horário para o mesmo membro.
+            </div>
+          )}
+          <DndContext sensors={canEdit ? sensors : []} collisionDetection={pointerWithin} onDragEnd={handleDragEnd}>
+            {view === "month" ? (
+              <div className="bg-white border rounded">
+                <div className="grid grid-cols-7 text-xs font-semibold text-center text-gray-500">
+                  {["Seg", "Ter", "Qua", "Qui", "Sex", "Sáb", "Dom"].map((label) => (
+                    <div key={label} className="p-1">{label}</div>
+                  ))}
+                </div>
+                <div className="grid grid-cols-7">
+                  {days.map((day) => (
+                    <MonthDayCell
+                      key={dateKey(day)}
+                      day={day}
+                      inMonth={day.getMonth() === anchor.getMonth()}
+                      events={monthEvents(day)}
+                      tasks={visibleTasks.filter((task) => coversDay(task, day))}
+                      conflicts={conflicts}
+                      onOpenEvent={openEdit}
+                      onOpenTask={setOpenTaskId}
+                      onCreate={openCreate}
+                      onShowDay={showDay}
+                    />
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <TimeGrid
+                days={days}
+                events={visibleEvents}
+                tasks={visibleTasks}
+                conflicts={conflicts}
+                resizePreview={resizePreview}
+                onOpenEvent={openEdit}
+                onOpenTask={setOpenTaskId}
+                onResizeStart={canEdit ? startResize : null}
+                onCreate={openCreate}
+              />
+            )}
+          </DndContext>
+          {modalOpen && (
+            <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+              <div className="p-6 bg-white rounded shadow-lg w-96">
+                <h2 className="mb-4 text-lg font-semibold">{!canEdit ? "Evento" : form.id ? "Editar Evento" : "Novo Evento"}</h2>
+                <fieldset disabled={!canEdit}>
+                  <input
+                    type="text"
+                    placeholder="Título"
+                    value={form.title}
+                    onChange={(e) => setForm((f) => ({ ...f, title: e.target.value }))}
+                    className="w-full p-2 mb-2 border rounded"
+                  />
+                  <label className="block mb-1 text-sm">Início</label>
+                  <input
+                    type="datetime-local"
+                    value={form.start}
+                    onChange={(e) => setForm((f) => ({ ...f, start: e.target.value }))}
+                    className="w-full p-2 mb-2 border rounded"
+                  />
+                  <label className="block mb-1 text-sm">Fim</label>
+                  <input
+                    type="datetime-local"
+                    value={form.end}
+                    onChange={(e) => setForm((f) => ({ ...f, end: e.target.value }))}
+                    className="w-full p-2 mb-2 border rounded"
+                  />
+                  <label className="block mb-1 text-sm">Cliente</label>
+                  <select value={form.client_id} onChange={(e) => setForm((f) => ({ ...f, client_id: e.target.value }))} className="w-full p-2 mb-2 border rounded">
+                    <option value="">Sem cliente</option>
+                    {selectableRecords(clients, form.client_id).map((c) => (
+                      <option key={c.id} value={c.id}>{c.name}</option>
+                    ))}
+                  </select>
+                  <label className="block mb-1 text-sm">Responsável</label>
+                  <select value={form.user_id} disabled={!canAssign} onChange={(e) => setForm((f) => ({ ...f, user_id: e.target.value }))} className="w-full p-2 mb-2 border rounded">
+                    <option value="">Sem responsável</option>
+                    {selectableRecords(team.filter((m) => m.profile_id), form.user_id, "profile_id").map((m) => (
+                      <option key={m.id} value={m.profile_id}>{m.name}</option>
+                    ))}
+                  </select>
+                  {form.occurrence && (
+                    <div className="mb-2 space-y-1 text-sm">
+                      <label className="flex items-center space-x-2">
+                        <input type="radio" checked={form.scope === "one"} onChange={() => setForm((f) => ({ ...f, scope: "one" }))} />
+                        <span>Somente esta ocorrência</span>
+                      </label>
+                      <label className="flex items-center space-x-2">
+                        <input type="radio" checked={form.scope === "following"} onChange={() => setForm((f) => ({ ...f, scope: "following" }))} />
+                        <span>Esta e as seguintes</span>
+                      </label>
+                    </div>
+                  )}
+                  {editedOccurrence && <p className="mb-4 text-xs text-gray-500">Ocorrência alterada de um evento recorrente.</p>}
+                  {!editedOccurrence && (!form.occurrence || form.scope === "following") && (
+                    <>
+                      <label className="block mb-1 text-sm">Repetição</label>
+                      <div className="mb-4">
+                        <RecurrenceEditor value={form.rrule} start={form.start} onChange={(rrule) => setForm((f) => ({ ...f, rrule }))} />
+                      </div>
+                    </>
+                  )}
+                </fieldset>
+                <div className="flex justify-end space-x-2">
+                  {canEdit && form.id && <button onClick={deleteEvent} className="px-4 py-2 mr-auto text-white bg-red-600 rounded">Excluir</button>}
+                  <button onClick={() => setModalOpen(false)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">{canEdit ? "Cancelar" : "Fechar"}</button>
+                  {canEdit && <button onClick={saveEvent} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>}
+                </div>
+              </div>
+            </div>
+          )}
+          {icsOpen && (
+            <IcsDialog clients={activeClients} members={members} onImported={(rows) => setEvents((prev) => mergeRows(prev, rows))} onClose={() => setIcsOpen(false)} />
+          )}
+          {manageOpen && <EventManagerDialog events={events} actions={actions} onOpen={openEdit} onClose={() => setManageOpen(false)} />}
+          {openTaskId && <TaskDrawer key={openTaskId} taskId={openTaskId} onClose={() => setOpenTaskId(null)} onOpenTask={setOpenTaskId} />}
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Record lifecycle
+ *
+ * Clients, team members and services can be archived (`archived_at`) or
+ * moved to the trash (`deleted_at`); events only have the trash.  Both are
+ * reversible and hide the record from lists, filters and reports; only
+ * "Excluir definitivamente" removes the row, after a confirmation.  The
+ * last archive/trash/restore can be reverted from the undo toast.
+ */
+const RECORD_VIEWS = { active: "Ativos", archived: "Arquivados", trash: "Lixeira" };
+const UNDO_TIMEOUT_MS = 8000;
+
+function recordView(record) {
+  if (record.deleted_at) return "trash";
+  if (record.archived_at) return "archived";
+  return "active";
+}
+
+function isActiveRecord(record) {
+  return !record.archived_at && !record.deleted_at;
+}
+
+// Options for a select: the active records plus the one currently chosen,
+// so editing a task of an archived client keeps showing that client.
+function selectableRecords(records, current, key = "id") {
+  return records.filter((r) => isActiveRecord(r) || (current && r[key] === current));
+}
+
+// Restricts a query to records that are neither archived nor in the trash.
+function activeRecords(query, { archivable = true } = {}) {
+  const live = query.is("deleted_at", null);
+  return archivable ? live.is("archived_at", null) : live;
+}
+
+function countLabel(count, [singular, plural]) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+const UndoContext = React.createContext({ pushUndo: () => {} });
+
+function UndoProvider({ children }) {
+  const [toast, setToast] = useState(null);
+  const timeout = useRef(null);
+  const pushUndo = useCallback((message, undo) => {
+    clearTimeout(timeout.current);
+    setToast({ message, undo });
+    timeout.current = setTimeout(() => setToast(null), UNDO_TIMEOUT_MS);
+  }, []);
+  useEffect(() => () => clearTimeout(timeout.current), []);
+  const value = useMemo(() => ({ pushUndo }), [pushUndo]);
+  const undo = async () => {
+    const current = toast;
+    clearTimeout(timeout.current);
+    setToast(null);
+    await current.undo();
+  };
+  return (
+    <UndoContext.Provider value={value}>
+      {children}
+      {toast && (
+        <div className="fixed bottom-0 right-0 z-30 flex items-center p-3 m-4 space-x-4 text-sm text-white bg-gray-800 rounded shadow-lg no-print">
+          <span>{toast.message}</span>
+          <button onClick={undo} className="font-semibold text-yellow-300">Desfazer</button>
+          <button onClick={() => setToast(null)} className="text-gray-400">✕</button>
+        </div>
+      )}
+    </UndoContext.Provider>
+  );
+}
+
+/*
+ * Update, archive, trash, restore and purge for the rows of one table, kept
+ * in the page's state through `setRows`.  Changes are applied optimistically
+ * and rolled back when the database refuses them.
+ */
+function useRecordActions(table, setRows, { noun, archivable = true }) {
+  const { pushUndo } = React.useContext(UndoContext);
+  const [error, setError] = useState("");
+  const patch = (ids, valuesFor) => setRows((prev) => prev.map((r) => (ids.includes(r.id) ? { ...r, ...valuesFor(r) } : r)));
+  const update = async (row, values) => {
+    const previous = Object.fromEntries(Object.keys(values).map((key) => [key, row[key] ?? null]));
+    patch([row.id], () => values);
+    const { error } = await offlineUpdate(table, row, values);
+    if (error) {
+      patch([row.id], () => previous);
+      setError(error.message);
+      return error;
+    }
+    setError("");
+    return null;
+  };
+  const setLifecycle = async (rows, values, message) => {
+    if (!rows.length) return;
+    const ids = rows.map((r) => r.id);
+    const previous = Object.fromEntries(rows.map((r) => [r.id, Object.fromEntries(Object.keys(values).map((key) => [key, r[key] ?? null]))]));
+    patch(ids, () => values);
+    const { error } = await offlineUpdate(table, rows, values);
+    if (error) {
+      patch(ids, (r) => previous[r.id]);
+      setError(error.message);
+      return;
+    }
+    setError("");
+    pushUndo(message, async () => {
+      patch(ids, (r) => previous[r.id]);
+      await Promise.all(rows.map((row) => offlineUpdate(table, { ...row, ...values }, previous[row.id])));
+    });
+  };
+  const now = () => new Date().toISOString();
+  return {
+    error,
+    archivable,
+    update,
+    archive: (rows) => setLifecycle(rows, { archived_at: now() }, `${countLabel(rows.length, noun)} arquivado(s)`),
+    remove: (rows) => setLifecycle(rows, { deleted_at: now() }, `${countLabel(rows.length, noun)} na lixeira`),
+    restore: (rows) => setLifecycle(rows, archivable ? { archived_at: null, deleted_at: null } : { deleted_at: null }, `${countLabel(rows.length, noun)} restaurado(s)`),
+    purge: async (rows) => {
+      if (!rows.length || !window.confirm(`Excluir definitivamente ${countLabel(rows.length, noun)}? Esta ação não pode ser desfeita.`)) return;
+      const ids = rows.map((r) => r.id);
+      const { error } = await offlineDelete(table, rows);
+      if (error) {
+        setError(`Não foi possível excluir: ${error.message}`);
+        return;
+      }
+      setError("");
+      setRows((prev) => prev.filter((r) => !ids.includes(r.id)));
+    },
+  };
+}
+
+function useSelection() {
+  const [selected, setSelected] = useState([]);
+  const toggle = (id) => setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  const toggleAll = (ids) => setSelected((prev) => (ids.length && ids.every((id) => prev.includes(id)) ? [] : ids));
+  const clear = () => setSelected([]);
+  return { selected, toggle, toggleAll, clear };
+}
+
+function RecordViewTabs({ rows, view, onChange, views = RECORD_VIEWS }) {
+  return (
+    <div className="flex space-x-4 text-sm border-b">
+      {Object.entries(views).map(([key, label]) => (
+        <button key={key} onClick={() => onChange(key)} className={`pb-2 ${view === key ? "border-b-2 border-blue-600 font-semibold text-blue-600" : "text-gray-500"}`}>
+          {label} ({rows.filter((r) => recordView(r) === key).length})
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Buttons for the records of one view; used for bulk selections and rows.
+function RecordActions({ rows, view, actions, onDone, compact }) {
+  const run = (action) => async () => {
+    await action(rows);
+    if (onDone) onDone();
+  };
+  const button = compact ? "text-xs" : "px-3 py-1 text-sm rounded";
+  return (
+    <span className="space-x-2 whitespace-nowrap">
+      {view === "active" && actions.archivable && <button onClick={run(actions.archive)} className={`${button} ${compact ? "text-gray-600" : "bg-gray-200"}`}>Arquivar</button>}
+      {view !== "active" && <button onClick={run(actions.restore)} className={`${button} ${compact ? "text-blue-600" : "text-white bg-blue-600"}`}>Restaurar</button>}
+      {view !== "trash" && <button onClick={run(actions.remove)} className={`${button} ${compact ? "text-red-600" : "text-white bg-red-600"}`}>Excluir</button>}
+      {view === "trash" && <button onClick={run(actions.purge)} className={`${button} ${compact ? "text-red-600" : "text-white bg-red-700"}`}>Excluir definitivamente</button>}
+    </span>
+  );
+}
+
+function BulkActionsBar({ rows, view, actions, onClear }) {
+  if (!rows.length) return null;
+  return (
+    <div className="flex items-center justify-between p-2 text-sm bg-blue-50 border border-blue-200 rounded">
+      <span>{rows.length} selecionado(s)</span>
+      <span className="space-x-2">
+        <RecordActions rows={rows} view={view} actions={actions} onDone={onClear} />
+        <button onClick={onClear} className="text-gray-600">Limpar seleção</button>
+      </span>
+    </div>
+  );
+}
+
+// Text that turns into an input on click; Enter or leaving the field saves,
+// Escape cancels.
+function InlineEdit({ value, onSave, className = "" }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const cancelled = useRef(false);
+  if (!editing) {
+    return (
+      <span
+        onClick={() => {
+          cancelled.current = false;
+          setDraft(value || "");
+          setEditing(true);
+        }}
+        className={`block cursor-text hover:bg-yellow-50 ${className}`}
+        style={{ minHeight: "1.25rem" }}
+        title="Clique para editar"
+      >
+        {value || <span className="text-gray-300">—</span>}
+      </span>
+    );
+  }
+  const commit = () => {
+    setEditing(false);
+    if (!cancelled.current && draft.trim() !== (value || "")) onSave(draft.trim() || null);
+  };
+  return (
+    <input
+      autoFocus
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.target.blur();
+        if (e.key === "Escape") {
+          cancelled.current = true;
+          e.target.blur();
+        }
+      }}
+      className="w-full p-1 border rounded"
+    />
+  );
+}
+
+/*
+ * Bulk import
+ *
+ * Wizard for loading clients, team members or services from a CSV or XLSX
+ * file: upload, map the file's columns to fields, then preview every row
+ * with its validation errors.  Rows are sent in a single insert, which
+ * PostgREST runs as one statement, so either every row is imported or
+ * none is.  Rows with errors block the import and can be downloaded as an
+ * error report.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const IMPORT_ENTITIES = {
+  clients: {
+    label: "Clientes",
+    table: "clients",
+    unique: "email",
+    fields: [
+      { key: "name", label: "Nome", required: true, aliases: ["nome", "cliente", "name"] },
+      { key: "email", label: "Email", email: true, aliases: ["email", "e-mail"] },
+      { key: "phone", label: "Telefone", aliases: ["telefone", "fone", "celular", "phone", "whatsapp"] },
+      { key: "company", label: "Empresa", aliases: ["empresa", "company", "razao social"] },
+      { key: "status", label: "Status", aliases: ["status", "situacao"] },
+      { key: "stage", label: "Etapa", aliases: ["etapa", "stage", "etapa de vendas"] },
+      { key: "tags", label: "Tags", aliases: ["tags", "etiquetas"] },
+      { key: "notes", label: "Observações", aliases: ["observacoes", "notas", "notes", "obs"] },
+    ],
+  },
+  team: {
+    label: "Equipe",
+    table: "team",
+    unique: "email",
+    fields: [
+      { key: "name", label: "Nome", required: true, aliases: ["nome", "membro", "name"] },
+      { key: "email", label: "Email", email: true, aliases: ["email", "e-mail"] },
+      { key: "role", label: "Cargo", aliases: ["cargo", "funcao", "role"] },
+      { key: "status", label: "Status", aliases: ["status", "situacao"] },
+    ],
+  },
+  services: {
+    label: "Serviços",
+    table: "services",
+    unique: "name",
+    fields: [
+      { key: "name", label: "Nome", required: true, aliases: ["nome", "servico", "name"] },
+      { key: "description", label: "Descrição", aliases: ["descricao", "description"] },
+      { key: "price_model", label: "Cobrança", aliases: ["cobranca", "modelo", "tipo de preco", "price model"] },
+      { key: "rate", label: "Valor", number: true, aliases: ["valor", "preco", "valor hora", "rate", "price"] },
+      { key: "estimated_hours", label: "Horas estimadas", number: true, aliases: ["horas", "duracao", "horas estimadas", "estimated hours"] },
+    ],
+  },
+};
+
+// First sheet of the file as an array of rows.  CSV is read as text so
+// UTF-8 accents survive.
+async function readSpreadsheet(file) {
+  const workbook = /\.csv$/i.test(file.name)
+    ? XLSX.read(await file.text(), { type: "string" })
+    : XLSX.read(await file.arrayBuffer(), { type: "array" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "", raw: false }).filter((row) => row.some((cell) => String(cell).trim()));
+}
+
+function guessMapping(fields, headers) {
+  const normalized = headers.map((h) => normalizeText(String(h)).trim());
+  return Object.fromEntries(
+    fields.map((field) => {
+      const index = normalized.findIndex((h) => field.aliases.includes(h) || h === normalizeText(field.label));
+      return [field.key, index === -1 ? "" : String(index)];
+    })
+  );
+}
+
+// Builds the records to insert and the errors of each row.  `existing`
+// holds the unique values already in the table, `stages` the pipeline
+// stages accepted for clients.stage (by key or label).
+function validateImportRows(entity, rows, mapping, { existing, stages }) {
+  const config = IMPORT_ENTITIES[entity];
+  const seen = new Map();
+  return rows.map((row, i) => {
+    const record = {};
+    const errors = [];
+    config.fields.forEach((field) => {
+      const value = mapping[field.key] === "" ? "" : String(row[Number(mapping[field.key])] ?? "").trim();
+      record[field.key] = value || null;
+      if (field.required && !value) errors.push(`${field.label} obrigatório`);
+      if (field.email && value && !EMAIL_PATTERN.test(value)) errors.push(`Email inválido: ${value}`);
+      if (field.number && value) {
+        record[field.key] = parseDecimal(value);
+        if (Number.isNaN(record[field.key])) errors.push(`${field.label} não é um número: ${value}`);
+      }
+    });
+    if (entity === "clients" && record.stage) {
+      const stage = stages.find((s) => s.key === record.stage || normalizeText(s.label) === normalizeText(record.stage));
+      if (stage) record.stage = stage.key;
+      else errors.push(`Etapa desconhecida: ${record.stage}`);
+    }
+    if (entity === "team") record.status = record.status && normalizeText(record.status).startsWith("inativ") ? "inativo" : "ativo";
+    if (entity === "services") record.price_model = record.price_model && normalizeText(record.price_model).includes("fix") ? "fixed" : "hourly";
+    const uniqueValue = record[config.unique] ? normalizeText(record[config.unique]).trim() : "";
+    if (uniqueValue) {
+      const label = config.fields.find((f) => f.key === config.unique).label;
+      if (existing.has(uniqueValue)) errors.push(`${label} já cadastrado: ${record[config.unique]}`);
+      else if (seen.has(uniqueValue)) errors.push(`${label} repetido na linha ${seen.get(uniqueValue)}`);
+      else seen.set(uniqueValue, i + 2);
+    }
+    // Line numbers count the header row, as in the spreadsheet.
+    return { line: i + 2, record, errors };
+  });
+}
+
+function ImportWizard({ entity, onImported, onClose }) {
+  const config = IMPORT_ENTITIES[entity];
+  const [stages] = usePipelineStages();
+  const [step, setStep] = useState("upload");
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [existing, setExisting] = useState(new Set());
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState("");
+  useEffect(() => {
+    supabase
+      .from(config.table)
+      .select(config.unique)
+      .then(({ data }) => setExisting(new Set((data || []).map((r) => normalizeText(r[config.unique] || "").trim()).filter(Boolean))));
+  }, [entity]);
+  const results = useMemo(() => (step === "preview" ? validateImportRows(entity, rows, mapping, { existing, stages }) : []), [step, entity, rows, mapping, existing, stages]);
+  const invalid = results.filter((r) => r.errors.length);
+  const readFile = async (file) => {
+    if (!file) return;
+    try {
+      const [header = [], ...body] = await readSpreadsheet(file);
+      setFileName(file.name);
+      setHeaders(header.map(String));
+      setRows(body);
+      setMapping(guessMapping(config.fields, header));
+      setMessage(body.length ? "" : "O arquivo não tem linhas de dados.");
+      if (body.length) setStep("mapping");
+    } catch (err) {
+      setMessage(`Não foi possível ler o arquivo: ${err.message}`);
+    }
+  };
+  const missingRequired = config.fields.filter((f) => f.required && mapping[f.key] === "");
+  const downloadErrors = () => {
+    exportCSV({
+      key: `erros-importacao-${entity}`,
+      columns: [
+        { key: "line", label: "Linha" },
+        { key: "errors", label: "Erros" },
+        ...config.fields.map((f) => ({ key: f.key, label: f.label })),
+      ],
+      rows: invalid.map((r) => ({ line: r.line, errors: r.errors.join("; "), ...r.record })),
+    });
+  };
+  const runImport = async () => {
+    if (invalid.length || !results.length) return;
+    setImporting(true);
+    const { data, error } = await supabase
+      .from(config.table)
+      .insert(results.map((r) => r.record))
+      .select();
+    setImporting(false);
+    if (error) {
+      setMessage(`Nada foi importado: ${error.message}`);
+      return;
+    }
+    onImported(data || []);
+    setMessage(`${(data || []).length} registros importados.`);
+    setStep("done");
+  };
+  return (
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-4xl p-6 space-y-4 overflow-y-auto bg-white rounded shadow-lg" style={{ maxHeight: "90vh" }}>
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Importar {config.label.toLowerCase()}</h2>
+          <button onClick={onClose} className="px-2 text-gray-500">✕</button>
+        </div>
+        <div className="flex space-x-4 text-sm text-gray-500">
+          {[["upload", "1. Arquivo"], ["mapping", "2. Colunas"], ["preview", "3. Revisão"]].map(([key, label]) => (
+            <span key={key} className={step === key ? "font-semibold text-blue-600" : ""}>{label}</span>
+          ))}
+        </div>
+        {message && <div className="text-sm text-gray-700">{message}</div>}
+        {step === "upload" && (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-600">Envie um arquivo CSV ou XLSX. A primeira linha deve conter os nomes das colunas.</p>
+            <input type="file" accept=".csv,.xlsx,.xls" onChange={(e) => readFile(e.target.files[0])} className="text-sm" />
+          </div>
+        )}
+        {step === "mapping" && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">{fileName}: {rows.length} linhas. Indique a coluna do arquivo para cada campo.</p>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              {config.fields.map((field) => (
+                <label key={field.key} className="flex items-center justify-between space-x-2">
+                  <span>{field.label}{field.required && " *"}</span>
+                  <select value={mapping[field.key]} onChange={(e) => setMapping((m) => ({ ...m, [field.key]: e.target.value }))} className="w-48 p-1 border rounded">
+                    <option value="">Não importar</option>
+                    {headers.map((h, i) => <option key={i} value={String(i)}>{h || `Coluna ${i + 1}`}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+            {missingRequired.length > 0 && <div className="text-sm text-red-600">Mapeie: {missingRequired.map((f) => f.label).join(", ")}</div>}
+            <div className="flex justify-end space-x-2">
+              <button onClick={() => setStep("upload")} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Voltar</button>
+              <button onClick={() => missingRequired.length === 0 && setStep("preview")} className={`px-4 py-2 text-white bg-blue-600 rounded ${missingRequired.length ? "opacity-50" : ""}`}>Revisar</button>
+            </div>
+          </div>
+        )}
+        {step === "preview" && (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between text-sm">
+              <span>
+                {results.length - invalid.length} linhas válidas, <span className={invalid.length ? "text-red-600" : ""}>{invalid.length} com erros</span>
+              </span>
+              <label className="flex items-center space-x-1">
+                <input type="checkbox" checked={onlyErrors} onChange={(e) => setOnlyErrors(e.target.checked)} />
+                <span>Mostrar só linhas com erro</span>
+              </label>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="px-2 py-1 border">Linha</th>
+                    {config.fields.filter((f) => mapping[f.key] !== "").map((f) => <th key={f.key} className="px-2 py-1 border">{f.label}</th>)}
+                    <th className="px-2 py-1 border">Erros</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(onlyErrors ? invalid : results).slice(0, 500).map((r) => (
+                    <tr key={r.line} className={r.errors.length ? "bg-red-50" : ""}>
+                      <td className="px-2 py-1 border">{r.line}</td>
+                      {config.fields.filter((f) => mapping[f.key] !== "").map((f) => <td key={f.key} className="px-2 py-1 border">{r.record[f.key]}</td>)}
+                      <td className="px-2 py-1 text-red-600 border">{r.errors.join("; ")}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {invalid.length > 0 && <p className="text-sm text-gray-600">A importação é feita por completo ou não é feita: corrija as linhas com erro no arquivo e envie-o novamente.</p>}
+            <div className="flex justify-end space-x-2">
+              {invalid.length > 0 && <button onClick={downloadErrors} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Baixar relatório de erros</button>}
+              <button onClick={() => setStep("mapping")} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Voltar</button>
+              <button onClick={runImport} className={`px-4 py-2 text-white bg-blue-600 rounded ${invalid.length || importing ? "opacity-50" : ""}`}>
+                {importing ? "Importando..." : `Importar ${results.length} registros`}
+              </button>
+            </div>
+          </div>
+        )}
+        {step === "done" && (
+          <div className="flex justify-end">
+            <button onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Fechar</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/*
+ * Clientes page
+ *
+ * Displays a table of clients and allows adding new ones.  The form
+ * corresponds to the Lovable modal: name, email, phone, company, status,
+ * stage, tags and notes.  Stages come from the pipeline configuration.
+ * Cells can be edited in place, the modal edits the whole record, and
+ * clients can be archived or trashed one by one or in bulk.
+ */
+const EMPTY_CLIENT = { id: null, name: "", email: "", phone: "", company: "", status: "", stage: "", tags: "", notes: "" };
+
+function ClientesPage() {
+  const { profile } = React.useContext(AuthContext);
+  // Members and client viewers get a read-only list of the clients RLS lets them see.
+  const canManage = can(profile, "clients.manage");
+  const { rows: clients, setRows: setClients, insert: insertClients } = useTable("clients");
+  const [stages] = usePipelineStages();
+  const [view, setView] = useState("active");
+  const [modalOpen, setModalOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_CLIENT);
+  const actions = useRecordActions("clients", setClients, { noun: ["cliente", "clientes"] });
+  const selection = useSelection();
+  const visible = clients.filter((c) => recordView(c) === view);
+  const selectedRows = visible.filter((c) => selection.selected.includes(c.id));
+  const changeView = (next) => {
+    setView(next);
+    selection.clear();
+  };
+  const openForm = (client) => {
+    setForm(client ? Object.fromEntries(Object.keys(EMPTY_CLIENT).map((key) => [key, client[key] ?? ""])) : EMPTY_CLIENT);
+    setModalOpen(true);
+  };
+  const saveClient = async () => {
+    const values = {
+      name: form.name,
+      email: form.email,
+      phone: form.phone,
+      company: form.company,
+      status: form.status,
+      stage: form.stage || null,
+      tags: form.tags,
+      notes: form.notes,
+    };
+    if (form.id) {
+      const previous = clients.find((c) => c.id === form.id);
+      await actions.update(previous, values);
+    } else {
+      await insertClients([values]);
+    }
+    setModalOpen(false);
+  };
+  const editable = (client, field) =>
+    canManage ? <InlineEdit value={client[field]} onSave={(value) => actions.update(client, { [field]: value })} /> : client[field];
+  return (
+    <Layout>
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Clientes</h1>
+          {can(profile, "pipeline.view") && <RRNavLink to="/pipeline" className="ml-auto mr-2 text-sm text-blue-600">Ver pipeline</RRNavLink>}
+          {canManage && <button onClick={() => setImportOpen(true)} className="px-3 py-2 mr-2 bg-gray-200 rounded">Importar</button>}
+          {canManage && <button onClick={() => openForm(null)} className="px-3 py-2 text-white bg-green-600 rounded">Novo Cliente</button>}
+        </div>
+        {canManage && <RecordViewTabs rows={clients} view={view} onChange={changeView} />}
+        {actions.error && <div className="text-sm text-red-600">{actions.error}</div>}
+        <BulkActionsBar rows={selectedRows} view={view} actions={actions} onClear={selection.clear} />
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              {canManage && (
+                <th className="px-2 py-1 border">
+                  <input type="checkbox" checked={visible.length > 0 && selectedRows.length === visible.length} onChange={() => selection.toggleAll(visible.map((c) => c.id))} />
+                </th>
+              )}
+              <th className="px-2 py-1 border">Nome</th>
+              <th className="px-2 py-1 border">Email</th>
+              <th className="px-2 py-1 border">Telefone</th>
+              <th className="px-2 py-1 border">Empresa</th>
+              <th className="px-2 py-1 border">Status</th>
+              <th className="px-2 py-1 border">Etapa</th>
+              <th className="px-2 py-1 border">Tags</th>
+              {canManage && <th className="px-2 py-1 border"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((c) => (
+              <tr key={c.id} className="border-t">
+                {canManage && (
+                  <td className="px-2 py-1 text-center border">
+                    <input type="checkbox" checked={selection.selected.includes(c.id)} onChange={() => selection.toggle(c.id)} />
+                  </td>
+                )}
+                <td className="px-2 py-1 border">
+                  <RRNavLink to={`/clientes/${c.id}`} className="text-blue-600 hover:underline">{c.name}</RRNavLink>
+                </td>
+                <td className="px-2 py-1 border">{editable(c, "email")}</td>
+                <td className="px-2 py-1 border">{editable(c, "phone")}</td>
+                <td className="px-2 py-1 border">{editable(c, "company")}</td>
+                <td className="px-2 py-1 border">{editable(c, "status")}</td>
+                <td className="px-2 py-1 border">{stages.find((s) => s.key === c.stage)?.label || c.stage}</td>
+                <td className="px-2 py-1 border">{editable(c, "tags")}</td>
+                {canManage && (
+                  <td className="px-2 py-1 space-x-2 border whitespace-nowrap">
+                    <button onClick={() => openForm(c)} className="text-xs text-blue-600">Editar</button>
+                    <RecordActions rows={[c]} view={view} actions={actions} compact />
+                  </td>
+                )}
+              </tr>
+            ))}
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan={canManage ? 9 : 7} className="p-4 text-center text-gray-500">
+                  {view === "active" ? "Nenhum cliente cadastrado" : view === "archived" ? "Nenhum cliente arquivado" : "Lixeira vazia"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {modalOpen && (
+          <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="p-6 bg-white rounded shadow-lg w-96">
+              <h2 className="mb-4 text-lg font-semibold">{form.id ? "Editar Cliente" : "Novo Cliente"}</h2>
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Nome" value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} />
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Email" value={form.email} onChange={(e) => setForm((f) => ({ ...f, email: e.target.value }))} />
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Telefone" value={form.phone} onChange={(e) => setForm((f) => ({ ...f, phone: e.target.value }))} />
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Empresa" value={form.company} onChange={(e) => setForm((f) => ({ ...f, company: e.target.value }))} />
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Status" value={form.status} onChange={(e) => setForm((f) => ({ ...f, status: e.target.value }))} />
+              <select className="w-full p-2 mb-2 border rounded" value={form.stage} onChange={(e) => setForm((f) => ({ ...f, stage: e.target.value }))}>
+                <option value="">Etapa de Vendas</option>
+                {stages.map((s) => (
+                  <option key={s.key} value={s.key}>{s.label}</option>
+                ))}
+              </select>
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Tags" value={form.tags} onChange={(e) => setForm((f) => ({ ...f, tags: e.target.value }))} />
+              <textarea className="w-full p-2 mb-4 border rounded" placeholder="Observações" value={form.notes} onChange={(e) => setForm((f) => ({ ...f, notes: e.target.value }))}></textarea>
+              <div className="flex justify-end space-x-2">
+                <button onClick={() => setModalOpen(false)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+                <button onClick={saveClient} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+              </div>
+            </div>
+          </div>
+        )}
+        {importOpen && <ImportWizard entity="clients" onImported={(rows) => setClients((prev) => mergeRows(prev, rows))} onClose={() => setImportOpen(false)} />}
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Client pipeline
+ *
+ * Sales pipeline over `clients.stage`.  Stages are configured in
+ * `pipeline_stages` (key stored in clients.stage, label, order) and shown as
+ * a board where clients are dragged between stages.  Every stage change is
+ * recorded in `client_stage_history` by a database trigger, so changes made
+ * anywhere (board, client form, automations) feed the stage-duration
+ * metrics and the client timeline.
+ */
+const DEFAULT_PIPELINE_STAGES = [
+  { id: "lead", key: "lead", label: "Lead", position: 1 },
+  { id: "qualificado", key: "qualificado", label: "Qualificado", position: 2 },
+  { id: "proposta", key: "proposta", label: "Proposta", position: 3 },
+  { id: "negociacao", key: "negociacao", label: "Negociação", position: 4 },
+  { id: "ganho", key: "ganho", label: "Ganho", position: 5 },
+  { id: "perdido", key: "perdido", label: "Perdido", position: 6 },
+];
+const DAY_MS = 86400000;
+
+function formatDays(ms) {
+  const days = ms / DAY_MS;
+  return days < 1 ? `${Math.round(days * 24)}h` : `${days.toFixed(1)} dias`;
+}
+
+// Splits the stage history into periods: one per stage a client went
+// through, the last one still open.
+function stagePeriods(history, now = new Date()) {
+  const byClient = {};
+  history.forEach((h) => {
+    (byClient[h.client_id] = byClient[h.client_id] || []).push(h);
+  });
+  return Object.values(byClient).flatMap((entries) => {
+    const sorted = [...entries].sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+    return sorted.map((h, i) => {
+      const next = sorted[i + 1];
+      const end = next ? new Date(next.changed_at) : now;
+      return { client_id: h.client_id, stage: h.to_stage || "", start: new Date(h.changed_at), duration: end - new Date(h.changed_at), open: !next };
+    });
+  });
+}
+
+// Per stage: how many clients passed through, how long finished periods
+// took on average and how long the clients currently there have waited.
+function computeStageMetrics(stages, history, now = new Date()) {
+  const periods = stagePeriods(history, now);
+  const average = (list) => (list.length ? list.reduce((sum, p) => sum + p.duration, 0) / list.length : null);
+  return stages.map((stage) => {
+    const inStage = periods.filter((p) => p.stage === stage.key);
+    const finished = inStage.filter((p) => !p.open);
+    const open = inStage.filter((p) => p.open);
+    return {
+      stage,
+      passes: inStage.length,
+      current: open.length,
+      averageFinished: average(finished),
+      averageOpen: average(open),
+      longest: inStage.length ? Math.max(...inStage.map((p) => p.duration)) : null,
+    };
+  });
+}
+
+function PipelineCard({ client, since }) {
+  const navigate = useNavigate();
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({ id: client.id, data: { client } });
+  const style = { transform: transform ? `translate3d(${transform.x}px, ${transform.y}px, 0)` : undefined, opacity: isDragging ? 0.6 : 1 };
+  return (
+    <div ref={setNodeRef} style={style} {...attributes} {...listeners} onClick={() => navigate(`/clientes/${client.id}`)} className="p-3 bg-white rounded shadow cursor-pointer">
+      <div className="font-semibold">{client.name}</div>
+      {client.company && <div className="text-xs text-gray-500">{client.company}</div>}
+      {since && <div className="mt-1 text-xs text-gray-400">Nesta etapa há {formatDays(Date.now() - new Date(since))}</div>}
+    </div>
+  );
+}
+
+function PipelineColumn({ stage, clients, since, stalled }) {
+  const { setNodeRef, isOver } = useDroppable({ id: `stage:${stage.key}` });
+  return (
+    <div ref={setNodeRef} className={`flex-shrink-0 w-64 p-3 rounded ${isOver ? "bg-blue-100" : "bg-gray-100"}`} style={{ minHeight: "12rem" }}>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-semibold">{stage.label}</h2>
+        <span className="text-xs text-gray-500">{clients.length}</span>
+      </div>
+      {stalled && <div className="mb-2 text-xs text-red-600">Etapa com maior tempo médio</div>}
+      <div className="space-y-2">
+        {clients.map((client) => (
+          <PipelineCard key={client.id} client={client} since={since[client.id]} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function PipelineStagesDialog({ stages, clients, onChange, onClose }) {
+  const [label, setLabel] = useState("");
+  const [error, setError] = useState("");
+  const update = async (stage, values) => {
+    const { error } = await supabase.from("pipeline_stages").update(values).eq("id", stage.id);
+    if (error) return setError(error.message);
+    onChange(stages.map((s) => (s.id === stage.id ? { ...s, ...values } : s)));
+  };
+  const move = async (index, delta) => {
+    const other = stages[index + delta];
+    if (!other) return;
+    const stage = stages[index];
+    const results = await Promise.all([
+      supabase.from("pipeline_stages").update({ position: index + delta + 1 }).eq("id", stage.id),
+      supabase.from("pipeline_stages").update({ position: index + 1 }).eq("id", other.id),
+    ]);
+    const failed = results.find((r) => r.error);
+    if (failed) {
+      // Undo the half that went through, so the database keeps the order shown.
+      await Promise.all([
+        supabase.from("pipeline_stages").update({ position: stage.position }).eq("id", stage.id),
+        supabase.from("pipeline_stages").update({ position: other.position }).eq("id", other.id),
+      ]);
+      return setError(failed.error.message);
+    }
+    onChange(arrayMove(stages, index, index + delta).map((s, i) => ({ ...s, position: i + 1 })));
+  };
+  const add = async () => {
+    const key = normalizeText(label).trim().replace(/\s+/g, "_");
+    if (!label.trim() || !key) return;
+    const { data, error } = await supabase
+      .from("pipeline_stages")
+      .insert([{ label: label.trim(), key, position: stages.length + 1 }])
+      .select();
+    if (error) return setError(error.message);
+    onChange([...stages, ...data]);
+    setLabel("");
+  };
+  const remove = async (stage) => {
+    if (clients.some((c) => c.stage === stage.key)) {
+      setError(`Mova os clientes de "${stage.label}" antes de remover a etapa.`);
+      return;
+    }
+    const { error } = await supabase.from("pipeline_stages").delete().eq("id", stage.id);
+    if (error) return setError(error.message);
+    onChange(stages.filter((s) => s.id !== stage.id));
+  };
+  return (
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-lg p-6 bg-white rounded shadow-lg">
+        <h2 className="mb-4 text-lg font-semibold">Etapas do pipeline</h2>
+        {error && <div className="mb-2 text-sm text-red-500">{error}</div>}
+        <table className="w-full mb-4 text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-2 py-1 border">Etapa</th>
+              <th className="px-2 py-1 border">Chave</th>
+              <th className="px-2 py-1 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {stages.map((stage, i) => (
+              <tr key={stage.id} className="border-t">
+                <td className="px-2 py-1 border">
+                  <input className="w-full p-1 border rounded" defaultValue={stage.label} onBlur={(e) => e.target.value !== stage.label && update(stage, { label: e.target.value })} />
+                </td>
+                <td className="px-2 py-1 text-gray-500 border">{stage.key}</td>
+                <td className="px-2 py-1 space-x-2 whitespace-nowrap border">
+                  <button onClick={() => move(i, -1)} className={i === 0 ? "opacity-30" : ""}>↑</button>
+                  <button onClick={() => move(i, 1)} className={i === stages.length - 1 ? "opacity-30" : ""}>↓</button>
+                  <button onClick={() => remove(stage)} className="text-red-600">Remover</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex mb-4 space-x-2">
+          <input className="flex-1 p-2 border rounded" placeholder="Nova etapa" value={label} onChange={(e) => setLabel(e.target.value)} />
+          <button onClick={add} className="px-3 py-2 text-white bg-green-600 rounded">Adicionar</button>
+        </div>
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Fechar</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function usePipelineStages() {
+  const [stages, setStages] = useState(DEFAULT_PIPELINE_STAGES);
+  useEffect(() => {
+    supabase
+      .from("pipeline_stages")
+      .select("*")
+      .order("position")
+      .then(({ data }) => data?.length && setStages(data));
+  }, []);
+  return [stages, setStages];
+}
+
+function PipelinePage() {
+  const [clients, setClients] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [stages, setStages] = usePipelineStages();
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [notice, setNotice] = useState("");
+  const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 5 } }));
+  useEffect(() => {
+    const fetchData = async () => {
+      const [{ data: clientsData }, { data: historyData }] = await Promise.all([
+        activeRecords(supabase.from("clients").select("*")),
+        supabase.from("client_stage_history").select("*").order("changed_at"),
+      ]);
+      setClients(clientsData || []);
+      setHistory(historyData || []);
+    };
+    fetchData();
+  }, []);
+  const since = useMemo(() => {
+    const map = {};
+    history.forEach((h) => {
+      map[h.client_id] = h.changed_at;
+    });
+    return map;
+  }, [history]);
+  const metrics = useMemo(() => computeStageMetrics(stages, history), [stages, history]);
+  const stalledKey = useMemo(() => {
+    const ranked = metrics.filter((m) => m.averageFinished != null).sort((a, b) => b.averageFinished - a.averageFinished);
+    return ranked[0]?.stage.key;
+  }, [metrics]);
+  const known = new Set(stages.map((s) => s.key));
+  const unstaged = clients.filter((c) => !known.has(c.stage || ""));
+  const columns = unstaged.length ? [{ id: "", key: "", label: "Sem etapa" }, ...stages] : stages;
+  const handleDragEnd = async ({ active, over }) => {
+    const client = active.data.current?.client;
+    if (!over || !client) return;
+    const stage = String(over.id).replace(/^stage:/, "");
+    if ((client.stage || "") === stage) return;
+    const record = { ...client, stage: stage || null };
+    setClients((prev) => prev.map((c) => (c.id === client.id ? record : c)));
+    const { error } = await supabase.from("clients").update({ stage: record.stage }).eq("id", client.id);
+    if (error) {
+      setClients((prev) => prev.map((c) => (c.id === client.id ? client : c)));
+      setNotice(`Erro ao mover cliente: ${error.message}`);
+      return;
+    }
+    setHistory((prev) => [...prev, { client_id: client.id, from_stage: client.stage, to_stage: record.stage, changed_at: new Date().toISOString() }]);
+  };
+  return (
+    <Layout>
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Pipeline de clientes</h1>
+          <button onClick={() => setDialogOpen(true)} className="px-3 py-2 bg-gray-200 rounded">Etapas</button>
+        </div>
+        {notice && <div className="text-sm text-red-600">{notice}</div>}
+        <DndContext sensors={sensors} collisionDetection={pointerWithin} onDragEnd={handleDragEnd}>
+          <div className="flex pb-2 space-x-4 overflow-x-auto">
+            {columns.map((stage) => (
+              <PipelineColumn
+                key={stage.key || "none"}
+                stage={stage}
+                clients={clients.filter((c) => (c.stage || "") === stage.key || (!stage.key && unstaged.includes(c)))}
+                since={since}
+                stalled={!!stage.key && stage.key === stalledKey}
+              />
+            ))}
+          </div>
+        </DndContext>
+        <div>
+          <h2 className="mb-2 text-lg font-semibold">Tempo por etapa</h2>
+          <table className="w-full text-sm border">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="px-2 py-1 border">Etapa</th>
+                <th className="px-2 py-1 border">Passagens</th>
+                <th className="px-2 py-1 border">Clientes na etapa</th>
+                <th className="px-2 py-1 border">Tempo médio até sair</th>
+                <th className="px-2 py-1 border">Espera média atual</th>
+                <th className="px-2 py-1 border">Maior permanência</th>
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.map((m) => (
+                <tr key={m.stage.key} className={`border-t ${m.stage.key === stalledKey ? "bg-red-50" : ""}`}>
+                  <td className="px-2 py-1 border">{m.stage.label}</td>
+                  <td className="px-2 py-1 text-right border">{m.passes}</td>
+                  <td className="px-2 py-1 text-right border">{m.current}</td>
+                  <td className="px-2 py-1 text-right border">{m.averageFinished != null ? formatDays(m.averageFinished) : "-"}</td>
+                  <td className="px-2 py-1 text-right border">{m.averageOpen != null ? formatDays(m.averageOpen) : "-"}</td>
+                  <td className="px-2 py-1 text-right border">{m.longest != null ? formatDays(m.longest) : "-"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {dialogOpen && <PipelineStagesDialog stages={stages} clients={clients} onChange={setStages} onClose={() => setDialogOpen(false)} />}
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Client detail page
+ *
+ * One client with its stage and a timeline combining tasks, events, notes,
+ * tracked time and stage changes, newest first.
+ */
+const TIMELINE_KINDS = {
+  task: { label: "Tarefas", color: "bg-yellow-400" },
+  event: { label: "Eventos", color: "bg-blue-400" },
+  note: { label: "Notas", color: "bg-gray-400" },
+  time: { label: "Horas", color: "bg-green-400" },
+  stage: { label: "Etapas", color: "bg-purple-400" },
+};
+
+function ClientDetailPage() {
+  const { id } = useParams();
+  const { profile } = React.useContext(AuthContext);
+  const [client, setClient] = useState(null);
+  const [data, setData] = useState({ tasks: [], events: [], notes: [], entries: [], history: [], team: [] });
+  const [stages] = usePipelineStages();
+  const [kinds, setKinds] = useState(() => Object.keys(TIMELINE_KINDS));
+  const [note, setNote] = useState("");
+  const [openTaskId, setOpenTaskId] = useState(null);
+  useEffect(() => {
+    const fetchClient = async () => {
+      const [{ data: clientData }, { data: tasks }, { data: events }, { data: notes }, { data: history }, { data: team }] = await Promise.all([
+        supabase.from("clients").select("*").eq("id", id).single(),
+        supabase.from("tasks").select("*").eq("client_id", id),
+        supabase.from("events").select("*").eq("client_id", id),
+        supabase.from("client_notes").select("*").eq("client_id", id),
+        supabase.from("client_stage_history").select("*").eq("client_id", id).order("changed_at"),
+        supabase.from("team").select("id, name, profile_id"),
+      ]);
+      const taskIds = (tasks || []).map((t) => t.id);
+      const { data: entries } = taskIds.length ? await supabase.from("time_entries").select("*").in("task_id", taskIds) : { data: [] };
+      setClient(clientData);
+      setData({ tasks: tasks || [], events: events || [], notes: notes || [], entries: entries || [], history: history || [], team: team || [] });
+    };
+    fetchClient();
+  }, [id]);
+  const stageLabel = (key) => stages.find((s) => s.key === key)?.label || key || "Sem etapa";
+  const personName = (profileId) => data.team.find((m) => m.profile_id === profileId)?.name;
+  const timeline = useMemo(() => {
+    const taskTitle = (taskId) => data.tasks.find((t) => t.id === taskId)?.title || "tarefa";
+    const items = [
+      ...data.tasks.map((t) => ({ kind: "task", at: t.created_at, title: `Tarefa: ${t.title}`, detail: `${REPORT_STATUS_LABELS[t.status] || t.status}${t.end_at ? ` · prazo ${new Date(t.end_at).toLocaleDateString()}` : ""}`, taskId: t.id, who: personName(t.user_id) })),
+      ...data.events.map((e) => ({ kind: "event", at: e.start_at, title: `Evento: ${e.title}`, detail: `${new Date(e.start_at).toLocaleString()}${e.rrule ? ` · ${describeRRule(e.rrule)}` : ""}`, who: personName(e.user_id) })),
+      ...data.notes.map((n) => ({ kind: "note", at: n.created_at, title: "Nota", detail: n.body, who: personName(n.author_id) })),
+      ...data.entries.map((e) => ({
+        kind: "time",
+        at: e.started_at,
+        title: `Horas: ${taskTitle(e.task_id)}`,
+        detail: e.ended_at ? formatDuration((new Date(e.ended_at) - new Date(e.started_at)) / 1000) : "Em andamento",
+        taskId: e.task_id,
+        who: personName(e.user_id),
+      })),
+      ...data.history.map((h) => ({ kind: "stage", at: h.changed_at, title: h.from_stage == null ? `Entrou em ${stageLabel(h.to_stage)}` : `${stageLabel(h.from_stage)} → ${stageLabel(h.to_stage)}`, who: personName(h.changed_by) })),
+    ];
+    return items.filter((item) => item.at && kinds.includes(item.kind)).sort((a, b) => new Date(b.at) - new Date(a.at));
+  }, [data, kinds, stages]);
+  const periods = useMemo(() => stagePeriods(data.history), [data.history]);
+  const changeStage = async (stage) => {
+    const previous = client;
+    const record = { ...client, stage: stage || null };
+    setClient(record);
+    const { error } = await supabase.from("clients").update({ stage: record.stage }).eq("id", id);
+    if (error) {
+      setClient(previous);
+      return;
+    }
+    setData((d) => ({ ...d, history: [...d.history, { id: `local-${Date.now()}`, client_id: id, from_stage: previous.stage, to_stage: record.stage, changed_by: profile?.id, changed_at: new Date().toISOString() }] }));
+  };
+  const addNote = async () => {
+    if (!note.trim()) return;
+    const { data: inserted, error } = await supabase
+      .from("client_notes")
+      .insert([{ client_id: id, author_id: profile?.id || null, body: note.trim() }])
+      .select();
+    if (error) return;
+    setData((d) => ({ ...d, notes: [...d.notes, ...inserted] }));
+    setNote("");
+  };
+  const toggleKind = (kind) => setKinds((prev) => (prev.includes(kind) ? prev.filter((k) => k !== kind) : [...prev, kind]));
+  if (!client) {
+    return (
+      <Layout>
+        <div className="p-6 text-gray-500">Carregando...</div>
+      </Layout>
+    );
+  }
+  return (
+    <Layout>
+      <div className="p-6 space-y-6">
+        {can(profile, "pipeline.view") ? (
+          <RRNavLink to="/pipeline" className="text-sm text-blue-600">← Pipeline</RRNavLink>
+        ) : (
+          <RRNavLink to="/clientes" className="text-sm text-blue-600">← Clientes</RRNavLink>
+        )}
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold">{client.name}</h1>
+            <div className="text-sm text-gray-500">{[client.company, client.email, client.phone].filter(Boolean).join(" · ")}</div>
+            {client.tags && <div className="mt-1 text-xs text-gray-500">Tags: {client.tags}</div>}
+          </div>
+          <label className="text-sm">
+            <span className="block mb-1 text-gray-500">Etapa</span>
+            <select value={client.stage || ""} disabled={!can(profile, "clients.manage")} onChange={(e) => changeStage(e.target.value)} className="p-2 border rounded">
+              <option value="">Sem etapa</option>
+              {stages.map((s) => (
+                <option key={s.key} value={s.key}>{s.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {periods.length > 0 && (
+          <div className="flex overflow-hidden text-xs text-white rounded">
+            {periods.map((p, i) => (
+              <div
+                key={i}
+                className={`p-1 truncate ${p.open ? "bg-blue-600" : "bg-blue-400"} border-r border-white`}
+                style={{ flexGrow: Math.max(p.duration, DAY_MS / 4) }}
+                title={`${stageLabel(p.stage)}: ${formatDays(p.duration)}`}
+              >
+                {stageLabel(p.stage)} · {formatDays(p.duration)}
+              </div>
+            ))}
+          </div>
+        )}
+        {can(profile, "clients.notes") && (
+          <div className="flex space-x-2">
+            <textarea className="flex-1 p-2 text-sm border rounded" rows={2} placeholder="Adicionar nota" value={note} onChange={(e) => setNote(e.target.value)} />
+            <button onClick={addNote} className="px-3 text-white bg-green-600 rounded">Adicionar</button>
+          </div>
+        )}
+        <div className="flex flex-wrap gap-2 text-sm">
+          {Object.entries(TIMELINE_KINDS).map(([kind, { label }]) => (
+            <label key={kind} className="flex items-center space-x-1">
+              <input type="checkbox" checked={kinds.includes(kind)} onChange={() => toggleKind(kind)} />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+        <ul className="space-y-3">
+          {timeline.map((item, i) => (
+            <li key={i} className="flex space-x-3">
+              <span className={`flex-shrink-0 w-3 h-3 mt-1 rounded-full ${TIMELINE_KINDS[item.kind].color}`} />
+              <div className="text-sm">
+                <div className="text-xs text-gray-500">
+                  {new Date(item.at).toLocaleString()}
+                  {item.who && ` · ${item.who}`}
+                </div>
+                {item.taskId ? (
+                  <button onClick={() => setOpenTaskId(item.taskId)} className="font-semibold text-left hover:text-blue-600">{item.title}</button>
+                ) : (
+                  <div className="font-semibold">{item.title}</div>
+                )}
+                {item.detail && <div className="text-gray-600 whitespace-pre-wrap">{item.detail}</div>}
+              </div>
+            </li>
+          ))}
+          {timeline.length === 0 && <li className="text-gray-500">Nenhuma atividade</li>}
+        </ul>
+        {openTaskId && <TaskDrawer key={openTaskId} taskId={openTaskId} onClose={() => setOpenTaskId(null)} onOpenTask={setOpenTaskId} />}
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Equipe page
+ *
+ * Lists team members and allows creation of a new member.  Fields: name,
+ * email, role, status.  Status can be Active or Inactive.  A member can be
+ * linked to a login profile so tasks and events assigned to that person
+ * (which reference profiles) can be resolved from the member's name.
+ * Members are edited in place or in the modal, and archived or trashed
+ * like clients.  Only admins manage the team; they also set the role of
+ * every login in "Usuários e acessos".
+ */
+const EMPTY_MEMBER = { id: null, name: "", email: "", role: "", status: "ativo", profile_id: null };
+
+function EquipePage() {
+  const canManage = usePermission("team.manage");
+  const { rows: members, setRows: setMembers, insert: insertMembers } = useTable("team");
+  const { rows: profiles } = useTable("profiles");
+  const [view, setView] = useState("active");
+  const [modalOpen, setModalOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [accessOpen, setAccessOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_MEMBER);
+  const actions = useRecordActions("team", setMembers, { noun: ["membro", "membros"] });
+  const selection = useSelection();
+  const visible = members.filter((m) => recordView(m) === view);
+  const selectedRows = visible.filter((m) => selection.selected.includes(m.id));
+  const changeView = (next) => {
+    setView(next);
+    selection.clear();
+  };
+  const openForm = (member) => {
+    setForm(member ? Object.fromEntries(Object.keys(EMPTY_MEMBER).map((key) => [key, member[key] ?? EMPTY_MEMBER[key] ?? ""])) : EMPTY_MEMBER);
+    setModalOpen(true);
+  };
+  const save = async () => {
+    const { id, ...values } = form;
+    if (id) {
+      await actions.update(members.find((m) => m.id === id), values);
+    } else {
+      await insertMembers([values]);
+    }
+    setModalOpen(false);
+  };
+  const editable = (member, field) =>
+    canManage ? <InlineEdit value={member[field]} onSave={(value) => actions.update(member, { [field]: value })} /> : member[field];
+  return (
+    <Layout>
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Equipe</h1>
+          {canManage && (
+            <>
+              <button onClick={() => setAccessOpen(true)} className="px-3 py-2 ml-auto mr-2 bg-gray-200 rounded">Usuários e acessos</button>
+              <button onClick={() => setImportOpen(true)} className="px-3 py-2 mr-2 bg-gray-200 rounded">Importar</button>
+              <button onClick={() => openForm(null)} className="px-3 py-2 text-white bg-green-600 rounded">Novo Membro</button>
+            </>
+          )}
+        </div>
+        {canManage && <RecordViewTabs rows={members} view={view} onChange={changeView} />}
+        {actions.error && <div className="text-sm text-red-600">{actions.error}</div>}
+        <BulkActionsBar rows={selectedRows} view={view} actions={actions} onClear={selection.clear} />
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              {canManage && (
+                <th className="px-2 py-1 border">
+                  <input type="checkbox" checked={visible.length > 0 && selectedRows.length === visible.length} onChange={() => selection.toggleAll(visible.map((m) => m.id))} />
+                </th>
+              )}
+              <th className="px-2 py-1 border">Nome</th>
+              <th className="px-2 py-1 border">Email</th>
+              <th className="px-2 py-1 border">Cargo</th>
+              <th className="px-2 py-1 border">Status</th>
+              {canManage && <th className="px-2 py-1 border"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((m) => (
+              <tr key={m.id} className="border-t">
+                {canManage && (
+                  <td className="px-2 py-1 text-center border">
+                    <input type="checkbox" checked={selection.selected.includes(m.id)} onChange={() => selection.toggle(m.id)} />
+                  </td>
+                )}
+                <td className="px-2 py-1 border">
+                  {canManage ? <InlineEdit value={m.name} onSave={(value) => value && actions.update(m, { name: value })} /> : m.name}
+                </td>
+                <td className="px-2 py-1 border">{editable(m, "email")}</td>
+                <td className="px-2 py-1 border">{editable(m, "role")}</td>
+                <td className="px-2 py-1 border">
+                  <select value={m.status || "ativo"} disabled={!canManage} onChange={(e) => actions.update(m, { status: e.target.value })} className="p-1 border rounded">
+                    <option value="ativo">Ativo</option>
+                    <option value="inativo">Inativo</option>
+                  </select>
+                </td>
+                {canManage && (
+                  <td className="px-2 py-1 space-x-2 border whitespace-nowrap">
+                    <button onClick={() => openForm(m)} className="text-xs text-blue-600">Editar</button>
+                    <RecordActions rows={[m]} view={view} actions={actions} compact />
+                  </td>
+                )}
+              </tr>
+            ))}
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan={canManage ? 6 : 4} className="p-4 text-center text-gray-500">
+                  {view === "active" ? "Nenhum membro" : view === "archived" ? "Nenhum membro arquivado" : "Lixeira vazia"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {modalOpen && (
+          <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="p-6 bg-white rounded shadow-lg w-96">
+              <h2 className="mb-4 text-lg font-semibold">{form.id ? "Editar Membro" : "Novo Membro"}</h2>
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Nome" value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} />
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Email" value={form.email} onChange={(e) => setForm((f) => ({ ...f, email: e.target.value }))} />
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Cargo" value={form.role} onChange={(e) => setForm((f) => ({ ...f, role: e.target.value }))} />
+              <select className="w-full p-2 mb-2 border rounded" value={form.status} onChange={(e) => setForm((f) => ({ ...f, status: e.target.value }))}>
+                <option value="ativo">Ativo</option>
+                <option value="inativo">Inativo</option>
+              </select>
+              <select className="w-full p-2 mb-4 border rounded" value={form.profile_id || ""} onChange={(e) => setForm((f) => ({ ...f, profile_id: e.target.value || null }))}>
+                <option value="">Sem usuário vinculado</option>
+                {profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+              <div className="flex justify-end space-x-2">
+                <button onClick={() => setModalOpen(false)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+                <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+              </div>
+            </div>
+          </div>
+        )}
+        {importOpen && <ImportWizard entity="team" onImported={(rows) => setMembers((prev) => mergeRows(prev, rows))} onClose={() => setImportOpen(false)} />}
+        {accessOpen && <AccessDialog onClose={() => setAccessOpen(false)} />}
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Members of the current workspace with their role, the clients each client
+ * viewer may see, and the pending e-mail invitations.  Only admins open it
+ * and only admins pass the workspace_members and workspace_invitations
+ * policies.  The invitation e-mails are sent by scripts/send-invitations.js;
+ * the link can also be copied here.
+ */
+function AccessDialog({ onClose }) {
+  const { profile: me, workspace, reloadProfile } = React.useContext(AuthContext);
+  const [members, setMembers] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [invite, setInvite] = useState({ email: "", role: "member" });
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  useEffect(() => {
+    const fetchAll = async () => {
+      const [{ data: memberRows }, { data: clientRows }, { data: linkRows }, { data: inviteRows }] = await Promise.all([
+        supabase.from("workspace_members").select("profile_id, role, profiles(name)").eq("workspace_id", workspace.id),
+        activeRecords(supabase.from("clients").select("id, name").order("name")),
+        supabase.from("client_viewers").select("*"),
+        supabase.from("workspace_invitations").select("*").is("accepted_at", null).order("created_at"),
+      ]);
+      setMembers((memberRows || []).sort((a, b) => String(a.profiles?.name).localeCompare(String(b.profiles?.name))));
+      setClients(clientRows || []);
+      setLinks(linkRows || []);
+      setInvitations(inviteRows || []);
+    };
+    fetchAll();
+  }, [workspace.id]);
+  const admins = members.filter((m) => m.role === "admin");
+  const changeRole = async (member, role) => {
+    if (member.role === "admin" && role !== "admin" && admins.length === 1) {
+      setError("O workspace precisa de pelo menos um administrador.");
+      return;
+    }
+    const self = member.profile_id === me?.id;
+    if (self && role !== "admin" && !window.confirm("Você deixará de ser administrador. Continuar?")) return;
+    const { error: updateError } = await supabase.from("workspace_members").update({ role }).eq("workspace_id", workspace.id).eq("profile_id", member.profile_id);
+    if (updateError) {
+      setError(`Erro ao alterar o papel: ${updateError.message}`);
+      return;
+    }
+    setError("");
+    setMembers((prev) => prev.map((m) => (m.profile_id === member.profile_id ? { ...m, role } : m)));
+    if (self) reloadProfile();
+  };
+  const removeMember = async (member) => {
+    if (member.role === "admin" && admins.length === 1) {
+      setError("O workspace precisa de pelo menos um administrador.");
+      return;
+    }
+    if (!window.confirm(`Remover ${member.profiles?.name || "este usuário"} do workspace?`)) return;
+    const { error: deleteError } = await supabase.from("workspace_members").delete().eq("workspace_id", workspace.id).eq("profile_id", member.profile_id);
+    if (deleteError) {
+      setError(`Erro ao remover: ${deleteError.message}`);
+      return;
+    }
+    setError("");
+    setMembers((prev) => prev.filter((m) => m.profile_id !== member.profile_id));
+  };
+  const isLinked = (member, clientId) => links.some((l) => l.profile_id === member.profile_id && l.client_id === clientId);
+  const toggleClient = async (member, clientId) => {
+    const linked = isLinked(member, clientId);
+    const { error: linkError } = linked
+      ? await supabase.from("client_viewers").delete().eq("profile_id", member.profile_id).eq("client_id", clientId)
+      : await supabase.from("client_viewers").insert([{ profile_id: member.profile_id, client_id: clientId }]);
+    if (linkError) {
+      setError(`Erro ao alterar o acesso: ${linkError.message}`);
+      return;
+    }
+    setError("");
+    setLinks((prev) =>
+      linked ? prev.filter((l) => !(l.profile_id === member.profile_id && l.client_id === clientId)) : [...prev, { profile_id: member.profile_id, client_id: clientId }]
+    );
+  };
+  const sendInvite = async () => {
+    const email = invite.email.trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      setError("Informe um e-mail válido.");
+      return;
+    }
+    const { data, error: insertError } = await supabase
+      .from("workspace_invitations")
+      .insert([{ email, role: invite.role, invited_by: me?.id || null }])
+      .select();
+    if (insertError) {
+      setError(`Erro ao convidar: ${insertError.message}`);
+      return;
+    }
+    setError("");
+    setInvitations((prev) => [...prev, ...data]);
+    setInvite({ email: "", role: "member" });
+  };
+  const copyInvite = (invitation) => {
+    navigator.clipboard?.writeText(invitationUrl(invitation.token));
+    setMessage("Link copiado.");
+  };
+  const revokeInvite = async (invitation) => {
+    const { error: deleteError } = await supabase.from("workspace_invitations").delete().eq("id", invitation.id);
+    if (!deleteError) setInvitations((prev) => prev.filter((i) => i.id !== invitation.id));
+  };
+  return (
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-2xl p-6 space-y-4 overflow-y-auto bg-white rounded shadow-lg" style={{ maxHeight: "90vh" }}>
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Usuários e acessos · {workspace.name}</h2>
+          <button onClick={onClose} className="px-2 text-gray-500">✕</button>
+        </div>
+        <p className="text-xs text-gray-500">
+          Gerentes veem e editam tudo, exceto equipe e automações. Membros veem as tarefas atribuídas a eles e os clientes em que trabalham. Clientes só
+          consultam os dados dos clientes marcados.
+        </p>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        {message && <div className="text-sm text-gray-700">{message}</div>}
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-2 py-1 border">Usuário</th>
+              <th className="px-2 py-1 border">Papel</th>
+              <th className="px-2 py-1 border">Clientes visíveis</th>
+              <th className="px-2 py-1 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {members.map((m) => (
+              <tr key={m.profile_id} className="align-top border-t">
+                <td className="px-2 py-1 border">{m.profiles?.name || "Sem nome"}</td>
+                <td className="px-2 py-1 border">
+                  <select value={m.role} onChange={(e) => changeRole(m, e.target.value)} className="p-1 border rounded">
+                    {Object.entries(ROLES).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="px-2 py-1 border">
+                  {m.role === "client_viewer" ? (
+                    <div className="space-y-1 overflow-y-auto" style={{ maxHeight: "8rem" }}>
+                      {clients.map((c) => (
+                        <label key={c.id} className="flex items-center space-x-2">
+                          <input type="checkbox" checked={isLinked(m, c.id)} onChange={() => toggleClient(m, c.id)} />
+                          <span>{c.name}</span>
+                        </label>
+                      ))}
+                    </div>
+                  ) : (
+                    <span className="text-gray-500">{m.role === "member" ? "Os das suas tarefas e eventos" : "Todos"}</span>
+                  )}
+                </td>
+                <td className="px-2 py-1 border">
+                  {m.profile_id !== me?.id && <button onClick={() => removeMember(m)} className="text-xs text-red-600">Remover</button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div>
+          <h3 className="mb-2 font-semibold">Convites</h3>
+          <ul className="space-y-1 text-sm">
+            {invitations.map((i) => (
+              <li key={i.id} className="flex items-center justify-between p-2 border rounded">
+                <span>
+                  {i.email} · {ROLES[i.role]}
+                  <span className="text-gray-500">
+                    {" "}
+                    · {new Date(i.expires_at) < new Date() ? "expirado" : i.sent_at ? `enviado em ${new Date(i.sent_at).toLocaleDateString()}` : "e-mail pendente"}
+                  </span>
+                </span>
+                <span className="space-x-2">
+                  <button onClick={() => copyInvite(i)} className="text-blue-600">Copiar link</button>
+                  <button onClick={() => revokeInvite(i)} className="text-red-600">Cancelar</button>
+                </span>
+              </li>
+            ))}
+            {invitations.length === 0 && <li className="text-gray-500">Nenhum convite pendente</li>}
+          </ul>
+          <div className="flex mt-2 space-x-2 text-sm">
+            <input type="email" className="flex-1 p-2 border rounded" placeholder="E-mail" value={invite.email} onChange={(e) => setInvite((f) => ({ ...f, email: e.target.value }))} />
+            <select value={invite.role} onChange={(e) => setInvite((f) => ({ ...f, role: e.target.value }))} className="p-2 border rounded">
+              {Object.entries(ROLES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <button onClick={sendInvite} className="px-3 py-2 text-white bg-green-600 rounded">Convidar</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/*
+ * Service catalog
+ *
+ * A service is priced by the hour (`rate` is the hourly rate) or at a
+ * fixed price (`rate` is the price of the whole job), has an estimated
+ * duration and a list of subtasks that every task created from it starts
+ * with.  Tasks copy these values when they are created, so later changes to
+ * the catalog do not rewrite work already planned.
+ */
+const PRICE_MODELS = { hourly: "Por hora", fixed: "Preço fixo" };
+
+// "1.250,50" or "1250.5" -> 1250.5; NaN when the text is not a number.
+function parseDecimal(value) {
+  const text = String(value).trim().replace(/\s|R\$/g, "");
+  return Number(text.includes(",") ? text.replace(/\./g, "").replace(",", ".") : text);
+}
+
+function formatServicePrice(service) {
+  if (service.rate == null) return "Sem preço";
+  const price = formatCurrency(service.rate);
+  return service.price_model === "fixed" ? `${price} (fixo)` : `${price}/h`;
+}
+
+// Task fields prefilled from a service.  A fixed price becomes the task
+// budget; an hourly rate becomes its rate, billed on the tracked hours.
+function serviceTaskValues(service) {
+  if (!service) return {};
+  const values = { service_id: service.id, estimated_hours: service.estimated_hours ?? null };
+  if (service.price_model === "fixed") return { ...values, rate: null, budget: service.rate ?? null };
+  return { ...values, rate: service.rate ?? null, budget: null };
+}
+
+// Creates the template subtasks of a service under a task, skipping titles
+// the task already has.
+async function addTemplateSubtasks(task, service, existing = []) {
+  const taken = new Set(existing.map((t) => normalizeText(t.title)));
+  const titles = (service?.task_template || []).filter((title) => title && !taken.has(normalizeText(title)));
+  if (!titles.length) return [];
+  const { data, error } = await offlineInsert(
+    "tasks",
+    titles.map((title, i) => ({
+      title,
+      parent_id: task.id,
+      client_id: task.client_id,
+      user_id: task.user_id,
+      service_id: service.id,
+      status: "pendente",
+      position: (i + 1) * POSITION_STEP,
+    }))
+  );
+  return error ? [] : data;
+}
+
+// Form values for inputs, which need "" rather than null.
+function formInputs(values) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value ?? ""]));
+}
+
+const EMPTY_TASK = { title: "", client_id: "", user_id: "", service_id: "", priority: "", start_at: "", end_at: "", estimated_hours: "", rate: "", budget: "" };
+
+/*
+ * Dialog for creating a task.  Picking a service fills in its rate, budget
+ * and estimate (still editable) and lists the subtasks that will be
+ * created with the task.
+ */
+function NewTaskDialog({ initial = {}, onCreated, onClose }) {
+  const { profile } = React.useContext(AuthContext);
+  // Members may only create tasks assigned to themselves (see the tasks policies).
+  const canAssign = can(profile, "tasks.assign");
+  const [form, setForm] = useState(() => ({ ...EMPTY_TASK, ...initial, ...(canAssign ? {} : { user_id: profile?.id || "" }) }));
+  const [lookups, setLookups] = useState({ services: [], team: [], clients: [] });
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  useEffect(() => {
+    const fetchLookups = async () => {
+      const [{ data: services }, { data: team }, { data: clients }] = await Promise.all([
+        activeRecords(supabase.from("services").select("*")),
+        activeRecords(supabase.from("team").select("id, name, profile_id")),
+        activeRecords(supabase.from("clients").select("id, name")),
+      ]);
+      setLookups({ services: services || [], team: (team || []).filter((m) => m.profile_id), clients: clients || [] });
+      const service = (services || []).find((s) => s.id === initial.service_id);
+      if (service) setForm((f) => ({ ...f, ...formInputs(serviceTaskValues(service)) }));
+    };
+    fetchLookups();
+  }, []);
+  const service = lookups.services.find((s) => s.id === form.service_id);
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  const chooseService = (e) => {
+    const next = lookups.services.find((s) => s.id === e.target.value);
+    setForm((f) => ({ ...f, service_id: e.target.value, ...(next ? formInputs(serviceTaskValues(next)) : {}), title: f.title || next?.name || "" }));
+  };
+  const save = async () => {
+    if (!form.title.trim()) {
+      setError("Informe o título da tarefa.");
+      return;
+    }
+    setSaving(true);
+    const values = { title: form.title.trim(), status: form.status || "pendente", position: form.position ?? null };
+    ["client_id", "user_id", "service_id", "priority"].forEach((field) => {
+      values[field] = form[field] || null;
+    });
+    ["estimated_hours", "rate", "budget"].forEach((field) => {
+      values[field] = form[field] === "" || form[field] == null ? null : Number(form[field]);
+    });
+    values.start_at = form.start_at ? new Date(form.start_at).toISOString() : null;
+    values.end_at = form.end_at ? new Date(form.end_at).toISOString() : null;
+    const { data, error: insertError } = await offlineInsert("tasks", [values]);
+    if (insertError) {
+      setSaving(false);
+      setError(`Erro ao criar tarefa: ${insertError.message}`);
+      return;
+    }
+    await addTemplateSubtasks(data[0], service);
+    onCreated(data[0]);
+  };
+  return (
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-lg p-6 bg-white rounded shadow-lg">
+        <h2 className="mb-4 text-lg font-semibold">Nova Tarefa</h2>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <select className="col-span-2 p-2 border rounded" value={form.service_id} onChange={chooseService}>
+            <option value="">Sem serviço</option>
+            {lookups.services.map((s) => <option key={s.id} value={s.id}>{s.name} — {formatServicePrice(s)}</option>)}
+          </select>
+          <input className="col-span-2 p-2 border rounded" placeholder="Título" value={form.title} onChange={setField("title")} />
+          <select className="p-2 border rounded" value={form.client_id} onChange={setField("client_id")}>
+            <option value="">Sem cliente</option>
+            {lookups.clients.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+          <select className="p-2 border rounded" value={form.user_id} disabled={!canAssign} onChange={setField("user_id")}>
+            <option value="">Sem responsável</option>
+            {lookups.team.map((m) => <option key={m.id} value={m.profile_id}>{m.name}</option>)}
+          </select>
+          <input className="col-span-2 p-2 border rounded" placeholder="Prioridade" value={form.priority} onChange={setField("priority")} />
+          <label className="-mb-1 text-xs text-gray-500">Início</label>
+          <label className="-mb-1 text-xs text-gray-500">Prazo</label>
+          <input type="datetime-local" className="p-2 border rounded" value={form.start_at} onChange={setField("start_at")} />
+          <input type="datetime-local" className="p-2 border rounded" value={form.end_at} onChange={setField("end_at")} />
+          <label className="-mb-1 text-xs text-gray-500">Horas estimadas</label>
+          <label className="-mb-1 text-xs text-gray-500">Valor/hora</label>
+          <input type="number" step="0.25" className="p-2 border rounded" value={form.estimated_hours} onChange={setField("estimated_hours")} />
+          <input type="number" step="0.01" className="p-2 border rounded" value={form.rate} onChange={setField("rate")} />
+          <label className="col-span-2 -mb-1 text-xs text-gray-500">Orçamento</label>
+          <input type="number" step="0.01" className="col-span-2 p-2 border rounded" value={form.budget} onChange={setField("budget")} />
+        </div>
+        {service?.task_template?.length > 0 && (
+          <div className="mt-3 text-sm">
+            <div className="text-xs text-gray-500">Subtarefas do serviço</div>
+            <ul className="ml-4 list-disc">
+              {service.task_template.map((title, i) => <li key={i}>{title}</li>)}
+            </ul>
+          </div>
+        )}
+        {error && <div className="mt-2 text-sm text-red-600">{error}</div>}
+        <div className="flex justify-end mt-4 space-x-2">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+          <button onClick={save} disabled={saving} className="px-4 py-2 text-white bg-blue-600 rounded">{saving ? "Criando..." : "Criar"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/*
+ * Serviços page
+ *
+ * The service catalog: name, description, price model and rate, estimated
+ * duration and the subtasks of its task template.  Name and description
+ * are editable in place on the card; the rest in the modal.  "Criar tarefa"
+ * starts a task prefilled from the service.
+ */
+const EMPTY_SERVICE = { id: null, name: "", description: "", price_model: "hourly", rate: "", estimated_hours: "", task_template: "" };
+
+function ServicosPage() {
+  const canManage = usePermission("services.manage");
+  const { rows: services, setRows: setServices, insert: insertServices } = useTable("services");
+  const [view, setView] = useState("active");
+  const [modalOpen, setModalOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [taskService, setTaskService] = useState(null);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [form, setForm] = useState(EMPTY_SERVICE);
+  const actions = useRecordActions("services", setServices, { noun: ["serviço", "serviços"] });
+  const selection = useSelection();
+  const visible = services.filter((s) => recordView(s) === view);
+  const selectedRows = visible.filter((s) => selection.selected.includes(s.id));
+  const changeView = (next) => {
+    setView(next);
+    selection.clear();
+  };
+  // The template is edited as one subtask per line.
+  const openForm = (service) => {
+    if (!service) {
+      setForm(EMPTY_SERVICE);
+    } else {
+      const { id, name, description, price_model, rate, estimated_hours } = service;
+      setForm({ ...formInputs({ id, name, description, rate, estimated_hours }), price_model: price_model || "hourly", task_template: (service.task_template || []).join("\n") });
+    }
+    setModalOpen(true);
+  };
+  const setField = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  const save = async () => {
+    const { id, ...rest } = form;
+    const values = {
+      ...rest,
+      rate: rest.rate === "" ? null : Number(rest.rate),
+      estimated_hours: rest.estimated_hours === "" ? null : Number(rest.estimated_hours),
+      task_template: rest.task_template.split("\n").map((line) => line.trim()).filter(Boolean),
+    };
+    if (id) {
+      await actions.update(services.find((s) => s.id === id), values);
+    } else {
+      await insertServices([values]);
+    }
+    setModalOpen(false);
+  };
+  return (
+    <Layout>
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Serviços</h1>
+          {canManage && (
+            <>
+              <button onClick={() => setImportOpen(true)} className="px-3 py-2 ml-auto mr-2 bg-gray-200 rounded">Importar</button>
+              <button onClick={() => openForm(null)} className="px-3 py-2 text-white bg-green-600 rounded">Novo Serviço</button>
+            </>
+          )}
+        </div>
+        {canManage && <RecordViewTabs rows={services} view={view} onChange={changeView} />}
+        {actions.error && <div className="text-sm text-red-600">{actions.error}</div>}
+        {canManage && (
+          <div className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={visible.length > 0 && selectedRows.length === visible.length} onChange={() => selection.toggleAll(visible.map((s) => s.id))} />
+            <span>Selecionar todos</span>
+          </div>
+        )}
+        <BulkActionsBar rows={selectedRows} view={view} actions={actions} onClear={selection.clear} />
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+          {visible.map((s) => (
+            <div key={s.id} className={`p-4 border rounded ${selection.selected.includes(s.id) ? "border-blue-400 bg-blue-50" : ""}`}>
+              <div className="flex items-start space-x-2">
+                {canManage && <input type="checkbox" className="mt-2" checked={selection.selected.includes(s.id)} onChange={() => selection.toggle(s.id)} />}
+                <div className="flex-1">
+                  {canManage ? (
+                    <>
+                      <InlineEdit value={s.name} className="text-lg font-semibold" onSave={(value) => value && actions.update(s, { name: value })} />
+                      <InlineEdit value={s.description} className="mt-1 text-sm text-gray-600" onSave={(value) => actions.update(s, { description: value })} />
+                    </>
+                  ) : (
+                    <>
+                      <div className="text-lg font-semibold">{s.name}</div>
+                      <div className="mt-1 text-sm text-gray-600">{s.description}</div>
+                    </>
+                  )}
+                  <div className="flex flex-wrap mt-2 text-xs text-gray-700 gap-2">
+                    <span className="px-2 py-1 bg-green-100 rounded">{formatServicePrice(s)}</span>
+                    {s.estimated_hours != null && <span className="px-2 py-1 bg-gray-100 rounded">{Number(s.estimated_hours)}h estimadas</span>}
+                    {s.task_template?.length > 0 && <span className="px-2 py-1 bg-gray-100 rounded" title={s.task_template.join("\n")}>{countLabel(s.task_template.length, ["subtarefa", "subtarefas"])}</span>}
+                  </div>
+                </div>
+              </div>
+              <div className="mt-2 space-x-2 text-right">
+                {view === "active" && <button onClick={() => setTaskService(s)} className="text-xs text-green-700">Criar tarefa</button>}
+                {canManage && <button onClick={() => openForm(s)} className="text-xs text-blue-600">Editar</button>}
+                {canManage && <RecordActions rows={[s]} view={view} actions={actions} compact />}
+              </div>
+            </div>
+          ))}
+          {visible.length === 0 && <div className="text-gray-500">{view === "active" ? "Nenhum serviço" : view === "archived" ? "Nenhum serviço arquivado" : "Lixeira vazia"}</div>}
+        </div>
+        {modalOpen && (
+          <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="p-6 bg-white rounded shadow-lg w-96">
+              <h2 className="mb-4 text-lg font-semibold">{form.id ? "Editar Serviço" : "Novo Serviço"}</h2>
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Nome do serviço" value={form.name} onChange={setField("name")} />
+              <textarea className="w-full p-2 mb-2 border rounded" placeholder="Descrição" value={form.description} onChange={setField("description")}></textarea>
+              <div className="grid grid-cols-2 gap-2 mb-2 text-sm">
+                <label className="-mb-1 text-xs text-gray-500">Cobrança</label>
+                <label className="-mb-1 text-xs text-gray-500">{form.price_model === "fixed" ? "Preço" : "Valor/hora"}</label>
+                <select className="p-2 border rounded" value={form.price_model} onChange={setField("price_model")}>
+                  {Object.entries(PRICE_MODELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+                <input type="number" step="0.01" className="p-2 border rounded" value={form.rate} onChange={setField("rate")} />
+                <label className="col-span-2 -mb-1 text-xs text-gray-500">Duração estimada (horas)</label>
+                <input type="number" step="0.25" className="col-span-2 p-2 border rounded" value={form.estimated_hours} onChange={setField("estimated_hours")} />
+              </div>
+              <label className="block mb-1 text-xs text-gray-500">Subtarefas do modelo (uma por linha)</label>
+              <textarea className="w-full p-2 mb-4 text-sm border rounded" rows={4} value={form.task_template} onChange={setField("task_template")}></textarea>
+              <div className="flex justify-end space-x-2">
+                <button onClick={() => setModalOpen(false)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+                <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+              </div>
+            </div>
+          </div>
+        )}
+        {importOpen && <ImportWizard entity="services" onImported={(rows) => setServices((prev) => mergeRows(prev, rows))} onClose={() => setImportOpen(false)} />}
+        {taskService && (
+          <NewTaskDialog
+            initial={{ service_id: taskService.id, title: taskService.name }}
+            onCreated={(task) => {
+              setTaskService(null);
+              setOpenTaskId(task.id);
+            }}
+            onClose={() => setTaskService(null)}
+          />
+        )}
+        {openTaskId && <TaskDrawer key={openTaskId} taskId={openTaskId} onClose={() => setOpenTaskId(null)} onOpenTask={setOpenTaskId} />}
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Quotes and invoices
+ *
+ * A quote (`quotes`/`quote_items`) is a proposal for one client built from
+ * catalog services: hourly items are quoted by estimated hours, fixed-price
+ * ones as a single unit.  Accepting a quote creates one task per item, with
+ * the rate or budget of the item and the service's template subtasks.
+ *
+ * An invoice (`invoices`/`invoice_items`) collects what is billable for a
+ * client in a period: the tracked hours of tasks with an hourly rate
+ * (subtasks use their parent's rate) and the completed fixed-price tasks.
+ * Each time entry and each fixed-price task is billed at most once; items
+ * remember what they billed, and deleting a draft releases it again.
+ * Numbers come from database sequences.  Printing the document page is the
+ * PDF output, as on Relatórios.
+ */
+const QUOTE_STATUS_LABELS = { draft: "Rascunho", sent: "Enviado", accepted: "Aceito", rejected: "Recusado" };
+const INVOICE_DUE_DAYS = 15;
+
+function documentTotal(items) {
+  return items.reduce((sum, item) => sum + Number(item.quantity || 0) * Number(item.unit_price || 0), 0);
+}
+
+function quoteItemFromService(service) {
+  const hourly = service.price_model !== "fixed";
+  return {
+    service_id: service.id,
+    description: service.name,
+    price_model: hourly ? "hourly" : "fixed",
+    quantity: hourly ? Number(service.estimated_hours || 1) : 1,
+    unit_price: Number(service.rate || 0),
+  };
+}
+
+// Accepting a quote turns each item into a task for the quote's client.
+async function acceptQuote(quote, items, services) {
+  const rows = items.map((item, i) => {
+    const hourly = item.price_model !== "fixed";
+    const service = services.find((s) => s.id === item.service_id);
+    return {
+      title: item.description,
+      client_id: quote.client_id,
+      service_id: item.service_id || null,
+      status: "pendente",
+      estimated_hours: hourly ? Number(item.quantity) : service?.estimated_hours ?? null,
+      rate: hourly ? Number(item.unit_price) : null,
+      budget: hourly ? null : Number(item.quantity) * Number(item.unit_price),
+      description: `Orçamento ${quote.number}`,
+      position: (i + 1) * POSITION_STEP,
+    };
+  });
+  const { data: tasks, error } = await supabase.from("tasks").insert(rows).select();
+  if (error) return { error };
+  await Promise.all(
+    tasks.map((task, i) => {
+      const service = services.find((s) => s.id === items[i].service_id);
+      return Promise.all([
+        supabase.from("quote_items").update({ task_id: task.id }).eq("id", items[i].id),
+        service ? addTemplateSubtasks(task, service) : null,
+      ]);
+    })
+  );
+  const { error: statusError } = await supabase.from("quotes").update({ status: "accepted", accepted_at: new Date().toISOString() }).eq("id", quote.id);
+  return { tasks, error: statusError };
+}
+
+// Billable items of one client in [from, to] (dates as YYYY-MM-DD) that no
+// invoice has billed yet.
+async function collectBillableItems(clientId, from, to) {
+  const { data: tasks } = await supabase.from("tasks").select("id, title, parent_id, status, rate, budget, end_at").eq("client_id", clientId);
+  const taskById = new Map((tasks || []).map((t) => [t.id, t]));
+  if (taskById.size === 0) return [];
+  const [{ data: entries }, { data: billed }] = await Promise.all([
+    supabase
+      .from("time_entries")
+      .select("id, task_id, started_at, ended_at")
+      .in("task_id", Array.from(taskById.keys()))
+      .gte("started_at", new Date(`${from}T00:00`).toISOString())
+      .lte("started_at", new Date(`${to}T23:59:59`).toISOString())
+      .not("ended_at", "is", null),
+    supabase.from("invoice_items").select("kind, task_id, time_entry_ids"),
+  ]);
+  const billedEntries = new Set((billed || []).flatMap((item) => item.time_entry_ids || []));
+  const billedTasks = new Set((billed || []).filter((item) => item.kind === "fixed").map((item) => item.task_id));
+  const rateOf = (task) => (task.rate != null ? task.rate : taskById.get(task.parent_id)?.rate ?? null);
+  const hours = new Map();
+  (entries || []).forEach((entry) => {
+    const task = taskById.get(entry.task_id);
+    if (!task || billedEntries.has(entry.id) || rateOf(task) == null) return;
+    const item = hours.get(task.id) || { kind: "hours", task_id: task.id, description: task.title, quantity: 0, unit_price: Number(rateOf(task)), time_entry_ids: [] };
+    item.quantity += entryHours(entry);
+    item.time_entry_ids.push(entry.id);
+    hours.set(task.id, item);
+  });
+  const fixed = (tasks || [])
+    .filter((t) => t.rate == null && t.budget && t.status === "concluido" && !billedTasks.has(t.id) && (!t.end_at || t.end_at.slice(0, 10) <= to))
+    .map((t) => ({ kind: "fixed", task_id: t.id, description: t.title, quantity: 1, unit_price: Number(t.budget), time_entry_ids: [] }));
+  return [...Array.from(hours.values()).map((item) => ({ ...item, quantity: Number(item.quantity.toFixed(2)) })), ...fixed];
+}
+
+// Inserts a document and its items; the document is removed again when the
+// items fail, so a quote or invoice never exists half-written.
+async function insertBillingDocument(table, itemTable, foreignKey, values, items) {
+  const { data, error } = await supabase.from(table).insert([{ ...values, total: documentTotal(items) }]).select();
+  if (error) return { error };
+  const { error: itemsError } = await supabase.from(itemTable).insert(items.map((item, i) => ({ ...item, [foreignKey]: data[0].id, position: i })));
+  if (itemsError) {
+    await supabase.from(table).delete().eq("id", data[0].id);
+    return { error: itemsError };
+  }
+  return { document: data[0] };
+}
+
+function BillingItemsTable({ items, onChange, showModel }) {
+  const setItem = (index, field) => (e) => onChange(items.map((item, i) => (i === index ? { ...item, [field]: e.target.value } : item)));
+  return (
+    <table className="w-full text-sm border">
+      <thead>
+        <tr className="bg-gray-100">
+          <th className="px-2 py-1 border">Descrição</th>
+          {showModel && <th className="px-2 py-1 border">Cobrança</th>}
+          <th className="px-2 py-1 border">Qtd./Horas</th>
+          <th className="px-2 py-1 border">Valor unit.</th>
+          <th className="px-2 py-1 border">Total</th>
+          <th className="px-2 py-1 border"></th>
+        </tr>
+      </thead>
+      <tbody>
+        {items.map((item, i) => (
+          <tr key={i} className="border-t">
+            <td className="px-2 py-1 border">
+              <input className="w-full p-1 border rounded" value={item.description} onChange={setItem(i, "description")} />
+            </td>
+            {showModel && (
+              <td className="px-2 py-1 border">
+                <select className="p-1 border rounded" value={item.price_model} onChange={setItem(i, "price_model")}>
+                  {Object.entries(PRICE_MODELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </td>
+            )}
+            <td className="px-2 py-1 border">
+              <input type="number" step="0.25" className="w-20 p-1 border rounded" value={item.quantity} onChange={setItem(i, "quantity")} />
+            </td>
+            <td className="px-2 py-1 border">
+              <input type="number" step="0.01" className="w-24 p-1 border rounded" value={item.unit_price} onChange={setItem(i, "unit_price")} />
+            </td>
+            <td className="px-2 py-1 text-right border">{formatCurrency(Number(item.quantity || 0) * Number(item.unit_price || 0))}</td>
+            <td className="px-2 py-1 border">
+              <button onClick={() => onChange(items.filter((_, j) => j !== i))} className="text-xs text-red-600">Remover</button>
+            </td>
+          </tr>
+        ))}
+        {items.length === 0 && (
+          <tr>
+            <td colSpan={showModel ? 6 : 5} className="p-4 text-center text-gray-500">Nenhum item</td>
+          </tr>
+        )}
+      </tbody>
+      <tfoot>
+        <tr className="font-semibold">
+          <td colSpan={showModel ? 4 : 3} className="px-2 py-1 text-right border">Total</td>
+          <td className="px-2 py-1 text-right border">{formatCurrency(documentTotal(items))}</td>
+          <td className="border"></td>
+        </tr>
+      </tfoot>
+    </table>
+  );
+}
+
+/*
+ * Quote editor.  Drafts can be edited again: their items are replaced as a
+ * whole on save, the old ones removed only once the new ones are stored.
+ */
+function QuoteEditor({ quote, clients, services, onSaved, onClose }) {
+  const { profile } = React.useContext(AuthContext);
+  const [form, setForm] = useState(() => ({
+    client_id: quote?.client_id || "",
+    valid_until: quote?.valid_until || dateKey(addDays(new Date(), 30)),
+    notes: quote?.notes || "",
+  }));
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState("");
+  useEffect(() => {
+    if (!quote) return;
+    supabase
+      .from("quote_items")
+      .select("*")
+      .eq("quote_id", quote.id)
+      .order("position")
+      .then(({ data }) => setItems((data || []).map(({ service_id, description, price_model, quantity, unit_price }) => ({ service_id, description, price_model, quantity, unit_price }))));
+  }, [quote]);
+  const addService = (e) => {
+    const service = services.find((s) => s.id === e.target.value);
+    if (service) setItems((prev) => [...prev, quoteItemFromService(service)]);
+  };
+  const save = async () => {
+    if (!form.client_id || items.length === 0) {
+      setError("Escolha o cliente e adicione ao menos um item.");
+      return;
+    }
+    const rows = items.map((item) => ({ ...item, service_id: item.service_id || null, quantity: Number(item.quantity || 0), unit_price: Number(item.unit_price || 0) }));
+    const values = { client_id: form.client_id, valid_until: form.valid_until || null, notes: form.notes || null };
+    if (quote) {
+      // The new items go in before the old ones come out, so a failure leaves the draft as it was.
+      const { data: previous, error: readError } = await supabase.from("quote_items").select("id").eq("quote_id", quote.id);
+      if (readError) {
+        setError(`Erro ao salvar: ${readError.message}`);
+        return;
+      }
+      const { data: inserted, error: itemsError } = await supabase
+        .from("quote_items")
+        .insert(rows.map((item, i) => ({ ...item, quote_id: quote.id, position: i })))
+        .select("id");
+      if (itemsError) {
+        setError(`Erro ao salvar: ${itemsError.message}`);
+        return;
+      }
+      const { error: deleteError } = await supabase.from("quote_items").delete().in("id", previous.map((item) => item.id));
+      if (deleteError) {
+        await supabase.from("quote_items").delete().in("id", inserted.map((item) => item.id));
+        setError(`Erro ao salvar: ${deleteError.message}`);
+        return;
+      }
+      const { data, error: updateError } = await supabase.from("quotes").update({ ...values, total: documentTotal(rows) }).eq("id", quote.id).select();
+      if (updateError) {
+        setError(`Erro ao salvar: ${updateError.message}`);
+        return;
+      }
+      onSaved(data[0]);
+      return;
+    }
+    const { document, error: insertError } = await insertBillingDocument("quotes", "quote_items", "quote_id", { ...values, created_by: profile?.id || null }, rows);
+    if (insertError) {
+      setError(`Erro ao salvar: ${insertError.message}`);
+      return;
+    }
+    onSaved(document);
+  };
+  return (
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-3xl p-6 space-y-3 bg-white rounded shadow-lg">
+        <h2 className="text-lg font-semibold">{quote ? `Editar Orçamento ${quote.number}` : "Novo Orçamento"}</h2>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <select className="p-2 border rounded" value={form.client_id} onChange={(e) => setForm((f) => ({ ...f, client_id: e.target.value }))}>
+            <option value="">Cliente</option>
+            {selectableRecords(clients, form.client_id).map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+          <label className="flex items-center space-x-2">
+            <span className="text-gray-500">Válido até</span>
+            <input type="date" className="flex-1 p-2 border rounded" value={form.valid_until} onChange={(e) => setForm((f) => ({ ...f, valid_until: e.target.value }))} />
+          </label>
+        </div>
+        <select className="w-full p-2 text-sm border rounded" value="" onChange={addService}>
+          <option value="">Adicionar serviço...</option>
+          {services.filter(isActiveRecord).map((s) => <option key={s.id} value={s.id}>{s.name} — {formatServicePrice(s)}</option>)}
+        </select>
+        <div className="overflow-y-auto" style={{ maxHeight: "20rem" }}>
+          <BillingItemsTable items={items} onChange={setItems} showModel />
+        </div>
+        <button onClick={() => setItems((prev) => [...prev, { service_id: null, description: "", price_model: "fixed", quantity: 1, unit_price: 0 }])} className="text-sm text-blue-600">+ Item avulso</button>
+        <textarea className="w-full p-2 text-sm border rounded" rows={2} placeholder="Observações" value={form.notes} onChange={(e) => setForm((f) => ({ ...f, notes: e.target.value }))}></textarea>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        <div className="flex justify-end space-x-2">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+          <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function QuotesPage() {
+  const [quotes, setQuotes] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [services, setServices] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState("");
+  useEffect(() => {
+    const fetchAll = async () => {
+      const [{ data: quoteRows }, { data: clientRows }, { data: serviceRows }] = await Promise.all([
+        supabase.from("quotes").select("*").order("created_at", { ascending: false }),
+        supabase.from("clients").select("id, name, archived_at, deleted_at"),
+        supabase.from("services").select("*"),
+      ]);
+      setQuotes(quoteRows || []);
+      setClients(clientRows || []);
+      setServices(serviceRows || []);
+    };
+    fetchAll();
+  }, []);
+  const clientName = (id) => clients.find((c) => c.id === id)?.name || "";
+  const setStatus = async (quote, status) => {
+    const { error } = await supabase.from("quotes").update({ status }).eq("id", quote.id);
+    if (!error) setQuotes((prev) => prev.map((q) => (q.id === quote.id ? { ...q, status } : q)));
+  };
+  const accept = async (quote) => {
+    const { data: items } = await supabase.from("quote_items").select("*").eq("quote_id", quote.id).order("position");
+    const { tasks, error } = await acceptQuote(quote, items || [], services);
+    if (error) {
+      setMessage(`Erro ao aceitar: ${error.message}`);
+      return;
+    }
+    setQuotes((prev) => prev.map((q) => (q.id === quote.id ? { ...q, status: "accepted" } : q)));
+    setMessage(`Orçamento ${quote.number} aceito: ${countLabel(tasks.length, ["tarefa criada", "tarefas criadas"])} no Kanban.`);
+  };
+  const remove = async (quote) => {
+    if (!window.confirm(`Excluir o orçamento ${quote.number}?`)) return;
+    const { error } = await supabase.from("quotes").delete().eq("id", quote.id);
+    if (!error) setQuotes((prev) => prev.filter((q) => q.id !== quote.id));
+  };
+  const saved = (quote) => {
+    setQuotes((prev) => [quote, ...prev.filter((q) => q.id !== quote.id)]);
+    setEditing(null);
+  };
+  return (
+    <Layout>
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Orçamentos</h1>
+          <button onClick={() => setEditing("new")} className="px-3 py-2 text-white bg-green-600 rounded">Novo Orçamento</button>
+        </div>
+        {message && <div className="p-2 text-sm bg-blue-50 border border-blue-200 rounded">{message}</div>}
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-2 py-1 border">Número</th>
+              <th className="px-2 py-1 border">Cliente</th>
+              <th className="px-2 py-1 border">Válido até</th>
+              <th className="px-2 py-1 border">Status</th>
+              <th className="px-2 py-1 border">Total</th>
+              <th className="px-2 py-1 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {quotes.map((q) => (
+              <tr key={q.id} className="border-t">
+                <td className="px-2 py-1 border">
+                  <RRNavLink to={`/orcamentos/${q.id}`} className="text-blue-600 hover:underline">{q.number}</RRNavLink>
+                </td>
+                <td className="px-2 py-1 border">{clientName(q.client_id)}</td>
+                <td className="px-2 py-1 border">{q.valid_until ? parseDateKey(q.valid_until).toLocaleDateString("pt-BR") : "-"}</td>
+                <td className="px-2 py-1 border">{QUOTE_STATUS_LABELS[q.status] || q.status}</td>
+                <td className="px-2 py-1 text-right border">{formatCurrency(q.total)}</td>
+                <td className="px-2 py-1 space-x-2 text-xs border whitespace-nowrap">
+                  {q.status === "draft" && <button onClick={() => setEditing(q)} className="text-blue-600">Editar</button>}
+                  {q.status === "draft" && <button onClick={() => setStatus(q, "sent")} className="text-blue-600">Marcar enviado</button>}
+                  {(q.status === "draft" || q.status === "sent") && <button onClick={() => accept(q)} className="text-green-700">Aceitar</button>}
+                  {q.status === "sent" && <button onClick={() => setStatus(q, "rejected")} className="text-gray-600">Recusar</button>}
+                  {q.status !== "accepted" && <button onClick={() => remove(q)} className="text-red-600">Excluir</button>}
+                </td>
+              </tr>
+            ))}
+            {quotes.length === 0 && (
+              <tr>
+                <td colSpan={6} className="p-4 text-center text-gray-500">Nenhum orçamento</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {editing && <QuoteEditor quote={editing === "new" ? null : editing} clients={clients} services={services} onSaved={saved} onClose={() => setEditing(null)} />}
+      </div>
+    </Layout>
+  );
+}
+
+// The previous calendar month, the usual billing period.
+function lastMonthPeriod(today = new Date()) {
+  const start = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+  const end = new Date(today.getFullYear(), today.getMonth(), 0);
+  return { from: dateKey(start), to: dateKey(end) };
+}
+
+function InvoiceBuilder({ clients, onCreated, onClose }) {
+  const [form, setForm] = useState(() => ({ client_id: "", ...lastMonthPeriod(), due_date: dateKey(addDays(new Date(), INVOICE_DUE_DAYS)), notes: "" }));
+  const [items, setItems] = useState(null);
+  const [error, setError] = useState("");
+  const setField = (field) => (e) => {
+    setForm((f) => ({ ...f, [field]: e.target.value }));
+    if (["client_id", "from", "to"].includes(field)) setItems(null);
+  };
+  const collect = async () => {
+    if (!form.client_id || !form.from || !form.to) {
+      setError("Escolha o cliente e o período.");
+      return;
+    }
+    setError("");
+    setItems(await collectBillableItems(form.client_id, form.from, form.to));
+  };
+  const create = async () => {
+    if (!items?.length) {
+      setError("Nenhum item a faturar.");
+      return;
+    }
+    const rows = items.map((item) => ({ ...item, quantity: Number(item.quantity || 0), unit_price: Number(item.unit_price || 0) }));
+    const values = { client_id: form.client_id, period_start: form.from, period_end: form.to, due_date: form.due_date || null, notes: form.notes || null };
+    const { document, error: insertError } = await insertBillingDocument("invoices", "invoice_items", "invoice_id", values, rows);
+    if (insertError) {
+      setError(`Erro ao criar fatura: ${insertError.message}`);
+      return;
+    }
+    onCreated(document);
+  };
+  return (
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-3xl p-6 space-y-3 bg-white rounded shadow-lg">
+        <h2 className="text-lg font-semibold">Nova Fatura</h2>
+        <div className="grid grid-cols-4 gap-2 text-sm">
+          <select className="col-span-2 p-2 border rounded" value={form.client_id} onChange={setField("client_id")}>
+            <option value="">Cliente</option>
+            {clients.filter(isActiveRecord).map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+          <input type="date" className="p-2 border rounded" value={form.from} onChange={setField("from")} />
+          <input type="date" className="p-2 border rounded" value={form.to} onChange={setField("to")} />
+        </div>
+        <button onClick={collect} className="px-3 py-2 text-sm bg-gray-200 rounded">Buscar itens faturáveis</button>
+        {items && (
+          <>
+            <div className="overflow-y-auto" style={{ maxHeight: "20rem" }}>
+              <BillingItemsTable items={items} onChange={setItems} />
+            </div>
+            <button onClick={() => setItems((prev) => [...prev, { kind: "manual", task_id: null, description: "", quantity: 1, unit_price: 0, time_entry_ids: [] }])} className="text-sm text-blue-600">+ Item avulso</button>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <label className="flex items-center space-x-2">
+                <span className="text-gray-500">Vencimento</span>
+                <input type="date" className="flex-1 p-2 border rounded" value={form.due_date} onChange={setField("due_date")} />
+              </label>
+              <input className="p-2 border rounded" placeholder="Observações" value={form.notes} onChange={setField("notes")} />
+            </div>
+          </>
+        )}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        <div className="flex justify-end space-x-2">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+          <button onClick={create} className="px-4 py-2 text-white bg-blue-600 rounded">Criar rascunho</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function InvoicesPage() {
+  const [invoices, setInvoices] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [status, setStatus] = useState("");
+  const [builderOpen, setBuilderOpen] = useState(false);
+  useEffect(() => {
+    const fetchAll = async () => {
+      const [{ data: invoiceRows }, { data: clientRows }] = await Promise.all([
+        supabase.from("invoices").select("*").order("created_at", { ascending: false }),
+        supabase.from("clients").select("id, name, archived_at, deleted_at"),
+      ]);
+      setInvoices(invoiceRows || []);
+      setClients(clientRows || []);
+    };
+    fetchAll();
+  }, []);
+  const clientName = (id) => clients.find((c) => c.id === id)?.name || "";
+  const update = async (invoice, values) => {
+    const { error } = await supabase.from("invoices").update(values).eq("id", invoice.id);
+    if (!error) setInvoices((prev) => prev.map((i) => (i.id === invoice.id ? { ...i, ...values } : i)));
+  };
+  const remove = async (invoice) => {
+    if (!window.confirm(`Excluir o rascunho ${invoice.number}? Os itens voltam a ficar disponíveis para faturamento.`)) return;
+    const { error } = await supabase.from("invoices").delete().eq("id", invoice.id);
+    if (!error) setInvoices((prev) => prev.filter((i) => i.id !== invoice.id));
+  };
+  const visible = invoices.filter((i) => !status || invoiceStatus(i) === status);
+  const totals = Object.keys(INVOICE_STATUS_LABELS).map((key) => ({
+    key,
+    total: invoices.filter((i) => invoiceStatus(i) === key).reduce((sum, i) => sum + Number(i.total || 0), 0),
+  }));
+  return (
+    <Layout>
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Faturas</h1>
+          <button onClick={() => setBuilderOpen(true)} className="px-3 py-2 text-white bg-green-600 rounded">Nova Fatura</button>
+        </div>
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
+          {totals.map(({ key, total }) => (
+            <button key={key} onClick={() => setStatus(status === key ? "" : key)} className={`text-left rounded ${status === key ? "ring-2 ring-blue-500" : ""}`}>
+              <MetricCard title={INVOICE_STATUS_LABELS[key]} value={formatCurrency(total)} />
+            </button>
+          ))}
+        </div>
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-2 py-1 border">Número</th>
+              <th className="px-2 py-1 border">Cliente</th>
+              <th className="px-2 py-1 border">Período</th>
+              <th className="px-2 py-1 border">Vencimento</th>
+              <th className="px-2 py-1 border">Status</th>
+              <th className="px-2 py-1 border">Total</th>
+              <th className="px-2 py-1 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((i) => {
+              const current = invoiceStatus(i);
+              return (
+                <tr key={i.id} className="border-t">
+                  <td className="px-2 py-1 border">
+                    <RRNavLink to={`/faturas/${i.id}`} className="text-blue-600 hover:underline">{i.number}</RRNavLink>
+                  </td>
+                  <td className="px-2 py-1 border">{clientName(i.client_id)}</td>
+                  <td className="px-2 py-1 border">
+                    {i.period_start ? parseDateKey(i.period_start).toLocaleDateString("pt-BR") : ""} – {i.period_end ? parseDateKey(i.period_end).toLocaleDateString("pt-BR") : ""}
+                  </td>
+                  <td className="px-2 py-1 border">{i.due_date ? parseDateKey(i.due_date).toLocaleDateString("pt-BR") : "-"}</td>
+                  <td className={`px-2 py-1 border ${current === "overdue" ? "text-red-600 font-semibold" : ""}`}>{INVOICE_STATUS_LABELS[current] || current}</td>
+                  <td className="px-2 py-1 text-right border">{formatCurrency(i.total)}</td>
+                  <td className="px-2 py-1 space-x-2 text-xs border whitespace-nowrap">
+                    {current === "draft" && <button onClick={() => update(i, { status: "sent", issued_at: dateKey(new Date()) })} className="text-blue-600">Marcar enviada</button>}
+                    {(current === "sent" || current === "overdue") && <button onClick={() => update(i, { status: "paid", paid_at: dateKey(new Date()) })} className="text-green-700">Marcar paga</button>}
+                    {current === "paid" && <button onClick={() => update(i, { status: "sent", paid_at: null })} className="text-gray-600">Desfazer pagamento</button>}
+                    {current === "draft" && <button onClick={() => remove(i)} className="text-red-600">Excluir</button>}
+                  </td>
+                </tr>
+              );
+            })}
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan={7} className="p-4 text-center text-gray-500">Nenhuma fatura</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {builderOpen && (
+          <InvoiceBuilder
+            clients={clients}
+            onCreated={(invoice) => {
+              setInvoices((prev) => [invoice, ...prev]);
+              setBuilderOpen(false);
+            }}
+            onClose={() => setBuilderOpen(false)}
+          />
+        )}
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Printable quote or invoice.  The browser's "save as PDF" on this page is
+ * the PDF of the document; navigation and buttons are left out of print.
+ */
+function BillingDocumentPage({ kind }) {
+  const { id } = useParams();
+  const [doc, setDoc] = useState(null);
+  const [items, setItems] = useState([]);
+  const invoice = kind === "invoice";
+  useEffect(() => {
+    const fetchDocument = async () => {
+      const [{ data }, { data: rows }] = await Promise.all([
+        supabase.from(invoice ? "invoices" : "quotes").select("*, clients(name, company, email, phone)").eq("id", id).single(),
+        supabase.from(invoice ? "invoice_items" : "quote_items").select("*").eq(invoice ? "invoice_id" : "quote_id", id).order("position"),
+      ]);
+      setDoc(data);
+      setItems(rows || []);
+    };
+    fetchDocument();
+  }, [id, invoice]);
+  if (!doc) {
+    return (
+      <Layout>
+        <div className="p-6 text-gray-500">Carregando...</div>
+      </Layout>
+    );
+  }
+  const formatDay = (value) => (value ? parseDateKey(value).toLocaleDateString("pt-BR") : "-");
+  const status = invoice ? INVOICE_STATUS_LABELS[invoiceStatus(doc)] : QUOTE_STATUS_LABELS[doc.status];
+  return (
+    <Layout>
+      <div className="max-w-3xl p-6 space-y-6">
+        <div className="flex items-center justify-between no-print">
+          <RRNavLink to={invoice ? "/faturas" : "/orcamentos"} className="text-sm text-blue-600">← {invoice ? "Faturas" : "Orçamentos"}</RRNavLink>
+          <button onClick={() => window.print()} className="px-3 py-2 text-gray-700 bg-gray-200 rounded">Imprimir / PDF</button>
+        </div>
+        <div className="flex items-start justify-between">
+          <div>
+            <div className="text-xl font-bold">Controle Diário</div>
+            <h1 className="text-2xl font-bold">{invoice ? "Fatura" : "Orçamento"} {doc.number}</h1>
+            <div className="text-sm text-gray-600">{status}</div>
+          </div>
+          <div className="text-sm text-right">
+            {invoice ? (
+              <>
+                <div>Emissão: {formatDay(doc.issued_at)}</div>
+                <div>Período: {formatDay(doc.period_start)} a {formatDay(doc.period_end)}</div>
+                <div className="font-semibold">Vencimento: {formatDay(doc.due_date)}</div>
+                {doc.paid_at && <div>Pago em: {formatDay(doc.paid_at)}</div>}
+              </>
+            ) : (
+              <>
+                <div>Data: {new Date(doc.created_at).toLocaleDateString("pt-BR")}</div>
+                <div>Válido até: {formatDay(doc.valid_until)}</div>
+              </>
+            )}
+          </div>
+        </div>
+        <div className="text-sm">
+          <div className="text-xs text-gray-500">Cliente</div>
+          <div className="font-semibold">{doc.clients?.name}</div>
+          {doc.clients?.company && <div>{doc.clients.company}</div>}
+          {doc.clients?.email && <div>{doc.clients.email}</div>}
+          {doc.clients?.phone && <div>{doc.clients.phone}</div>}
+        </div>
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-2 py-1 text-left border">Descrição</th>
+              <th className="px-2 py-1 border">{invoice ? "Qtd./Horas" : "Qtd./Horas estimadas"}</th>
+              <th className="px-2 py-1 border">Valor unit.</th>
+              <th className="px-2 py-1 border">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => (
+              <tr key={item.id} className="border-t">
+                <td className="px-2 py-1 border">
+                  {item.description}
+                  {!invoice && item.price_model === "fixed" && <span className="ml-1 text-xs text-gray-500">(preço fixo)</span>}
+                </td>
+                <td className="px-2 py-1 text-right border">{Number(item.quantity)}</td>
+                <td className="px-2 py-1 text-right border">{formatCurrency(item.unit_price)}</td>
+                <td className="px-2 py-1 text-right border">{formatCurrency(Number(item.quantity) * Number(item.unit_price))}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="font-semibold">
+              <td colSpan={3} className="px-2 py-1 text-right border">Total</td>
+              <td className="px-2 py-1 text-right border">{formatCurrency(doc.total)}</td>
+            </tr>
+          </tfoot>
+        </table>
+        {doc.notes && <p className="text-sm whitespace-pre-wrap">{doc.notes}</p>}
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Report export
+ *
+ * Every report dataset can be downloaded as CSV or XLSX, and the whole page
+ * can be printed (or saved as PDF from the print dialog): the sidebar and
+ * the buttons carry the `no-print` class, hidden by the print stylesheet in
+ * index.html, so the printout contains only the filters, charts and tables.
+ */
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function exportFilename(base, extension) {
+  return `${base}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function exportCSV(dataset) {
+  // The BOM makes Excel open the UTF-8 file with accents intact.
+  downloadFile(`\uFEFF${toCSV(dataset)}`, exportFilename(dataset.key, "csv"), "text/csv;charset=utf-8");
+}
+
+function exportXLSX(datasets, base) {
+  const workbook = XLSX.utils.book_new();
+  datasets.forEach((dataset) => {
+    const sheet = XLSX.utils.json_to_sheet(datasetRows(dataset), { header: dataset.columns.map((c) => c.label) });
+    XLSX.utils.book_append_sheet(workbook, sheet, dataset.title.slice(0, 31));
+  });
+  XLSX.writeFile(workbook, exportFilename(base, "xlsx"));
+}
+
+function ExportButtons({ dataset }) {
+  if (!dataset) return null;
+  return (
+    <span className="space-x-2 text-xs no-print">
+      <button onClick={() => exportCSV(dataset)} className="text-blue-600">CSV</button>
+      <button onClick={() => exportXLSX([dataset], dataset.key)} className="text-blue-600">XLSX</button>
+    </span>
+  );
+}
+
+/*
+ * Saved report definitions (`report_definitions`).  A definition stores the
+ * current filters under a name and can be scheduled as a weekly e-mail
+ * digest; the digest itself is sent by scripts/send-report-digests.js.
+ */
+const WEEKDAY_LABELS = ["Domingo", "Segunda", "Terça", "Quarta", "Quinta", "Sexta", "Sábado"];
+
+function SavedReports({ filters, onApply }) {
+  const { profile } = React.useContext(AuthContext);
+  const [definitions, setDefinitions] = useState([]);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState("");
+  useEffect(() => {
+    const fetchDefinitions = async () => {
+      const { data } = await supabase.from("report_definitions").select("*").order("name");
+      setDefinitions(data || []);
+    };
+    fetchDefinitions();
+  }, []);
+  const openNew = () => {
+    setForm({ id: null, name: "", recipients: "", schedule_enabled: false, schedule_weekday: 1, schedule_hour: 8 });
+    setError("");
+  };
+  const openEdit = (definition) => {
+    setForm({ ...definition, recipients: (definition.recipients || []).join(", ") });
+    setError("");
+  };
+  const save = async () => {
+    const recipients = form.recipients.split(/[,;\s]+/).map((r) => r.trim()).filter(Boolean);
+    if (!form.name) return setError("Informe um nome.");
+    if (form.schedule_enabled && recipients.length === 0) return setError("Informe ao menos um destinatário.");
+    const values = {
+      name: form.name,
+      recipients,
+      schedule_enabled: form.schedule_enabled,
+      schedule_weekday: Number(form.schedule_weekday),
+      schedule_hour: Number(form.schedule_hour),
+    };
+    const { data, error } = form.id
+      ? await supabase.from("report_definitions").update(values).eq("id", form.id).select()
+      : await supabase.from("report_definitions").insert([{ ...values, filters, created_by: profile?.id || null }]).select();
+    if (error) return setError(error.message);
+    setDefinitions((prev) => (form.id ? prev.map((d) => (d.id === form.id ? data[0] : d)) : [...prev, ...data]));
+    setForm(null);
+  };
+  const updateFilters = async (definition) => {
+    const { error } = await supabase.from("report_definitions").update({ filters }).eq("id", definition.id);
+    if (!error) setDefinitions((prev) => prev.map((d) => (d.id === definition.id ? { ...d, filters } : d)));
+  };
+  const remove = async (definition) => {
+    if (!window.confirm(`Excluir o relatório "${definition.name}"?`)) return;
+    await supabase.from("report_definitions").delete().eq("id", definition.id);
+    setDefinitions((prev) => prev.filter((d) => d.id !== definition.id));
+  };
+  return (
+    <div className="p-4 bg-gray-50 rounded no-print">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold">Relatórios Salvos</h2>
+        <button onClick={openNew} className="px-3 py-1 text-sm text-white bg-green-600 rounded">Salvar filtros atuais</button>
+      </div>
+      <ul className="text-sm divide-y">
+        {definitions.map((d) => (
+          <li key={d.id} className="flex items-center justify-between py-2">
+            <div>
+              <button onClick={() => onApply(d.filters || {})} className="font-medium text-blue-600">{d.name}</button>
+              <div className="text-xs text-gray-500">
+                {d.schedule_enabled
+                  ? `Resumo semanal: ${WEEKDAY_LABELS[d.schedule_weekday]} às ${d.schedule_hour}h para ${(d.recipients || []).join(", ")}`
+                  : "Sem envio agendado"}
+                {d.last_sent_at && ` · último envio ${new Date(d.last_sent_at).toLocaleString()}`}
+              </div>
+            </div>
+            <div className="space-x-2 whitespace-nowrap">
+              <button onClick={() => updateFilters(d)} className="text-gray-600">Atualizar filtros</button>
+              <button onClick={() => openEdit(d)} className="text-blue-600">Editar</button>
+              <button onClick={() => remove(d)} className="text-red-600">Excluir</button>
+            </div>
+          </li>
+        ))}
+        {definitions.length === 0 && <li className="py-2 text-gray-500">Nenhum relatório salvo</li>}
+      </ul>
+      {form && (
+        <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+          <div className="p-6 bg-white rounded shadow-lg w-96">
+            <h2 className="mb-4 text-lg font-semibold">{form.id ? "Editar Relatório" : "Salvar Relatório"}</h2>
+            {error && <div className="mb-2 text-sm text-red-500">{error}</div>}
+            <input className="w-full p-2 mb-2 border rounded" placeholder="Nome" value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} />
+            <label className="flex items-center mb-2 space-x-2 text-sm">
+              <input type="checkbox" checked={form.schedule_enabled} onChange={(e) => setForm((f) => ({ ...f, schedule_enabled: e.target.checked }))} />
+              <span>Enviar resumo semanal por e-mail</span>
+            </label>
+            {form.schedule_enabled && (
+              <>
+                <input className="w-full p-2 mb-2 border rounded" placeholder="Destinatários (separados por vírgula)" value={form.recipients} onChange={(e) => setForm((f) => ({ ...f, recipients: e.target.value }))} />
+                <div className="grid grid-cols-2 gap-2 mb-2">
+                  <select className="p-2 border rounded" value={form.schedule_weekday} onChange={(e) => setForm((f) => ({ ...f, schedule_weekday: e.target.value }))}>
+                    {WEEKDAY_LABELS.map((label, i) => <option key={label} value={i}>{label}</option>)}
+                  </select>
+                  <select className="p-2 border rounded" value={form.schedule_hour} onChange={(e) => setForm((f) => ({ ...f, schedule_hour: e.target.value }))}>
+                    {Array.from({ length: 24 }, (_, h) => <option key={h} value={h}>{`${h}h`}</option>)}
+                  </select>
+                </div>
+                <div className="mb-2 text-xs text-gray-500">Sem período nos filtros, o resumo cobre os últimos 7 dias.</div>
+              </>
+            )}
+            <div className="flex justify-end mt-2 space-x-2">
+              <button onClick={() => setForm(null)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+              <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/*
+ * Relatórios page
+ *
+ * Charts computed from the real tasks, team, clients and time entries:
+ * completion rate per member, hours logged per member, task status
+ * distribution (overdue tasks counted separately) and revenue per client,
+ * next to what was invoiced and received (drafts excluded).  The date
+ * range, client and member filters apply to every chart, and clicking any
+ * bar or slice lists the tasks behind it.  The calculations live in
+ * reports.js, shared with the e-mail digest script.
+ */
+const REPORT_COLORS = ["#8884d8", "#82ca9d", "#ffc658", "#ff7f7f", "#8dd1e1", "#a4de6c"];
+
+function RelatoriosPage() {
+  const [data, setData] = useState({ tasks: [], entries: [], team: [], clients: [], invoices: [] });
+  const [filters, setFilters] = useState({ dateFrom: "", dateTo: "", client: "", member: "", includeArchived: false });
+  const [drill, setDrill] = useState(null);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  useEffect(() => {
+    const fetchAll = async () => {
+      const [{ data: tasks }, { data: entries }, { data: team }, { data: clients }, { data: invoices }] = await Promise.all([
+        supabase.from("tasks").select("*"),
+        supabase.from("time_entries").select("user_id, task_id, started_at, ended_at"),
+        supabase.from("team").select("id, name, profile_id, archived_at, deleted_at"),
+        supabase.from("clients").select("id, name, archived_at, deleted_at"),
+        supabase.from("invoices").select("id, number, client_id, status, issued_at, due_date, total"),
+      ]);
+      setData({ tasks: tasks || [], entries: entries || [], team: team || [], clients: clients || [], invoices: invoices || [] });
+    };
+    fetchAll();
+  }, []);
+  const report = useMemo(() => computeReportData(data, filters), [data, filters]);
+  const datasets = useMemo(() => reportDatasets(report, data), [report, data]);
+  const dataset = (key) => datasets.find((d) => d.key === key);
+  const setFilter = (key) => (e) => {
+    setFilters((f) => ({ ...f, [key]: e.target.value }));
+    setDrill(null);
+  };
+  // Recharts passes the clicked datum (with our `tasks` list) to onClick.
+  const drillInto = (title) => (datum) => {
+    const entry = datum?.payload?.tasks ? datum.payload : datum;
+    if (entry?.tasks) setDrill({ title: `${title}: ${entry.name}`, tasks: entry.tasks });
+  };
+  const clientName = (id) => data.clients.find((c) => c.id === id)?.name || "";
+  const memberName = (id) => data.team.find((m) => m.profile_id === id)?.name || "";
+  return (
+    <Layout>
+      <div className="p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Relatórios</h1>
+          <div className="space-x-2 no-print">
+            <button onClick={() => exportXLSX(datasets, "relatorios")} className="px-3 py-2 text-white bg-green-600 rounded">Exportar XLSX</button>
+            <button onClick={() => window.print()} className="px-3 py-2 text-gray-700 bg-gray-200 rounded">Imprimir / PDF</button>
+          </div>
+        </div>
+        {/* Shared filters */}
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-5">
+          <input type="date" value={filters.dateFrom} onChange={setFilter("dateFrom")} className="p-2 border rounded" />
+          <input type="date" value={filters.dateTo} onChange={setFilter("dateTo")} className="p-2 border rounded" />
+          <select value={filters.client} onChange={setFilter("client")} className="p-2 border rounded">
+            <option value="">Todos os clientes</option>
+            {data.clients.filter((c) => filters.includeArchived || !isArchived(c)).map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+          <select value={filters.member} onChange={setFilter("member")} className="p-2 border rounded">
+            <option value="">Todos os membros</option>
+            {data.team.filter((m) => m.profile_id && (filters.includeArchived || !isArchived(m))).map((m) => <option key={m.id} value={m.profile_id}>{m.name}</option>)}
+          </select>
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" checked={filters.includeArchived} onChange={(e) => setFilters((f) => ({ ...f, includeArchived: e.target.checked }))} />
+            <span>Incluir arquivados</span>
+          </label>
+        </div>
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-6">
+          <MetricCard title="Tarefas" value={report.filtered.length} />
+          <MetricCard title="Concluídas" value={report.filtered.filter((t) => t.status === "concluido").length} />
+          <MetricCard title="Atrasadas" value={report.filtered.filter((t) => isOverdue(t)).length} />
+          <MetricCard title="Receita" value={formatCurrency(report.clientMetrics.reduce((sum, c) => sum + c.receita, 0))} />
+          <MetricCard title="Faturado" value={formatCurrency(report.invoiceTotals.faturado)} />
+          <MetricCard title="Recebido" value={formatCurrency(report.invoiceTotals.recebido)} />
+        </div>
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+          {/* Team performance bar chart */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-xl font-semibold">Taxa de Conclusão por Membro</h2>
+              <ExportButtons dataset={dataset("membros")} />
+            </div>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={report.memberPerformance} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis unit="%" domain={[0, 100]} />
+                  <Tooltip formatter={(value, name, item) => (name === "taxa" ? [`${value}% (${item.payload.concluidas}/${item.payload.tarefas})`, "Conclusão"] : value)} />
+                  <Bar dataKey="taxa" fill="#8884d8" cursor="pointer" onClick={drillInto("Membro")} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+          {/* Project status pie chart */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-xl font-semibold">Status das Tarefas</h2>
+              <ExportButtons dataset={dataset("status")} />
+            </div>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <PieChart>
+                  <Pie data={report.statusDistribution} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={80} label cursor="pointer" onClick={drillInto("Status")}>
+                    {report.statusDistribution.map((entry, i) => (
+                      <Cell key={entry.name} fill={entry.name === REPORT_STATUS_LABELS.atrasado ? "#ef4444" : REPORT_COLORS[i % REPORT_COLORS.length]} />
+                    ))}
+                  </Pie>
+                  <Tooltip />
+                </PieChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+          {/* Hours per member */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-xl font-semibold">Horas Registradas por Membro</h2>
+              <ExportButtons dataset={dataset("horas")} />
+            </div>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={report.memberHours} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis unit="h" />
+                  <Tooltip />
+                  <Bar dataKey="horas" fill="#82ca9d" cursor="pointer" onClick={drillInto("Horas")} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+          {/* Revenue per client */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-xl font-semibold">Receita por Cliente</h2>
+              <ExportButtons dataset={dataset("clientes")} />
+            </div>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={report.clientMetrics} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Bar dataKey="receita" name="Receita" fill="#ffc658" cursor="pointer" onClick={drillInto("Cliente")} />
+                  <Bar dataKey="faturado" name="Faturado" fill="#8dd1e1" cursor="pointer" onClick={drillInto("Cliente")} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+        {/* Client metrics list */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-xl font-semibold">Métricas por Cliente</h2>
+            <ExportButtons dataset={dataset("clientes")} />
+          </div>
+          <table className="w-full text-sm border">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="px-2 py-1 border">Cliente</th>
+                <th className="px-2 py-1 border">Tarefas</th>
+                <th className="px-2 py-1 border">Horas</th>
+                <th className="px-2 py-1 border">Receita</th>
+                <th className="px-2 py-1 border">Faturado</th>
+                <th className="px-2 py-1 border">Recebido</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.clientMetrics.map((c) => (
+                <tr key={c.name} className="border-t cursor-pointer hover:bg-gray-50" onClick={() => drillInto("Cliente")(c)}>
+                  <td className="px-2 py-1 border">{c.name}</td>
+                  <td className="px-2 py-1 border">{c.tarefas}</td>
+                  <td className="px-2 py-1 border">{c.horas.toFixed(2)}</td>
+                  <td className="px-2 py-1 border">{formatCurrency(c.receita)}</td>
+                  <td className="px-2 py-1 border">{formatCurrency(c.faturado)}</td>
+                  <td className="px-2 py-1 border">{formatCurrency(c.recebido)}</td>
+                </tr>
+              ))}
+              {report.clientMetrics.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="p-4 text-center text-gray-500">Nenhum dado no período</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex justify-end">
+          <span className="mr-4 text-sm">Faturas do período: <ExportButtons dataset={dataset("faturas")} /></span>
+          <span className="text-sm">Lista de tarefas do período: <ExportButtons dataset={dataset("tarefas")} /></span>
+        </div>
+        <SavedReports filters={filters} onApply={(saved) => { setFilters({ dateFrom: "", dateTo: "", client: "", member: "", includeArchived: false, ...saved }); setDrill(null); }} />
+        {/* Drill-down */}
+        {drill && (
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-xl font-semibold">{drill.title}</h2>
+              <button onClick={() => setDrill(null)} className="text-sm text-gray-500 no-print">Fechar</button>
+            </div>
+            <table className="w-full text-sm border">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="px-2 py-1 border">Tarefa</th>
+                  <th className="px-2 py-1 border">Cliente</th>
+                  <th className="px-2 py-1 border">Responsável</th>
+                  <th className="px-2 py-1 border">Status</th>
+                  <th className="px-2 py-1 border">Prazo</th>
+                  <th className="px-2 py-1 border">Receita</th>
+                </tr>
+              </thead>
+              <tbody>
+                {drill.tasks.map((t) => (
+                  <tr key={t.id} className="border-t cursor-pointer hover:bg-gray-50" onClick={() => setOpenTaskId(t.id)}>
+                    <td className="px-2 py-1 border">{t.title}</td>
+                    <td className="px-2 py-1 border">{clientName(t.client_id)}</td>
+                    <td className="px-2 py-1 border">{memberName(t.user_id)}</td>
+                    <td className={`px-2 py-1 border ${isOverdue(t) ? "text-red-600" : ""}`}>{isOverdue(t) ? "atrasado" : t.status}</td>
+                    <td className="px-2 py-1 border">{t.end_at ? new Date(t.end_at).toLocaleDateString() : ""}</td>
+                    <td className="px-2 py-1 border">{formatCurrency(taskRevenue(t))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {openTaskId && <TaskDrawer key={openTaskId} taskId={openTaskId} onClose={() => setOpenTaskId(null)} onOpenTask={setOpenTaskId} />}
+      </div>
+    </Layout>
+  );
+}
+
+/* --------------------------------------------------------------------
+ * LLM providers
+ *
+ * The assistant and the funnel generator talk to a language model through
+ * a small provider interface so the backend can be swapped without touching
+ * the pages:
+ *
+ *   provider.complete({ template, system, prompt, vars }, { signal, onToken })
+ *
+ * resolves with the full text and, when `onToken` is given, streams partial
+ * output as it arrives.  Three adapters are available: the HuggingFace
+ * Inference API, any OpenAI-compatible HTTP server (llama.cpp, Ollama,
+ * vLLM, LM Studio...) and a deterministic offline mock used in development.
+ *
+ * Which provider runs, and with which model, is configuration:
+ *
+ *   VITE_LLM_PROVIDER     huggingface | openai | mock (default: mock)
+ *   VITE_LLM_MODEL        model id, e.g. mistralai/Mistral-7B-Instruct-v0.2
+ *   VITE_LLM_BASE_URL     base URL for the OpenAI-compatible server
+ *   VITE_LLM_API_KEY      bearer token for the OpenAI-compatible server
+ *   VITE_HF_TOKEN         HuggingFace API token
+ *   VITE_LLM_TIMEOUT_MS   time limit for the whole answer, streamed or not (default: 30000)
+ *   VITE_LLM_TEMPERATURE  sampling temperature (default: 0.3)
+ *   VITE_LLM_MAX_TOKENS   maximum generated tokens (default: 512)
+ */
+const llmConfig = {
+  provider: import.meta.env.VITE_LLM_PROVIDER || "mock",
+  model: import.meta.env.VITE_LLM_MODEL || "mistralai/Mistral-7B-Instruct-v0.2",
+  baseUrl: import.meta.env.VITE_LLM_BASE_URL || "http://localhost:11434/v1",
+  apiKey: import.meta.env.VITE_LLM_API_KEY || "",
+  hfToken: import.meta.env.VITE_HF_TOKEN || "",
+  timeoutMs: Number(import.meta.env.VITE_LLM_TIMEOUT_MS || 30000),
+  temperature: Number(import.meta.env.VITE_LLM_TEMPERATURE || 0.3),
+  maxTokens: Number(import.meta.env.VITE_LLM_MAX_TOKENS || 512),
+};
+
+class LLMError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = "LLMError";
+    this.code = code; // "timeout" | "aborted" | "http" | "network" | "parse" | "config"
+    this.cause = cause;
+  }
+}
+
+/*
+ * Prompt templates.  `{{name}}` placeholders are filled from the vars passed
+ * to renderPrompt(); the mock provider keys its canned answers on the
+ * template name.
+ */
+const PROMPT_TEMPLATES = {
+  assistant: {
+    system:
+      "Você é o assistente do Controle Diário. Reescreva o pedido do usuário como um único comando em português, " +
+      "no formato 'criar tarefa <título> [para <cliente>] [<data>] [às <hora>] [prioridade <alta|media|baixa>]', " +
+      "'agendar <título> [com <pessoa>] <data> às <hora>' ou 'cadastrar cliente <nome> [email <email>] [telefone <telefone>]'. " +
+      "Responda apenas com o comando, ou com NENHUM se o pedido não for uma dessas ações.",
+    user: "Clientes conhecidos: {{clients}}\nEquipe: {{team}}\nPedido: {{text}}",
+  },
+  funnel: {
+    system:
+      "Você é um estrategista de marketing digital. Responda em português e apenas com JSON no formato " +
+      '{"stages":[{"key":"awareness|consideration|conversion|retention","channels":[],"content":[],"budget_share":0,"kpis":[]}]}. ' +
+      "Inclua as quatro etapas nessa ordem; budget_share é o percentual do orçamento e a soma deve ser 100.",
+    user:
+      "Crie um funil de marketing para um negócio do tipo {{businessType}}, público-alvo {{audience}}, " +
+      "orçamento {{budget}} e objetivos: {{goals}}. Em content liste as entregas concretas de cada etapa.",
+  },
+};
+
+function renderPrompt(templateName, vars = {}) {
+  const template = PROMPT_TEMPLATES[templateName];
+  if (!template) throw new LLMError(`Template desconhecido: ${templateName}`, "config");
+  return {
+    template: templateName,
+    vars,
+    system: interpolate(template.system, vars),
+    prompt: interpolate(template.user, vars),
+  };
+}
+
+/*
+ * Runs fetch() with the configured timeout, chained to the caller's abort
+ * signal, and hands the response to `read`.  The timeout and the abort link
+ * last until `read` is done, so a stalled or cancelled stream ends as well.
+ * Failures become LLMErrors.
+ */
+async function fetchWithTimeout(url, options, { signal, timeoutMs }, read) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new LLMError(`O provedor respondeu ${response.status}: ${body.slice(0, 200)}`, "http");
+    }
+    return await read(response);
+  } catch (err) {
+    if (err instanceof LLMError) throw err;
+    if (timedOut) throw new LLMError("O modelo demorou demais para responder.", "timeout", err);
+    if (signal?.aborted) throw new LLMError("Requisição cancelada.", "aborted", err);
+    throw new LLMError("Não foi possível contactar o provedor de IA.", "network", err);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+function parseProviderJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new LLMError("O provedor enviou uma resposta inválida.", "parse", err);
+  }
+}
+
+/* Reads a server-sent events body, calling onData with each `data:` payload. */
+async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("data:")) onData(line.slice(5).trim());
+    }
+  }
+  if (buffer.startsWith("data:")) onData(buffer.slice(5).trim());
+}
+
+function createHuggingFaceProvider(config) {
+  return {
+    name: "huggingface",
+    async complete({ system, prompt }, { signal, onToken } = {}) {
+      if (!config.hfToken) throw new LLMError("VITE_HF_TOKEN não configurado.", "config");
+      return fetchWithTimeout(
+        `https://api-inference.huggingface.co/models/${config.model}`,
+        {
+          method: "POST",
+          headers: { Authorization: `Bearer ${config.hfToken}`, "Content-Type": "application/json" },
+          body: JSON.stringify({
+            inputs: `<s>[INST] ${system}\n\n${prompt} [/INST]`,
+            parameters: { max_new_tokens: config.maxTokens, temperature: config.temperature, return_full_text: false },
+            stream: !!onToken,
+          }),
+        },
+        { signal, timeoutMs: config.timeoutMs },
+        async (response) => {
+          if (!onToken) {
+            const data = parseProviderJSON(await response.text());
+            return (Array.isArray(data) ? data[0]?.generated_text : data.generated_text) || "";
+          }
+          let text = "";
+          await readEventStream(response, (payload) => {
+            const token = parseProviderJSON(payload).token;
+            if (!token || token.special) return;
+            text += token.text;
+            onToken(token.text, text);
+          });
+          return text;
+        },
+      );
+    },
+  };
+}
+
+function createOpenAICompatibleProvider(config) {
+  return {
+    name: "openai",
+    async complete({ system, prompt }, { signal, onToken } = {}) {
+      return fetchWithTimeout(
+        `${config.baseUrl.replace(/\/$/, "")}/chat/completions`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model: config.model,
+            messages: [
+              { role: "system", content: system },
+              { role: "user", content: prompt },
+            ],
+            temperature: config.temperature,
+            max_tokens: config.maxTokens,
+            stream: !!onToken,
+          }),
+        },
+        { signal, timeoutMs: config.timeoutMs },
+        async (response) => {
+          if (!onToken) {
+            const data = parseProviderJSON(await response.text());
+            return data.choices?.[0]?.message?.content || "";
+          }
+          let text = "";
+          await readEventStream(response, (payload) => {
+            if (payload === "[DONE]") return;
+            const delta = parseProviderJSON(payload).choices?.[0]?.delta?.content;
+            if (!delta) return;
+            text += delta;
+            onToken(delta, text);
+          });
+          return text;
+        },
+      );
+    },
+  };
+}
+
+/*
+ * Offline mock.  Answers are a pure function of the template and its vars,
+ * so the same input always produces the same output, and they are streamed
+ * word by word to exercise the same code path as the real providers.
+ */
+const MOCK_RESPONSES = {
+  assistant: () => "NENHUM",
+  funnel: (vars) => JSON.stringify({ stages: buildDefaultFunnel(vars) }),
+};
+
+function createMockProvider() {
+  return {
+    name: "mock",
+    async complete({ template, vars }, { signal, onToken } = {}) {
+      const respond = MOCK_RESPONSES[template] || (() => "");
+      const text = respond(vars || {});
+      if (!onToken) return text;
+      let partial = "";
+      for (const word of text.split(/(\s+)/)) {
+        if (signal?.aborted) throw new LLMError("Requisição cancelada.", "aborted");
+        await new Promise((resolve) => setTimeout(resolve, 15));
+        partial += word;
+        onToken(word, partial);
+      }
+      return text;
+    },
+  };
+}
+
+const LLM_PROVIDERS = {
+  huggingface: createHuggingFaceProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+function createLLMProvider(config = llmConfig) {
+  const factory = LLM_PROVIDERS[config.provider];
+  if (!factory) throw new LLMError(`Provedor de IA desconhecido: ${config.provider}`, "config");
+  return factory(config);
+}
+
+/*
+ * The provider is created on first use, inside useLLM's error handling, so
+ * a misconfigured VITE_LLM_PROVIDER shows up as an error on the Funil IA
+ * page instead of breaking the whole app while the module loads.
+ */
+let llm = null;
+
+function getLLMProvider() {
+  if (!llm) llm = createLLMProvider();
+  return llm;
+}
+
+/*
+ * Hook used by pages to run a template against the configured provider.
+ * It tracks loading/error state and cancels the in-flight request when the
+ * component unmounts or a new request starts.
+ */
+function useLLM() {
+  const controllerRef = useRef(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  useEffect(() => () => controllerRef.current?.abort(), []);
+  const cancel = useCallback(() => controllerRef.current?.abort(), []);
+  const run = useCallback(async (templateName, vars, { onToken } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setLoading(true);
+    setError(null);
+    try {
+      // Tokens of a request that was cancelled or replaced are dropped.
+      const forward = onToken && ((token, text) => !controller.signal.aborted && onToken(token, text));
+      return await getLLMProvider().complete(renderPrompt(templateName, vars), { signal: controller.signal, onToken: forward });
+    } catch (err) {
+      if (err.code !== "aborted") setError(err);
+      throw err;
+    } finally {
+      if (controllerRef.current === controller) setLoading(false);
+    }
+  }, []);
+  return { run, cancel, loading, error };
+}
+
+/*
+ * Funil IA page
+ *
+ * Provides a natural language assistant to create tasks/events/clients and
+ * a funnel generator that accepts business type, audience, budget and
+ * goals.  Both talk to the LLM provider selected in configuration (see the
+ * LLM providers section).  The STT/TTS is implemented using the Web Speech
+ * API via react‑speech‑kit.
+ *
+ * The assistant is a small conversation: the command is parsed, any missing
+ * required field is asked for by voice, and the summary is read back for
+ * confirmation before anything is written to Supabase.  Phrases the local
+ * grammar does not recognise are rewritten by the LLM into a command it
+ * does.
+ */
+function FunilPage() {
+  const awaitingReply = useRef(false);
+  const lastTranscript = useRef("");
+  const listenRef = useRef(null);
+  const { speak } = useSpeechSynthesis({
+    onEnd: () => {
+      if (awaitingReply.current) listenRef.current?.({ lang: "pt-BR" });
+    },
+  });
+  const { listen, listening, stop } = useSpeechRecognition({ onResult: handleResult, onEnd: handleListenEnd });
+  listenRef.current = listen;
+  const [command, setCommand] = useState("");
+  const [response, setResponse] = useState("");
+  const [conversation, setConversation] = useState(null);
+  const [context, setContext] = useState({ clients: [], team: [] });
+  const { run: runLLM, loading: thinking } = useLLM();
+  useEffect(() => {
+    const fetchContext = async () => {
+      const [{ data: clients }, { data: team }] = await Promise.all([
+        activeRecords(supabase.from("clients").select("id, name")),
+        activeRecords(supabase.from("team").select("id, name, profile_id")),
+      ]);
+      setContext({ clients: clients || [], team: team || [] });
+    };
+    fetchContext();
+  }, []);
+  function handleResult(transcript) {
+    lastTranscript.current = transcript;
+    setCommand(transcript);
+  }
+  function handleListenEnd() {
+    const transcript = lastTranscript.current;
+    lastTranscript.current = "";
+    if (transcript) executeCommand(transcript);
+  }
+  function say(text, expectReply) {
+    awaitingReply.current = expectReply;
+    setResponse(text);
+    speak({ text });
+  }
+  function proceed(next) {
+    if (next.missing.length > 0) {
+      setConversation({ command: next, stage: "asking" });
+      say(ASSISTANT_QUESTIONS[next.missing[0]], true);
+    } else {
+      setConversation({ command: next, stage: "confirming" });
+      say(describeAssistantCommand(next), true);
+    }
+  }
+  async function commit() {
+    const { table, values } = buildAssistantRecord(conversation.command);
+    setConversation(null);
+    const { data, error } = await supabase.from(table).insert([values]).select();
+    if (error) {
+      say(`Não consegui salvar: ${error.message}`, false);
+      return;
+    }
+    if (table === "clients") setContext((c) => ({ ...c, clients: [...c.clients, ...data] }));
+    const labels = { tasks: "Tarefa criada", events: "Evento agendado", clients: "Cliente cadastrado" };
+    say(`${labels[table]}: ${values.title || values.name}.`, false);
+  }
+  function cancel() {
+    setConversation(null);
+    say("Tudo bem, cancelei.", false);
+  }
+  async function executeCommand(text = command) {
+    setCommand("");
+    if (!text.trim()) return;
+    if (conversation?.stage === "confirming") {
+      const reply = normalizeText(text).trim();
+      if (/^(sim|confirmo|confirma|confirmar|pode|ok|isso|certo)\b/.test(reply)) return commit();
+      if (/^(nao|cancela|cancelar|pare)\b/.test(reply)) return cancel();
+      say(`Não entendi. ${describeAssistantCommand(conversation.command)}`, true);
+      return;
+    }
+    if (conversation?.stage === "asking") {
+      const next = answerAssistantQuestion(conversation.command, text);
+      if (next === conversation.command) {
+        say(`Não entendi. ${ASSISTANT_QUESTIONS[next.missing[0]]}`, true);
+        return;
+      }
+      proceed(next);
+      return;
+    }
+    let parsed = parseAssistantCommand(text, context);
+    if (!parsed) {
+      try {
+        const rewritten = await runLLM("assistant", {
+          text,
+          clients: context.clients.map((c) => c.name).join(", "),
+          team: context.team.map((m) => m.name).join(", "),
+        });
+        parsed = parseAssistantCommand(rewritten.trim(), context);
+      } catch (err) {
+        if (err.code === "aborted") return;
+        say(`Não consegui falar com a IA: ${err.message}`, false);
+        return;
+      }
+    }
+    if (!parsed) {
+      say("Não entendi o comando. Tente algo como: criar tarefa revisar site amanhã às 14h.", false);
+      return;
+    }
+    proceed(parsed);
+  }
+  // Funnel form
+  const navigate = useNavigate();
+  const [funnel, setFunnel] = useState({ businessType: "", audience: "", budget: "", goals: "", client_id: "", budget_amount: "" });
+  const [generated, setGenerated] = useState(null);
+  const [savedFunnels, setSavedFunnels] = useState([]);
+  useEffect(() => {
+    const fetchFunnels = async () => {
+      const { data } = await supabase.from("funnels").select("id, name, created_at, clients(name)").order("created_at", { ascending: false });
+      setSavedFunnels(data || []);
+    };
+    fetchFunnels();
+  }, []);
+  async function generateFunnel() {
+    setGenerated(null);
+    setResponse(`Gerando funil para ${funnel.businessType} com público alvo ${funnel.audience}, orçamento ${funnel.budget} e objetivos ${funnel.goals}...`);
+    try {
+      const text = await runLLM("funnel", funnel, {
+        onToken: (_token, partial) => setResponse(`Gerando funil... ${partial.length} caracteres recebidos`),
+      });
+      const result = parseFunnelResponse(text, funnel);
+      setGenerated(result);
+      say(
+        result.fromModel
+          ? `Funil gerado com ${result.stages.length} etapas. Revise e salve para gerar as tarefas.`
+          : "A IA não retornou um funil válido; montei um funil padrão para você revisar.",
+        false,
+      );
+    } catch (err) {
+      if (err.code !== "aborted") setResponse(`Erro ao gerar funil: ${err.message}`);
+    }
+  }
+  async function saveFunnel() {
+    const { data, error } = await supabase
+      .from("funnels")
+      .insert([{
+        name: `Funil ${funnel.businessType || "sem nome"}`,
+        client_id: funnel.client_id,
+        business_type: funnel.businessType,
+        audience: funnel.audience,
+        budget: funnel.budget,
+        budget_amount: funnel.budget_amount ? Number(funnel.budget_amount) : null,
+        goals: funnel.goals,
+        stages: generated.stages,
+      }])
+      .select();
+    if (error) {
+      setResponse(`Erro ao salvar funil: ${error.message}`);
+      return;
+    }
+    navigate(`/funil/${data[0].id}`);
+  }
+  return (
+    <Layout>
+      <div className="p-6 space-y-6">
+        <h1 className="text-2xl font-bold">Funil com IA</h1>
+        <div className="grid gap-6 md:grid-cols-2">
+          {/* Assistant */}
+          <div className="p-4 bg-gray-50 rounded">
+            <h2 className="mb-2 text-lg font-semibold">Assistente IA Inteligente</h2>
+            <textarea className="w-full p-2 mb-2 border rounded" rows={3} placeholder={conversation ? "Responda aqui" : "Digite o comando"} value={command} onChange={(e) => setCommand(e.target.value)}></textarea>
+            <div className="flex items-center space-x-2">
+              <button onClick={() => executeCommand()} disabled={thinking} className="px-4 py-2 text-white bg-blue-600 rounded disabled:opacity-50">{conversation ? "Responder" : "Executar"}</button>
+              <button onClick={() => (listening ? stop() : listen({ lang: "pt-BR" }))} className="px-4 py-2 text-white bg-green-600 rounded">
+                {listening ? "Parar" : "Falar"}
+              </button>
+              {conversation?.stage === "confirming" && (
+                <button onClick={commit} className="px-4 py-2 text-white bg-purple-600 rounded">Confirmar</button>
+              )}
+              {conversation && <button onClick={cancel} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>}
+            </div>
+            {response && <div className="mt-2 text-sm text-gray-700">{response}</div>}
+          </div>
+          {/* Funnel configuration */}
+          <div className="p-4 bg-gray-50 rounded">
+            <h2 className="mb-2 text-lg font-semibold">Configuração do Funil</h2>
+            <input className="w-full p-2 mb-2 border rounded" placeholder="Tipo de Negócio" value={funnel.businessType} onChange={(e) => setFunnel((f) => ({ ...f, businessType: e.target.value }))} />
+            <input className="w-full p-2 mb-2 border rounded" placeholder="Público-Alvo" value={funnel.audience} onChange={(e) => setFunnel((f) => ({ ...f, audience: e.target.value }))} />
+            <select className="w-full p-2 mb-2 border rounded" value={funnel.budget} onChange={(e) => setFunnel((f) => ({ ...f, budget: e.target.value }))}>
+              <option value="">Selecione o Orçamento</option>
+              <option value="Baixo">Baixo</option>
+              <option value="Médio">Médio</option>
+              <option value="Alto">Alto</option>
+            </select>
+            <input type="number" className="w-full p-2 mb-2 border rounded" placeholder="Valor mensal (R$)" value={funnel.budget_amount} onChange={(e) => setFunnel((f) => ({ ...f, budget_amount: e.target.value }))} />
+            <textarea className="w-full p-2 mb-2 border rounded" placeholder="Objetivos e Metas" value={funnel.goals} onChange={(e) => setFunnel((f) => ({ ...f, goals: e.target.value }))}></textarea>
+            <select className="w-full p-2 mb-2 border rounded" value={funnel.client_id} onChange={(e) => setFunnel((f) => ({ ...f, client_id: e.target.value }))}>
+              <option value="">Selecione o Cliente</option>
+              {context.clients.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <button onClick={generateFunnel} disabled={thinking} className="w-full py-2 text-white bg-purple-600 rounded disabled:opacity-50">{thinking ? "Gerando..." : "Gerar Funil com IA"}</button>
+          </div>
+        </div>
+        {generated && (
+          <div className="p-4 border rounded">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold">Funil Gerado</h2>
+              <button onClick={saveFunnel} disabled={!funnel.client_id} className="px-4 py-2 text-white bg-blue-600 rounded disabled:opacity-50">
+                {funnel.client_id ? "Salvar Funil" : "Selecione um cliente para salvar"}
+              </button>
+            </div>
+            <FunnelDiagram stages={generated.stages} budgetAmount={Number(funnel.budget_amount) || null} />
+          </div>
+        )}
+        <div>
+          <h2 className="mb-2 text-xl font-semibold">Funis Salvos</h2>
+          <ul className="divide-y divide-gray-200">
+            {savedFunnels.map((f) => (
+              <li key={f.id} className="py-2">
+                <RRNavLink to={`/funil/${f.id}`} className="flex justify-between hover:text-blue-600">
+                  <span>{f.name}</span>
+                  <span className="text-sm text-gray-500">{f.clients?.name} · {new Date(f.created_at).toLocaleDateString()}</span>
+                </RRNavLink>
+              </li>
+            ))}
+            {savedFunnels.length === 0 && <li className="py-2 text-gray-500">Nenhum funil salvo</li>}
+          </ul>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Marketing funnels
+ *
+ * A funnel is stored in the `funnels` table as the briefing (business type,
+ * audience, budget and goals) plus a `stages` JSON array.  Every stage has
+ * the same shape:
+ *
+ *   { key, label, channels: [], content: [], budget_share, kpis: [], owner_id }
+ *
+ * `content` lists the deliverables of the stage; "Gerar tarefas" turns each
+ * one into a task.  `budget_share` is a percentage of the monthly budget.
+ */
+const FUNNEL_STAGES = [
+  { key: "awareness", label: "Consciência" },
+  { key: "consideration", label: "Consideração" },
+  { key: "conversion", label: "Conversão" },
+  { key: "retention", label: "Retenção" },
+];
+
+const FUNNEL_BUDGET_SPLITS = {
+  Baixo: { awareness: 20, consideration: 30, conversion: 40, retention: 10 },
+  Médio: { awareness: 30, consideration: 30, conversion: 30, retention: 10 },
+  Alto: { awareness: 40, consideration: 25, conversion: 25, retention: 10 },
+};
+
+/*
+ * Rule-based funnel used by the mock provider and as a fallback when a model
+ * answers with something that is not valid JSON.
+ */
+function buildDefaultFunnel({ businessType, audience, budget, goals }) {
+  const split = FUNNEL_BUDGET_SPLITS[budget] || FUNNEL_BUDGET_SPLITS.Médio;
+  const paid = budget === "Alto" ? ["Google Ads", "Meta Ads"] : budget === "Médio" ? ["Meta Ads"] : [];
+  const subject = businessType || "o negócio";
+  const who = audience || "o público-alvo";
+  const stages = {
+    awareness: {
+      channels: ["Instagram", "Blog", ...paid],
+      content: [`Posts educativos sobre ${subject}`, `Artigo de blog para ${who}`, "Vídeo curto de apresentação da marca"],
+      kpis: ["Alcance", "Impressões", "Novos seguidores"],
+    },
+    consideration: {
+      channels: ["E-mail", "Landing page", "Instagram"],
+      content: ["E-book ou guia gratuito", "Sequência de e-mails de nutrição", "Depoimentos de clientes"],
+      kpis: ["Leads gerados", "Taxa de abertura de e-mail", "Taxa de conversão da landing page"],
+    },
+    conversion: {
+      channels: ["WhatsApp", "Landing page", ...paid.slice(0, 1)],
+      content: ["Oferta especial com prazo", "Campanha de remarketing", `Roteiro de abordagem comercial${goals ? ` para ${goals}` : ""}`],
+      kpis: ["Vendas", "Taxa de conversão", "Custo por aquisição"],
+    },
+    retention: {
+      channels: ["E-mail", "WhatsApp"],
+      content: ["Pesquisa de satisfação", "Programa de indicação", "Conteúdo exclusivo para clientes"],
+      kpis: ["Recompra", "NPS", "Churn"],
+    },
+  };
+  return FUNNEL_STAGES.map(({ key, label }) => ({ key, label, budget_share: split[key], owner_id: null, ...stages[key] }));
+}
+
+const asList = (value) => (Array.isArray(value) ? value.map(String).filter(Boolean) : value ? [String(value)] : []);
+
+/*
+ * Extracts the stages from a model answer.  The answer may wrap the JSON in
+ * prose or code fences, use either an object or array at the top level and
+ * omit fields; anything missing is filled from the default funnel.
+ */
+function parseFunnelResponse(text, vars) {
+  const fallback = buildDefaultFunnel(vars);
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf("}"), text.lastIndexOf("]"));
+  if (start < 0 || end <= start) return { stages: fallback, fromModel: false };
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return { stages: fallback, fromModel: false };
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed.stages || [];
+  const stages = FUNNEL_STAGES.map(({ key, label }, i) => {
+    const found = list.find((s) => s.key === key) || list[i] || {};
+    const base = fallback[i];
+    return {
+      key,
+      label,
+      channels: asList(found.channels).length ? asList(found.channels) : base.channels,
+      content: asList(found.content).length ? asList(found.content) : base.content,
+      kpis: asList(found.kpis).length ? asList(found.kpis) : base.kpis,
+      budget_share: Number(found.budget_share) || base.budget_share,
+      owner_id: null,
+    };
+  });
+  // Normalise the split so it always adds up to 100%.
+  const total = stages.reduce((sum, s) => sum + s.budget_share, 0);
+  stages.forEach((s) => {
+    s.budget_share = Math.round((s.budget_share / total) * 100);
+  });
+  return { stages, fromModel: true };
+}
+
+function formatCurrency(value) {
+  return Number(value || 0).toLocaleString("pt-BR", { style: "currency", currency: "BRL" });
+}
+
+/*
+ * Visual funnel: one band per stage, narrowing from top to bottom.  Pass
+ * `team` and `onOwnerChange` to let the user pick an owner per stage.
+ */
+function FunnelDiagram({ stages, budgetAmount, team = [], onOwnerChange }) {
+  const colors = ["bg-purple-600", "bg-blue-600", "bg-green-600", "bg-yellow-500"];
+  return (
+    <div className="space-y-2">
+      {stages.map((stage, i) => (
+        <div key={stage.key} className="flex flex-col items-center">
+          <div
+            className={`${colors[i % colors.length]} px-4 py-2 text-center text-white rounded`}
+            style={{ width: `${100 - i * 15}%` }}
+          >
+            <div className="font-semibold">{stage.label}</div>
+            <div className="text-xs">
+              {stage.budget_share}% do orçamento{budgetAmount ? ` · ${formatCurrency((budgetAmount * stage.budget_share) / 100)}` : ""}
+            </div>
+          </div>
+          <div className="grid w-full grid-cols-1 gap-2 p-2 text-sm md:grid-cols-3">
+            <div>
+              <div className="font-medium">Canais</div>
+              <ul className="text-gray-600 list-disc list-inside">{stage.channels.map((c) => <li key={c}>{c}</li>)}</ul>
+            </div>
+            <div>
+              <div className="font-medium">Conteúdos</div>
+              <ul className="text-gray-600 list-disc list-inside">{stage.content.map((c) => <li key={c}>{c}</li>)}</ul>
+            </div>
+            <div>
+              <div className="font-medium">KPIs</div>
+              <ul className="text-gray-600 list-disc list-inside">{stage.kpis.map((k) => <li key={k}>{k}</li>)}</ul>
+              {onOwnerChange && (
+                <select className="w-full p-1 mt-2 border rounded" value={stage.owner_id || ""} onChange={(e) => onOwnerChange(i, e.target.value || null)}>
+                  <option value="">Sem responsável</option>
+                  {team.filter((m) => m.profile_id).map((m) => <option key={m.id} value={m.profile_id}>{m.name}</option>)}
+                </select>
+              )}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/*
+ * Builds one task per content piece.  Each stage gets a week, starting at
+ * `startDate`, in funnel order.
+ */
+function buildFunnelTasks(funnel, startDate) {
+  return funnel.stages.flatMap((stage, i) => {
+    const start = addDays(startDate, i * 7);
+    const end = addDays(start, 6);
+    return stage.content.map((content) => ({
+      title: content,
+      description: `Funil "${funnel.name}" · etapa ${stage.label}\nCanais: ${stage.channels.join(", ")}`,
+      client_id: funnel.client_id,
+      user_id: stage.owner_id || null,
+      status: "pendente",
+      start_at: start.toISOString(),
+      end_at: end.toISOString(),
+      tags: `funil, ${stage.label.toLowerCase()}`,
+    }));
+  });
+}
+
+/*
+ * Funnel detail page
+ *
+ * Opens a saved funnel as a diagram, lets the user assign an owner per stage
+ * and turns the deliverables into Kanban tasks.
+ */
+function FunnelDetailPage() {
+  const { id } = useParams();
+  // The generated tasks go to the stage owners, so only managers create them.
+  const canGenerate = usePermission("tasks.assign");
+  const [funnel, setFunnel] = useState(null);
+  const [team, setTeam] = useState([]);
+  const [startDate, setStartDate] = useState(() => new Date().toISOString().split("T")[0]);
+  const [message, setMessage] = useState("");
+  useEffect(() => {
+    const fetchFunnel = async () => {
+      const { data } = await supabase.from("funnels").select("*, clients(name)").eq("id", id).single();
+      setFunnel(data);
+      const { data: members } = await supabase.from("team").select("id, name, profile_id");
+      setTeam(members || []);
+    };
+    fetchFunnel();
+  }, [id]);
+  const changeOwner = async (index, ownerId) => {
+    const stages = funnel.stages.map((s, i) => (i === index ? { ...s, owner_id: ownerId } : s));
+    setFunnel((f) => ({ ...f, stages }));
+    await supabase.from("funnels").update({ stages }).eq("id", id);
+  };
+  const generateTasks = async () => {
+    if (funnel.tasks_generated_at && !window.confirm("As tarefas deste funil já foram geradas. Gerar novamente?")) return;
+    const rows = buildFunnelTasks(funnel, new Date(`${startDate}T09:00`));
+    const { error } = await supabase.from("tasks").insert(rows);
+    if (error) {
+      setMessage(`Erro ao gerar tarefas: ${error.message}`);
+      return;
+    }
+    const generatedAt = new Date().toISOString();
+    await supabase.from("funnels").update({ tasks_generated_at: generatedAt }).eq("id", id);
+    setFunnel((f) => ({ ...f, tasks_generated_at: generatedAt }));
+    setMessage(`${rows.length} tarefas criadas no Kanban.`);
+  };
+  if (!funnel) {
+    return (
+      <Layout>
+        <div className="p-6 text-gray-500">Carregando...</div>
+      </Layout>
+    );
+  }
+  return (
+    <Layout>
+      <div className="p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold">{funnel.name}</h1>
+            <div className="text-sm text-gray-500">
+              {funnel.clients?.name} · {funnel.business_type} · {funnel.audience} · orçamento {funnel.budget}
             </div>
           </div>
-        )}
+          {canGenerate && (
+            <div className="flex items-center space-x-2">
+              <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="p-2 border rounded" />
+              <button onClick={generateTasks} className="px-3 py-2 text-white bg-green-600 rounded">Gerar Tarefas</button>
+            </div>
+          )}
+        </div>
+        {message && <div className="text-sm text-gray-700">{message}</div>}
+        {funnel.goals && <div className="text-sm"><span className="font-medium">Objetivos:</span> {funnel.goals}</div>}
+        <FunnelDiagram stages={funnel.stages} budgetAmount={funnel.budget_amount} team={team} onOwnerChange={changeOwner} />
       </div>
     </Layout>
   );
 }
 
 /*
- * Equipe page
+ * Time tracking
  *
- * Lists team members and allows creation of a new member.  Fields: name,
- * email, role, status.  Status can be Active or Inactive.
+ * Work time is stored as `time_entries` rows (user, task, start, end).  A
+ * running timer is simply an entry without `ended_at`, so it survives page
+ * reloads and can be stopped from any screen.  The database keeps
+ * `tasks.actual_hours` equal to the sum of the task's finished entries (see
+ * the trigger in the migration), so nothing in the UI has to add hours up.
+ *
+ * TimerProvider exposes the running entry plus start/stop helpers.  Timers
+ * are started from the task drawer (free-running) or from the Pomodoro in
+ * Ferramentas, which records only the focus phases.  The running entry
+ * belongs to the current workspace, so it is stopped before switching to
+ * another one.
  */
-function EquipePage() {
-  const [members, setMembers] = useState([]);
-  const [modalOpen, setModalOpen] = useState(false);
-  const [form, setForm] = useState({ name: "", email: "", role: "", status: "ativo" });
+const TimerContext = React.createContext(null);
+
+function TimerProvider({ children }) {
+  const { profile } = React.useContext(AuthContext);
+  const [active, setActive] = useState(null);
+  useEffect(() => {
+    if (!profile) {
+      setActive(null);
+      return;
+    }
+    const fetchRunning = async () => {
+      const { data } = await supabase
+        .from("time_entries")
+        .select("*, tasks(title)")
+        .eq("user_id", profile.id)
+        .is("ended_at", null)
+        .order("started_at", { ascending: false })
+        .limit(1);
+      setActive(data?.[0] || null);
+    };
+    fetchRunning();
+  }, [profile?.id, profile?.current_workspace_id]);
+  // Entries are only writable in their own workspace, where an update that
+  // touches no row fails silently; that counts as an error too.
+  const stop = useCallback(async () => {
+    if (!active) return null;
+    setActive(null);
+    const { data, error } = await supabase.from("time_entries").update({ ended_at: new Date().toISOString() }).eq("id", active.id).select("id");
+    const failure = error || (data.length === 0 ? new Error("O timer não pôde ser parado.") : null);
+    if (failure) setActive(active);
+    return failure;
+  }, [active]);
+  const start = useCallback(
+    async (task, source = "timer") => {
+      if (active) {
+        const failure = await stop();
+        if (failure) return failure;
+      }
+      const { data, error } = await supabase
+        .from("time_entries")
+        .insert([{ user_id: profile?.id || null, task_id: task.id, started_at: new Date().toISOString(), source }])
+        .select("*, tasks(title)");
+      if (!error) setActive(data[0]);
+      return error;
+    },
+    [active, stop, profile?.id],
+  );
+  const value = useMemo(() => ({ active, start, stop }), [active, start, stop]);
+  return <TimerContext.Provider value={value}>{children}</TimerContext.Provider>;
+}
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = String(Math.floor((seconds % 3600) / 60)).padStart(2, "0");
+  const s = String(Math.floor(seconds % 60)).padStart(2, "0");
+  return `${h}:${m}:${s}`;
+}
+
+/* Running timer shown in the sidebar, with a stop button. */
+function ActiveTimer() {
+  const { active, stop } = React.useContext(TimerContext);
+  const [now, setNow] = useState(Date.now());
+  const [error, setError] = useState("");
+  useEffect(() => {
+    if (!active) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [active]);
+  if (!active) return null;
+  return (
+    <div className="p-2 mb-4 text-xs bg-white border rounded">
+      <div className="font-medium truncate">{active.tasks?.title || "Tarefa"}</div>
+      <div className="flex items-center justify-between mt-1">
+        <span className="font-mono text-base">{formatDuration((now - new Date(active.started_at)) / 1000)}</span>
+        <button onClick={async () => setError((await stop())?.message || "")} className="px-2 py-1 text-white bg-red-600 rounded">Parar</button>
+      </div>
+      {active.source === "pomodoro" && <div className="text-gray-500">Pomodoro</div>}
+      {error && <div className="text-red-600">{error}</div>}
+    </div>
+  );
+}
+
+function startOfWeek(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+/*
+ * Timesheet page
+ *
+ * Weekly grid of hours per task for one person, plus the list of entries
+ * behind it.  Entries can be added by hand (for work done away from the
+ * app), edited and deleted.
+ */
+const emptyTimeEntry = (date) => ({ id: null, task_id: "", date, start: "09:00", end: "10:00", notes: "" });
+
+function TimesheetPage() {
+  const { profile } = React.useContext(AuthContext);
+  const [people, setPeople] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [userId, setUserId] = useState("");
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState("");
   useEffect(() => {
-    const fetch = async () => {
-      const { data } = await supabase.from("team").select("*");
-      setMembers(data || []);
+    const fetchLookups = async () => {
+      const [{ data: profiles }, { data: taskRows }] = await Promise.all([
+        supabase.from("profiles").select("id, name"),
+        supabase.from("tasks").select("id, title, status"),
+      ]);
+      setPeople(profiles || []);
+      setTasks(taskRows || []);
     };
-    fetch();
+    fetchLookups();
   }, []);
+  useEffect(() => {
+    if (!userId && profile) setUserId(profile.id);
+  }, [profile]);
+  const weekEnd = addDays(weekStart, 7);
+  const fetchEntries = async () => {
+    if (!userId) return;
+    const { data } = await supabase
+      .from("time_entries")
+      .select("*, tasks(title)")
+      .eq("user_id", userId)
+      .gte("started_at", weekStart.toISOString())
+      .lt("started_at", weekEnd.toISOString())
+      .order("started_at");
+    setEntries(data || []);
+  };
+  useEffect(() => {
+    fetchEntries();
+  }, [userId, weekStart]);
+  const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  // Matched by calendar date: a DST change makes one day of the week 23 or
+  // 25 hours long, so dividing milliseconds by a day misplaces entries.
+  const dayKeys = days.map(dateKey);
+  const dayIndex = (entry) => dayKeys.indexOf(dateKey(entry.started_at));
+  const rows = useMemo(() => {
+    const byTask = {};
+    entries.forEach((entry) => {
+      const row = (byTask[entry.task_id] = byTask[entry.task_id] || { id: entry.task_id, title: entry.tasks?.title || "Sem tarefa", hours: Array(7).fill(0) });
+      row.hours[dayIndex(entry)] += entryHours(entry);
+    });
+    return Object.values(byTask);
+  }, [entries, weekStart]);
+  const dayTotals = days.map((_, i) => rows.reduce((sum, r) => sum + r.hours[i], 0));
+  const openEntry = (entry) => {
+    const start = new Date(entry.started_at);
+    setForm({
+      id: entry.id,
+      task_id: entry.task_id,
+      date: toDateTimeInput(start).slice(0, 10),
+      start: toDateTimeInput(start).slice(11, 16),
+      end: entry.ended_at ? toDateTimeInput(entry.ended_at).slice(11, 16) : "",
+      notes: entry.notes || "",
+    });
+    setError("");
+  };
   const save = async () => {
-    const { data, error } = await supabase.from("team").insert([form]);
-    if (!error) setMembers((prev) => [...prev, ...data]);
-    setModalOpen(false);
+    const startedAt = new Date(`${form.date}T${form.start}`);
+    const endedAt = form.end ? new Date(`${form.date}T${form.end}`) : null;
+    if (!form.task_id) return setError("Selecione uma tarefa.");
+    if (endedAt && endedAt <= startedAt) return setError("O fim deve ser depois do início.");
+    const values = {
+      task_id: form.task_id,
+      user_id: userId,
+      started_at: startedAt.toISOString(),
+      ended_at: endedAt ? endedAt.toISOString() : null,
+      notes: form.notes || null,
+    };
+    const { error } = form.id
+      ? await supabase.from("time_entries").update(values).eq("id", form.id)
+      : await supabase.from("time_entries").insert([{ ...values, source: "manual" }]);
+    if (error) return setError(error.message);
+    setForm(null);
+    fetchEntries();
+  };
+  const remove = async (entry) => {
+    if (!window.confirm("Excluir este registro de horas?")) return;
+    await supabase.from("time_entries").delete().eq("id", entry.id);
+    setEntries((prev) => prev.filter((e) => e.id !== entry.id));
   };
+  const hours = (value) => (value ? value.toFixed(2) : "");
   return (
     <Layout>
       <div className="p-6 space-y-4">
         <div className="flex items-center justify-between">
-          <h1 className="text-2xl font-bold">Equipe</h1>
-          <button onClick={() => { setForm({ name: "", email: "", role: "", status: "ativo" }); setModalOpen(true); }} className="px-3 py-2 text-white bg-green-600 rounded">Novo Membro</button>
+          <h1 className="text-2xl font-bold">Horas</h1>
+          <button onClick={() => { setForm(emptyTimeEntry(toDateTimeInput(new Date()).slice(0, 10))); setError(""); }} className="px-3 py-2 text-white bg-green-600 rounded">Novo Registro</button>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select value={userId} disabled={!can(profile, "timesheet.manage")} onChange={(e) => setUserId(e.target.value)} className="p-2 border rounded">
+            <option value="">Selecione a pessoa</option>
+            {people.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+          <button onClick={() => setWeekStart((w) => addDays(w, -7))} className="px-3 py-2 bg-gray-200 rounded">←</button>
+          <span className="text-sm">
+            {weekStart.toLocaleDateString()} – {addDays(weekStart, 6).toLocaleDateString()}
+          </span>
+          <button onClick={() => setWeekStart((w) => addDays(w, 7))} className="px-3 py-2 bg-gray-200 rounded">→</button>
+          <button onClick={() => setWeekStart(startOfWeek(new Date()))} className="px-3 py-2 bg-gray-200 rounded">Hoje</button>
         </div>
         <table className="w-full text-sm border">
           <thead>
             <tr className="bg-gray-100">
-              <th className="px-2 py-1 border">Nome</th>
-              <th className="px-2 py-1 border">Email</th>
-              <th className="px-2 py-1 border">Cargo</th>
-              <th className="px-2 py-1 border">Status</th>
+              <th className="px-2 py-1 text-left border">Tarefa</th>
+              {days.map((d) => (
+                <th key={d.toISOString()} className="px-2 py-1 border">{d.toLocaleDateString(undefined, { weekday: "short", day: "numeric" })}</th>
+              ))}
+              <th className="px-2 py-1 border">Total</th>
             </tr>
           </thead>
           <tbody>
-            {members.map((m) => (
-              <tr key={m.id} className="border-t">
-                <td className="px-2 py-1 border">{m.name}</td>
-                <td className="px-2 py-1 border">{m.email}</td>
-                <td className="px-2 py-1 border">{m.role}</td>
-                <td className="px-2 py-1 border">{m.status}</td>
+            {rows.map((row) => (
+              <tr key={row.id} className="border-t">
+                <td className="px-2 py-1 border">{row.title}</td>
+                {row.hours.map((h, i) => <td key={i} className="px-2 py-1 text-right border">{hours(h)}</td>)}
+                <td className="px-2 py-1 font-medium text-right border">{hours(row.hours.reduce((a, b) => a + b, 0))}</td>
               </tr>
             ))}
-            {members.length === 0 && (
+            {rows.length === 0 && (
               <tr>
-                <td colSpan={4} className="p-4 text-center text-gray-500">Nenhum membro</td>
+                <td colSpan={9} className="p-4 text-center text-gray-500">Nenhuma hora registrada nesta semana</td>
+              </tr>
+            )}
+            {rows.length > 0 && (
+              <tr className="font-semibold bg-gray-50">
+                <td className="px-2 py-1 border">Total</td>
+                {dayTotals.map((h, i) => <td key={i} className="px-2 py-1 text-right border">{hours(h)}</td>)}
+                <td className="px-2 py-1 text-right border">{hours(dayTotals.reduce((a, b) => a + b, 0))}</td>
               </tr>
             )}
           </tbody>
         </table>
-        {modalOpen && (
-          <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50">
-            <div className="p-6 bg-white rounded shadow-lg w-96">
-              <h2 className="mb-4 text-lg font-semibold">Novo Membro</h2>
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Nome" value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} />
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Email" value={form.email} onChange={(e) => setForm((f) => ({ ...f, email: e.target.value }))} />
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Cargo" value={form.role} onChange={(e) => setForm((f) => ({ ...f, role: e.target.value }))} />
-              <select className="w-full p-2 mb-4 border rounded" value={form.status} onChange={(e) => setForm((f) => ({ ...f, status: e.target.value }))}>
-                <option value="ativo">Ativo</option>
-                <option value="inativo">Inativo</option>
-              </select>
-              <div className="flex justify-end space-x-2">
-                <button onClick={() => setModalOpen(false)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
-                <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
-              </div>
-            </div>
-          </div>
-        )}
-      </div>
-    </Layout>
-  );
-}
-
-/*
- * Serviços page
- *
- * Allows adding and listing service definitions.  Each service has a name
- * and description.
- */
-function ServicosPage() {
-  const [services, setServices] = useState([]);
-  const [modalOpen, setModalOpen] = useState(false);
-  const [form, setForm] = useState({ name: "", description: "" });
-  useEffect(() => {
-    const fetch = async () => {
-      const { data } = await supabase.from("services").select("*");
-      setServices(data || []);
-    };
-    fetch();
-  }, []);
-  const save = async () => {
-    const { data, error } = await supabase.from("services").insert([form]);
-    if (!error) setServices((prev) => [...prev, ...data]);
-    setModalOpen(false);
-  };
-  return (
-    <Layout>
-      <div className="p-6 space-y-4">
-        <div className="flex items-center justify-between">
-          <h1 className="text-2xl font-bold">Serviços</h1>
-          <button onClick={() => { setForm({ name: "", description: "" }); setModalOpen(true); }} className="px-3 py-2 text-white bg-green-600 rounded">Novo Serviço</button>
-        </div>
-        <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
-          {services.map((s) => (
-            <div key={s.id} className="p-4 border rounded">
-              <div className="text-lg font-semibold">{s.name}</div>
-              <div className="mt-1 text-sm text-gray-600">{s.description}</div>
-            </div>
-          ))}
-          {services.length === 0 && <div className="text-gray-500">Nenhum serviço</div>}
-        </div>
-        {modalOpen && (
-          <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50">
-            <div className="p-6 bg-white rounded shadow-lg w-96">
-              <h2 className="mb-4 text-lg font-semibold">Novo Serviço</h2>
-              <input className="w-full p-2 mb-2 border rounded" placeholder="Nome do serviço" value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} />
-              <textarea className="w-full p-2 mb-4 border rounded" placeholder="Descrição" value={form.description} onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))}></textarea>
-              <div className="flex justify-end space-x-2">
-                <button onClick={() => setModalOpen(false)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
-                <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
-              </div>
-            </div>
-          </div>
-        )}
-      </div>
-    </Layout>
-  );
-}
-
-/*
- * Relatórios page
- *
- * Renders a few example charts summarising tasks and team performance.
- */
-function RelatoriosPage() {
-  // Example static data; replace with queries to your Supabase tables
-  const teamPerformance = [
-    { name: "João", tarefas: 10, progresso: 80 },
-    { name: "Maria", tarefas: 8, progresso: 95 },
-    { name: "Carlos", tarefas: 6, progresso: 60 },
-  ];
-  const projectStatus = [
-    { name: "Concluído", value: 15 },
-    { name: "Em Andamento", value: 5 },
-    { name: "Atrasado", value: 3 },
-    { name: "Pausado", value: 1 },
-  ];
-  const clientMetrics = [
-    { name: "Cliente A", tarefas: 5, receita: 2000, satisfacao: 4.8 },
-    { name: "Cliente B", tarefas: 3, receita: 1500, satisfacao: 4.5 },
-    { name: "Cliente C", tarefas: 2, receita: 1000, satisfacao: 4.2 },
-  ];
-  return (
-    <Layout>
-      <div className="p-6 space-y-6">
-        <h1 className="text-2xl font-bold">Relatórios</h1>
-        {/* Team performance bar chart */}
-        <div className="h-64">
-          <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={teamPerformance} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="name" label={{ value: "Membro", position: "insideBottom", offset: -5 }} />
-              <YAxis label={{ value: "Tarefas", angle: -90, position: "insideLeft" }} />
-              <Tooltip />
-              <Bar dataKey="tarefas" fill="#8884d8" />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
-        {/* Project status pie chart */}
-        <div className="h-64">
-          <ResponsiveContainer width="100%" height="100%">
-            <PieChart>
-              <Pie data={projectStatus} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={80} label />
-              <Tooltip />
-            </PieChart>
-          </ResponsiveContainer>
-        </div>
-        {/* Client metrics list */}
         <div>
-          <h2 className="mb-2 text-xl font-semibold">Métricas por Cliente</h2>
+          <h2 className="mb-2 text-xl font-semibold">Registros</h2>
           <table className="w-full text-sm border">
             <thead>
               <tr className="bg-gray-100">
-                <th className="px-2 py-1 border">Cliente</th>
-                <th className="px-2 py-1 border">Tarefas</th>
-                <th className="px-2 py-1 border">Receita</th>
-                <th className="px-2 py-1 border">Satisfação</th>
+                <th className="px-2 py-1 border">Tarefa</th>
+                <th className="px-2 py-1 border">Início</th>
+                <th className="px-2 py-1 border">Fim</th>
+                <th className="px-2 py-1 border">Horas</th>
+                <th className="px-2 py-1 border">Origem</th>
+                <th className="px-2 py-1 border"></th>
               </tr>
             </thead>
             <tbody>
-              {clientMetrics.map((c) => (
-                <tr key={c.name} className="border-t">
-                  <td className="px-2 py-1 border">{c.name}</td>
-                  <td className="px-2 py-1 border">{c.tarefas}</td>
-                  <td className="px-2 py-1 border">R$ {c.receita.toFixed(2)}</td>
-                  <td className="px-2 py-1 border">{c.satisfacao}</td>
+              {entries.map((entry) => (
+                <tr key={entry.id} className="border-t">
+                  <td className="px-2 py-1 border">{entry.tasks?.title}</td>
+                  <td className="px-2 py-1 border">{new Date(entry.started_at).toLocaleString()}</td>
+                  <td className="px-2 py-1 border">{entry.ended_at ? new Date(entry.ended_at).toLocaleString() : "em andamento"}</td>
+                  <td className="px-2 py-1 text-right border">{hours(entryHours(entry))}</td>
+                  <td className="px-2 py-1 border">{entry.source}</td>
+                  <td className="px-2 py-1 space-x-2 border">
+                    <button onClick={() => openEntry(entry)} className="text-blue-600">Editar</button>
+                    <button onClick={() => remove(entry)} className="text-red-600">Excluir</button>
+                  </td>
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
-      </div>
-    </Layout>
-  );
-}
-
-/*
- * Funil IA page
- *
- * Provides a simple natural language assistant to create tasks/events/clients
- * and a funnel generator that accepts business type, audience, budget and
- * goals.  This is where you would integrate with an LLM through
- * HuggingFace.  The STT/TTS is implemented using the Web Speech API via
- * react‑speech‑kit.  For demonstration, the assistant only echoes the
- * command.
- */
-function FunilPage() {
-  const { speak } = useSpeechSynthesis();
-  const { listen, listening, stop } = useSpeechRecognition({ onResult: handleResult });
-  const [command, setCommand] = useState("");
-  const [response, setResponse] = useState("");
-  function handleResult(transcript) {
-    setCommand(transcript);
-  }
-  async function executeCommand() {
-    // here you would call your HuggingFace model or custom API to parse
-    // the command and perform actions.  We'll just echo it.
-    setResponse(`Executando: ${command}`);
-    speak({ text: `Executando: ${command}` });
-    setCommand("");
-  }
-  // Funnel form
-  const [funnel, setFunnel] = useState({ businessType: "", audience: "", budget: "", goals: "" });
-  function generateFunnel() {
-    const message = `Gerando funil para ${funnel.businessType} com público alvo ${funnel.audience}, orçamento ${funnel.budget} e objetivos ${funnel.goals}`;
-    setResponse(message);
-    speak({ text: message });
-  }
-  return (
-    <Layout>
-      <div className="p-6 space-y-6">
-        <h1 className="text-2xl font-bold">Funil com IA</h1>
-        <div className="grid gap-6 md:grid-cols-2">
-          {/* Assistant */}
-          <div className="p-4 bg-gray-50 rounded">
-            <h2 className="mb-2 text-lg font-semibold">Assistente IA Inteligente</h2>
-            <textarea className="w-full p-2 mb-2 border rounded" rows={3} placeholder="Digite o comando" value={command} onChange={(e) => setCommand(e.target.value)}></textarea>
-            <div className="flex items-center space-x-2">
-              <button onClick={executeCommand} className="px-4 py-2 text-white bg-blue-600 rounded">Executar</button>
-              <button onClick={() => (listening ? stop() : listen())} className="px-4 py-2 text-white bg-green-600 rounded">
-                {listening ? "Parar" : "Falar"}
-              </button>
+        {form && (
+          <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="p-6 bg-white rounded shadow-lg w-96">
+              <h2 className="mb-4 text-lg font-semibold">{form.id ? "Editar Registro" : "Novo Registro"}</h2>
+              {error && <div className="mb-2 text-sm text-red-500">{error}</div>}
+              <select className="w-full p-2 mb-2 border rounded" value={form.task_id} onChange={(e) => setForm((f) => ({ ...f, task_id: e.target.value }))}>
+                <option value="">Selecione a tarefa</option>
+                {tasks.map((t) => <option key={t.id} value={t.id}>{t.title}</option>)}
+              </select>
+              <input type="date" className="w-full p-2 mb-2 border rounded" value={form.date} onChange={(e) => setForm((f) => ({ ...f, date: e.target.value }))} />
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                <input type="time" className="p-2 border rounded" value={form.start} onChange={(e) => setForm((f) => ({ ...f, start: e.target.value }))} />
+                <input type="time" className="p-2 border rounded" value={form.end} onChange={(e) => setForm((f) => ({ ...f, end: e.target.value }))} />
+              </div>
+              <textarea className="w-full p-2 mb-4 border rounded" placeholder="Observações" value={form.notes} onChange={(e) => setForm((f) => ({ ...f, notes: e.target.value }))}></textarea>
+              <div className="flex justify-end space-x-2">
+                <button onClick={() => setForm(null)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+                <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+              </div>
             </div>
-            {response && <div className="mt-2 text-sm text-gray-700">{response}</div>}
-          </div>
-          {/* Funnel configuration */}
-          <div className="p-4 bg-gray-50 rounded">
-            <h2 className="mb-2 text-lg font-semibold">Configuração do Funil</h2>
-            <input className="w-full p-2 mb-2 border rounded" placeholder="Tipo de Negócio" value={funnel.businessType} onChange={(e) => setFunnel((f) => ({ ...f, businessType: e.target.value }))} />
-            <input className="w-full p-2 mb-2 border rounded" placeholder="Público-Alvo" value={funnel.audience} onChange={(e) => setFunnel((f) => ({ ...f, audience: e.target.value }))} />
-            <select className="w-full p-2 mb-2 border rounded" value={funnel.budget} onChange={(e) => setFunnel((f) => ({ ...f, budget: e.target.value }))}>
-              <option value="">Selecione o Orçamento</option>
-              <option value="Baixo">Baixo</option>
-              <option value="Médio">Médio</option>
-              <option value="Alto">Alto</option>
-            </select>
-            <textarea className="w-full p-2 mb-2 border rounded" placeholder="Objetivos e Metas" value={funnel.goals} onChange={(e) => setFunnel((f) => ({ ...f, goals: e.target.value }))}></textarea>
-            <button onClick={generateFunnel} className="w-full py-2 text-white bg-purple-600 rounded">Gerar Funil com IA</button>
           </div>
-        </div>
+        )}
       </div>
     </Layout>
   );
@@ -838,6 +7985,9 @@ function FunilPage() {
  * replicates the behaviour of the Lovable timer with start, reset and
  * cycle management.  The timer runs on the client side; statistics and
  * reward logic can be stored in Supabase.
+ *
+ * When a task is linked (picked here or passed as ?task=<id> from the task
+ * drawer), each focus phase is recorded as a time entry for that task.
  */
 function FerramentasPage() {
   const workDuration = 25 * 60; // 25 minutes
@@ -846,7 +7996,25 @@ function FerramentasPage() {
   const [timeLeft, setTimeLeft] = useState(workDuration);
   const [phase, setPhase] = useState("work");
   const [cycle, setCycle] = useState(1);
+  const [searchParams] = useSearchParams();
   const [running, setRunning] = useState(false);
+  const [tasks, setTasks] = useState([]);
+  const [taskId, setTaskId] = useState(searchParams.get("task") || "");
+  const timer = React.useContext(TimerContext);
+  useEffect(() => {
+    const fetchTasks = async () => {
+      const { data } = await supabase.from("tasks").select("id, title").neq("status", "concluido");
+      setTasks(data || []);
+    };
+    fetchTasks();
+  }, []);
+  // Track time only while focusing on a linked task.
+  useEffect(() => {
+    const focusing = running && phase === "work" && taskId;
+    const tracking = timer.active?.source === "pomodoro" && timer.active.task_id === taskId;
+    if (focusing && !tracking) timer.start({ id: taskId }, "pomodoro");
+    if (!focusing && timer.active?.source === "pomodoro") timer.stop();
+  }, [running, phase, taskId]);
   useEffect(() => {
     if (!running) return;
     const interval = setInterval(() => {
@@ -866,43 +8034,463 @@ function FerramentasPage() {
     return () => clearInterval(interval);
   }, [running, phase, cycle]);
   const start = () => setRunning(true);
+  // ?start=1 (the command palette's "Iniciar pomodoro") starts right away.
+  useEffect(() => {
+    if (searchParams.get("start") === "1") start();
+  }, [searchParams]);
   const reset = () => {
     setRunning(false);
     setPhase("work");
     setCycle(1);
     setTimeLeft(workDuration);
   };
-  const minutes = String(Math.floor(timeLeft / 60)).padStart(2, "0");
-  const seconds = String(timeLeft % 60).padStart(2, "0");
+  const minutes = String(Math.floor(timeLeft / 60)).padStart(2, "0");
+  const seconds = String(timeLeft % 60).padStart(2, "0");
+  return (
+    <Layout>
+      <div className="p-6 space-y-6">
+        <h1 className="text-2xl font-bold">Ferramentas</h1>
+        <div className="flex flex-col items-center p-6 bg-red-50 rounded">
+          <select value={taskId} onChange={(e) => setTaskId(e.target.value)} className="p-2 mb-4 border rounded">
+            <option value="">Sem tarefa vinculada</option>
+            {tasks.map((t) => <option key={t.id} value={t.id}>{t.title}</option>)}
+          </select>
+          <h2 className="mb-2 text-xl font-semibold">{phase === "work" ? "Foco no Trabalho" : phase === "shortBreak" ? "Pausa Curta" : "Pausa Longa"}</h2>
+          <div className="mb-2 text-sm text-gray-600">Ciclo {cycle}</div>
+          <div className="mb-4 text-5xl font-bold">{minutes}:{seconds}</div>
+          <div className="flex space-x-2">
+            {!running && <button onClick={start} className="px-4 py-2 text-white bg-blue-600 rounded">Iniciar</button>}
+            {running && <button onClick={() => setRunning(false)} className="px-4 py-2 text-white bg-yellow-600 rounded">Pausar</button>}
+            <button onClick={reset} className="px-4 py-2 text-white bg-gray-600 rounded">Reiniciar</button>
+          </div>
+        </div>
+        {/* Rewards/discipline examples */}
+        <div className="grid gap-4 md:grid-cols-3">
+          <div className="p-4 bg-yellow-50 rounded">
+            <div className="text-lg font-semibold">Bronze</div>
+            <div className="text-sm">4 pomodoros por dia<br/>Recompensa: 10 min de redes sociais</div>
+          </div>
+          <div className="p-4 bg-gray-50 rounded">
+            <div className="text-lg font-semibold">Prata</div>
+            <div className="text-sm">6 pomodoros por dia<br/>Recompensa: Episódio favorito</div>
+          </div>
+          <div className="p-4 bg-yellow-100 rounded">
+            <div className="text-lg font-semibold">Ouro</div>
+            <div className="text-sm">8+ pomodoros por dia<br/>Recompensa: Atividade especial</div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+/*
+ * Automation engine
+ *
+ * The rules stored in the `automations` table run in the database: a
+ * trigger on tasks and clients fires them when a status or stage changes,
+ * and fire_overdue_automations(), scheduled with pg_cron, when a deadline
+ * passes (see the migration).  A rule has a trigger (which event fires it),
+ * a list of conditions checked against the affected record, and a list of
+ * actions.  The functions below mirror that engine so the Automações page
+ * can dry-run a rule and show what it would do.
+ *
+ * Every execution, including dry runs, is written to `automation_runs` so
+ * the Automações page can show what each rule did.
+ */
+const AUTOMATION_TRIGGERS = [
+  { id: "task.status_changed", label: "Status da tarefa alterado", table: "tasks", field: "status" },
+  { id: "task.overdue", label: "Prazo da tarefa vencido", table: "tasks" },
+  { id: "client.stage_changed", label: "Etapa do cliente alterada", table: "clients", field: "stage" },
+];
+
+const AUTOMATION_OPERATORS = [
+  { id: "eq", label: "igual a" },
+  { id: "neq", label: "diferente de" },
+  { id: "contains", label: "contém" },
+  { id: "gt", label: "maior que" },
+  { id: "lt", label: "menor que" },
+  { id: "empty", label: "vazio" },
+  { id: "not_empty", label: "preenchido" },
+];
+
+const AUTOMATION_ACTIONS = [
+  { id: "create_task", label: "Criar tarefa de follow-up" },
+  // Only tasks have a responsible person (clients have no user_id).
+  { id: "assign", label: "Reatribuir responsável", tables: ["tasks"] },
+  { id: "add_tag", label: "Adicionar tag" },
+  { id: "create_event", label: "Criar evento na agenda" },
+];
+
+function matchesTrigger(trigger, event) {
+  if (!trigger || trigger.event !== event.type) return false;
+  const def = AUTOMATION_TRIGGERS.find((t) => t.id === trigger.event);
+  if (def?.field && event.old && event.old[def.field] === event.record[def.field]) return false;
+  if (trigger.from && event.old?.[def?.field] !== trigger.from) return false;
+  if (trigger.to && event.record[def?.field] !== trigger.to) return false;
+  return true;
+}
+
+function evaluateCondition({ field, op, value }, record) {
+  const actual = record[field];
+  const text = actual == null ? "" : String(actual).toLowerCase();
+  switch (op) {
+    case "eq":
+      return text === String(value ?? "").toLowerCase();
+    case "neq":
+      return text !== String(value ?? "").toLowerCase();
+    case "contains":
+      return text.includes(String(value ?? "").toLowerCase());
+    case "gt":
+      return Number(actual) > Number(value);
+    case "lt":
+      return Number(actual) < Number(value);
+    case "empty":
+      return text === "";
+    case "not_empty":
+      return text !== "";
+    default:
+      return false;
+  }
+}
+
+function evaluateConditions(conditions, record) {
+  return (conditions || []).every((c) => evaluateCondition(c, record));
+}
+
+/* Replaces {{field}} placeholders with values from the record. */
+function interpolate(template, record) {
+  return (template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (record[key] == null ? "" : String(record[key])));
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + Number(days || 0));
+  return d;
+}
+
+function appendTag(tags, tag) {
+  const list = (tags || "").split(",").map((t) => t.trim()).filter(Boolean);
+  if (!list.some((t) => t.toLowerCase() === tag.toLowerCase())) list.push(tag);
+  return list.join(", ");
+}
+
+/*
+ * Turns a rule's actions into a list of database operations without running
+ * them, the same operations execute_automation_actions() carries out in the
+ * database, so a dry run previews what the rule will do.
+ */
+function planActions(actions, event) {
+  const { table, record } = event;
+  const taskClientId = table === "clients" ? record.id : record.client_id;
+  return (actions || []).map((action) => {
+    switch (action.type) {
+      case "create_task": {
+        const start = addDays(new Date(), action.offset_days);
+        return {
+          action,
+          op: "insert",
+          table: "tasks",
+          values: {
+            title: interpolate(action.title || "Follow-up: {{title}}", record),
+            client_id: taskClientId || null,
+            user_id: action.user_id || (table === "tasks" ? record.user_id : null) || null,
+            priority: action.priority || null,
+            status: "pendente",
+            start_at: start.toISOString(),
+            end_at: addDays(start, action.duration_days || 0).toISOString(),
+          },
+        };
+      }
+      case "assign":
+        if (table !== "tasks") return { action, op: "skip", reason: "Reatribuir responsável só vale para tarefas" };
+        return { action, op: "update", table, id: record.id, values: { user_id: action.user_id || null } };
+      case "add_tag":
+        return { action, op: "update", table, id: record.id, values: { tags: appendTag(record.tags, interpolate(action.tag, record)) } };
+      case "create_event": {
+        const start = addDays(new Date(), action.offset_days);
+        if (action.time) {
+          const [h, m] = action.time.split(":");
+          start.setHours(Number(h), Number(m || 0), 0, 0);
+        }
+        const end = new Date(start.getTime() + Number(action.duration_minutes || 60) * 60000);
+        return {
+          action,
+          op: "insert",
+          table: "events",
+          values: {
+            title: interpolate(action.title || "{{title}}", record),
+            start_at: start.toISOString(),
+            end_at: end.toISOString(),
+            client_id: taskClientId || null,
+            user_id: action.user_id || (table === "tasks" ? record.user_id : null) || null,
+          },
+        };
+      }
+      default:
+        return { action, op: "skip", reason: `Ação desconhecida: ${action.type}` };
+    }
+  });
+}
+
+async function logAutomationRun(automation, event, { dryRun, status, plan, error }) {
+  await supabase.from("automation_runs").insert([{
+    automation_id: automation.id,
+    trigger_event: event.type,
+    record_id: event.record?.id || null,
+    dry_run: dryRun,
+    status,
+    result: plan.map(({ action, op, table, id, values, reason }) => ({ type: action.type, op, table, id, values, reason })),
+    error: error || null,
+  }]);
+}
+
+/* Evaluates the given rules against an event and logs the plan of each match as a dry run. */
+async function dryRunAutomations(event, automations) {
+  const outcomes = [];
+  for (const automation of automations) {
+    if (!matchesTrigger(automation.trigger, event)) continue;
+    if (!evaluateConditions(automation.conditions, event.record)) {
+      outcomes.push({ automation, status: "skipped", plan: [] });
+      continue;
+    }
+    const plan = planActions(automation.actions, event);
+    if (automation.id) await logAutomationRun(automation, event, { dryRun: true, status: "dry_run", plan });
+    outcomes.push({ automation, status: "dry_run", plan });
+  }
+  return outcomes;
+}
+
+/*
+ * Automações page
+ *
+ * Lists the automation rules, lets the user build new ones (trigger,
+ * conditions and actions), toggle them on and off and dry-run a rule against
+ * an existing task or client to preview what it would do.  The bottom of the
+ * page shows the most recent runs.
+ */
+const emptyAutomation = () => ({
+  id: null,
+  name: "",
+  enabled: true,
+  trigger: { event: "task.status_changed", to: "concluido" },
+  conditions: [],
+  actions: [{ type: "create_task", title: "Follow-up: {{title}}", offset_days: 1 }],
+});
+
+function AutomationsPage() {
+  const [automations, setAutomations] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [form, setForm] = useState(null);
+  const [records, setRecords] = useState({ tasks: [], clients: [] });
+  const [dryRun, setDryRun] = useState({ recordId: "", outcomes: null });
+  const fetchRuns = async () => {
+    const { data } = await supabase.from("automation_runs").select("*").order("created_at", { ascending: false }).limit(50);
+    setRuns(data || []);
+  };
+  useEffect(() => {
+    const fetchAll = async () => {
+      const { data } = await supabase.from("automations").select("*").order("created_at");
+      setAutomations(data || []);
+      const [{ data: tasks }, { data: clients }] = await Promise.all([
+        supabase.from("tasks").select("*"),
+        supabase.from("clients").select("*"),
+      ]);
+      setRecords({ tasks: tasks || [], clients: clients || [] });
+    };
+    fetchAll();
+    fetchRuns();
+  }, []);
+  const triggerDef = AUTOMATION_TRIGGERS.find((t) => t.id === form?.trigger.event);
+  const sampleRecords = triggerDef ? records[triggerDef.table] : [];
+  const toggle = async (automation) => {
+    const { error } = await supabase.from("automations").update({ enabled: !automation.enabled }).eq("id", automation.id);
+    if (!error) setAutomations((prev) => prev.map((a) => (a.id === automation.id ? { ...a, enabled: !a.enabled } : a)));
+  };
+  const save = async () => {
+    const { id, ...values } = form;
+    const query = id
+      ? supabase.from("automations").update(values).eq("id", id).select()
+      : supabase.from("automations").insert([values]).select();
+    const { data, error } = await query;
+    if (error) return;
+    setAutomations((prev) => (id ? prev.map((a) => (a.id === id ? data[0] : a)) : [...prev, ...data]));
+    setForm(null);
+  };
+  const runDry = async () => {
+    const record = sampleRecords.find((r) => r.id === dryRun.recordId);
+    if (!record) return;
+    // Simulate the change the trigger describes so the rule can match.
+    const old = triggerDef.field ? { ...record, [triggerDef.field]: form.trigger.from ?? null } : undefined;
+    const next = triggerDef.field && form.trigger.to ? { ...record, [triggerDef.field]: form.trigger.to } : record;
+    const outcomes = await dryRunAutomations({ type: form.trigger.event, table: triggerDef.table, record: next, old }, [form]);
+    setDryRun((d) => ({ ...d, outcomes }));
+    fetchRuns();
+  };
+  const setTrigger = (patch) => setForm((f) => ({ ...f, trigger: { ...f.trigger, ...patch } }));
+  const setListItem = (key, index, patch) =>
+    setForm((f) => ({ ...f, [key]: f[key].map((item, i) => (i === index ? { ...item, ...patch } : item)) }));
+  const removeListItem = (key, index) => setForm((f) => ({ ...f, [key]: f[key].filter((_, i) => i !== index) }));
+  const nameOf = (id) => automations.find((a) => a.id === id)?.name || id;
   return (
     <Layout>
       <div className="p-6 space-y-6">
-        <h1 className="text-2xl font-bold">Ferramentas</h1>
-        <div className="flex flex-col items-center p-6 bg-red-50 rounded">
-          <h2 className="mb-2 text-xl font-semibold">{phase === "work" ? "Foco no Trabalho" : phase === "shortBreak" ? "Pausa Curta" : "Pausa Longa"}</h2>
-          <div className="mb-2 text-sm text-gray-600">Ciclo {cycle}</div>
-          <div className="mb-4 text-5xl font-bold">{minutes}:{seconds}</div>
-          <div className="flex space-x-2">
-            {!running && <button onClick={start} className="px-4 py-2 text-white bg-blue-600 rounded">Iniciar</button>}
-            {running && <button onClick={() => setRunning(false)} className="px-4 py-2 text-white bg-yellow-600 rounded">Pausar</button>}
-            <button onClick={reset} className="px-4 py-2 text-white bg-gray-600 rounded">Reiniciar</button>
-          </div>
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Automações</h1>
+          <button onClick={() => { setForm(emptyAutomation()); setDryRun({ recordId: "", outcomes: null }); }} className="px-3 py-2 text-white bg-green-600 rounded">Nova Automação</button>
         </div>
-        {/* Rewards/discipline examples */}
-        <div className="grid gap-4 md:grid-cols-3">
-          <div className="p-4 bg-yellow-50 rounded">
-            <div className="text-lg font-semibold">Bronze</div>
-            <div className="text-sm">4 pomodoros por dia<br/>Recompensa: 10 min de redes sociais</div>
-          </div>
-          <div className="p-4 bg-gray-50 rounded">
-            <div className="text-lg font-semibold">Prata</div>
-            <div className="text-sm">6 pomodoros por dia<br/>Recompensa: Episódio favorito</div>
-          </div>
-          <div className="p-4 bg-yellow-100 rounded">
-            <div className="text-lg font-semibold">Ouro</div>
-            <div className="text-sm">8+ pomodoros por dia<br/>Recompensa: Atividade especial</div>
-          </div>
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="px-2 py-1 border">Nome</th>
+              <th className="px-2 py-1 border">Gatilho</th>
+              <th className="px-2 py-1 border">Condições</th>
+              <th className="px-2 py-1 border">Ações</th>
+              <th className="px-2 py-1 border">Ativa</th>
+              <th className="px-2 py-1 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {automations.map((a) => (
+              <tr key={a.id} className="border-t">
+                <td className="px-2 py-1 border">{a.name}</td>
+                <td className="px-2 py-1 border">
+                  {AUTOMATION_TRIGGERS.find((t) => t.id === a.trigger?.event)?.label || a.trigger?.event}
+                  {a.trigger?.to && <span className="text-gray-500"> → {a.trigger.to}</span>}
+                </td>
+                <td className="px-2 py-1 border">{(a.conditions || []).length}</td>
+                <td className="px-2 py-1 border">{(a.actions || []).map((x) => AUTOMATION_ACTIONS.find((d) => d.id === x.type)?.label || x.type).join(", ")}</td>
+                <td className="px-2 py-1 text-center border">
+                  <input type="checkbox" checked={!!a.enabled} onChange={() => toggle(a)} />
+                </td>
+                <td className="px-2 py-1 border">
+                  <button onClick={() => { setForm({ conditions: [], actions: [], ...a }); setDryRun({ recordId: "", outcomes: null }); }} className="text-blue-600">Editar</button>
+                </td>
+              </tr>
+            ))}
+            {automations.length === 0 && (
+              <tr>
+                <td colSpan={6} className="p-4 text-center text-gray-500">Nenhuma automação</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        <div>
+          <h2 className="mb-2 text-xl font-semibold">Execuções Recentes</h2>
+          <table className="w-full text-sm border">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="px-2 py-1 border">Data</th>
+                <th className="px-2 py-1 border">Automação</th>
+                <th className="px-2 py-1 border">Evento</th>
+                <th className="px-2 py-1 border">Status</th>
+                <th className="px-2 py-1 border">Detalhes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((r) => (
+                <tr key={r.id} className="border-t">
+                  <td className="px-2 py-1 border">{new Date(r.created_at).toLocaleString()}</td>
+                  <td className="px-2 py-1 border">{nameOf(r.automation_id)}</td>
+                  <td className="px-2 py-1 border">{r.trigger_event}</td>
+                  <td className="px-2 py-1 border">{r.dry_run ? "simulação" : r.status}</td>
+                  <td className="px-2 py-1 border">{r.error || (r.result || []).map((s) => `${s.op} ${s.table || ""}`).join(", ")}</td>
+                </tr>
+              ))}
+              {runs.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="p-4 text-center text-gray-500">Nenhuma execução</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
         </div>
+        {form && (
+          <div className="fixed inset-0 z-10 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="w-full max-w-2xl p-6 overflow-y-auto bg-white rounded shadow-lg max-h-screen">
+              <h2 className="mb-4 text-lg font-semibold">{form.id ? "Editar Automação" : "Nova Automação"}</h2>
+              <input className="w-full p-2 mb-2 border rounded" placeholder="Nome" value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} />
+              <label className="flex items-center mb-4 space-x-2 text-sm">
+                <input type="checkbox" checked={form.enabled} onChange={(e) => setForm((f) => ({ ...f, enabled: e.target.checked }))} />
+                <span>Ativa</span>
+              </label>
+              <h3 className="mb-1 font-semibold">Gatilho</h3>
+              <div className="grid grid-cols-3 gap-2 mb-4">
+                <select className="p-2 border rounded" value={form.trigger.event} onChange={(e) => setForm((f) => ({ ...f, trigger: { event: e.target.value } }))}>
+                  {AUTOMATION_TRIGGERS.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                </select>
+                {triggerDef?.field && (
+                  <>
+                    <input className="p-2 border rounded" placeholder="De (qualquer)" value={form.trigger.from || ""} onChange={(e) => setTrigger({ from: e.target.value || undefined })} />
+                    <input className="p-2 border rounded" placeholder="Para (qualquer)" value={form.trigger.to || ""} onChange={(e) => setTrigger({ to: e.target.value || undefined })} />
+                  </>
+                )}
+              </div>
+              <h3 className="mb-1 font-semibold">Condições</h3>
+              {form.conditions.map((c, i) => (
+                <div key={i} className="grid grid-cols-4 gap-2 mb-2">
+                  <input className="p-2 border rounded" placeholder="Campo (ex: priority)" value={c.field} onChange={(e) => setListItem("conditions", i, { field: e.target.value })} />
+                  <select className="p-2 border rounded" value={c.op} onChange={(e) => setListItem("conditions", i, { op: e.target.value })}>
+                    {AUTOMATION_OPERATORS.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+                  </select>
+                  <input className="p-2 border rounded" placeholder="Valor" value={c.value ?? ""} onChange={(e) => setListItem("conditions", i, { value: e.target.value })} />
+                  <button onClick={() => removeListItem("conditions", i)} className="text-red-600">Remover</button>
+                </div>
+              ))}
+              <button onClick={() => setForm((f) => ({ ...f, conditions: [...f.conditions, { field: "", op: "eq", value: "" }] }))} className="mb-4 text-sm text-blue-600">+ Condição</button>
+              <h3 className="mb-1 font-semibold">Ações</h3>
+              {form.actions.map((a, i) => (
+                <div key={i} className="grid grid-cols-4 gap-2 mb-2">
+                  <select className="p-2 border rounded" value={a.type} onChange={(e) => setListItem("actions", i, { type: e.target.value })}>
+                    {AUTOMATION_ACTIONS.filter((o) => o.id === a.type || !o.tables || o.tables.includes(triggerDef?.table)).map((o) => (
+                      <option key={o.id} value={o.id}>{o.label}</option>
+                    ))}
+                  </select>
+                  {(a.type === "create_task" || a.type === "create_event") && (
+                    <>
+                      <input className="p-2 border rounded" placeholder="Título ({{title}})" value={a.title || ""} onChange={(e) => setListItem("actions", i, { title: e.target.value })} />
+                      <input type="number" className="p-2 border rounded" placeholder="Dias depois" value={a.offset_days ?? ""} onChange={(e) => setListItem("actions", i, { offset_days: e.target.value })} />
+                    </>
+                  )}
+                  {a.type === "assign" && (
+                    <input className="col-span-2 p-2 border rounded" placeholder="ID do responsável" value={a.user_id || ""} onChange={(e) => setListItem("actions", i, { user_id: e.target.value })} />
+                  )}
+                  {a.type === "add_tag" && (
+                    <input className="col-span-2 p-2 border rounded" placeholder="Tag" value={a.tag || ""} onChange={(e) => setListItem("actions", i, { tag: e.target.value })} />
+                  )}
+                  <button onClick={() => removeListItem("actions", i)} className="text-red-600">Remover</button>
+                </div>
+              ))}
+              <button onClick={() => setForm((f) => ({ ...f, actions: [...f.actions, { type: "create_task", title: "", offset_days: 1 }] }))} className="mb-4 text-sm text-blue-600">+ Ação</button>
+              <h3 className="mb-1 font-semibold">Simular</h3>
+              <div className="flex mb-2 space-x-2">
+                <select className="flex-1 p-2 border rounded" value={dryRun.recordId} onChange={(e) => setDryRun({ recordId: e.target.value, outcomes: null })}>
+                  <option value="">Selecione um registro</option>
+                  {sampleRecords.map((r) => <option key={r.id} value={r.id}>{r.title || r.name}</option>)}
+                </select>
+                <button onClick={runDry} className="px-4 py-2 text-white bg-purple-600 rounded">Simular</button>
+              </div>
+              {dryRun.outcomes && (
+                <ul className="mb-4 text-sm text-gray-700 list-disc list-inside">
+                  {dryRun.outcomes.length === 0 && <li>O gatilho não corresponde a este registro.</li>}
+                  {dryRun.outcomes.map((o, i) => (
+                    <React.Fragment key={i}>
+                      {o.status === "skipped" && <li>As condições não foram atendidas.</li>}
+                      {o.error && <li className="text-red-600">{o.error}</li>}
+                      {o.plan.map((step, j) => (
+                        <li key={j}>{step.op === "insert" ? `Inserir em ${step.table}` : step.op === "update" ? `Atualizar ${step.table}` : step.reason}: {JSON.stringify(step.values || {})}</li>
+                      ))}
+                    </React.Fragment>
+                  ))}
+                </ul>
+              )}
+              <div className="flex justify-end space-x-2">
+                <button onClick={() => setForm(null)} className="px-4 py-2 text-gray-700 bg-gray-200 rounded">Cancelar</button>
+                <button onClick={save} className="px-4 py-2 text-white bg-blue-600 rounded">Salvar</button>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     </Layout>
   );
@@ -912,42 +8500,75 @@ function FerramentasPage() {
  * Route wrapper
  *
  * Uses the AuthContext to decide whether to show the login page or
- * authenticated content.
+ * authenticated content.  The login, sign-up and password pages are public;
+ * everything else goes through RequireAuth.
  */
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <Routes>
-          <Route path="/login" element={<LoginPage />} />
-          <Route
-            path="/*"
-            element={
-              <RequireAuth>
-                <Routes>
-                  <Route index element={<DashboardPage />} />
-                  <Route path="kanban" element={<KanbanPage />} />
-                  <Route path="agenda" element={<AgendaPage />} />
-                  <Route path="clientes" element={<ClientesPage />} />
-                  <Route path="equipe" element={<EquipePage />} />
-                  <Route path="servicos" element={<ServicosPage />} />
-                  <Route path="relatorios" element={<RelatoriosPage />} />
-                  <Route path="funil" element={<FunilPage />} />
-                  <Route path="ferramentas" element={<FerramentasPage />} />
-                </Routes>
-              </RequireAuth>
-            }
-          />
-        </Routes>
-      </Router>
+      <TimerProvider>
+        <UndoProvider>
+          <Router>
+            <Routes>
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/cadastro" element={<SignUpPage />} />
+              <Route path="/recuperar-senha" element={<ForgotPasswordPage />} />
+              <Route path="/redefinir-senha" element={<ResetPasswordPage />} />
+              <Route
+                path="/convite/:token"
+                element={
+                  <RequireAuth>
+                    <AcceptInvitationPage />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/*"
+                element={
+                  <RequireAuth>
+                    <RequireWorkspace>
+                      <CommandPaletteProvider>
+                        <Routes>
+                          <Route index element={<DashboardPage />} />
+                          <Route path="kanban" element={<KanbanPage />} />
+                          <Route path="agenda" element={<AgendaPage />} />
+                          <Route path="clientes" element={<ClientesPage />} />
+                          <Route path="clientes/:id" element={<ClientDetailPage />} />
+                          <Route path="pipeline" element={<RequirePermission permission="pipeline.view"><PipelinePage /></RequirePermission>} />
+                          <Route path="equipe" element={<RequirePermission permission="team.view"><EquipePage /></RequirePermission>} />
+                          <Route path="servicos" element={<RequirePermission permission="services.view"><ServicosPage /></RequirePermission>} />
+                          <Route path="orcamentos" element={<RequirePermission permission="billing.manage"><QuotesPage /></RequirePermission>} />
+                          <Route path="orcamentos/:id" element={<RequirePermission permission="billing.manage"><BillingDocumentPage kind="quote" /></RequirePermission>} />
+                          <Route path="faturas" element={<RequirePermission permission="billing.manage"><InvoicesPage /></RequirePermission>} />
+                          <Route path="faturas/:id" element={<RequirePermission permission="billing.manage"><BillingDocumentPage kind="invoice" /></RequirePermission>} />
+                          <Route path="relatorios" element={<RequirePermission permission="reports.view"><RelatoriosPage /></RequirePermission>} />
+                          <Route path="funil" element={<RequirePermission permission="funnels.manage"><FunilPage /></RequirePermission>} />
+                          <Route path="funil/:id" element={<RequirePermission permission="funnels.manage"><FunnelDetailPage /></RequirePermission>} />
+                          <Route path="ferramentas" element={<RequirePermission permission="tools.use"><FerramentasPage /></RequirePermission>} />
+                          <Route path="horas" element={<RequirePermission permission="timesheet.view"><TimesheetPage /></RequirePermission>} />
+                          <Route path="notificacoes" element={<NotificationsPage />} />
+                          <Route path="automacoes" element={<RequirePermission permission="automations.manage"><AutomationsPage /></RequirePermission>} />
+                        </Routes>
+                        <NotificationCenter />
+                      </CommandPaletteProvider>
+                    </RequireWorkspace>
+                  </RequireAuth>
+                }
+              />
+            </Routes>
+          </Router>
+        </UndoProvider>
+      </TimerProvider>
     </AuthProvider>
   );
 }
 
 function RequireAuth({ children }) {
   const { session } = React.useContext(AuthContext);
+  const location = useLocation();
+  if (session === undefined) return <div className="p-6 text-gray-500">Carregando...</div>;
   if (!session) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to="/login" replace state={{ from: location }} />;
   }
   return children;
 }
@@ -961,13 +8582,43 @@ export default App;
  * should run this in the Supabase SQL Editor to provision your database.
  *
  * Tables:
- *   - profiles: basic user profiles linked to auth.users
- *   - clients: customer records
- *   - team: team members (distinct from auth.users)
- *   - services: service definitions
- *   - tasks: tasks with status, priority, dates, tags, client and user references
- *   - events: calendar events
+ *   - profiles: basic user profiles linked to auth.users, created on sign-up by handle_new_user; current_workspace_id is the workspace the user switched to; dashboard_layout holds the user's Dashboard widgets
+ *   - workspaces: one agency (organization) each; every table below has a workspace_id
+ *   - workspace_members: the workspaces of each profile, with the role there (admin, manager, member or client_viewer)
+ *   - workspace_invitations: e-mail invitations to join a workspace, accepted through their token
+ *   - clients: customer records; archived_at/deleted_at hold archived and trashed ones
+ *   - team: team members (distinct from auth.users), archivable like clients
+ *   - services: service catalog with price model, rate, estimated hours and the subtask titles of its task template; archivable like clients
+ *   - tasks: tasks with status, priority, dates, tags, client and user references; rrule makes them recurring
+ *   - events: calendar events; recurring ones store an RRULE, edited occurrences point back via recurrence_id, trashed ones have deleted_at
  *   - automations: simple automation rules storing trigger, condition and action JSON
+ *   - automation_runs: log of every automation execution, including dry runs
+ *   - funnels: marketing funnels generated for a client, with their stages as JSON
+ *   - kanban_columns: user-defined Kanban columns mapped to task statuses, with WIP limits
+ *   - task_checklist_items: checklist entries of a task; their completion drives tasks.progress
+ *   - task_comments: threaded task comments with the profiles they @mention
+ *   - time_entries: tracked work sessions; tasks.actual_hours is rolled up from them
+ *   - report_definitions: saved Relatórios filters, optionally sent as weekly e-mail digests
+ *   - pipeline_stages: configured sales pipeline stages; clients.stage holds a stage key
+ *   - client_stage_history: every change of clients.stage, written by a trigger
+ *   - client_notes: notes shown on the client timeline
+ *   - calendar_feeds: tokens of read-only ICS feeds (team, one member or one client) served by ics_feed()
+ *   - quotes / quote_items: numbered proposals for a client built from services; accepted items point at the tasks they created
+ *   - invoices / invoice_items: numbered invoices with status; items record the time entries or fixed-price task they bill
+ *   - client_viewers: the clients each client_viewer profile may see
+ *   - notifications: in-app notifications (assignments, mentions, status changes, deadline reminders); preferences are in profiles.notification_preferences
+ *
+ * Row-level security is enabled on every table; the policies at the end
+ * mirror the PERMISSIONS map of the app and keep each workspace's rows
+ * invisible to the others.  New rows default to the current workspace, so
+ * the app only sends workspace_id for rows created offline.  clients, team,
+ * services, tasks and events keep an updated_at, used to detect conflicts
+ * when changes queued offline are synced.
+ *
+ * Columns added after a table first shipped are repeated below its create
+ * table as "add column if not exists", so the same script upgrades older
+ * databases.  There workspace_id starts out nullable; the rows are moved
+ * into one workspace and the column made required before the policies.
  */
 -- SUPABASE MIGRATION SQL
 -- profiles table
@@ -977,12 +8628,81 @@ create table if not exists profiles (
   user_id uuid references auth.users(id) on delete cascade,
   name text,
   role text,
+  current_workspace_id uuid,
+  notification_preferences jsonb not null default '{}',
+  dashboard_layout jsonb,
+  created_at timestamp with time zone default now()
+);
+alter table profiles add column if not exists current_workspace_id uuid;
+alter table profiles add column if not exists notification_preferences jsonb not null default '{}';
+alter table profiles add column if not exists dashboard_layout jsonb;
+
+-- every new auth user gets a profile, named from the sign-up form metadata
+create or replace function handle_new_user() returns trigger as $$
+begin
+  insert into profiles (user_id, name)
+  values (new.id, coalesce(nullif(new.raw_user_meta_data ->> 'name', ''), split_part(new.email, '@', 1)));
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function handle_new_user();
+
+-- workspaces table: every other table belongs to one workspace
+create table if not exists workspaces (
+  id uuid primary key default uuid_generate_v4(),
+  name text not null,
+  created_by uuid references profiles(id),
+  created_at timestamp with time zone default now()
+);
+
+-- workspace_members table: who belongs to a workspace and with which role
+create table if not exists workspace_members (
+  workspace_id uuid not null references workspaces(id) on delete cascade,
+  profile_id uuid not null references profiles(id) on delete cascade,
+  role text not null default 'member' check (role in ('admin', 'manager', 'member', 'client_viewer')),
+  created_at timestamp with time zone default now(),
+  primary key (workspace_id, profile_id)
+);
+
+-- The workspace the user switched to.  Rows are created in it (it is the
+-- default of every workspace_id column) and RLS only shows rows from it.
+-- Null when the user is not a member of the workspace stored in the profile.
+create or replace function current_profile_id() returns uuid as $$
+  select id from profiles where user_id = auth.uid() limit 1;
+$$ language sql stable security definer set search_path = public;
+
+create or replace function current_workspace_id() returns uuid as $$
+  select p.current_workspace_id
+  from profiles p
+  join workspace_members m on m.workspace_id = p.current_workspace_id and m.profile_id = p.id
+  where p.user_id = auth.uid()
+  limit 1;
+$$ language sql stable security definer set search_path = public;
+
+-- workspace_invitations table: e-mailed by scripts/send-invitations.js,
+-- accepted with accept_invitation()
+create table if not exists workspace_invitations (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  email text not null,
+  role text not null default 'member' check (role in ('admin', 'manager', 'member', 'client_viewer')),
+  token text not null unique default replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+  invited_by uuid references profiles(id),
+  sent_at timestamp with time zone,
+  expires_at timestamp with time zone not null default now() + interval '14 days',
+  accepted_at timestamp with time zone,
+  accepted_by uuid references profiles(id),
   created_at timestamp with time zone default now()
 );
 
 -- clients table
 create table if not exists clients (
   id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
   name text not null,
   email text,
   phone text,
@@ -991,30 +8711,64 @@ create table if not exists clients (
   stage text,
   tags text,
   notes text,
-  created_at timestamp with time zone default now()
+  archived_at timestamp with time zone,
+  deleted_at timestamp with time zone,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
 );
+alter table clients add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+alter table clients add column if not exists archived_at timestamp with time zone;
+alter table clients add column if not exists deleted_at timestamp with time zone;
+alter table clients add column if not exists updated_at timestamp with time zone default now();
 
 -- team table
 create table if not exists team (
   id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
   name text not null,
   email text,
   role text,
   status text,
-  created_at timestamp with time zone default now()
+  profile_id uuid references profiles(id),
+  archived_at timestamp with time zone,
+  deleted_at timestamp with time zone,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
 );
+alter table team add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+alter table team add column if not exists profile_id uuid references profiles(id);
+alter table team add column if not exists archived_at timestamp with time zone;
+alter table team add column if not exists deleted_at timestamp with time zone;
+alter table team add column if not exists updated_at timestamp with time zone default now();
 
 -- services table
 create table if not exists services (
   id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
   name text not null,
   description text,
-  created_at timestamp with time zone default now()
+  price_model text not null default 'hourly' check (price_model in ('hourly', 'fixed')),
+  rate numeric,
+  estimated_hours numeric,
+  task_template jsonb not null default '[]',
+  archived_at timestamp with time zone,
+  deleted_at timestamp with time zone,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
 );
+alter table services add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+alter table services add column if not exists price_model text not null default 'hourly' check (price_model in ('hourly', 'fixed'));
+alter table services add column if not exists rate numeric;
+alter table services add column if not exists estimated_hours numeric;
+alter table services add column if not exists task_template jsonb not null default '[]';
+alter table services add column if not exists archived_at timestamp with time zone;
+alter table services add column if not exists deleted_at timestamp with time zone;
+alter table services add column if not exists updated_at timestamp with time zone default now();
 
 -- tasks table
 create table if not exists tasks (
   id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
   title text not null,
   description text,
   client_id uuid references clients(id),
@@ -1030,26 +8784,1143 @@ create table if not exists tasks (
   budget numeric,
   progress integer,
   tags text,
-  created_at timestamp with time zone default now()
+  position double precision,
+  parent_id uuid references tasks(id) on delete cascade,
+  rrule text,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
 );
+alter table tasks add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+alter table tasks add column if not exists position double precision;
+alter table tasks add column if not exists parent_id uuid references tasks(id) on delete cascade;
+alter table tasks add column if not exists rrule text;
+alter table tasks add column if not exists updated_at timestamp with time zone default now();
 
 -- events table
 create table if not exists events (
   id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
   title text not null,
   start_at timestamp with time zone not null,
   end_at timestamp with time zone not null,
   client_id uuid references clients(id),
   user_id uuid references profiles(id),
-  created_at timestamp with time zone default now()
+  uid text,
+  rrule text,
+  recurrence_id uuid references events(id) on delete cascade,
+  recurrence_date timestamp with time zone,
+  deleted_at timestamp with time zone,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now(),
+  unique (workspace_id, uid)
 );
+alter table events add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+alter table events add column if not exists uid text;
+alter table events add column if not exists rrule text;
+alter table events add column if not exists recurrence_id uuid references events(id) on delete cascade;
+alter table events add column if not exists recurrence_date timestamp with time zone;
+alter table events add column if not exists deleted_at timestamp with time zone;
+alter table events add column if not exists updated_at timestamp with time zone default now();
+alter table events drop constraint if exists events_uid_key;
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'events_workspace_id_uid_key') then
+    alter table events add constraint events_workspace_id_uid_key unique (workspace_id, uid);
+  end if;
+end $$;
 
 -- automations table
 create table if not exists automations (
   id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
   name text not null,
   trigger jsonb not null,
   conditions jsonb,
   actions jsonb not null,
+  enabled boolean not null default true,
+  created_at timestamp with time zone default now()
+);
+alter table automations add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+alter table automations add column if not exists enabled boolean not null default true;
+
+-- automation_runs table
+create table if not exists automation_runs (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  automation_id uuid references automations(id) on delete cascade,
+  trigger_event text not null,
+  record_id uuid,
+  dry_run boolean not null default false,
+  status text not null,
+  result jsonb,
+  error text,
+  created_at timestamp with time zone default now()
+);
+alter table automation_runs add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- Automation engine.  Rules run here rather than in the browser: triggers on
+-- tasks.status and clients.stage fire the matching rules in the transaction
+-- of the change, and fire_overdue_automations() (scheduled with pg_cron) the
+-- task.overdue ones.  Running as security definer, a rule may assign or
+-- create work for anyone, whatever the role of the user whose change fired
+-- it.  The Automações page previews rules with planActions(), which mirrors
+-- these functions.  Only the trigger functions are meant to be called, so
+-- none of this is executable through the API.
+create or replace function automation_number(value text) returns numeric as $$
+begin
+  return coalesce(nullif(trim(value), ''), '0')::numeric;
+exception when others then
+  return null;
+end;
+$$ language plpgsql immutable;
+
+create or replace function automation_condition(cond jsonb, rec jsonb) returns boolean as $$
+declare
+  actual text := lower(coalesce(rec ->> (cond ->> 'field'), ''));
+  expected text := lower(coalesce(cond ->> 'value', ''));
+begin
+  return coalesce(case cond ->> 'op'
+    when 'eq' then actual = expected
+    when 'neq' then actual <> expected
+    when 'contains' then position(expected in actual) > 0
+    when 'gt' then automation_number(actual) > automation_number(expected)
+    when 'lt' then automation_number(actual) < automation_number(expected)
+    when 'empty' then actual = ''
+    when 'not_empty' then actual <> ''
+  end, false);
+end;
+$$ language plpgsql immutable;
+
+-- replaces {{field}} placeholders with values from the record
+create or replace function automation_interpolate(template text, rec jsonb) returns text as $$
+declare
+  result text := coalesce(template, '');
+  placeholder text[];
+begin
+  for placeholder in select regexp_matches(result, '(\{\{\s*(\w+)\s*\}\})', 'g') loop
+    result := replace(result, placeholder[1], coalesce(rec ->> placeholder[2], ''));
+  end loop;
+  return result;
+end;
+$$ language plpgsql immutable;
+
+create or replace function automation_append_tag(tags text, tag text) returns text as $$
+  select array_to_string(case when exists (select 1 from unnest(list) t where lower(t) = lower(tag)) then list else list || tag end, ', ')
+  from (select array(select trim(t) from unnest(string_to_array(coalesce(tags, ''), ',')) t where trim(t) <> '') as list) l;
+$$ language sql immutable;
+
+-- carries out the actions of one rule and returns them in the shape the run
+-- log stores (see logAutomationRun in the app)
+create or replace function execute_automation_actions(actions jsonb, tbl text, rec jsonb) returns jsonb as $$
+declare
+  action jsonb;
+  steps jsonb := '[]';
+  step jsonb;
+  client uuid := case when tbl = 'clients' then (rec ->> 'id')::uuid else (rec ->> 'client_id')::uuid end;
+  owner uuid;
+  starts timestamp with time zone;
+  created jsonb;
+begin
+  for action in select * from jsonb_array_elements(coalesce(actions, '[]')) loop
+    owner := coalesce(nullif(action ->> 'user_id', '')::uuid, case when tbl = 'tasks' then (rec ->> 'user_id')::uuid end);
+    starts := now() + interval '1 day' * coalesce(automation_number(action ->> 'offset_days'), 0);
+    case action ->> 'type'
+      when 'create_task' then
+        insert into tasks (workspace_id, title, client_id, user_id, priority, status, start_at, end_at)
+        values (
+          (rec ->> 'workspace_id')::uuid,
+          automation_interpolate(coalesce(nullif(action ->> 'title', ''), 'Follow-up: {{title}}'), rec),
+          client, owner, nullif(action ->> 'priority', ''), 'pendente', starts,
+          starts + interval '1 day' * coalesce(automation_number(action ->> 'duration_days'), 0)
+        )
+        returning to_jsonb(tasks.*) into created;
+        step := jsonb_build_object('op', 'insert', 'table', 'tasks', 'values', created);
+      when 'assign' then
+        -- only tasks have a responsible person
+        if tbl = 'tasks' then
+          update tasks set user_id = nullif(action ->> 'user_id', '')::uuid where id = (rec ->> 'id')::uuid;
+          step := jsonb_build_object('op', 'update', 'table', tbl, 'id', rec ->> 'id', 'values', jsonb_build_object('user_id', nullif(action ->> 'user_id', '')));
+        else
+          step := jsonb_build_object('op', 'skip', 'reason', 'Reatribuir responsável só vale para tarefas');
+        end if;
+      when 'add_tag' then
+        created := jsonb_build_object('tags', automation_append_tag(rec ->> 'tags', automation_interpolate(action ->> 'tag', rec)));
+        execute format('update %I set tags = $1 where id = $2', tbl) using created ->> 'tags', (rec ->> 'id')::uuid;
+        step := jsonb_build_object('op', 'update', 'table', tbl, 'id', rec ->> 'id', 'values', created);
+      when 'create_event' then
+        if coalesce(action ->> 'time', '') <> '' then
+          starts := date_trunc('day', starts) + (action ->> 'time')::time;
+        end if;
+        insert into events (workspace_id, title, start_at, end_at, client_id, user_id)
+        values (
+          (rec ->> 'workspace_id')::uuid,
+          automation_interpolate(coalesce(nullif(action ->> 'title', ''), '{{title}}'), rec),
+          starts,
+          starts + interval '1 minute' * coalesce(nullif(automation_number(action ->> 'duration_minutes'), 0), 60),
+          client, owner
+        )
+        returning to_jsonb(events.*) into created;
+        step := jsonb_build_object('op', 'insert', 'table', 'events', 'values', created);
+      else
+        step := jsonb_build_object('op', 'skip', 'reason', 'Ação desconhecida: ' || coalesce(action ->> 'type', ''));
+    end case;
+    steps := steps || jsonb_build_array(jsonb_build_object('type', action ->> 'type') || step);
+  end loop;
+  return steps;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Runs the enabled rules of the record's workspace that match the event and
+-- logs each run.  A rule whose actions fail is rolled back on its own and
+-- logged as an error, without undoing the change that fired it.  task.overdue
+-- rules run once per task.
+create or replace function run_automation_rules(event_type text, tbl text, rec jsonb, old_rec jsonb) returns integer as $$
+declare
+  rule automations;
+  field text := case event_type when 'task.status_changed' then 'status' when 'client.stage_changed' then 'stage' end;
+  plan jsonb;
+  run_status text;
+  run_error text;
+  succeeded integer := 0;
+begin
+  for rule in
+    select * from automations a
+    where a.enabled and a.workspace_id = (rec ->> 'workspace_id')::uuid and a.trigger ->> 'event' = event_type
+      and (event_type <> 'task.overdue' or not exists (
+        select 1 from automation_runs r
+        where r.automation_id = a.id and r.record_id = (rec ->> 'id')::uuid
+          and r.trigger_event = 'task.overdue' and not r.dry_run and r.status = 'success'
+      ))
+  loop
+    continue when coalesce(rule.trigger ->> 'from', '') <> '' and old_rec ->> field is distinct from rule.trigger ->> 'from';
+    continue when coalesce(rule.trigger ->> 'to', '') <> '' and rec ->> field is distinct from rule.trigger ->> 'to';
+    continue when not coalesce((select bool_and(automation_condition(c, rec)) from jsonb_array_elements(coalesce(rule.conditions, '[]')) c), true);
+    begin
+      plan := execute_automation_actions(rule.actions, tbl, rec);
+      run_status := 'success';
+      run_error := null;
+      succeeded := succeeded + 1;
+    exception when others then
+      plan := '[]';
+      run_status := 'error';
+      run_error := sqlerrm;
+    end;
+    insert into automation_runs (workspace_id, automation_id, trigger_event, record_id, dry_run, status, result, error)
+    values (rule.workspace_id, rule.id, event_type, (rec ->> 'id')::uuid, false, run_status, plan, run_error);
+  end loop;
+  return succeeded;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create or replace function fire_record_automations() returns trigger as $$
+begin
+  if tg_table_name = 'tasks' and new.status is distinct from old.status then
+    perform run_automation_rules('task.status_changed', 'tasks', to_jsonb(new), to_jsonb(old));
+  elsif tg_table_name = 'clients' and new.stage is distinct from old.stage then
+    perform run_automation_rules('client.stage_changed', 'clients', to_jsonb(new), to_jsonb(old));
+  end if;
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists tasks_automations on tasks;
+create trigger tasks_automations
+  after update of status on tasks
+  for each row execute function fire_record_automations();
+
+drop trigger if exists clients_automations on clients;
+create trigger clients_automations
+  after update of stage on clients
+  for each row execute function fire_record_automations();
+
+-- Fires the task.overdue rules for unfinished tasks past end_at.  Schedule
+-- it with pg_cron:
+--   select cron.schedule('overdue-automations', '*/5 * * * *', 'select fire_overdue_automations()');
+create or replace function fire_overdue_automations() returns integer as $$
+declare
+  task tasks;
+  fired integer := 0;
+begin
+  for task in
+    select t.* from tasks t
+    where t.end_at < now() and t.status <> 'concluido'
+      and exists (select 1 from automations a where a.enabled and a.workspace_id = t.workspace_id and a.trigger ->> 'event' = 'task.overdue')
+  loop
+    fired := fired + run_automation_rules('task.overdue', 'tasks', to_jsonb(task), null);
+  end loop;
+  return fired;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+revoke execute on function execute_automation_actions(jsonb, text, jsonb) from public, anon, authenticated;
+revoke execute on function run_automation_rules(text, text, jsonb, jsonb) from public, anon, authenticated;
+revoke execute on function fire_record_automations() from public, anon, authenticated;
+revoke execute on function fire_overdue_automations() from public, anon, authenticated;
+
+-- funnels table
+create table if not exists funnels (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  client_id uuid references clients(id) on delete cascade,
+  name text not null,
+  business_type text,
+  audience text,
+  budget text,
+  budget_amount numeric,
+  goals text,
+  stages jsonb not null,
+  tasks_generated_at timestamp with time zone,
+  created_at timestamp with time zone default now()
+);
+alter table funnels add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- kanban_columns table
+create table if not exists kanban_columns (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  title text not null,
+  status text not null,
+  position integer not null default 0,
+  wip_limit integer,
+  created_at timestamp with time zone default now(),
+  unique (workspace_id, status)
+);
+alter table kanban_columns add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+alter table kanban_columns drop constraint if exists kanban_columns_status_key;
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'kanban_columns_workspace_id_status_key') then
+    alter table kanban_columns add constraint kanban_columns_workspace_id_status_key unique (workspace_id, status);
+  end if;
+end $$;
+
+-- task_checklist_items table
+create table if not exists task_checklist_items (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  task_id uuid not null references tasks(id) on delete cascade,
+  label text not null,
+  done boolean not null default false,
+  position integer not null default 0,
+  created_at timestamp with time zone default now()
+);
+alter table task_checklist_items add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- task_comments table
+create table if not exists task_comments (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  task_id uuid not null references tasks(id) on delete cascade,
+  parent_id uuid references task_comments(id) on delete cascade,
+  author_id uuid references profiles(id),
+  body text not null,
+  mentions uuid[] not null default '{}',
+  created_at timestamp with time zone default now()
+);
+alter table task_comments add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- realtime for the task drawer; tables already published are skipped so
+-- the migration can run again
+do $$
+declare
+  tbl text;
+begin
+  foreach tbl in array array['tasks', 'task_checklist_items', 'task_comments'] loop
+    if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = tbl) then
+      execute format('alter publication supabase_realtime add table %I', tbl);
+    end if;
+  end loop;
+end $$;
+
+-- realtime for the other tables read through useTable(), skipping those
+-- already published
+do $$
+declare
+  tbl text;
+begin
+  foreach tbl in array array['profiles', 'clients', 'team', 'services', 'events', 'kanban_columns'] loop
+    if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = tbl) then
+      execute format('alter publication supabase_realtime add table %I', tbl);
+    end if;
+  end loop;
+end $$;
+
+-- time_entries table
+create table if not exists time_entries (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  user_id uuid references profiles(id),
+  task_id uuid not null references tasks(id) on delete cascade,
+  started_at timestamp with time zone not null,
+  ended_at timestamp with time zone,
+  source text not null default 'timer',
+  notes text,
+  created_at timestamp with time zone default now()
+);
+alter table time_entries add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+create index if not exists time_entries_task_id_idx on time_entries (task_id);
+create index if not exists time_entries_user_started_idx on time_entries (user_id, started_at);
+
+-- keep tasks.actual_hours equal to the sum of finished time entries
+create or replace function recompute_task_actual_hours(target uuid) returns void as $$
+  update tasks set actual_hours = (
+    select round(coalesce(sum(extract(epoch from (ended_at - started_at))) / 3600, 0)::numeric, 2)
+    from time_entries
+    where task_id = target and ended_at is not null
+  ) where id = target;
+$$ language sql security definer set search_path = public;
+
+create or replace function rollup_task_actual_hours() returns trigger as $$
+begin
+  if tg_op in ('INSERT', 'UPDATE') then
+    perform recompute_task_actual_hours(new.task_id);
+  end if;
+  if tg_op = 'DELETE' or (tg_op = 'UPDATE' and old.task_id is distinct from new.task_id) then
+    perform recompute_task_actual_hours(old.task_id);
+  end if;
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- recompute_task_actual_hours() takes any task id, so only the trigger runs it
+revoke execute on function recompute_task_actual_hours(uuid) from public, anon, authenticated;
+
+drop trigger if exists time_entries_rollup on time_entries;
+create trigger time_entries_rollup
+  after insert or update or delete on time_entries
+  for each row execute function rollup_task_actual_hours();
+
+-- report_definitions table
+create table if not exists report_definitions (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  name text not null,
+  filters jsonb not null default '{}',
+  recipients text[] not null default '{}',
+  schedule_enabled boolean not null default false,
+  schedule_weekday integer not null default 1,
+  schedule_hour integer not null default 8,
+  last_sent_at timestamp with time zone,
+  created_by uuid references profiles(id),
+  created_at timestamp with time zone default now()
+);
+alter table report_definitions add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- calendar_feeds table
+create table if not exists calendar_feeds (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  token text not null unique default replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+  scope text not null default 'team' check (scope in ('team', 'user', 'client')),
+  user_id uuid references profiles(id) on delete cascade,
+  client_id uuid references clients(id) on delete cascade,
+  include_tasks boolean not null default true,
+  created_by uuid references profiles(id),
+  created_at timestamp with time zone default now()
+);
+alter table calendar_feeds add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- read-only ICS feed, subscribed to as
+--   <SUPABASE_URL>/rest/v1/rpc/ics_feed?token=<token>&apikey=<anon key>
+-- returning the "text/calendar" domain makes PostgREST answer with that media type
+do $$ begin
+  create domain "text/calendar" as text;
+exception when duplicate_object then null;
+end $$;
+
+create or replace function ics_escape(value text) returns text as $$
+  select replace(replace(replace(replace(coalesce(value, ''), '\', '\\'), E'\n', '\n'), ',', '\,'), ';', '\;');
+$$ language sql immutable;
+
+create or replace function ics_time(value timestamp with time zone) returns text as $$
+  select to_char(value at time zone 'UTC', 'YYYYMMDD"T"HH24MISS"Z"');
+$$ language sql immutable;
+
+create or replace function ics_feed(token text) returns "text/calendar" as $$
+declare
+  feed calendar_feeds;
+  body text;
+begin
+  select * into feed from calendar_feeds f where f.token = ics_feed.token;
+  if not found then
+    raise exception 'calendar feed not found' using errcode = 'P0002';
+  end if;
+  select string_agg(item, E'\r\n') into body from (
+    select concat_ws(E'\r\n',
+      'BEGIN:VEVENT',
+      'UID:' || coalesce(series.uid, series.id::text || '@controle-diario'),
+      'DTSTAMP:' || ics_time(now()),
+      'DTSTART:' || ics_time(e.start_at),
+      'DTEND:' || ics_time(coalesce(e.end_at, e.start_at)),
+      'SUMMARY:' || ics_escape(e.title),
+      'RRULE:' || e.rrule,
+      'EXDATE:' || (
+        select string_agg(ics_time(x.recurrence_date), ',')
+        from events x
+        where e.rrule is not null and x.recurrence_id = e.id and x.deleted_at is not null
+      ),
+      'RECURRENCE-ID:' || ics_time(e.recurrence_date),
+      'END:VEVENT') as item
+    from events e
+    join events series on series.id = coalesce(e.recurrence_id, e.id)
+    where e.workspace_id = feed.workspace_id
+      and e.deleted_at is null
+      and series.deleted_at is null
+      and (feed.scope = 'team'
+        or (feed.scope = 'user' and e.user_id = feed.user_id)
+        or (feed.scope = 'client' and e.client_id = feed.client_id))
+    union all
+    select concat_ws(E'\r\n',
+      'BEGIN:VEVENT',
+      'UID:task-' || t.id::text || '@controle-diario',
+      'DTSTAMP:' || ics_time(now()),
+      'DTSTART:' || ics_time(coalesce(t.start_at, t.end_at)),
+      'DTEND:' || ics_time(coalesce(t.end_at, t.start_at)),
+      'SUMMARY:' || ics_escape('Tarefa: ' || t.title),
+      'DESCRIPTION:' || nullif(ics_escape(t.description), ''),
+      'RRULE:' || t.rrule,
+      'END:VEVENT')
+    from tasks t
+    where feed.include_tasks
+      and t.workspace_id = feed.workspace_id
+      and coalesce(t.start_at, t.end_at) is not null
+      and (feed.scope = 'team'
+        or (feed.scope = 'user' and t.user_id = feed.user_id)
+        or (feed.scope = 'client' and t.client_id = feed.client_id))
+  ) items;
+  return concat_ws(E'\r\n',
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//controle-diario//Agenda//PT-BR',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Agenda',
+    body,
+    'END:VCALENDAR') || E'\r\n';
+end;
+$$ language plpgsql stable security definer set search_path = public;
+
+grant execute on function ics_feed(text) to anon;
+
+-- pipeline_stages table
+create table if not exists pipeline_stages (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  key text not null,
+  label text not null,
+  position integer not null default 0,
+  created_at timestamp with time zone default now(),
+  unique (workspace_id, key)
+);
+alter table pipeline_stages add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+alter table pipeline_stages drop constraint if exists pipeline_stages_key_key;
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'pipeline_stages_workspace_id_key_key') then
+    alter table pipeline_stages add constraint pipeline_stages_workspace_id_key_key unique (workspace_id, key);
+  end if;
+end $$;
+
+-- client_stage_history table
+create table if not exists client_stage_history (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  client_id uuid not null references clients(id) on delete cascade,
+  from_stage text,
+  to_stage text,
+  changed_by uuid references profiles(id),
+  changed_at timestamp with time zone not null default now()
+);
+alter table client_stage_history add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+create index if not exists client_stage_history_client_idx on client_stage_history (client_id, changed_at);
+
+-- record every stage change, whoever makes it
+create or replace function log_client_stage_change() returns trigger as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.stage is not null then
+      insert into client_stage_history (workspace_id, client_id, from_stage, to_stage, changed_by)
+      values (new.workspace_id, new.id, null, new.stage, (select id from profiles where user_id = auth.uid() limit 1));
+    end if;
+  elsif new.stage is distinct from old.stage then
+    insert into client_stage_history (workspace_id, client_id, from_stage, to_stage, changed_by)
+    values (new.workspace_id, new.id, old.stage, new.stage, (select id from profiles where user_id = auth.uid() limit 1));
+  end if;
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists clients_stage_history on clients;
+create trigger clients_stage_history
+  after insert or update of stage on clients
+  for each row execute function log_client_stage_change();
+
+-- client_notes table
+create table if not exists client_notes (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  client_id uuid not null references clients(id) on delete cascade,
+  author_id uuid references profiles(id),
+  body text not null,
+  created_at timestamp with time zone default now()
+);
+alter table client_notes add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- quotes table
+create sequence if not exists quote_number_seq;
+
+create table if not exists quotes (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  number text not null unique default 'P' || to_char(now(), 'YYYY') || '-' || lpad(nextval('quote_number_seq')::text, 4, '0'),
+  client_id uuid not null references clients(id),
+  status text not null default 'draft' check (status in ('draft', 'sent', 'accepted', 'rejected')),
+  valid_until date,
+  notes text,
+  total numeric not null default 0,
+  accepted_at timestamp with time zone,
+  created_by uuid references profiles(id),
+  created_at timestamp with time zone default now()
+);
+alter table quotes add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- quote_items table
+create table if not exists quote_items (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  quote_id uuid not null references quotes(id) on delete cascade,
+  service_id uuid references services(id),
+  description text not null,
+  price_model text not null default 'hourly' check (price_model in ('hourly', 'fixed')),
+  quantity numeric not null default 1,
+  unit_price numeric not null default 0,
+  position integer not null default 0,
+  task_id uuid references tasks(id) on delete set null
+);
+alter table quote_items add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- invoices table
+create sequence if not exists invoice_number_seq;
+
+create table if not exists invoices (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  number text not null unique default to_char(now(), 'YYYY') || '-' || lpad(nextval('invoice_number_seq')::text, 4, '0'),
+  client_id uuid not null references clients(id),
+  period_start date,
+  period_end date,
+  status text not null default 'draft' check (status in ('draft', 'sent', 'paid', 'overdue')),
+  issued_at date not null default current_date,
+  due_date date,
+  paid_at date,
+  total numeric not null default 0,
+  notes text,
+  created_at timestamp with time zone default now()
+);
+alter table invoices add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- invoice_items table
+create table if not exists invoice_items (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  invoice_id uuid not null references invoices(id) on delete cascade,
+  kind text not null default 'manual' check (kind in ('hours', 'fixed', 'manual')),
+  task_id uuid references tasks(id) on delete set null,
+  time_entry_ids uuid[] not null default '{}',
+  description text not null,
+  quantity numeric not null default 1,
+  unit_price numeric not null default 0,
+  position integer not null default 0
+);
+alter table invoice_items add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- a fixed-price task is billed once
+create unique index if not exists invoice_items_fixed_task_idx on invoice_items (task_id) where kind = 'fixed';
+
+-- client_viewers table: the clients a client_viewer profile may see
+create table if not exists client_viewers (
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  profile_id uuid not null references profiles(id) on delete cascade,
+  client_id uuid not null references clients(id) on delete cascade,
+  primary key (profile_id, client_id)
+);
+alter table client_viewers add column if not exists workspace_id uuid default current_workspace_id() references workspaces(id) on delete cascade;
+
+-- notifications table: in-app notifications of one profile, created by the functions below
+create table if not exists notifications (
+  id uuid primary key default uuid_generate_v4(),
+  workspace_id uuid not null default current_workspace_id() references workspaces(id) on delete cascade,
+  profile_id uuid not null references profiles(id) on delete cascade,
+  kind text not null check (kind in ('assigned', 'mentioned', 'status_changed', 'due_soon', 'overdue')),
+  title text not null,
+  body text,
+  task_id uuid references tasks(id) on delete cascade,
+  actor_id uuid references profiles(id),
+  dedupe_key text unique,
+  read_at timestamp with time zone,
   created_at timestamp with time zone default now()
 );
+
+create index if not exists notifications_profile_idx on notifications (profile_id, created_at desc);
+
+-- realtime for the bell, unless an earlier run already published the table
+do $$ begin
+  if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'notifications') then
+    alter publication supabase_realtime add table notifications;
+  end if;
+end $$;
+
+-- profiles.notification_preferences.kinds turns kinds off; a missing entry means on
+create or replace function wants_notification(recipient uuid, notification_kind text) returns boolean as $$
+  select coalesce((select (notification_preferences -> 'kinds' ->> notification_kind)::boolean from profiles where id = recipient), true);
+$$ language sql stable security definer set search_path = public;
+
+-- nobody is notified of their own actions
+create or replace function notify(recipient uuid, notification_kind text, notification_title text, notification_body text, task uuid, workspace uuid)
+returns void as $$
+  insert into notifications (workspace_id, profile_id, kind, title, body, task_id, actor_id)
+  select workspace, recipient, notification_kind, notification_title, notification_body, task, current_profile_id()
+  where recipient is not null and recipient is distinct from current_profile_id() and wants_notification(recipient, notification_kind);
+$$ language sql security definer set search_path = public;
+
+-- only the triggers below may notify; called through the API, notify() would
+-- let anyone write to any profile's inbox
+revoke execute on function wants_notification(uuid, text) from public, anon, authenticated;
+revoke execute on function notify(uuid, text, text, text, uuid, uuid) from public, anon, authenticated;
+
+create or replace function notify_task_changes() returns trigger as $$
+begin
+  if new.user_id is not null and (tg_op = 'INSERT' or new.user_id is distinct from old.user_id) then
+    perform notify(new.user_id, 'assigned', 'Tarefa atribuída a você: ' || new.title, null, new.id, new.workspace_id);
+  elsif tg_op = 'UPDATE' and new.status is distinct from old.status then
+    perform notify(new.user_id, 'status_changed', 'Status alterado: ' || new.title, coalesce(old.status, '-') || ' → ' || new.status, new.id, new.workspace_id);
+  end if;
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists tasks_notify on tasks;
+create trigger tasks_notify
+  after insert or update of user_id, status on tasks
+  for each row execute function notify_task_changes();
+
+create or replace function notify_comment_mentions() returns trigger as $$
+declare
+  task_title text;
+  mentioned uuid;
+begin
+  select title into task_title from tasks where id = new.task_id;
+  foreach mentioned in array new.mentions loop
+    perform notify(mentioned, 'mentioned', 'Você foi mencionado em ' || coalesce(task_title, 'uma tarefa'), left(new.body, 200), new.task_id, new.workspace_id);
+  end loop;
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists task_comments_notify on task_comments;
+create trigger task_comments_notify
+  after insert on task_comments
+  for each row execute function notify_comment_mentions();
+
+-- Deadline reminders for unfinished tasks.  A task is due_soon once the
+-- smallest of its assignee's reminder offsets (minutes before end_at, one
+-- day by default) is reached, and overdue once end_at passes; dedupe_key
+-- makes each reminder fire once per deadline.  Schedule it with pg_cron:
+--   select cron.schedule('task-reminders', '*/5 * * * *', 'select create_due_reminders()');
+-- Called by a logged-in user (the app does every few minutes) it only
+-- looks at that user's tasks.
+create or replace function create_due_reminders() returns integer as $$
+declare
+  due_count integer;
+  overdue_count integer;
+begin
+  insert into notifications (workspace_id, profile_id, kind, title, task_id, dedupe_key)
+  select t.workspace_id, t.user_id, 'due_soon', 'Prazo próximo: ' || t.title, t.id,
+         'due_soon:' || t.id || ':' || extract(epoch from t.end_at)::bigint || ':' || o.minutes
+  from tasks t
+  join profiles p on p.id = t.user_id
+  cross join lateral (
+    select value::integer as minutes
+    from jsonb_array_elements_text(coalesce(p.notification_preferences -> 'reminder_offsets', '[1440]'))
+    where now() >= t.end_at - make_interval(mins => value::integer)
+    order by 1
+    limit 1
+  ) o
+  where t.end_at > now() and t.status <> 'concluido' and t.parent_id is null
+    and wants_notification(t.user_id, 'due_soon')
+    and (auth.uid() is null or t.user_id = current_profile_id())
+  on conflict (dedupe_key) do nothing;
+  get diagnostics due_count = row_count;
+
+  -- only deadlines of the last week, so the first run does not flood anyone
+  insert into notifications (workspace_id, profile_id, kind, title, task_id, dedupe_key)
+  select t.workspace_id, t.user_id, 'overdue', 'Tarefa atrasada: ' || t.title, t.id,
+         'overdue:' || t.id || ':' || extract(epoch from t.end_at)::bigint
+  from tasks t
+  where t.user_id is not null and t.end_at <= now() and t.end_at > now() - interval '7 days'
+    and t.status <> 'concluido' and t.parent_id is null
+    and wants_notification(t.user_id, 'overdue')
+    and (auth.uid() is null or t.user_id = current_profile_id())
+  on conflict (dedupe_key) do nothing;
+  get diagnostics overdue_count = row_count;
+  return due_count + overdue_count;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- updated_at of the tables the app edits offline; a queued change compares
+-- it with the value the user saw to detect edits made in the meantime
+create or replace function touch_updated_at() returns trigger as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$ language plpgsql;
+
+do $$
+declare
+  tbl text;
+begin
+  foreach tbl in array array['clients', 'team', 'services', 'tasks', 'events'] loop
+    execute format('drop trigger if exists %I on %I', tbl || '_touch_updated_at', tbl);
+    execute format('create trigger %I before update on %I for each row execute function touch_updated_at()', tbl || '_touch_updated_at', tbl);
+  end loop;
+end;
+$$;
+
+-- Databases created before workspaces: their rows move to a new workspace,
+-- every profile without one joins it with its old profiles.role, and
+-- workspace_id becomes required as in a fresh install.
+do $$
+declare
+  legacy uuid;
+  tbl text;
+begin
+  foreach tbl in array array[
+    'clients', 'team', 'services', 'tasks', 'events', 'automations', 'automation_runs', 'funnels',
+    'kanban_columns', 'task_checklist_items', 'task_comments', 'time_entries', 'report_definitions',
+    'calendar_feeds', 'pipeline_stages', 'client_stage_history', 'client_notes', 'quotes', 'quote_items',
+    'invoices', 'invoice_items', 'client_viewers'
+  ] loop
+    if exists (
+      select 1 from information_schema.columns
+      where table_schema = 'public' and table_name = tbl and column_name = 'workspace_id' and is_nullable = 'YES'
+    ) then
+      if legacy is null then
+        insert into workspaces (name) values ('Minha agência') returning id into legacy;
+      end if;
+      execute format('update %I set workspace_id = $1 where workspace_id is null', tbl) using legacy;
+      execute format('alter table %I alter column workspace_id set not null', tbl);
+    end if;
+  end loop;
+  if legacy is not null then
+    insert into workspace_members (workspace_id, profile_id, role)
+    select legacy, p.id, case when p.role in ('admin', 'manager', 'member', 'client_viewer') then p.role else 'member' end
+    from profiles p
+    where not exists (select 1 from workspace_members m where m.profile_id = p.id);
+    update profiles set current_workspace_id = legacy where current_workspace_id is null;
+  end if;
+end $$;
+
+-- Roles and row-level security
+--
+-- workspace_members.role is admin, manager, member or client_viewer in that
+-- workspace.  Admins and managers see every row of the workspace;
+-- members see the tasks assigned to them (and their subtasks), their own
+-- and unassigned events, and the clients of those tasks and events; client
+-- viewers only read what belongs to the clients listed for them in
+-- client_viewers.  Only admins manage team, automations, members and
+-- invitations.  The helpers are security definer so policies can look at
+-- profiles, tasks and events without recursing into their policies.
+-- Whoever creates a workspace (create_workspace()) is its first admin.
+create or replace function current_app_role() returns text as $$
+  select m.role
+  from workspace_members m
+  where m.workspace_id = current_workspace_id() and m.profile_id = current_profile_id();
+$$ language sql stable security definer set search_path = public;
+
+create or replace function has_role(variadic roles text[]) returns boolean as $$
+  select current_app_role() = any (roles);
+$$ language sql stable;
+
+create or replace function can_see_client(target uuid) returns boolean as $$
+  select case current_app_role()
+    when 'admin' then true
+    when 'manager' then true
+    when 'client_viewer' then exists (select 1 from client_viewers v where v.client_id = target and v.profile_id = current_profile_id())
+    when 'member' then exists (select 1 from tasks t where t.client_id = target and t.user_id = current_profile_id())
+      or exists (select 1 from events e where e.client_id = target and e.user_id = current_profile_id())
+    else false
+  end;
+$$ language sql stable security definer set search_path = public;
+
+create or replace function can_see_task(target uuid) returns boolean as $$
+  select exists (
+    select 1
+    from tasks t
+    left join tasks parent on parent.id = t.parent_id
+    where t.id = target
+      and case current_app_role()
+        when 'admin' then true
+        when 'manager' then true
+        when 'client_viewer' then t.client_id is not null and can_see_client(t.client_id)
+        when 'member' then current_profile_id() in (t.user_id, parent.user_id)
+        else false
+      end
+  );
+$$ language sql stable security definer set search_path = public;
+
+-- creates a workspace with the caller as admin and switches to it
+create or replace function create_workspace(workspace_name text) returns uuid as $$
+declare
+  me uuid := current_profile_id();
+  created uuid;
+begin
+  if me is null then
+    raise exception 'profile not found' using errcode = 'P0002';
+  end if;
+  insert into workspaces (name, created_by) values (workspace_name, me) returning id into created;
+  insert into workspace_members (workspace_id, profile_id, role) values (created, me, 'admin');
+  update profiles set current_workspace_id = created where id = me;
+  insert into kanban_columns (workspace_id, title, status, position) values
+    (created, 'Pendente', 'pendente', 1),
+    (created, 'Em andamento', 'em_andamento', 2),
+    (created, 'Concluído', 'concluido', 3);
+  insert into pipeline_stages (workspace_id, key, label, position) values
+    (created, 'lead', 'Lead', 1),
+    (created, 'qualificado', 'Qualificado', 2),
+    (created, 'proposta', 'Proposta', 3),
+    (created, 'negociacao', 'Negociação', 4),
+    (created, 'ganho', 'Ganho', 5),
+    (created, 'perdido', 'Perdido', 6);
+  return created;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- joins the workspace of an open invitation sent to the caller's e-mail
+create or replace function accept_invitation(invite_token text) returns uuid as $$
+declare
+  me uuid := current_profile_id();
+  invite workspace_invitations;
+begin
+  select * into invite from workspace_invitations
+  where token = invite_token and accepted_at is null and expires_at > now();
+  if not found or me is null then
+    raise exception 'invitation not found' using errcode = 'P0002';
+  end if;
+  if lower(invite.email) <> lower(coalesce(auth.jwt() ->> 'email', '')) then
+    raise exception 'invitation sent to another e-mail' using errcode = '42501';
+  end if;
+  insert into workspace_members (workspace_id, profile_id, role)
+  values (invite.workspace_id, me, invite.role)
+  on conflict (workspace_id, profile_id) do nothing;
+  update workspace_invitations set accepted_at = now(), accepted_by = me where id = invite.id;
+  update profiles set current_workspace_id = invite.workspace_id where id = me;
+  return invite.workspace_id;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- profiles of other workspaces stay hidden; switching workspace is an
+-- update of the user's own profile
+alter table profiles enable row level security;
+drop policy if exists profiles_select on profiles;
+create policy profiles_select on profiles for select to authenticated
+  using (user_id = auth.uid() or id in (select profile_id from workspace_members where workspace_id = current_workspace_id()));
+drop policy if exists profiles_write on profiles;
+create policy profiles_write on profiles for all to authenticated using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+alter table workspaces enable row level security;
+drop policy if exists workspaces_select on workspaces;
+create policy workspaces_select on workspaces for select to authenticated
+  using (exists (select 1 from workspace_members m where m.workspace_id = workspaces.id and m.profile_id = current_profile_id()));
+drop policy if exists workspaces_update on workspaces;
+create policy workspaces_update on workspaces for update to authenticated
+  using (id = current_workspace_id() and has_role('admin'))
+  with check (id = current_workspace_id() and has_role('admin'));
+
+-- everyone sees their own memberships (for the switcher) and the members
+-- of the current workspace; admins add, change and remove members
+alter table workspace_members enable row level security;
+drop policy if exists workspace_members_select on workspace_members;
+create policy workspace_members_select on workspace_members for select to authenticated
+  using (profile_id = current_profile_id() or workspace_id = current_workspace_id());
+drop policy if exists workspace_members_manage on workspace_members;
+create policy workspace_members_manage on workspace_members for all to authenticated
+  using (workspace_id = current_workspace_id() and has_role('admin'))
+  with check (workspace_id = current_workspace_id() and has_role('admin'));
+
+alter table workspace_invitations enable row level security;
+drop policy if exists workspace_invitations_admin on workspace_invitations;
+create policy workspace_invitations_admin on workspace_invitations for all to authenticated
+  using (workspace_id = current_workspace_id() and has_role('admin'))
+  with check (workspace_id = current_workspace_id() and has_role('admin'));
+
+-- Workspace isolation: a restrictive policy is ANDed with the policies
+-- below, so no role ever reads or writes a row of another workspace.
+do $$
+declare
+  tbl text;
+begin
+  foreach tbl in array array[
+    'clients', 'team', 'services', 'tasks', 'events', 'automations', 'automation_runs', 'funnels',
+    'kanban_columns', 'task_checklist_items', 'task_comments', 'time_entries', 'report_definitions',
+    'calendar_feeds', 'pipeline_stages', 'client_stage_history', 'client_notes', 'quotes', 'quote_items',
+    'invoices', 'invoice_items', 'client_viewers', 'notifications'
+  ] loop
+    execute format('drop policy if exists %I on %I', tbl || '_workspace', tbl);
+    execute format(
+      'create policy %I on %I as restrictive for all to authenticated using (workspace_id = current_workspace_id()) with check (workspace_id = current_workspace_id())',
+      tbl || '_workspace', tbl);
+  end loop;
+end $$;
+
+alter table client_viewers enable row level security;
+drop policy if exists client_viewers_select on client_viewers;
+create policy client_viewers_select on client_viewers for select to authenticated using (profile_id = current_profile_id() or has_role('admin', 'manager'));
+drop policy if exists client_viewers_manage on client_viewers;
+create policy client_viewers_manage on client_viewers for all to authenticated using (has_role('admin')) with check (has_role('admin'));
+
+alter table clients enable row level security;
+drop policy if exists clients_select on clients;
+create policy clients_select on clients for select to authenticated using (can_see_client(id));
+drop policy if exists clients_manage on clients;
+create policy clients_manage on clients for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+alter table team enable row level security;
+drop policy if exists team_select on team;
+create policy team_select on team for select to authenticated using (true);
+drop policy if exists team_manage on team;
+create policy team_manage on team for all to authenticated using (has_role('admin')) with check (has_role('admin'));
+
+alter table services enable row level security;
+drop policy if exists services_select on services;
+create policy services_select on services for select to authenticated using (true);
+drop policy if exists services_manage on services;
+create policy services_manage on services for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+-- members create and edit only their own tasks and the subtasks of them;
+-- deleting is left to managers
+alter table tasks enable row level security;
+drop policy if exists tasks_select on tasks;
+create policy tasks_select on tasks for select to authenticated using (can_see_task(id));
+drop policy if exists tasks_manage on tasks;
+create policy tasks_manage on tasks for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+drop policy if exists tasks_member_insert on tasks;
+create policy tasks_member_insert on tasks for insert to authenticated
+  with check (has_role('member') and (user_id = current_profile_id() or (parent_id is not null and can_see_task(parent_id))));
+drop policy if exists tasks_member_update on tasks;
+create policy tasks_member_update on tasks for update to authenticated
+  using (has_role('member') and can_see_task(id))
+  with check (has_role('member') and (user_id = current_profile_id() or (parent_id is not null and can_see_task(parent_id))));
+
+alter table task_checklist_items enable row level security;
+drop policy if exists task_checklist_items_select on task_checklist_items;
+create policy task_checklist_items_select on task_checklist_items for select to authenticated using (can_see_task(task_id));
+drop policy if exists task_checklist_items_write on task_checklist_items;
+create policy task_checklist_items_write on task_checklist_items for all to authenticated
+  using (has_role('admin', 'manager', 'member') and can_see_task(task_id))
+  with check (has_role('admin', 'manager', 'member') and can_see_task(task_id));
+
+-- anyone who sees a task may comment on it, as themselves
+alter table task_comments enable row level security;
+drop policy if exists task_comments_select on task_comments;
+create policy task_comments_select on task_comments for select to authenticated using (can_see_task(task_id));
+drop policy if exists task_comments_insert on task_comments;
+create policy task_comments_insert on task_comments for insert to authenticated with check (can_see_task(task_id) and author_id = current_profile_id());
+drop policy if exists task_comments_manage on task_comments;
+create policy task_comments_manage on task_comments for all to authenticated
+  using (author_id = current_profile_id() or has_role('admin', 'manager'))
+  with check (author_id = current_profile_id() or has_role('admin', 'manager'));
+
+alter table events enable row level security;
+drop policy if exists events_select on events;
+create policy events_select on events for select to authenticated using (
+  has_role('admin', 'manager')
+  or (has_role('member') and (user_id is null or user_id = current_profile_id()))
+  or (has_role('client_viewer') and client_id is not null and can_see_client(client_id))
+);
+drop policy if exists events_manage on events;
+create policy events_manage on events for all to authenticated
+  using (has_role('admin', 'manager') or (has_role('member') and (user_id is null or user_id = current_profile_id())))
+  with check (has_role('admin', 'manager') or (has_role('member') and (user_id is null or user_id = current_profile_id())));
+
+-- rules run in the database (see the automation engine), so only admins,
+-- who build and dry-run them on the Automações page, read rules and runs
+alter table automations enable row level security;
+drop policy if exists automations_select on automations;
+drop policy if exists automations_manage on automations;
+create policy automations_manage on automations for all to authenticated using (has_role('admin')) with check (has_role('admin'));
+
+alter table automation_runs enable row level security;
+drop policy if exists automation_runs_insert on automation_runs;
+create policy automation_runs_insert on automation_runs for insert to authenticated with check (has_role('admin'));
+drop policy if exists automation_runs_select on automation_runs;
+create policy automation_runs_select on automation_runs for select to authenticated using (has_role('admin'));
+
+alter table funnels enable row level security;
+drop policy if exists funnels_staff on funnels;
+create policy funnels_staff on funnels for all to authenticated
+  using (has_role('admin', 'manager', 'member'))
+  with check (has_role('admin', 'manager', 'member'));
+
+alter table kanban_columns enable row level security;
+drop policy if exists kanban_columns_select on kanban_columns;
+create policy kanban_columns_select on kanban_columns for select to authenticated using (true);
+drop policy if exists kanban_columns_manage on kanban_columns;
+create policy kanban_columns_manage on kanban_columns for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+alter table time_entries enable row level security;
+drop policy if exists time_entries_own on time_entries;
+create policy time_entries_own on time_entries for all to authenticated
+  using (user_id = current_profile_id() or has_role('admin', 'manager'))
+  with check ((user_id = current_profile_id() and can_see_task(task_id)) or has_role('admin', 'manager'));
+
+alter table report_definitions enable row level security;
+drop policy if exists report_definitions_managers on report_definitions;
+create policy report_definitions_managers on report_definitions for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+-- a feed serves every row of its scope, so members may only publish their own agenda
+alter table calendar_feeds enable row level security;
+drop policy if exists calendar_feeds_select on calendar_feeds;
+create policy calendar_feeds_select on calendar_feeds for select to authenticated using (created_by = current_profile_id() or has_role('admin'));
+drop policy if exists calendar_feeds_write on calendar_feeds;
+create policy calendar_feeds_write on calendar_feeds for all to authenticated
+  using (created_by = current_profile_id() or has_role('admin'))
+  with check (has_role('admin', 'manager') or (has_role('member') and scope = 'user' and user_id = current_profile_id() and created_by = current_profile_id()));
+
+alter table pipeline_stages enable row level security;
+drop policy if exists pipeline_stages_select on pipeline_stages;
+create policy pipeline_stages_select on pipeline_stages for select to authenticated using (true);
+drop policy if exists pipeline_stages_manage on pipeline_stages;
+create policy pipeline_stages_manage on pipeline_stages for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+alter table client_stage_history enable row level security;
+drop policy if exists client_stage_history_select on client_stage_history;
+create policy client_stage_history_select on client_stage_history for select to authenticated using (can_see_client(client_id));
+
+alter table client_notes enable row level security;
+drop policy if exists client_notes_select on client_notes;
+create policy client_notes_select on client_notes for select to authenticated using (can_see_client(client_id));
+drop policy if exists client_notes_insert on client_notes;
+create policy client_notes_insert on client_notes for insert to authenticated
+  with check (has_role('admin', 'manager', 'member') and can_see_client(client_id) and author_id = current_profile_id());
+drop policy if exists client_notes_delete on client_notes;
+create policy client_notes_delete on client_notes for delete to authenticated using (author_id = current_profile_id() or has_role('admin', 'manager'));
+
+alter table quotes enable row level security;
+drop policy if exists quotes_managers on quotes;
+create policy quotes_managers on quotes for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+alter table quote_items enable row level security;
+drop policy if exists quote_items_managers on quote_items;
+create policy quote_items_managers on quote_items for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+alter table invoices enable row level security;
+drop policy if exists invoices_managers on invoices;
+create policy invoices_managers on invoices for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+alter table invoice_items enable row level security;
+drop policy if exists invoice_items_managers on invoice_items;
+create policy invoice_items_managers on invoice_items for all to authenticated using (has_role('admin', 'manager')) with check (has_role('admin', 'manager'));
+
+alter table notifications enable row level security;
+drop policy if exists notifications_own on notifications;
+create policy notifications_own on notifications for all to authenticated
+  using (profile_id = current_profile_id()) with check (profile_id = current_profile_id());
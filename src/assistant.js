@@ -0,0 +1,300 @@
+/*
+ * Assistant command parser
+ *
+ * Turns Portuguese commands such as "criar tarefa revisar site para Cliente A
+ * amanhã às 14h prioridade alta" or "agendar reunião com Maria sexta 10h"
+ * into a structured command.  Parsing runs on an accent-free, lowercase copy
+ * of the text; because that copy has the same length as the original, every
+ * recognised piece (date, time, client, person, priority) is cut out of the
+ * original by position and whatever is left becomes the title.
+ *
+ * The parser is pure, so it lives in its own module where Node can test it
+ * (assistant.test.js); the Funil IA page only adds the conversation around
+ * it.
+ */
+const WEEKDAYS = ["domingo", "segunda", "terca", "quarta", "quinta", "sexta", "sabado"];
+const PRIORITIES = { urgente: "urgente", alta: "alta", media: "media", baixa: "baixa" };
+export const ASSISTANT_QUESTIONS = {
+  title: "Qual é o título?",
+  name: "Qual é o nome do cliente?",
+  date: "Para que dia?",
+  time: "Em que horário?",
+};
+
+export function normalizeText(text) {
+  return (text || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function detectIntent(norm) {
+  const match = norm.match(/^\s*(?:por favor\s+)?(criar|crie|cria|nova|novo|adicionar|adicione|agendar|agende|marcar|marque|cadastrar|cadastre)\s+(?:uma?\s+)?(tarefa|evento|compromisso|reuniao|cliente)?/);
+  if (!match) return null;
+  const [text, verb, noun] = match;
+  let intent = null;
+  if (noun === "tarefa") intent = "create_task";
+  else if (noun === "cliente") intent = "create_client";
+  else if (noun || /^(agend|marc)/.test(verb)) intent = "create_event";
+  if (!intent) return null;
+  // Keep "reunião" as part of an event title; drop the other nouns.
+  const cut = noun === "reuniao" ? text.length - noun.length : text.length;
+  return { intent, range: [match.index, match.index + cut] };
+}
+
+function nextWeekday(from, weekday) {
+  const d = new Date(from);
+  const diff = (weekday - d.getDay() + 7) % 7 || 7;
+  d.setDate(d.getDate() + diff);
+  return d;
+}
+
+function parseDate(norm, now) {
+  const patterns = [
+    [/(?:\b(?:para|no|na|em)\s+)?\bdepois de amanha\b/, () => addDays(now, 2)],
+    [/(?:\b(?:para|no|na|em)\s+)?\bamanha\b/, () => addDays(now, 1)],
+    [/(?:\b(?:para|no|na|em)\s+)?\bhoje\b/, () => new Date(now)],
+    [/(?:\b(?:para|em)\s+)?\b(?:(?:na\s+)?proxima semana|semana que vem)\b/, () => nextWeekday(now, 1)],
+    [/(?:\b(?:para|em)\s+)?\bem (\d+) dias?\b/, (m) => addDays(now, Number(m[1]))],
+    [
+      /(?:\b(?:para|no|na|em)\s+)?(?:(?:a|o)?\s*proxim[oa]\s+)?\b(domingo|segunda|terca|quarta|quinta|sexta|sabado)(?:-feira| feira)?(?:\s+que vem)?\b/,
+      (m) => nextWeekday(now, WEEKDAYS.indexOf(m[1])),
+    ],
+    [
+      /(?:\b(?:para|no|em)\s+)?\b(?:dia\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/,
+      (m) => {
+        const year = m[3] ? (m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3])) : now.getFullYear();
+        const d = new Date(year, Number(m[2]) - 1, Number(m[1]));
+        if (!m[3] && d < new Date(now.getFullYear(), now.getMonth(), now.getDate())) d.setFullYear(year + 1);
+        return d;
+      },
+    ],
+    [
+      /(?:\b(?:para|no|em)\s+)?\bdia (\d{1,2})\b(?!\s*(?:h\b|:|horas))/,
+      (m) => {
+        const d = new Date(now.getFullYear(), now.getMonth(), Number(m[1]));
+        if (d.getDate() < now.getDate() || d.getMonth() !== now.getMonth()) d.setMonth(now.getMonth() + 1, Number(m[1]));
+        return d;
+      },
+    ],
+  ];
+  for (const [regex, resolve] of patterns) {
+    const m = norm.match(regex);
+    if (m) return { value: resolve(m), range: [m.index, m.index + m[0].length] };
+  }
+  return null;
+}
+
+function parseTime(norm) {
+  const regexes = [
+    /(?:\b(?:as|a|ao|pelas)\s+)?\b(\d{1,2})\s*(?:h|hs|horas?)(?:\s*(?:e\s*)?(\d{2})(?:\s*min(?:utos)?)?)?\b/,
+    /(?:\b(?:as|a|pelas)\s+)?\b(\d{1,2}):(\d{2})\b/,
+    /(?:\b(?:ao|as)\s+)\b(meio[- ]dia)\b/,
+  ];
+  for (const regex of regexes) {
+    const m = norm.match(regex);
+    if (!m) continue;
+    const hours = m[1].startsWith("meio") ? 12 : Number(m[1]);
+    const minutes = Number(m[2] || 0);
+    if (hours > 23 || minutes > 59) continue;
+    let end = m.index + m[0].length;
+    // "14h da tarde" / "8h da manhã"
+    const period = norm.slice(end).match(/^\s+da (manha|tarde|noite)\b/);
+    let h = hours;
+    if (period) {
+      end += period[0].length;
+      if (period[1] !== "manha" && h < 12) h += 12;
+    }
+    return { value: { hours: h, minutes }, range: [m.index, end] };
+  }
+  return null;
+}
+
+function parseDuration(norm) {
+  const m = norm.match(/\b(?:por|durante)\s+(\d+)\s*(minutos?|min|horas?|h)\b/);
+  if (!m) return null;
+  const minutes = /^h/.test(m[2]) ? Number(m[1]) * 60 : Number(m[1]);
+  return { value: minutes, range: [m.index, m.index + m[0].length] };
+}
+
+function parsePriority(norm) {
+  const m = norm.match(/\b(?:com\s+)?prioridade\s+(urgente|alta|media|baixa)\b|\b(urgente)\b/);
+  if (!m) return null;
+  return { value: PRIORITIES[m[1] || m[2]], range: [m.index, m.index + m[0].length] };
+}
+
+/*
+ * Finds the longest name from `items` mentioned in the text.  `connectors`
+ * are the words that may precede the name ("para", "com", ...); they are
+ * included in the returned range so they disappear from the title too.
+ */
+function findMention(norm, items, connectors) {
+  const candidates = items
+    .filter((item) => item.name)
+    .map((item) => ({ item, key: normalizeText(item.name).trim() }))
+    .filter(({ key }) => key.length > 1)
+    .sort((a, b) => b.key.length - a.key.length);
+  for (const { item, key } of candidates) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const m = norm.match(new RegExp(`(?:\\b(?:${connectors.join("|")})\\s+(?:(?:o|a)\\s+)?)?\\b${escaped}\\b`));
+    if (m) return { value: item, range: [m.index, m.index + m[0].length] };
+  }
+  return null;
+}
+
+function stripRanges(text, ranges) {
+  const keep = Array.from(text).map(() => true);
+  ranges.forEach(([start, end]) => {
+    for (let i = start; i < end; i++) keep[i] = false;
+  });
+  const rest = Array.from(text).filter((_, i) => keep[i]).join("");
+  // Word boundaries have to know about accents: with \b the "o" of
+  // "Reunião" counts as a connector of its own.
+  const cleaned = rest
+    .replace(/\s+/g, " ")
+    .replace(/^(?:\s*(?<![\p{L}\d])(?:para|pra|com|no|na|de|do|da|e|as|a|o)(?![\p{L}\d])\s*)+/iu, "")
+    .replace(/(?:\s*(?<![\p{L}\d])(?:para|pra|com|no|na|de|do|da|e|as|a|o)(?![\p{L}\d])\s*)+$/iu, "")
+    .replace(/[\s,.;:]+$/, "")
+    .trim();
+  return cleaned ? cleaned.charAt(0).toUpperCase() + cleaned.slice(1) : "";
+}
+
+function combineDateTime(date, time) {
+  if (!date && !time) return null;
+  const d = new Date(date || new Date());
+  if (time) d.setHours(time.hours, time.minutes, 0, 0);
+  else d.setHours(9, 0, 0, 0);
+  return d;
+}
+
+/*
+ * Parses a command.  Returns null when no intent is recognised, otherwise
+ * { intent, fields, missing } where `missing` lists the required fields the
+ * assistant still has to ask for.  `context` carries the clients and team
+ * members used to resolve names, plus `now` for relative dates.
+ */
+export function parseAssistantCommand(text, { clients = [], team = [], now = new Date() } = {}) {
+  const original = (text || "").normalize("NFC").trim();
+  const norm = normalizeText(original);
+  const intent = detectIntent(norm);
+  if (!intent) return null;
+  const ranges = [intent.range];
+  // Each recognised piece is blanked out of `work` so later parsers do not
+  // read it again ("por 2 horas" is a duration, not a time).
+  let work = norm;
+  const take = (found) => {
+    if (!found) return undefined;
+    ranges.push(found.range);
+    const [start, end] = found.range;
+    work = work.slice(0, start) + " ".repeat(end - start) + work.slice(end);
+    return found.value;
+  };
+  const fields = {};
+  if (intent.intent === "create_client") {
+    const email = original.match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+    if (email) {
+      fields.email = email[0];
+      ranges.push([email.index, email.index + email[0].length]);
+      const label = norm.slice(0, email.index).match(/\b(?:e-?mail|email)\s*$/);
+      if (label) ranges.push([label.index, email.index]);
+    }
+    const phone = norm.match(/(?:\b(?:telefone|fone|celular|whatsapp)\s+)?(\+?\d[\d\s().-]{7,}\d)/);
+    if (phone) {
+      fields.phone = phone[1].trim();
+      ranges.push([phone.index, phone.index + phone[0].length]);
+    }
+    const company = norm.match(/\bda empresa\s+(.+?)(?=\s+(?:e-?mail|telefone|fone|celular)\b|$)/);
+    if (company) {
+      fields.company = original.slice(company.index + company[0].length - company[1].length, company.index + company[0].length);
+      ranges.push([company.index, company.index + company[0].length]);
+    }
+    fields.name = stripRanges(original, ranges);
+    return { intent: intent.intent, fields, missing: fields.name ? [] : ["name"] };
+  }
+  work = work.slice(0, intent.range[1]).replace(/./g, " ") + work.slice(intent.range[1]);
+  fields.priority = take(parsePriority(work));
+  const duration = take(parseDuration(work));
+  const date = take(parseDate(work, now));
+  const time = take(parseTime(work));
+  const client = take(findMention(work, clients, ["para", "pra", "do", "da", "ao", "cliente", "com"]));
+  // In event titles the person stays ("Reunião com Maria"); in tasks the
+  // name only says who is responsible.
+  const memberFound = findMention(work, team, ["para", "pra", "com", "responsavel", "atribuir a"]);
+  const member = intent.intent === "create_task" ? take(memberFound) : memberFound?.value;
+  if (client) fields.client_id = client.id;
+  if (member) fields.user_id = member.profile_id || null;
+  fields.title = stripRanges(original, ranges);
+  const labels = { client: client?.name, member: member?.name };
+  const missing = [];
+  if (!fields.title) missing.push("title");
+  if (intent.intent === "create_event") {
+    if (!date && !time) missing.push("date");
+    if (!time) missing.push("time");
+  }
+  return { intent: intent.intent, fields, missing, labels, date, time, duration: duration || 60 };
+}
+
+/* Applies the user's answer to the first missing field of a command. */
+export function answerAssistantQuestion(command, answer, now = new Date()) {
+  const [field, ...rest] = command.missing;
+  const norm = normalizeText(answer);
+  const next = { ...command, fields: { ...command.fields }, missing: rest };
+  if (field === "date" || field === "time") {
+    const date = parseDate(norm, now)?.value;
+    const time = parseTime(norm)?.value;
+    if (field === "date" && !date) return command;
+    if (field === "time" && !time) return command;
+    next.date = date || next.date;
+    next.time = time || next.time;
+    next.missing = rest.filter((f) => !(f === "time" && next.time));
+  } else {
+    const value = answer.trim();
+    if (!value) return command;
+    next.fields[field] = value.charAt(0).toUpperCase() + value.slice(1);
+  }
+  return next;
+}
+
+/* Builds the final row for the target table. */
+export function buildAssistantRecord(command) {
+  const { intent, fields } = command;
+  if (intent === "create_client") return { table: "clients", values: fields };
+  const when = combineDateTime(command.date, command.time);
+  if (intent === "create_task") {
+    return {
+      table: "tasks",
+      values: {
+        ...fields,
+        status: "pendente",
+        start_at: when ? when.toISOString() : null,
+        end_at: when ? when.toISOString() : null,
+      },
+    };
+  }
+  const end = new Date(when.getTime() + command.duration * 60000);
+  const { priority, ...eventFields } = fields;
+  return { table: "events", values: { ...eventFields, start_at: when.toISOString(), end_at: end.toISOString() } };
+}
+
+export function describeAssistantCommand(command) {
+  const { intent, fields, labels = {} } = command;
+  if (intent === "create_client") {
+    return `Vou cadastrar o cliente ${fields.name}${fields.email ? `, email ${fields.email}` : ""}${fields.phone ? `, telefone ${fields.phone}` : ""}. Confirma?`;
+  }
+  const when = combineDateTime(command.date, command.time);
+  const whenText = when
+    ? ` para ${when.toLocaleDateString("pt-BR", { weekday: "long", day: "numeric", month: "long" })}${command.time ? ` às ${when.toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" })}` : ""}`
+    : "";
+  const parts = [
+    intent === "create_task" ? `Vou criar a tarefa ${fields.title}` : `Vou agendar ${fields.title}`,
+    labels.client ? ` do cliente ${labels.client}` : "",
+    labels.member && intent === "create_task" ? `, responsável ${labels.member}` : "",
+    labels.member && intent === "create_event" && !normalizeText(fields.title).includes(normalizeText(labels.member)) ? `, com ${labels.member}` : "",
+    whenText,
+    fields.priority ? `, prioridade ${fields.priority}` : "",
+  ];
+  return `${parts.join("")}. Confirma?`;
+}
@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildAssistantRecord, parseAssistantCommand } from "./assistant.js";
+
+// Wednesday, 10 January 2024, 09:00 local time.
+const now = new Date(2024, 0, 10, 9, 0);
+
+test("keeps accented words whole in the title", () => {
+  const command = parseAssistantCommand("agendar reunião sexta 10h", { now });
+  assert.equal(command.intent, "create_event");
+  assert.equal(command.fields.title, "Reunião");
+  assert.deepEqual(command.missing, []);
+});
+
+test("strips connectors after an accented title", () => {
+  const command = parseAssistantCommand("criar tarefa Revisão do orçamento para amanhã", { now });
+  assert.equal(command.intent, "create_task");
+  assert.equal(command.fields.title, "Revisão do orçamento");
+  assert.equal(command.date.getDate(), 11);
+});
+
+test("keeps the person in event titles", () => {
+  const team = [{ name: "Maria", profile_id: "p1" }];
+  const command = parseAssistantCommand("agendar reunião com Maria sexta 10h", { team, now });
+  assert.equal(command.fields.title, "Reunião com Maria");
+  assert.equal(command.fields.user_id, "p1");
+  const { table, values } = buildAssistantRecord(command);
+  assert.equal(table, "events");
+  assert.equal(new Date(values.start_at).getTime(), new Date(2024, 0, 12, 10, 0).getTime());
+});
+
+test("resolves client, time and priority of a task", () => {
+  const clients = [{ id: "c1", name: "Padaria São João" }];
+  const command = parseAssistantCommand("criar tarefa revisar site para Padaria São João amanhã às 14h prioridade alta", { clients, now });
+  assert.equal(command.fields.title, "Revisar site");
+  assert.equal(command.fields.client_id, "c1");
+  assert.equal(command.fields.priority, "alta");
+  assert.deepEqual(command.time, { hours: 14, minutes: 0 });
+});
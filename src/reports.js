@@ -0,0 +1,296 @@
+/*
+ * Report data
+ *
+ * Pure functions that turn tasks, time entries, team and clients into the
+ * datasets shown on the Relatórios page.  They live in their own module
+ * because the weekly digest script (scripts/send-report-digests.js) runs in
+ * Node and builds exactly the same numbers, so neither side can drift.
+ */
+
+export const REPORT_STATUS_LABELS = { pendente: "Pendente", em_andamento: "Em Andamento", concluido: "Concluído", atrasado: "Atrasado" };
+export const INVOICE_STATUS_LABELS = { draft: "Rascunho", sent: "Enviada", paid: "Paga", overdue: "Vencida" };
+
+export function isOverdue(task, now = new Date()) {
+  return !!task.end_at && new Date(task.end_at) < now && task.status !== "concluido";
+}
+
+export function entryHours(entry) {
+  if (!entry.ended_at) return 0;
+  return (new Date(entry.ended_at) - new Date(entry.started_at)) / 3600000;
+}
+
+/* Revenue of a task: hourly rate × tracked hours when both exist, else the fixed budget. */
+export function taskRevenue(task) {
+  if (task.rate && task.actual_hours) return Number(task.rate) * Number(task.actual_hours);
+  return Number(task.budget || 0);
+}
+
+/* A sent invoice past its due date is overdue even before the stored status catches up. */
+export function invoiceStatus(invoice, now = new Date()) {
+  if (invoice.status === "sent" && invoice.due_date && new Date(`${invoice.due_date}T23:59:59`) < now) return "overdue";
+  return invoice.status;
+}
+
+/*
+ * Invoices that count as revenue: everything but drafts, issued inside the
+ * date range and for the selected client.  The member filter does not
+ * apply, since an invoice is not assigned to anyone.
+ */
+export function filterReportInvoices(invoices, filters) {
+  return invoices.filter((invoice) => {
+    if (invoice.status === "draft") return false;
+    if (filters.client && invoice.client_id !== filters.client) return false;
+    if (filters.dateFrom && invoice.issued_at < filters.dateFrom) return false;
+    if (filters.dateTo && invoice.issued_at > filters.dateTo) return false;
+    return true;
+  });
+}
+
+/* Archived and trashed clients and team members stay out of reports by default. */
+export function isArchived(record) {
+  return !!(record && (record.archived_at || record.deleted_at));
+}
+
+/*
+ * Subtasks are not tasks of their own in reports, as on the Kanban: each
+ * top-level task takes over the hours tracked on its subtasks (at any
+ * depth), and rootTaskIds maps every task id to the task it counts under.
+ * A subtask whose parent is not visible counts as a task of its own.
+ */
+export function rollUpSubtasks(tasks) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const rootTaskIds = new Map();
+  const subtaskHours = new Map();
+  tasks.forEach((task) => {
+    let root = task;
+    const seen = new Set([task.id]);
+    while (root.parent_id && byId.has(root.parent_id) && !seen.has(root.parent_id)) {
+      root = byId.get(root.parent_id);
+      seen.add(root.id);
+    }
+    rootTaskIds.set(task.id, root.id);
+    if (root !== task) subtaskHours.set(root.id, (subtaskHours.get(root.id) || 0) + Number(task.actual_hours || 0));
+  });
+  const topLevel = tasks
+    .filter((t) => rootTaskIds.get(t.id) === t.id)
+    .map((t) => (subtaskHours.has(t.id) ? { ...t, actual_hours: Number(t.actual_hours || 0) + subtaskHours.get(t.id) } : t));
+  return { tasks: topLevel, rootTaskIds };
+}
+
+/*
+ * Applies the report filters.  A task is in the date range when its due date
+ * (or, without one, its creation date) falls inside it.
+ */
+export function filterReportTasks(tasks, filters) {
+  const from = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00`) : null;
+  const to = filters.dateTo ? new Date(`${filters.dateTo}T23:59:59`) : null;
+  return tasks.filter((task) => {
+    if (filters.client && task.client_id !== filters.client) return false;
+    if (filters.member && task.user_id !== filters.member) return false;
+    const date = new Date(task.end_at || task.created_at);
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+    return true;
+  });
+}
+
+export function computeReportData({ tasks, entries, team, clients, invoices = [] }, filters, now = new Date()) {
+  const { tasks: topLevel, rootTaskIds } = rollUpSubtasks(tasks);
+  tasks = topLevel;
+  if (!filters.includeArchived) {
+    const hiddenClients = new Set(clients.filter(isArchived).map((c) => c.id));
+    const hiddenProfiles = new Set(team.filter((m) => m.profile_id && isArchived(m)).map((m) => m.profile_id));
+    tasks = tasks.filter((t) => !hiddenClients.has(t.client_id) && !hiddenProfiles.has(t.user_id));
+    invoices = invoices.filter((i) => !hiddenClients.has(i.client_id));
+    team = team.filter((m) => !isArchived(m));
+    clients = clients.filter((c) => !isArchived(c));
+  }
+  const filtered = filterReportTasks(tasks, filters);
+  const billed = filterReportInvoices(invoices, filters);
+  const members = team.filter((m) => m.profile_id && (!filters.member || m.profile_id === filters.member));
+  const memberPerformance = members
+    .map((m) => {
+      const assigned = filtered.filter((t) => t.user_id === m.profile_id);
+      const done = assigned.filter((t) => t.status === "concluido");
+      return {
+        name: m.name,
+        tarefas: assigned.length,
+        concluidas: done.length,
+        taxa: assigned.length ? Math.round((done.length / assigned.length) * 100) : 0,
+        tasks: assigned,
+      };
+    })
+    .filter((m) => m.tarefas > 0);
+  const byStatus = {};
+  filtered.forEach((task) => {
+    const key = isOverdue(task, now) ? "atrasado" : task.status;
+    (byStatus[key] = byStatus[key] || []).push(task);
+  });
+  const statusDistribution = Object.entries(byStatus).map(([key, list]) => ({
+    name: REPORT_STATUS_LABELS[key] || key,
+    value: list.length,
+    tasks: list,
+  }));
+  const clientMetrics = clients
+    .filter((c) => !filters.client || c.id === filters.client)
+    .map((c) => {
+      const list = filtered.filter((t) => t.client_id === c.id);
+      const clientInvoices = billed.filter((i) => i.client_id === c.id);
+      return {
+        name: c.name,
+        tarefas: list.length,
+        horas: list.reduce((sum, t) => sum + Number(t.actual_hours || 0), 0),
+        receita: list.reduce((sum, t) => sum + taskRevenue(t), 0),
+        faturado: clientInvoices.reduce((sum, i) => sum + Number(i.total || 0), 0),
+        recebido: clientInvoices.filter((i) => i.status === "paid").reduce((sum, i) => sum + Number(i.total || 0), 0),
+        tasks: list,
+      };
+    })
+    .filter((c) => c.tarefas > 0 || c.faturado > 0)
+    .sort((a, b) => b.receita - a.receita);
+  // Hours come from the time entries started inside the range, restricted to
+  // the filtered tasks so the client filter applies as well.  Entries on a
+  // subtask count under its top-level task.
+  const taskById = new Map(filtered.map((t) => [t.id, t]));
+  const from = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00`) : null;
+  const to = filters.dateTo ? new Date(`${filters.dateTo}T23:59:59`) : null;
+  const memberHours = members
+    .map((m) => {
+      const mine = entries.filter((e) => {
+        const started = new Date(e.started_at);
+        return e.user_id === m.profile_id && taskById.has(rootTaskIds.get(e.task_id)) && (!from || started >= from) && (!to || started <= to);
+      });
+      return {
+        name: m.name,
+        horas: Number(mine.reduce((sum, e) => sum + entryHours(e), 0).toFixed(2)),
+        tasks: Array.from(new Set(mine.map((e) => rootTaskIds.get(e.task_id)))).map((id) => taskById.get(id)),
+      };
+    })
+    .filter((m) => m.horas > 0);
+  const invoiceTotals = { faturado: 0, recebido: 0, vencido: 0 };
+  billed.forEach((invoice) => {
+    const total = Number(invoice.total || 0);
+    invoiceTotals.faturado += total;
+    if (invoice.status === "paid") invoiceTotals.recebido += total;
+    if (invoiceStatus(invoice, now) === "overdue") invoiceTotals.vencido += total;
+  });
+  return { filtered, memberPerformance, memberHours, statusDistribution, clientMetrics, invoices: billed, invoiceTotals };
+}
+
+/*
+ * Flattens a computed report into named tables for export.  Each dataset has
+ * a title, column definitions and plain rows (no nested task lists), ready
+ * for CSV, XLSX or an e-mail body.
+ */
+export function reportDatasets(report, { clients = [], team = [] } = {}) {
+  const clientName = (id) => clients.find((c) => c.id === id)?.name || "";
+  const memberName = (id) => team.find((m) => m.profile_id === id)?.name || "";
+  return [
+    {
+      key: "membros",
+      title: "Taxa de Conclusão por Membro",
+      columns: [
+        { key: "name", label: "Membro" },
+        { key: "tarefas", label: "Tarefas" },
+        { key: "concluidas", label: "Concluídas" },
+        { key: "taxa", label: "Conclusão (%)" },
+      ],
+      rows: report.memberPerformance,
+    },
+    {
+      key: "horas",
+      title: "Horas Registradas por Membro",
+      columns: [
+        { key: "name", label: "Membro" },
+        { key: "horas", label: "Horas" },
+      ],
+      rows: report.memberHours,
+    },
+    {
+      key: "status",
+      title: "Status das Tarefas",
+      columns: [
+        { key: "name", label: "Status" },
+        { key: "value", label: "Tarefas" },
+      ],
+      rows: report.statusDistribution,
+    },
+    {
+      key: "clientes",
+      title: "Métricas por Cliente",
+      columns: [
+        { key: "name", label: "Cliente" },
+        { key: "tarefas", label: "Tarefas" },
+        { key: "horas", label: "Horas" },
+        { key: "receita", label: "Receita" },
+        { key: "faturado", label: "Faturado" },
+        { key: "recebido", label: "Recebido" },
+      ],
+      rows: report.clientMetrics.map((c) => ({
+        ...c,
+        horas: Number(c.horas.toFixed(2)),
+        receita: Number(c.receita.toFixed(2)),
+        faturado: Number(c.faturado.toFixed(2)),
+        recebido: Number(c.recebido.toFixed(2)),
+      })),
+    },
+    {
+      key: "faturas",
+      title: "Faturas",
+      columns: [
+        { key: "number", label: "Número" },
+        { key: "client", label: "Cliente" },
+        { key: "issued_at", label: "Emissão" },
+        { key: "due_date", label: "Vencimento" },
+        { key: "status", label: "Status" },
+        { key: "total", label: "Total" },
+      ],
+      rows: report.invoices.map((i) => ({
+        number: i.number,
+        client: clientName(i.client_id),
+        issued_at: i.issued_at || "",
+        due_date: i.due_date || "",
+        status: INVOICE_STATUS_LABELS[invoiceStatus(i)] || i.status,
+        total: Number(Number(i.total || 0).toFixed(2)),
+      })),
+    },
+    {
+      key: "tarefas",
+      title: "Tarefas",
+      columns: [
+        { key: "title", label: "Tarefa" },
+        { key: "client", label: "Cliente" },
+        { key: "member", label: "Responsável" },
+        { key: "status", label: "Status" },
+        { key: "end_at", label: "Prazo" },
+        { key: "actual_hours", label: "Horas" },
+        { key: "revenue", label: "Receita" },
+      ],
+      rows: report.filtered.map((t) => ({
+        title: t.title,
+        client: clientName(t.client_id),
+        member: memberName(t.user_id),
+        status: isOverdue(t) ? "atrasado" : t.status,
+        end_at: t.end_at ? t.end_at.slice(0, 10) : "",
+        actual_hours: Number(t.actual_hours || 0),
+        revenue: Number(taskRevenue(t).toFixed(2)),
+      })),
+    },
+  ];
+}
+
+/* Rows of plain objects keyed by column label, as spreadsheet libraries expect. */
+export function datasetRows(dataset) {
+  return dataset.rows.map((row) => Object.fromEntries(dataset.columns.map((c) => [c.label, row[c.key] ?? ""])));
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(dataset) {
+  const lines = [dataset.columns.map((c) => csvCell(c.label)).join(",")];
+  dataset.rows.forEach((row) => lines.push(dataset.columns.map((c) => csvCell(row[c.key])).join(",")));
+  return lines.join("\r\n");
+}